@@ -32,14 +32,21 @@ var SMBError = require('../../smberror');
  * @param {String} filePath normalized file path
  * @param {fs.Stats} stats fs.Stats object
  * @param {FSTree} tree tree object
+ * @param {String} [streamName] name of the named stream of the file represented by this instance
  */
-var FSFile = function (filePath, stats, tree) {
+var FSFile = function (filePath, stats, tree, streamName) {
   logger.debug('[fs] file.open %s', filePath);
   if (!(this instanceof FSFile)) {
-    return new FSFile(filePath, stats, tree);
+    return new FSFile(filePath, stats, tree, streamName);
   }
   this.stats = stats;
-  this.realPath = Path.join(tree.share.path, filePath);
+  this.streamName = streamName || null;
+  if (this.streamName) {
+    this.realPath = tree.getStreamPath(filePath, streamName);
+    filePath += ':' + streamName;
+  } else {
+    this.realPath = Path.join(tree.share.path, filePath);
+  }
   // extract file permissions from stats.mode, convert to octagonal, check if owner write permission bit is set (00200)
   // see http://stackoverflow.com/questions/11775884/nodejs-file-permissions
   this.writeable = !!(2 & parseInt((stats.mode & parseInt('777', 8)).toString(8)[0]));
@@ -70,6 +77,26 @@ FSFile.createInstance = function (filePath, tree, cb) {
   });
 };
 
+/**
+ * Async factory method for instances representing a named stream of a file.
+ *
+ * @param {String} filePath normalized file path
+ * @param {String} streamName stream name
+ * @param {FSTree} tree tree object
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {FSFile} cb.file FSFile instance
+ */
+FSFile.createStreamInstance = function (filePath, streamName, tree, cb) {
+  fs.stat(tree.getStreamPath(filePath, streamName), function (err, stats) {
+    if (err) {
+      cb(SMBError.fromSystemError(err, 'unable to open stream due to unexpected error ' + filePath + ':' + streamName));
+    } else {
+      cb(null, new FSFile(filePath, stats, tree, streamName));
+    }
+  });
+};
+
 /**
  * Refreshes the stats information of the underlying file.
  *
@@ -363,6 +390,14 @@ FSFile.prototype.delete = function (cb) {
           perflog.debug('%s File.delete.fs.unlink', self.getPath());
           fs.unlink(self.realPath, SMBError.systemToSMBErrorTranslator(done, 'unable to delete file due to unexpected error ' + self.filePath));
         }
+      },
+      function (done) {
+        // delete the named streams of the deleted file/directory
+        if (self.streamName) {
+          done();
+        } else {
+          self.getTree().deleteStreams(self.filePath, done);
+        }
       }
     ],
     cb
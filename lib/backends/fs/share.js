@@ -21,6 +21,7 @@ var mkdirp = require('mkdirp');
 
 var Share = require('../../spi/share');
 var FSTree = require('./tree');
+var FSWatcher = require('./watcher');
 var SMBError = require('../../smberror');
 var ntstatus = require('../../ntstatus');
 
@@ -42,6 +43,22 @@ var FSShare = function (name, config) {
 
   this.path = config.path;
   this.description = config.description || '';
+  // optional sidecar directory storing the named streams (see FSTree.getStreamsPath);
+  // named streams are only supported if it has been configured
+  this.streamsPath = config.streamsPath || null;
+
+  // optional watcher reporting changes made directly on disk (i.e. not through the SMB server)
+  this.watcher = null;
+  if (config.watch) {
+    var self = this;
+    this.watcher = new FSWatcher(this.path, {
+      usePolling: config.watchPolling,
+      pollInterval: config.watchPollInterval
+    });
+    this.watcher.on('change', function (action, name, newName, directory) {
+      self.emit('change', action, name, newName, directory);
+    });
+  }
 };
 
 // the FSShare prototype inherits from Share
@@ -49,6 +66,16 @@ util.inherits(FSShare, Share);
 
 //--------------------------------------------------------------------< Share >
 
+/**
+ * Return a flag indicating whether the trees of this share support named (alternate data) streams,
+ * i.e. whether a <code>streamsPath</code> has been configured.
+ *
+ * @return {Boolean} <code>true</code> if named streams are supported; <code>false</code> otherwise
+ */
+FSShare.prototype.supportsStreams = function () {
+  return !!this.streamsPath;
+};
+
 /**
  * Return a flag indicating whether this is a named pipe share.
  *
@@ -79,7 +106,9 @@ FSShare.prototype.connect = function (session, shareLevelPassword, cb) {
 
   function createOrValidate(stats, done) {
     if (!stats) {
-      mkdirp(self.path, done);
+      mkdirp(self.path, function (err) {
+        done(err);
+      });
     } else {
       if (!stats.isDirectory()) {
         done('invalid share configuration: ' + self.path + ' is not a valid directory path');
@@ -89,7 +118,21 @@ FSShare.prototype.connect = function (session, shareLevelPassword, cb) {
     }
   }
 
-  async.waterfall([ stat, createOrValidate ], function (err) {
+  function startWatcher(done) {
+    if (!self.watcher) {
+      done();
+      return;
+    }
+    self.watcher.start(function (err) {
+      if (err) {
+        // the share remains accessible, changes made directly on disk just won't be reported
+        logger.error('unable to watch %s', self.path, err);
+      }
+      done();
+    });
+  }
+
+  async.waterfall([ stat, createOrValidate, startWatcher ], function (err) {
     if (err) {
       logger.error(err);
       var msg = typeof err === 'string' ? err : err.message;
@@ -100,5 +143,18 @@ FSShare.prototype.connect = function (session, shareLevelPassword, cb) {
   });
 };
 
+/**
+ * Stops watching the share directory.
+ *
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+FSShare.prototype.stop = function (cb) {
+  if (this.watcher) {
+    this.watcher.stop();
+  }
+  process.nextTick(function () { cb(); });
+};
+
 module.exports = FSShare;
 
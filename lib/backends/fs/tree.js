@@ -23,9 +23,42 @@ var async = require('async');
 var Tree = require('../../spi/tree');
 var FSFile = require('./file');
 var SMBError = require('../../smberror');
+var ntstatus = require('../../ntstatus');
 var utils = require('../../utils');
 var mkdirp = require('mkdirp');
 
+/**
+ * Removes a directory and its contents.
+ *
+ * @param {String} path path of the directory
+ * @param {Function} cb callback called on completion
+ * @param {Error} cb.error error (non-null if an error occurred)
+ */
+function removeTree(path, cb) {
+  fs.readdir(path, function (err, names) {
+    if (err) {
+      cb(err.code === 'ENOENT' ? null : err);
+      return;
+    }
+    async.each(names, function (name, callback) {
+      var childPath = Path.join(path, name);
+      fs.unlink(childPath, function (err) {
+        if (err && (err.code === 'EISDIR' || err.code === 'EPERM')) {
+          removeTree(childPath, callback);
+        } else {
+          callback(err);
+        }
+      });
+    }, function (err) {
+      if (err) {
+        cb(err);
+      } else {
+        fs.rmdir(path, cb);
+      }
+    });
+  });
+}
+
 /**
  * Creates an instance of Tree.
  *
@@ -57,6 +90,101 @@ FSTree.prototype.createFileInstance = function (name, cb) {
   FSFile.createInstance(name, this, cb);
 };
 
+/**
+ * Returns the path of the sidecar directory holding the named streams of a file or directory.
+ * The sidecar directory tree mirrors the share: the names of the mirrored files and directories
+ * are prefixed with '_', the names of the files holding the streams with '$',
+ * e.g. the stream <code>/dir/file.txt:Zone.Identifier</code> is stored in
+ * <code>&lt;streamsPath&gt;/_dir/_file.txt/$Zone.Identifier</code>.
+ *
+ * @param {String} name file name
+ * @return {String} path of the sidecar directory
+ */
+FSTree.prototype.getStreamsPath = function (name) {
+  var segments = name.split('/').filter(function (segment) {
+    return segment.length;
+  }).map(function (segment) {
+    return '_' + segment;
+  });
+  return Path.join.apply(Path, [ this.share.streamsPath ].concat(segments));
+};
+
+/**
+ * Returns the path of the file holding a named stream of a file or directory.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @return {String} path of the file holding the stream
+ */
+FSTree.prototype.getStreamPath = function (name, streamName) {
+  return Path.join(this.getStreamsPath(name), '$' + streamName);
+};
+
+/**
+ * Deletes the named streams of a file or directory (e.g. after it has been deleted).
+ * Failures are logged but not reported since the file or directory itself is not affected.
+ *
+ * @param {String} name file name
+ * @param {Function} cb callback called on completion
+ */
+FSTree.prototype.deleteStreams = function (name, cb) {
+  if (!this.share.supportsStreams() || name === '/') {
+    process.nextTick(function () { cb(); });
+    return;
+  }
+  var self = this;
+  removeTree(this.getStreamsPath(name), function (err) {
+    if (err) {
+      logger.warn('[%s] unable to delete the streams of %s', self.share.config.backend, name, err);
+    }
+    cb();
+  });
+};
+
+/**
+ * Moves the named streams of a file or directory (e.g. after it has been renamed).
+ * Failures are logged but not reported since the file or directory itself is not affected.
+ *
+ * @param {String} oldName old file name
+ * @param {String} newName new file name
+ * @param {Function} cb callback called on completion
+ */
+FSTree.prototype.moveStreams = function (oldName, newName, cb) {
+  if (!this.share.supportsStreams()) {
+    process.nextTick(function () { cb(); });
+    return;
+  }
+  var self = this;
+  var oldPath = this.getStreamsPath(oldName);
+  var newPath = this.getStreamsPath(newName);
+  fs.stat(oldPath, function (err) {
+    if (err) {
+      // no named streams
+      cb();
+      return;
+    }
+    async.series([
+      function (done) {
+        // remove stale streams of a previously deleted target
+        removeTree(newPath, done);
+      },
+      function (done) {
+        mkdirp(Path.dirname(newPath), function (err) {
+          done(err);
+        });
+      },
+      function (done) {
+        fs.rename(oldPath, newPath, done);
+      }
+    ], function (err) {
+      if (err) {
+        logger.warn('[%s] unable to move the streams of %s to %s', self.share.config.backend, oldName, newName, err);
+      }
+      cb();
+    });
+  });
+};
+
 //---------------------------------------------------------------------< Tree >
 
 /**
@@ -177,7 +305,14 @@ FSTree.prototype.createFile = function (name, cb) {
             if (err) {
               cb(SMBError.fromSystemError(err, 'cannot close file due to unexpected error ' + name));
             } else {
-              self.createFileInstance(name, cb);
+              if (self.share.watcher) {
+                // don't report the change made through the share as change made on disk
+                self.share.watcher.track(name, false);
+              }
+              // remove stale streams of a file previously deleted outside of the share
+              self.deleteStreams(name, function () {
+                self.createFileInstance(name, cb);
+              });
             }
           });
         }
@@ -201,7 +336,12 @@ FSTree.prototype.createDirectory = function (name, cb) {
     if (err) {
       cb(SMBError.fromSystemError(err,'cannot create directory due to unexpected error ' + name));
     } else {
-      self.createFileInstance(name, cb);
+      if (self.share.watcher) {
+        self.share.watcher.track(name, true);
+      }
+      self.deleteStreams(name, function () {
+        self.createFileInstance(name, cb);
+      });
     }
   });
 };
@@ -216,7 +356,17 @@ FSTree.prototype.createDirectory = function (name, cb) {
 FSTree.prototype.delete = function (name, cb) {
   logger.debug('[%s] tree.delete %s', this.share.config.backend, name);
   perflog.debug('%s Tree.delete.fs.unlink', name);
-  fs.unlink(Path.join(this.share.path, name), SMBError.systemToSMBErrorTranslator(cb, 'cannot delete file due to unexpected error ' + name));
+  var self = this;
+  fs.unlink(Path.join(this.share.path, name), SMBError.systemToSMBErrorTranslator(function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (self.share.watcher) {
+      self.share.watcher.untrack(name);
+    }
+    self.deleteStreams(name, cb);
+  }, 'cannot delete file due to unexpected error ' + name));
 };
 
 /**
@@ -229,9 +379,19 @@ FSTree.prototype.delete = function (name, cb) {
 FSTree.prototype.deleteDirectory = function (name, cb) {
   logger.debug('[%s] tree.deleteDirectory %s', this.share.config.backend, name);
   perflog.debug('%s Tree.deleteDirectory.fs.rmdir', name);
+  var self = this;
   var toDelete = Path.join(this.share.path, name);
   if (toDelete && toDelete != '/') {
-    fs.rmdir(toDelete, SMBError.systemToSMBErrorTranslator(cb));
+    fs.rmdir(toDelete, SMBError.systemToSMBErrorTranslator(function (err) {
+      if (err) {
+        cb(err);
+        return;
+      }
+      if (self.share.watcher) {
+        self.share.watcher.untrack(name);
+      }
+      self.deleteStreams(name, cb);
+    }));
   } else {
     cb(SMBError.fromSystemError({message: 'cannot delete root directory'}));
   }
@@ -248,7 +408,134 @@ FSTree.prototype.deleteDirectory = function (name, cb) {
 FSTree.prototype.rename = function (oldName, newName, cb) {
   logger.debug('[%s] tree.rename %s to %s', this.share.config.backend, oldName, newName);
   perflog.debug('%s Tree.rename.fs.rename %s', oldName, newName);
-  fs.rename(Path.join(this.share.path, oldName), Path.join(this.share.path, newName), SMBError.systemToSMBErrorTranslator(cb, 'cannot rename due to unexpected error ' + oldName + ' > ' + newName));
+  var self = this;
+  fs.rename(Path.join(this.share.path, oldName), Path.join(this.share.path, newName), SMBError.systemToSMBErrorTranslator(function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (self.share.watcher) {
+      self.share.watcher.move(oldName, newName);
+    }
+    self.moveStreams(oldName, newName, cb);
+  }, 'cannot rename due to unexpected error ' + oldName + ' > ' + newName));
+};
+
+/**
+ * List the named streams of a file or directory.
+ *
+ * @param {String} name file name
+ * @param {Function} cb callback called with an array of streams
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Object[]} cb.streams array of objects with <code>name</code>, <code>size</code>
+ *                              and <code>allocationSize</code> of the named streams
+ */
+FSTree.prototype.listStreams = function (name, cb) {
+  logger.debug('[%s] tree.listStreams %s', this.share.config.backend, name);
+  var streamsPath = this.getStreamsPath(name);
+  perflog.debug('%s Tree.listStreams.fs.readdir', name);
+  fs.readdir(streamsPath, function (err, names) {
+    if (err) {
+      if (err.code === 'ENOENT') {
+        // no named streams
+        cb(null, []);
+      } else {
+        cb(SMBError.fromSystemError(err, 'cannot list streams due to unexpected error ' + name));
+      }
+      return;
+    }
+    var streamNames = names.filter(function (name) {
+      return name.charAt(0) === '$';
+    }).map(function (name) {
+      return name.substr(1);
+    }).sort();
+    async.map(streamNames, function (streamName, callback) {
+      fs.stat(Path.join(streamsPath, '$' + streamName), function (err, stats) {
+        callback(err, !err && {
+          name: streamName,
+          size: stats.size,
+          allocationSize: stats.blocks * stats.blksize
+        });
+      });
+    }, function (err, streams) {
+      cb(err ? SMBError.fromSystemError(err, 'cannot list streams due to unexpected error ' + name) : null, streams);
+    });
+  });
+};
+
+/**
+ * Open an existing named stream of a file or directory.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called with the opened stream
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {File} cb.file opened stream
+ */
+FSTree.prototype.openStream = function (name, streamName, cb) {
+  logger.debug('[%s] tree.openStream %s:%s', this.share.config.backend, name, streamName);
+  FSFile.createStreamInstance(name, streamName, this, cb);
+};
+
+/**
+ * Create a new named stream of an existing file or directory.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {File} cb.file created stream
+ */
+FSTree.prototype.createStream = function (name, streamName, cb) {
+  logger.debug('[%s] tree.createStream %s:%s', this.share.config.backend, name, streamName);
+  var self = this;
+  var streamPath = this.getStreamPath(name, streamName);
+  async.series([
+    function (done) {
+      // the file or directory must exist
+      self.exists(name, function (err, exists) {
+        if (!err && !exists) {
+          err = new SMBError(ntstatus.STATUS_NO_SUCH_FILE);
+        }
+        done(err);
+      });
+    },
+    function (done) {
+      mkdirp(Path.dirname(streamPath), function (err) {
+        done(err && SMBError.fromSystemError(err, 'cannot create stream due to unexpected error ' + name + ':' + streamName));
+      });
+    },
+    function (done) {
+      perflog.debug('%s Tree.createStream.fs.open %s', name, streamName);
+      fs.open(streamPath, 'wx', function (err, fd) {
+        if (err) {
+          done(SMBError.fromSystemError(err, 'cannot create stream due to unexpected error ' + name + ':' + streamName));
+        } else {
+          fs.close(fd, SMBError.systemToSMBErrorTranslator(done, 'cannot close stream due to unexpected error ' + name + ':' + streamName));
+        }
+      });
+    }
+  ], function (err) {
+    if (err) {
+      cb(err);
+    } else {
+      FSFile.createStreamInstance(name, streamName, self, cb);
+    }
+  });
+};
+
+/**
+ * Delete a named stream of a file or directory.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+FSTree.prototype.deleteStream = function (name, streamName, cb) {
+  logger.debug('[%s] tree.deleteStream %s:%s', this.share.config.backend, name, streamName);
+  perflog.debug('%s Tree.deleteStream.fs.unlink %s', name, streamName);
+  fs.unlink(this.getStreamPath(name, streamName), SMBError.systemToSMBErrorTranslator(cb, 'cannot delete stream due to unexpected error ' + name + ':' + streamName));
 };
 
 /**
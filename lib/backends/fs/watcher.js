@@ -0,0 +1,463 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var Path = require('path');
+var fs = require('fs');
+
+var logger = require('winston').loggers.get('spi');
+var async = require('async');
+var _ = require('lodash');
+
+var common = require('../../common');
+var utils = require('../../utils');
+
+// delay in ms for collecting fs.watch events before the affected directories are rescanned
+var RESCAN_DELAY = 50;
+// default interval in ms for rescanning the directory tree if fs.watch is not used
+var DEFAULT_POLL_INTERVAL = 2000;
+
+/**
+ * Returns true if <code>name</code> denotes a descendant of the directory <code>dir</code>.
+ *
+ * @param {String} name
+ * @param {String} dir
+ * @return {Boolean}
+ */
+function isDescendant(name, dir) {
+  return name.indexOf(dir === '/' ? '/' : dir + '/') === 0 && name !== dir;
+}
+
+/**
+ * Watches the directory tree of an fs share for files and directories added, removed or renamed
+ * directly on disk, i.e. not through the SMB server.
+ *
+ * Changed directories are detected with <code>fs.watch</code>; if <code>fs.watch</code> is not available
+ * (or <code>options.usePolling</code> is set) the whole directory tree is rescanned periodically instead.
+ * The entries of a changed directory are compared with a snapshot of the tree; an entry removed and
+ * an entry added with the same inode are reported as a rename.
+ *
+ * Changes made through the share's tree have to be applied to the snapshot (see <code>track</code>,
+ * <code>untrack</code> and <code>move</code>) in order not to be reported again.
+ *
+ * Emits <code>change</code> events with the arguments <code>action</code> (<code>common.FILE_ACTION_ADDED</code>,
+ * <code>FILE_ACTION_REMOVED</code> or <code>FILE_ACTION_RENAMED</code>), <code>name</code>, <code>newName</code>
+ * (renames only) and <code>directory</code>. Names are relative to the share directory, starting with '/'.
+ *
+ * @constructor
+ * @this {FSWatcher}
+ * @param {String} root path of the share directory
+ * @param {Object} [options]
+ * @param {Boolean} [options.usePolling=false] rescan the directory tree periodically instead of using fs.watch
+ * @param {Number} [options.pollInterval=2000] rescan interval in ms
+ */
+var FSWatcher = function (root, options) {
+  if (!(this instanceof FSWatcher)) {
+    return new FSWatcher(root, options);
+  }
+  EventEmitter.call(this);
+
+  options = options || {};
+  this.root = root;
+  this.usePolling = !!options.usePolling;
+  this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+
+  // snapshot of the directory tree (key: name, value: { directory: Boolean, ino: Number })
+  this.entries = {};
+  // fs.watch watchers (key: directory name, value: fs.FSWatcher)
+  this.watchers = {};
+  // directories to be rescanned (key: directory name, value: true)
+  this.dirty = {};
+  // names tracked, untracked or moved while a rescan was in progress (key: name, value: true)
+  this.touched = {};
+  this.starting = false;
+  this.started = false;
+  this.scanning = false;
+  this.rescanTimer = null;
+  this.pollTimer = null;
+};
+
+// the FSWatcher prototype inherits from EventEmitter
+util.inherits(FSWatcher, EventEmitter);
+
+/**
+ * Reads the entries of a directory.
+ *
+ * @param {String} dir directory name
+ * @param {Function} cb callback called with the entries
+ * @param {Error} cb.error error (non-null if an unexpected error occurred)
+ * @param {Object} cb.entries entries (key: name, value: { directory: Boolean, ino: Number }),
+ *                            empty if the directory doesn't exist (anymore)
+ */
+FSWatcher.prototype.readDir = function (dir, cb) {
+  var self = this;
+  fs.readdir(Path.join(this.root, dir), function (err, names) {
+    if (err) {
+      cb(err.code === 'ENOENT' || err.code === 'ENOTDIR' ? null : err, {});
+      return;
+    }
+    var result = {};
+    async.each(names,
+      function (name, callback) {
+        var childName = Path.join(dir, name);
+        fs.lstat(Path.join(self.root, childName), function (err, stats) {
+          if (!err) {
+            result[childName] = { directory: stats.isDirectory(), ino: stats.ino || null };
+          }
+          // entries removed in the meantime are ignored
+          callback();
+        });
+      },
+      function () {
+        cb(null, result);
+      }
+    );
+  });
+};
+
+/**
+ * Takes the initial snapshot of the directory tree and starts watching it.
+ *
+ * @param {Function} cb callback called on completion
+ * @param {Error} cb.error error (non-null if an error occurred)
+ */
+FSWatcher.prototype.start = function (cb) {
+  var self = this;
+  if (this.started || this.starting) {
+    process.nextTick(function () { cb(); });
+    return;
+  }
+  this.starting = true;
+
+  var entries = {};
+  function scan(dir, callback) {
+    self.readDir(dir, function (err, children) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      _.assign(entries, children);
+      async.each(_.filter(_.keys(children), function (name) {
+        return children[name].directory;
+      }), scan, callback);
+    });
+  }
+
+  scan('/', function (err) {
+    self.starting = false;
+    if (err) {
+      cb(err);
+      return;
+    }
+    self.entries = entries;
+    self.started = true;
+    if (!self.usePolling) {
+      self.watchDir('/');
+      _.forOwn(self.entries, function (entry, name) {
+        if (entry.directory) {
+          self.watchDir(name);
+        }
+      });
+    }
+    if (self.usePolling) {
+      self.startPolling();
+    }
+    logger.debug('watching %s (%d entries, polling: %s)', self.root, _.size(self.entries), self.usePolling);
+    cb();
+  });
+};
+
+/**
+ * Stops watching the directory tree.
+ */
+FSWatcher.prototype.stop = function () {
+  var self = this;
+  this.started = false;
+  clearTimeout(this.rescanTimer);
+  clearInterval(this.pollTimer);
+  this.rescanTimer = null;
+  this.pollTimer = null;
+  _.forOwn(this.watchers, function (watcher, dir) {
+    self.unwatchDir(dir);
+  });
+  this.entries = {};
+  this.dirty = {};
+};
+
+/**
+ * Rescans the whole directory tree periodically.
+ */
+FSWatcher.prototype.startPolling = function () {
+  var self = this;
+  this.pollTimer = setInterval(function () {
+    self.dirty['/'] = true;
+    _.forOwn(self.entries, function (entry, name) {
+      if (entry.directory) {
+        self.dirty[name] = true;
+      }
+    });
+    self.rescan();
+  }, this.pollInterval);
+  // don't keep the process alive just for watching
+  this.pollTimer.unref();
+};
+
+/**
+ * Watches a directory with <code>fs.watch</code>. Falls back to polling if <code>fs.watch</code> fails
+ * (e.g. because it's not supported on this platform or the max. number of watches has been exceeded).
+ *
+ * @param {String} dir directory name
+ */
+FSWatcher.prototype.watchDir = function (dir) {
+  var self = this;
+  if (this.usePolling || this.watchers[dir]) {
+    return;
+  }
+  var watcher;
+  try {
+    watcher = fs.watch(Path.join(this.root, dir), function () {
+      self.schedule(dir);
+    });
+  } catch (e) {
+    logger.warn('unable to watch %s, falling back to polling', Path.join(this.root, dir), e);
+    _.forOwn(this.watchers, function (watcher, dir) {
+      self.unwatchDir(dir);
+    });
+    this.usePolling = true;
+    this.startPolling();
+    return;
+  }
+  watcher.on('error', function (err) {
+    // e.g. the directory has been removed: let the rescan of its parent find out
+    logger.debug('error while watching %s', dir, err);
+    self.unwatchDir(dir);
+    self.schedule(utils.getParentPath(dir) || '/');
+  });
+  this.watchers[dir] = watcher;
+};
+
+/**
+ * Stops watching a directory.
+ *
+ * @param {String} dir directory name
+ */
+FSWatcher.prototype.unwatchDir = function (dir) {
+  var watcher = this.watchers[dir];
+  if (watcher) {
+    delete this.watchers[dir];
+    watcher.close();
+  }
+};
+
+/**
+ * Schedules a rescan of the dirty directories.
+ *
+ * @param {String} [dir] name of directory to be rescanned
+ */
+FSWatcher.prototype.schedule = function (dir) {
+  var self = this;
+  if (dir) {
+    this.dirty[dir] = true;
+  }
+  if (!this.rescanTimer) {
+    this.rescanTimer = setTimeout(function () {
+      self.rescanTimer = null;
+      self.rescan();
+    }, RESCAN_DELAY);
+    this.rescanTimer.unref();
+  }
+};
+
+/**
+ * Compares the entries of the dirty directories with the snapshot, applies the differences
+ * to the snapshot and reports them.
+ */
+FSWatcher.prototype.rescan = function () {
+  var self = this;
+  if (!this.started || this.scanning || _.isEmpty(this.dirty)) {
+    return;
+  }
+  var dirs = _.filter(_.keys(this.dirty), function (dir) {
+    // skip directories no longer part of the tree
+    return dir === '/' || (self.entries[dir] && self.entries[dir].directory);
+  });
+  this.dirty = {};
+  this.scanning = true;
+
+  async.map(dirs, this.readDir.bind(this), function (err, results) {
+    if (!self.started) {
+      // stopped in the meantime
+      self.scanning = false;
+      return;
+    }
+    if (err) {
+      logger.error('error while scanning %s', self.root, err);
+      results = [];
+    }
+    var byParent = _.groupBy(_.keys(self.entries), function (name) {
+      return utils.getParentPath(name);
+    });
+    var removed = [];
+    var added = [];
+    _.forEach(results, function (current, i) {
+      var dir = dirs[i];
+      _.forEach(byParent[dir], function (name) {
+        var entry = self.entries[name];
+        if (!self.touched[name] && (!current[name] || current[name].directory !== entry.directory)) {
+          removed.push({ name: name, entry: entry });
+        }
+      });
+      _.forOwn(current, function (entry, name) {
+        var known = self.entries[name];
+        if (!self.touched[name] && (!known || known.directory !== entry.directory)) {
+          added.push({ name: name, entry: entry });
+        }
+      });
+    });
+
+    // removed and added entries with the same inode have been renamed
+    _.forEach(_.clone(removed), function (r) {
+      var a = r.entry.ino && _.find(added, function (a) {
+        return a.entry.ino === r.entry.ino && a.entry.directory === r.entry.directory;
+      });
+      if (a) {
+        _.pull(removed, r);
+        _.pull(added, a);
+        self.moveEntries(r.name, a.name);
+        self.emit('change', common.FILE_ACTION_RENAMED, r.name, a.name, a.entry.directory);
+      }
+    });
+    _.forEach(removed, function (r) {
+      self.removeEntries(r.name);
+      self.emit('change', common.FILE_ACTION_REMOVED, r.name, null, r.entry.directory);
+    });
+    _.forEach(added, function (a) {
+      self.entries[a.name] = a.entry;
+      if (a.entry.directory) {
+        // the entries of the new directory will be reported by the next rescan
+        self.watchDir(a.name);
+        self.dirty[a.name] = true;
+      }
+      self.emit('change', common.FILE_ACTION_ADDED, a.name, null, a.entry.directory);
+    });
+
+    // names changed through the share while scanning: make sure the snapshot is consistent
+    _.forOwn(self.touched, function (value, name) {
+      self.dirty[utils.getParentPath(name) || '/'] = true;
+    });
+    self.touched = {};
+    self.scanning = false;
+    if (!_.isEmpty(self.dirty)) {
+      self.schedule();
+    }
+  });
+};
+
+/**
+ * Removes an entry and its descendants from the snapshot.
+ *
+ * @param {String} name
+ */
+FSWatcher.prototype.removeEntries = function (name) {
+  var self = this;
+  _.forEach(_.keys(this.entries), function (n) {
+    if (n === name || isDescendant(n, name)) {
+      delete self.entries[n];
+      self.unwatchDir(n);
+    }
+  });
+};
+
+/**
+ * Moves an entry and its descendants within the snapshot.
+ *
+ * @param {String} oldName
+ * @param {String} newName
+ */
+FSWatcher.prototype.moveEntries = function (oldName, newName) {
+  var self = this;
+  _.forEach(_.keys(this.entries), function (n) {
+    if (n === oldName || isDescendant(n, oldName)) {
+      var entry = self.entries[n];
+      var moved = newName + n.substr(oldName.length);
+      delete self.entries[n];
+      self.entries[moved] = entry;
+      if (entry.directory) {
+        self.unwatchDir(n);
+        self.watchDir(moved);
+      }
+    }
+  });
+};
+
+/**
+ * Applies a file or directory created through the share to the snapshot.
+ *
+ * @param {String} name
+ * @param {Boolean} directory
+ */
+FSWatcher.prototype.track = function (name, directory) {
+  if (!this.started) {
+    return;
+  }
+  if (this.scanning) {
+    this.touched[name] = true;
+  }
+  var entry = { directory: directory, ino: null };
+  this.entries[name] = entry;
+  if (directory) {
+    this.watchDir(name);
+  }
+  // the inode is required for detecting renames
+  fs.lstat(Path.join(this.root, name), function (err, stats) {
+    if (!err) {
+      entry.ino = stats.ino || null;
+    }
+  });
+};
+
+/**
+ * Applies a file or directory deleted through the share to the snapshot.
+ *
+ * @param {String} name
+ */
+FSWatcher.prototype.untrack = function (name) {
+  if (!this.started) {
+    return;
+  }
+  if (this.scanning) {
+    this.touched[name] = true;
+  }
+  this.removeEntries(name);
+};
+
+/**
+ * Applies a file or directory renamed through the share to the snapshot.
+ *
+ * @param {String} oldName
+ * @param {String} newName
+ */
+FSWatcher.prototype.move = function (oldName, newName) {
+  if (!this.started) {
+    return;
+  }
+  if (this.scanning) {
+    this.touched[oldName] = true;
+    this.touched[newName] = true;
+  }
+  this.moveEntries(oldName, newName);
+};
+
+module.exports = FSWatcher;
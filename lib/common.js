@@ -67,6 +67,22 @@ consts.FILE_ACTION_TO_STRING = _.reduce(
   {}
 );
 
+/**
+ * completion filter flags used in SMB2 CHANGE_NOTIFY and NT_TRANSACT_NOTIFY_CHANGE requests (MS-SMB2, 2.2.35)
+ */
+consts.FILE_NOTIFY_CHANGE_FILE_NAME = 0x00000001;
+consts.FILE_NOTIFY_CHANGE_DIR_NAME = 0x00000002;
+consts.FILE_NOTIFY_CHANGE_ATTRIBUTES = 0x00000004;
+consts.FILE_NOTIFY_CHANGE_SIZE = 0x00000008;
+consts.FILE_NOTIFY_CHANGE_LAST_WRITE = 0x00000010;
+consts.FILE_NOTIFY_CHANGE_LAST_ACCESS = 0x00000020;
+consts.FILE_NOTIFY_CHANGE_CREATION = 0x00000040;
+consts.FILE_NOTIFY_CHANGE_EA = 0x00000080;
+consts.FILE_NOTIFY_CHANGE_SECURITY = 0x00000100;
+consts.FILE_NOTIFY_CHANGE_STREAM_NAME = 0x00000200;
+consts.FILE_NOTIFY_CHANGE_STREAM_SIZE = 0x00000400;
+consts.FILE_NOTIFY_CHANGE_STREAM_WRITE = 0x00000800;
+
 /**
  * Create Disposition
  */
@@ -105,7 +121,69 @@ consts.FILE_OPEN_BY_FILE_ID = 0x00002000;
 consts.FILE_OPEN_FOR_BACKUP_INTENT = 0x00004000;
 consts.FILE_NO_COMPRESSION = 0x00008000;
 consts.FILE_RESERVE_OPFILTER = 0x00100000;
+consts.FILE_OPEN_REPARSE_POINT = 0x00200000; // If the file is a reparse point, the reparse point itself is opened rather than its target.
 consts.FILE_OPEN_NO_RECALL = 0x00400000;
 consts.FILE_OPEN_FOR_FREE_SPACE_QUERY = 0x00800000;
 
+/**
+ * Oplock levels (ordered by the caching they permit; the values are those of SMB2)
+ */
+consts.OPLOCK_LEVEL_NONE = 0x00;  // No caching.
+consts.OPLOCK_LEVEL_II = 0x01;  // Read caching; other opens may exist.
+consts.OPLOCK_LEVEL_EXCLUSIVE = 0x08; // Read and write caching; this is the only open of the file.
+consts.OPLOCK_LEVEL_BATCH = 0x09; // Like exclusive, additionally the client may keep the file open after the application closed it.
+
+/**
+ * Lease states (caching permitted by a lease; the values are those of SMB2)
+ */
+consts.LEASE_NONE = 0x00; // No caching.
+consts.LEASE_READ_CACHING = 0x01; // Reads may be cached.
+consts.LEASE_HANDLE_CACHING = 0x02; // Handles may be kept open after the application closed them.
+consts.LEASE_WRITE_CACHING = 0x04;  // Writes may be cached.
+
+/**
+ * Access mask (MS-SMB2 2.2.13.1.1)
+ */
+consts.FILE_READ_DATA = 0x00000001; // The right to read data from the file.
+consts.FILE_WRITE_DATA = 0x00000002;  // The right to write data into the file.
+consts.FILE_APPEND_DATA = 0x00000004; // The right to append data to the file.
+consts.FILE_READ_EA = 0x00000008; // The right to read the extended attributes of the file.
+consts.FILE_WRITE_EA = 0x00000010;  // The right to write the extended attributes of the file.
+consts.FILE_EXECUTE = 0x00000020; // The right to execute the file.
+consts.FILE_DELETE_CHILD = 0x00000040;  // The right to delete entries within a directory.
+consts.FILE_READ_ATTRIBUTES = 0x00000080; // The right to read the attributes of the file.
+consts.FILE_WRITE_ATTRIBUTES = 0x00000100;  // The right to change the attributes of the file.
+consts.DELETE = 0x00010000; // The right to delete or rename the file.
+consts.READ_CONTROL = 0x00020000; // The right to read the security descriptor of the file.
+consts.WRITE_DAC = 0x00040000;  // The right to change the DACL of the file.
+consts.WRITE_OWNER = 0x00080000;  // The right to change the owner of the file.
+consts.SYNCHRONIZE = 0x00100000;  // Ignored by the server.
+consts.MAXIMUM_ALLOWED = 0x02000000;  // The highest level of access the client has on the file.
+consts.GENERIC_ALL = 0x10000000;  // All of the specific rights.
+consts.GENERIC_EXECUTE = 0x20000000;  // FILE_READ_ATTRIBUTES, FILE_EXECUTE, SYNCHRONIZE and READ_CONTROL.
+consts.GENERIC_WRITE = 0x40000000;  // FILE_WRITE_DATA, FILE_APPEND_DATA, FILE_WRITE_ATTRIBUTES, FILE_WRITE_EA, SYNCHRONIZE and READ_CONTROL.
+consts.GENERIC_READ = 0x80000000; // FILE_READ_DATA, FILE_READ_ATTRIBUTES, FILE_READ_EA, SYNCHRONIZE and READ_CONTROL.
+
+consts.FILE_ALL_ACCESS = 0x001f01ff;  // All of the specific rights.
+
+/**
+ * Share access (MS-SMB2 2.2.13)
+ */
+consts.FILE_SHARE_NONE = 0x00000000;  // Other opens may not read, write or delete the file.
+consts.FILE_SHARE_READ = 0x00000001;  // Other opens may read the file.
+consts.FILE_SHARE_WRITE = 0x00000002; // Other opens may write the file.
+consts.FILE_SHARE_DELETE = 0x00000004;  // Other opens may delete or rename the file.
+
+/**
+ * Server-side copy FSCTLs (MS-SMB 2.2.7.2, MS-SMB2 2.2.31)
+ */
+consts.FSCTL_SRV_REQUEST_RESUME_KEY = 0x00140078; // Returns a key identifying the source file of a server-side copy.
+consts.FSCTL_SRV_COPYCHUNK = 0x001440f2;  // Copies ranges of the source file to the target file.
+consts.FSCTL_SRV_COPYCHUNK_WRITE = 0x001480f2;  // Same as FSCTL_SRV_COPYCHUNK, for targets opened without read access.
+
+// server-side copy limits
+consts.COPYCHUNK_MAX_CHUNK_COUNT = 256;
+consts.COPYCHUNK_MAX_CHUNK_SIZE = 1048576;
+consts.COPYCHUNK_MAX_TOTAL_SIZE = 16777216;
+
 module.exports = consts;
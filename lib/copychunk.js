@@ -0,0 +1,266 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var Long = require('long');
+var async = require('async');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('default');
+
+var ntstatus = require('./ntstatus');
+var common = require('./common');
+var SMBError = require('./smberror');
+
+// server-side copy (FSCTL_SRV_REQUEST_RESUME_KEY, FSCTL_SRV_COPYCHUNK) is shared by SMB1 and SMB2:
+// the structures are the same in both protocols (see MS-SMB 2.2.7.2.1, MS-SMB2 2.2.31.1)
+
+// size of a resume key
+var RESUME_KEY_LENGTH = 24;
+// size of a SRV_REQUEST_RESUME_KEY response
+var RESUME_KEY_RESPONSE_LENGTH = 32;
+// size of the fixed part of a SRV_COPYCHUNK_COPY structure (excluding the chunks)
+var REQUEST_HEADER_LENGTH = 32;
+// size of a SRV_COPYCHUNK structure
+var CHUNK_LENGTH = 24;
+// size of a SRV_COPYCHUNK_RESPONSE structure
+var RESPONSE_LENGTH = 12;
+
+/**
+ * Creates the output of a FSCTL_SRV_REQUEST_RESUME_KEY request (SRV_REQUEST_RESUME_KEY response).
+ *
+ * @param {Buffer} resumeKey resume key of the source file
+ * @return {Buffer}
+ */
+function serializeResumeKey(resumeKey) {
+  return put()
+    .put(resumeKey) // ResumeKey
+    .word32le(0)  // ContextLength
+    .pad(4) // Context
+    .buffer();
+}
+
+/**
+ * Parses the input of a FSCTL_SRV_COPYCHUNK request (SRV_COPYCHUNK_COPY).
+ *
+ * @param {Buffer} input
+ * @return {Object} <code>{ sourceKey: Buffer, chunks: Object[] }</code> or null if the input is malformed;
+ *                  chunks are <code>{ sourceOffset: Number, targetOffset: Number, length: Number }</code> objects
+ */
+function parseRequest(input) {
+  if (input.length < REQUEST_HEADER_LENGTH) {
+    return null;
+  }
+  var count = input.readUInt32LE(RESUME_KEY_LENGTH);
+  if (input.length < REQUEST_HEADER_LENGTH + count * CHUNK_LENGTH) {
+    return null;
+  }
+  var chunks = [];
+  var off = REQUEST_HEADER_LENGTH;
+  for (var i = 0; i < count; i++) {
+    chunks.push({
+      sourceOffset: Long.fromBits(input.readUInt32LE(off), input.readUInt32LE(off + 4), true).toNumber(),
+      targetOffset: Long.fromBits(input.readUInt32LE(off + 8), input.readUInt32LE(off + 12), true).toNumber(),
+      length: input.readUInt32LE(off + 16)
+    });
+    off += CHUNK_LENGTH;
+  }
+  return {
+    sourceKey: input.slice(0, RESUME_KEY_LENGTH),
+    chunks: chunks
+  };
+}
+
+/**
+ * Creates the output of a FSCTL_SRV_COPYCHUNK request (SRV_COPYCHUNK_RESPONSE).
+ *
+ * @param {Number} chunksWritten
+ * @param {Number} chunkBytesWritten
+ * @param {Number} totalBytesWritten
+ * @return {Buffer}
+ */
+function serializeResponse(chunksWritten, chunkBytesWritten, totalBytesWritten) {
+  return put()
+    .word32le(chunksWritten)  // ChunksWritten
+    .word32le(chunkBytesWritten)  // ChunkBytesWritten
+    .word32le(totalBytesWritten)  // TotalBytesWritten
+    .buffer();
+}
+
+/**
+ * Returns true if the chunks of a copy request exceed the server's limits. The request has to be
+ * failed with <code>STATUS_INVALID_PARAMETER</code> and a response stating the limits
+ * (see <code>serializeLimits</code>).
+ *
+ * @param {Object[]} chunks
+ * @return {Boolean}
+ */
+function exceedsLimits(chunks) {
+  return chunks.length > common.COPYCHUNK_MAX_CHUNK_COUNT
+    || _.some(chunks, function (chunk) { return chunk.length > common.COPYCHUNK_MAX_CHUNK_SIZE; })
+    || _.sumBy(chunks, 'length') > common.COPYCHUNK_MAX_TOTAL_SIZE;
+}
+
+/**
+ * Creates the SRV_COPYCHUNK_RESPONSE stating the server's limits.
+ *
+ * @return {Buffer}
+ */
+function serializeLimits() {
+  return serializeResponse(common.COPYCHUNK_MAX_CHUNK_COUNT, common.COPYCHUNK_MAX_CHUNK_SIZE, common.COPYCHUNK_MAX_TOTAL_SIZE);
+}
+
+/**
+ * Returns true if the chunks cover the whole source file and are to be written at the same
+ * offsets of the target file, i.e. if the file can be copied as a whole. The target file has to be
+ * empty or as large as the source file (clients usually set the end of file of the target before
+ * copying) and must not be opened by others (see <code>SMBFile.copyFrom</code>).
+ *
+ * @param {SMBFile} srcFile
+ * @param {SMBFile} destFile
+ * @param {Object[]} chunks
+ * @return {Boolean}
+ */
+function isWholeFileCopy(srcFile, destFile, chunks) {
+  var destSize = destFile.getDataSize();
+  if (!chunks.length || (destSize !== 0 && destSize !== srcFile.getDataSize())
+    || srcFile.getLockKey() === destFile.getLockKey()
+    || destFile.getTree().getShareModeManager().hasOtherOpens(destFile.getLockKey(), destFile.getId())) {
+    return false;
+  }
+  var expectedOffset = 0;
+  for (var i = 0; i < chunks.length; i++) {
+    if (chunks[i].sourceOffset !== expectedOffset || chunks[i].targetOffset !== expectedOffset) {
+      return false;
+    }
+    expectedOffset += chunks[i].length;
+  }
+  return expectedOffset === srcFile.getDataSize();
+}
+
+/**
+ * Copies ranges of a file to another file. Copies of a whole file are delegated to the backend
+ * (see <code>SMBFile.copyFrom</code>).
+ *
+ * @param {SMBFile} srcFile source file
+ * @param {SMBFile} destFile target file
+ * @param {Object[]} chunks ranges to copy (see <code>parseRequest</code>)
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Number} cb.totalBytesWritten number of bytes copied
+ */
+function copy(srcFile, destFile, chunks, cb) {
+  var total = _.sumBy(chunks, 'length');
+  if (!srcFile.isFile() || !destFile.isFile()) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_INVALID_PARAMETER)); });
+    return;
+  }
+  // see MS-SMB2 3.3.5.15.6
+  if (!(srcFile.grantedAccess & common.FILE_READ_DATA)
+    || !(destFile.grantedAccess & (common.FILE_WRITE_DATA | common.FILE_APPEND_DATA))) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_ACCESS_DENIED)); });
+    return;
+  }
+
+  if (isWholeFileCopy(srcFile, destFile, chunks)) {
+    var lockManager = destFile.getTree().getLockManager();
+    if (!lockManager.checkAccess(srcFile.getLockKey(), srcFile.getId(), 0, total, false)
+      || !lockManager.checkAccess(destFile.getLockKey(), destFile.getId(), 0, total, true)) {
+      process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_FILE_LOCK_CONFLICT)); });
+      return;
+    }
+    logger.debug('server-side copy of %s to %s', srcFile.getPath(), destFile.getPath());
+    destFile.copyFrom(srcFile, function (err) {
+      cb(err, err ? 0 : total);
+    });
+    return;
+  }
+
+  logger.debug('server-side copy of %d chunks of %s to %s', chunks.length, srcFile.getPath(), destFile.getPath());
+  var written = 0;
+  async.eachSeries(chunks,
+    function (chunk, callback) {
+      var buf = new Buffer(chunk.length);
+      srcFile.read(buf, 0, chunk.length, chunk.sourceOffset, function (err, bytesRead) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        if (bytesRead < chunk.length) {
+          // the range exceeds the end of the source file
+          callback(new SMBError(ntstatus.STATUS_INVALID_VIEW_SIZE));
+          return;
+        }
+        destFile.write(buf, chunk.targetOffset, function (err) {
+          if (!err) {
+            written += chunk.length;
+          }
+          callback(err);
+        });
+      });
+    },
+    function (err) {
+      cb(err, written);
+    }
+  );
+}
+
+/**
+ * Processes a FSCTL_SRV_COPYCHUNK or FSCTL_SRV_COPYCHUNK_WRITE request.
+ *
+ * @param {SMBServer} server an SMBServer instance
+ * @param {SMBFile} destFile target file
+ * @param {Buffer} input input of the request (SRV_COPYCHUNK_COPY)
+ * @param {Function} cb callback called on completion
+ * @param {Number} cb.status status of the request
+ * @param {Buffer} cb.output output of the request (SRV_COPYCHUNK_RESPONSE) or null
+ */
+function copyChunks(server, destFile, input, cb) {
+  function done(status, output) {
+    process.nextTick(function () { cb(status, output || null); });
+  }
+
+  var request = parseRequest(input);
+  if (!request) {
+    done(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+  if (exceedsLimits(request.chunks)) {
+    done(ntstatus.STATUS_INVALID_PARAMETER, serializeLimits());
+    return;
+  }
+  var srcFile = server.getFileByResumeKey(request.sourceKey);
+  if (!srcFile) {
+    done(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND);
+    return;
+  }
+  if (!request.chunks.length) {
+    done(ntstatus.STATUS_SUCCESS, serializeResponse(0, 0, 0));
+    return;
+  }
+  copy(srcFile, destFile, request.chunks, function (err, totalBytesWritten) {
+    if (err) {
+      cb(err.status || ntstatus.STATUS_UNSUCCESSFUL, null);
+    } else {
+      cb(ntstatus.STATUS_SUCCESS, serializeResponse(request.chunks.length, 0, totalBytesWritten));
+    }
+  });
+}
+
+module.exports.RESUME_KEY_RESPONSE_LENGTH = RESUME_KEY_RESPONSE_LENGTH;
+module.exports.RESPONSE_LENGTH = RESPONSE_LENGTH;
+module.exports.serializeResumeKey = serializeResumeKey;
+module.exports.parseRequest = parseRequest;
+module.exports.serializeResponse = serializeResponse;
+module.exports.copy = copy;
+module.exports.copyChunks = copyChunks;
@@ -0,0 +1,97 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var path = require('path');
+var fs = require('fs');
+var logger = require('winston').loggers.get('dcerpc');
+
+var ntstatus = require('../ntstatus');
+var SMBError = require('../smberror');
+var consts = require('./constants');
+var packet = require('./packet');
+
+var pduHandlers = {};
+
+function loadPDUHandlers() {
+  var p = path.join(__dirname, 'pdu');
+  var files = fs.readdirSync(p);
+  for (var i = 0; i < files.length; i++) {
+    var f = files[i];
+    var stat = fs.statSync(path.resolve(p, f));
+    if (stat.isDirectory()) {
+      continue;
+    }
+    if (f.substr(-3) === '.js') {
+      f = f.slice(0, -3);
+      pduHandlers[f] = require(path.resolve(p, f));
+    }
+  }
+}
+loadPDUHandlers();
+
+/**
+ * Handles a DCE/RPC PDU written to a named pipe (e.g. by a TRANS_TRANSACT_NMPIPE or
+ * FSCTL_PIPE_TRANSCEIVE request).
+ *
+ * @param {Buffer} buf - the raw PDU buffer
+ * @param {SMBFile} pipe - an SMBFile instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @param {Function} cb callback called with the PDU's response
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Buffer} cb.response buffer holding the bytes of the encoded response PDU
+ */
+function handlePDU(buf, pipe, server, cb) {
+  function fail(status, message) {
+    process.nextTick(function () { cb(new SMBError(status, message)); });
+  }
+
+  if (buf.length < consts.COMMON_HEADER_LENGTH) {
+    logger.error('encountered truncated PDU');
+    fail(ntstatus.STATUS_INVALID_PARAMETER, 'truncated PDU');
+    return;
+  }
+
+  // decode PDU
+  var hdr = packet.parseCommonHeaderFields(buf);
+  var pdu = consts.PDUTYPE_TO_STRING[hdr.type];
+  if (!pdu) {
+    logger.error('encountered invalid PDU type 0x%s', hdr.type.toString(16));
+    fail(ntstatus.STATUS_INVALID_PARAMETER, 'invalid PDU type');
+    return;
+  }
+  if (!hdr.firstFrag || !hdr.lastFrag) {
+    // fragmented PDU
+    // todo support fragmented PDUs
+    logger.error('encountered fragmented PDU %s', pdu);
+    fail(ntstatus.STATUS_NOT_IMPLEMENTED, 'fragmented PDU');
+    return;
+  }
+
+  // invoke PDU handler
+  var handler = pduHandlers[pdu];
+  if (!handler) {
+    logger.error('encountered unsupported PDU type 0x%s \'%s\'', hdr.type.toString(16), pdu.toUpperCase());
+    fail(ntstatus.STATUS_NOT_IMPLEMENTED, 'unsupported PDU type');
+    return;
+  }
+  handler(hdr, buf, pipe, server, function (err, response) {
+    if (err) {
+      cb(new SMBError(ntstatus.STATUS_UNSUCCESSFUL, String(err)));
+    } else {
+      cb(null, response);
+    }
+  });
+}
+
+module.exports.handlePDU = handlePDU;
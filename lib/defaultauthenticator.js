@@ -81,13 +81,21 @@ DefaultAuthenticator.prototype.authenticate = function (challenge, caseInsensiti
   var ntlmHash = new Buffer(user.ntlmHash, 'hex');
 
   var authenticated = false;
+  // LM authentication doesn't provide a session key
+  var sessionKey = null;
 
   if (caseSensitivePassword.length === ntlm.ntlm.RESPONSE_LENGTH) {
     // NTLM
     authenticated = ntlm.validateNTLMResponse(caseSensitivePassword, ntlmHash, challenge);
+    if (authenticated) {
+      sessionKey = ntlm.ntlm.calculateSessionBaseKey(ntlmHash);
+    }
   } else if (caseSensitivePassword.length >= ntlm.ntlm2.MIN_RESPONSE_LENGTH) {
     // NTLMv2
     authenticated = ntlm.validateNTLMv2Response(caseSensitivePassword, ntlmHash, accountName, domainName, challenge);
+    if (authenticated) {
+      sessionKey = ntlm.ntlm2.calculateSessionBaseKey(ntlm.ntlm2.createHash(ntlmHash, accountName, domainName), caseSensitivePassword);
+    }
   } else if (caseInsensitivePassword.length === ntlm.lm.RESPONSE_LENGTH || caseInsensitivePassword.length === ntlm.lm2.RESPONSE_LENGTH) {
     // assume LMv2 or LM
     authenticated = ntlm.validateLMv2Response(caseInsensitivePassword, ntlmHash, accountName, domainName, challenge)
@@ -104,7 +112,7 @@ DefaultAuthenticator.prototype.authenticate = function (challenge, caseInsensiti
     return;
   }
 
-  cb(null, new DefaultSession(accountName, domainName));
+  cb(null, new DefaultSession(accountName, domainName), sessionKey);
 };
 
 module.exports = DefaultAuthenticator;
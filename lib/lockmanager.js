@@ -0,0 +1,291 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var Long = require('long');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('default');
+
+var ntstatus = require('./ntstatus');
+
+/**
+ * Converts a Number or Long to an unsigned Long.
+ *
+ * @param {Number|Long} val
+ * @return {Long}
+ */
+function toLong(val) {
+  return Long.isLong(val) ? val.toUnsigned() : Long.fromNumber(val, true);
+}
+
+/**
+ * Creates a byte range.
+ *
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Object} range or null if the range exceeds the maximum file offset
+ */
+function createRange(offset, length) {
+  var range = {
+    offset: toLong(offset),
+    length: toLong(length)
+  };
+  if (!range.length.isZero()) {
+    // offset of the last byte of the range
+    range.last = range.offset.add(range.length).subtract(Long.UONE);
+    if (range.last.lessThan(range.offset)) {
+      // overflow
+      return null;
+    }
+  }
+  return range;
+}
+
+/**
+ * Returns true if the given ranges overlap. Zero-length ranges don't overlap with anything.
+ *
+ * @param {Object} r1
+ * @param {Object} r2
+ * @return {Boolean}
+ */
+function overlaps(r1, r2) {
+  return r1.last !== undefined && r2.last !== undefined
+    && r1.offset.lessThanOrEqual(r2.last) && r2.offset.lessThanOrEqual(r1.last);
+}
+
+/**
+ * Returns the id of the open owning a lock.
+ *
+ * @param {*} owner lock owner
+ * @return {*} owner id
+ */
+function ownerId(owner) {
+  return _.isPlainObject(owner) ? owner.id : owner;
+}
+
+/**
+ * Returns true if both lock owners are the same, i.e. the same open and, for SMB1 owners, the same process.
+ *
+ * @param {*} owner1
+ * @param {*} owner2
+ * @return {Boolean}
+ */
+function sameOwner(owner1, owner2) {
+  return ownerId(owner1) === ownerId(owner2) && _.get(owner1, 'pid') === _.get(owner2, 'pid');
+}
+
+/**
+ * Server-wide registry of byte-range locks (see MS-FSA 2.1.5.7).
+ *
+ * Files are identified by an opaque key (see <code>SMBFile.getLockKey()</code>),
+ * lock owners by an opaque id (e.g. the fid of the open file that acquired the lock).
+ * SMB1 locks are owned by a process of the open (see MS-CIFS 2.2.4.32), their owner
+ * is an object with the properties <code>id</code> and <code>pid</code>.
+ *
+ * @constructor
+ */
+function LockManager() {
+  // granted locks (key: file key, value: array of locks)
+  this.locks = {};
+  // blocking lock requests waiting for conflicting locks to be released (key: file key, value: array of requests)
+  this.pending = {};
+}
+
+/**
+ * Returns the lock conflicting with a lock request.
+ *
+ * @param {String} key file key
+ * @param {*} owner lock owner
+ * @param {Object} range byte range
+ * @param {Boolean} exclusive
+ * @return {Object} conflicting lock or undefined
+ */
+LockManager.prototype.findConflict = function (key, owner, range, exclusive) {
+  return _.find(this.locks[key], function (lock) {
+    // shared locks may overlap with any shared lock and with exclusive locks of the same owner
+    return overlaps(lock, range) && (exclusive || (lock.exclusive && !sameOwner(lock.owner, owner)));
+  });
+};
+
+/**
+ * Acquires a byte-range lock without waiting for conflicting locks to be released.
+ *
+ * @param {String} key file key
+ * @param {*} owner lock owner
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @param {Boolean} exclusive
+ * @return {Number} <code>STATUS_SUCCESS</code>, <code>STATUS_LOCK_NOT_GRANTED</code>
+ *                  or <code>STATUS_INVALID_LOCK_RANGE</code>
+ */
+LockManager.prototype.lock = function (key, owner, offset, length, exclusive) {
+  var range = createRange(offset, length);
+  if (!range) {
+    return ntstatus.STATUS_INVALID_LOCK_RANGE;
+  }
+  if (this.findConflict(key, owner, range, exclusive)) {
+    return ntstatus.STATUS_LOCK_NOT_GRANTED;
+  }
+  range.owner = owner;
+  range.exclusive = exclusive;
+  this.locks[key] = this.locks[key] || [];
+  this.locks[key].push(range);
+  logger.debug('lock granted: %s, offset: %s, length: %s, exclusive: %s', key, range.offset.toString(), range.length.toString(), exclusive);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Acquires a byte-range lock, waiting for conflicting locks to be released if necessary.
+ *
+ * @param {String} key file key
+ * @param {*} owner lock owner
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @param {Boolean} exclusive
+ * @param {Function} cb callback called once the lock has been granted or the request failed
+ * @param {Number} cb.status <code>STATUS_SUCCESS</code>, <code>STATUS_INVALID_LOCK_RANGE</code>
+ *                           or <code>STATUS_RANGE_NOT_LOCKED</code> if the owner released all its locks
+ *                           while the request was waiting (see <code>releaseAll</code>)
+ * @return {Function} function cancelling the request if it's still waiting; the callback won't be called
+ *                    after the request has been cancelled
+ */
+LockManager.prototype.lockWait = function (key, owner, offset, length, exclusive, cb) {
+  var self = this;
+  var status = this.lock(key, owner, offset, length, exclusive);
+  if (status !== ntstatus.STATUS_LOCK_NOT_GRANTED) {
+    process.nextTick(function () { cb(status); });
+    return _.noop;
+  }
+  var request = {
+    owner: owner,
+    offset: offset,
+    length: length,
+    exclusive: exclusive,
+    cb: cb
+  };
+  this.pending[key] = this.pending[key] || [];
+  this.pending[key].push(request);
+  return function () {
+    self.removePending(key, request);
+  };
+};
+
+/**
+ * Removes a waiting lock request.
+ *
+ * @param {String} key file key
+ * @param {Object} request
+ */
+LockManager.prototype.removePending = function (key, request) {
+  _.pull(this.pending[key] || [], request);
+  if (this.pending[key] && !this.pending[key].length) {
+    delete this.pending[key];
+  }
+};
+
+/**
+ * Grants waiting lock requests that no longer conflict with existing locks.
+ *
+ * @param {String} key file key
+ */
+LockManager.prototype.processPending = function (key) {
+  var self = this;
+  // waiting requests are granted in order of arrival
+  _.forEach(_.clone(this.pending[key]), function (request) {
+    if (self.lock(key, request.owner, request.offset, request.length, request.exclusive) === ntstatus.STATUS_SUCCESS) {
+      self.removePending(key, request);
+      request.cb(ntstatus.STATUS_SUCCESS);
+    }
+  });
+};
+
+/**
+ * Releases a byte-range lock. The range must exactly match a lock held by the owner.
+ *
+ * @param {String} key file key
+ * @param {*} owner lock owner
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @return {Number} <code>STATUS_SUCCESS</code> or <code>STATUS_RANGE_NOT_LOCKED</code>
+ */
+LockManager.prototype.unlock = function (key, owner, offset, length) {
+  offset = toLong(offset);
+  length = toLong(length);
+  var locks = this.locks[key] || [];
+  var idx = _.findIndex(locks, function (lock) {
+    return sameOwner(lock.owner, owner) && lock.offset.equals(offset) && lock.length.equals(length);
+  });
+  if (idx === -1) {
+    return ntstatus.STATUS_RANGE_NOT_LOCKED;
+  }
+  locks.splice(idx, 1);
+  if (!locks.length) {
+    delete this.locks[key];
+  }
+  logger.debug('lock released: %s, offset: %s, length: %s', key, offset.toString(), length.toString());
+  this.processPending(key);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Releases all locks held by an open (e.g. when a file is closed), including the locks
+ * of its processes. Waiting lock requests of the open fail with <code>STATUS_RANGE_NOT_LOCKED</code>.
+ *
+ * @param {String} key file key
+ * @param {*} id id of the open
+ */
+LockManager.prototype.releaseAll = function (key, id) {
+  var self = this;
+  function isOwnedByOpen(lock) {
+    return ownerId(lock.owner) === id;
+  }
+  _.forEach(_.filter(this.pending[key], isOwnedByOpen), function (request) {
+    self.removePending(key, request);
+    request.cb(ntstatus.STATUS_RANGE_NOT_LOCKED);
+  });
+  if (this.locks[key]) {
+    this.locks[key] = _.reject(this.locks[key], isOwnedByOpen);
+    if (!this.locks[key].length) {
+      delete this.locks[key];
+    }
+    this.processPending(key);
+  }
+};
+
+/**
+ * Checks whether a read or write operation conflicts with existing locks.
+ * Reads conflict with exclusive locks of other opens, writes conflict with
+ * exclusive locks of other opens and with any shared lock.
+ *
+ * @param {String} key file key
+ * @param {*} id id of the open performing the operation
+ * @param {Number|Long} offset
+ * @param {Number|Long} length
+ * @param {Boolean} write
+ * @return {Boolean} true if the operation may proceed
+ */
+LockManager.prototype.checkAccess = function (key, id, offset, length, write) {
+  var range = createRange(offset, length);
+  if (!range || !this.locks[key]) {
+    return true;
+  }
+  return !_.some(this.locks[key], function (lock) {
+    if (!overlaps(lock, range)) {
+      return false;
+    }
+    var other = ownerId(lock.owner) !== id;
+    return write ? other || !lock.exclusive : other && lock.exclusive;
+  });
+};
+
+module.exports = LockManager;
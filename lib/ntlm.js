@@ -163,6 +163,33 @@ function calculateNTLM2Response(ntlm2Hash, blob, challenge) {
   return Buffer.concat([ hmac, blob ]);
 }
 
+/**
+ * Calculates the 16-byte NTLM session base key based on the NTLM hash
+ *
+ * @see MS-NLMP 3.3.1
+ *
+ * @param {Buffer} ntlmHash
+ * @return {Buffer}
+ */
+function calculateNTLMSessionBaseKey(ntlmHash) {
+  var md4 = crypto.createHash('md4');
+  md4.update(ntlmHash);
+  return new Buffer(md4.digest());
+}
+
+/**
+ * Calculates the 16-byte NTLMv2 session base key based on the NTLMv2 hash and response
+ *
+ * @see MS-NLMP 3.3.2
+ *
+ * @param {Buffer} ntlm2Hash
+ * @param {Buffer} ntlm2Response NTLMv2 response consisting of 16-byte hmac (NTProofStr) and variable length blob
+ * @return {Buffer}
+ */
+function calculateNTLM2SessionBaseKey(ntlm2Hash, ntlm2Response) {
+  return crypto.createHmac('md5', ntlm2Hash).update(ntlm2Response.slice(0, 16)).digest();
+}
+
 /*
  * Expand a 7-byte key (56-bit) to a 8-byte (64-bit) key
  * by inserting odd-parity bits.
@@ -305,12 +332,14 @@ module.exports.lm2 = {
 module.exports.ntlm = {
   createHash: createNTLMHash,
   calculateResponse: calculateNTLMResponse,
+  calculateSessionBaseKey: calculateNTLMSessionBaseKey,
   RESPONSE_LENGTH: 24
 };
 
 module.exports.ntlm2 = {
   createHash: createNTLM2Hash,
   calculateResponse: calculateNTLM2Response,
+  calculateSessionBaseKey: calculateNTLM2SessionBaseKey,
   parseBlob: parseNTLMv2Blob,
   MIN_RESPONSE_LENGTH: 16 + MIN_BLOB_SIZE
 };
@@ -12,11 +12,14 @@
 
 'use strict';
 
+var crypto = require('crypto');
+
 var put = require('put');
 var logger = require('winston').loggers.get('default');
 var _ = require('lodash');
 
 var utils = require('./utils');
+var ntlm = require('./ntlm');
 
 var consts = {};
 
@@ -307,13 +310,96 @@ function parseAuthenticateMessage(buf) {
   msg.user = buf.slice(userOffset, userOffset + userLength).toString('utf16le');
   msg.domain = buf.slice(domainOffset, domainOffset + domainLength).toString('utf16le');
   msg.workstation = buf.slice(workstationOffset, workstationOffset + workstationLength).toString('utf16le');
+  msg.encryptedRandomSessionKey = buf.slice(sessionKeyOffset, sessionKeyOffset + sessionKeyLength);
 
   return msg;
 }
 
+/**
+ * Returns the key exchange key used to protect the session key (see <code>calculateExportedSessionKey</code>).
+ * The LM based key exchange keys of NTLMv1 (<code>NTLMSSP_NEGOTIATE_LM_KEY</code>,
+ * <code>NTLMSSP_REQUEST_NON_NT_SESSION_KEY</code>) require the LM hash which isn't available to the server.
+ *
+ * @see MS-NLMP 3.4.5.1
+ *
+ * @param {Number} flags negotiate flags of the NTLMSSP_AUTHENTICATE message
+ * @param {Buffer} sessionBaseKey session base key (see <code>Authenticator.authenticate</code>)
+ * @param {Buffer} challenge server challenge
+ * @param {Buffer} lmResponse LmChallengeResponse of the NTLMSSP_AUTHENTICATE message
+ * @param {Buffer} ntResponse NtChallengeResponse of the NTLMSSP_AUTHENTICATE message
+ * @return {Buffer} key exchange key or null if it can't be derived
+ */
+function calculateKeyExchangeKey(flags, sessionBaseKey, challenge, lmResponse, ntResponse) {
+  if (ntResponse.length !== ntlm.ntlm.RESPONSE_LENGTH) {
+    // NTLMv2
+    return sessionBaseKey;
+  }
+  if (flags & consts.NTLMSSP_NEGOTIATE_EXTENDED_SESSIONSECURITY) {
+    // the first 8 bytes of the LM response hold the client challenge
+    return crypto.createHmac('md5', sessionBaseKey).update(Buffer.concat([ challenge, lmResponse.slice(0, 8) ])).digest();
+  }
+  if (flags & (consts.NTLMSSP_NEGOTIATE_LM_KEY | consts.NTLMSSP_REQUEST_NON_NT_SESSION_KEY)) {
+    return null;
+  }
+  return sessionBaseKey;
+}
+
+/**
+ * Returns the session key to be used by the application protocol (e.g. for signing).
+ *
+ * @see MS-NLMP 3.2.5.1.2, 3.4.5.1
+ *
+ * @param {Number} flags negotiate flags of the NTLMSSP_AUTHENTICATE message
+ * @param {Buffer} keyExchangeKey key exchange key (see <code>calculateKeyExchangeKey</code>)
+ * @param {Buffer} encryptedRandomSessionKey EncryptedRandomSessionKey of the NTLMSSP_AUTHENTICATE message
+ * @return {Buffer} exported session key
+ */
+function calculateExportedSessionKey(flags, keyExchangeKey, encryptedRandomSessionKey) {
+  if ((flags & consts.NTLMSSP_NEGOTIATE_KEY_EXCH) && encryptedRandomSessionKey.length) {
+    // the client generated a random session key and encrypted it with the key exchange key
+    return rc4(keyExchangeKey, encryptedRandomSessionKey);
+  }
+  return keyExchangeKey;
+}
+
+/**
+ * RC4 (en|de)cryption. RC4 is not available in all crypto library builds, hence this implementation.
+ *
+ * @param {Buffer} key
+ * @param {Buffer} data
+ * @return {Buffer}
+ */
+function rc4(key, data) {
+  var s = [];
+  var i, j, t;
+  for (i = 0; i < 256; i++) {
+    s[i] = i;
+  }
+  for (i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+  }
+  var result = new Buffer(data.length);
+  i = 0;
+  j = 0;
+  for (var n = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+    result[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return result;
+}
+
 _.assign(module.exports, consts);
 
 module.exports.parseMessageType = parseMessageType;
 module.exports.parseNegotiateMessage = parseNegotiateMessage;
 module.exports.createChallengeMessage = createChallengeMessage;
 module.exports.parseAuthenticateMessage = parseAuthenticateMessage;
+module.exports.calculateKeyExchangeKey = calculateKeyExchangeKey;
+module.exports.calculateExportedSessionKey = calculateExportedSessionKey;
@@ -0,0 +1,485 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var logger = require('winston').loggers.get('default');
+
+var ntstatus = require('./ntstatus');
+var common = require('./common');
+
+// time granted to a client for acknowledging an oplock or lease break (see MS-CIFS 3.3.2.1 and MS-SMB2 3.3.2.5)
+var BREAK_TIMEOUT = 35000;
+
+var READ = common.LEASE_READ_CACHING;
+var HANDLE = common.LEASE_HANDLE_CACHING;
+var WRITE = common.LEASE_WRITE_CACHING;
+
+/**
+ * Converts an oplock level to the equivalent lease state.
+ *
+ * @param {Number} level oplock level (<code>common.OPLOCK_LEVEL_*</code>)
+ * @return {Number} lease state (<code>common.LEASE_*</code> flags)
+ */
+function levelToState(level) {
+  switch (level) {
+    case common.OPLOCK_LEVEL_BATCH:
+      return READ | WRITE | HANDLE;
+    case common.OPLOCK_LEVEL_EXCLUSIVE:
+      return READ | WRITE;
+    case common.OPLOCK_LEVEL_II:
+      return READ;
+    default:
+      return common.LEASE_NONE;
+  }
+}
+
+/**
+ * Converts a lease state to the equivalent oplock level.
+ *
+ * @param {Number} state lease state (<code>common.LEASE_*</code> flags)
+ * @return {Number} oplock level (<code>common.OPLOCK_LEVEL_*</code>)
+ */
+function stateToLevel(state) {
+  switch (state) {
+    case READ | WRITE | HANDLE:
+      return common.OPLOCK_LEVEL_BATCH;
+    case READ | WRITE:
+      return common.OPLOCK_LEVEL_EXCLUSIVE;
+    case READ:
+      return common.OPLOCK_LEVEL_II;
+    default:
+      return common.OPLOCK_LEVEL_NONE;
+  }
+}
+
+/**
+ * Creates a lease. Oplocks are represented by private leases (without id) of a single open.
+ *
+ * @param {String} id lease id or null for an oplock
+ * @param {String} key file key
+ * @param {Function} onBreak called when the lease has to be broken
+ * @return {Object} lease
+ */
+function createLease(id, key, onBreak) {
+  return {
+    id: id,
+    key: key,
+    state: common.LEASE_NONE,
+    // incremented on every change of the lease state (SMB 3.x)
+    epoch: 0,
+    onBreak: onBreak,
+    // opens waiting for the break of this lease to complete
+    waiters: []
+  };
+}
+
+/**
+ * Server-wide registry of the opens of files and the oplocks and leases granted to them
+ * (see MS-FSA 2.1.5.17 and 2.1.5.18).
+ *
+ * Files are identified by an opaque key (see <code>SMBFile.getLockKey()</code>),
+ * opens by an opaque owner id (e.g. the fid of the open file) and leases by an opaque
+ * lease id (e.g. the client guid and the lease key).
+ *
+ * @constructor
+ */
+function OplockManager() {
+  // registered opens (key: file key, value: array of opens)
+  this.opens = {};
+  // leases granted to clients (key: lease id, value: lease)
+  this.leases = {};
+  this.breakTimeout = BREAK_TIMEOUT;
+}
+
+/**
+ * Returns the registered open of an owner.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @return {Object} open or undefined
+ */
+OplockManager.prototype.getOpen = function (key, owner) {
+  return _.find(this.opens[key], { owner: owner });
+};
+
+/**
+ * Returns a lease granted to a client.
+ *
+ * @param {String} leaseId
+ * @return {Object} lease or undefined
+ */
+OplockManager.prototype.getLease = function (leaseId) {
+  return this.leases[leaseId];
+};
+
+/**
+ * Returns the distinct leases of the opens of a file.
+ *
+ * @param {String} key file key
+ * @return {Object[]}
+ */
+OplockManager.prototype.getLeases = function (key) {
+  return _.uniq(_.map(this.opens[key], 'lease'));
+};
+
+/**
+ * Registers an open and grants it an oplock. Exclusive and batch oplocks held by other opens
+ * are broken first; the callback is called once their holders acknowledged the break,
+ * closed the file or failed to respond in time.
+ *
+ * @param {String} key file key
+ * @param {*} owner owner of the open
+ * @param {Number} requestedLevel requested oplock level (<code>common.OPLOCK_LEVEL_*</code>)
+ * @param {Boolean} levelIISupported true if the owner may hold (and be broken to) a level II oplock
+ * @param {Function} onBreak called when the oplock has to be broken
+ * @param {Number} onBreak.level the new oplock level; breaks to <code>OPLOCK_LEVEL_II</code> must be acknowledged
+ *                 (see <code>acknowledge</code>)
+ * @param {Function} cb callback called with the granted oplock level
+ * @param {Number} cb.level
+ */
+OplockManager.prototype.acquire = function (key, owner, requestedLevel, levelIISupported, onBreak, cb) {
+  var lease = createLease(null, key, function (state, newState) {
+    onBreak(stateToLevel(newState));
+  });
+  lease.levelIISupported = levelIISupported;
+  this.register(key, owner, lease, levelToState(requestedLevel), function (state) {
+    cb(stateToLevel(state));
+  });
+};
+
+/**
+ * Registers an open and grants it a lease (see MS-SMB2 3.3.5.9.8). Opens of the same client using
+ * the same lease key share the lease; if the lease already exists its state is upgraded if possible.
+ * Write caching granted to other leases of the file is broken first.
+ *
+ * @param {String} key file key
+ * @param {*} owner owner of the open
+ * @param {String} leaseId lease id
+ * @param {Number} requestedState requested lease state (<code>common.LEASE_*</code> flags)
+ * @param {Function} onBreak called when the lease has to be broken
+ * @param {Object} onBreak.lease the lease
+ * @param {Number} onBreak.state the current lease state
+ * @param {Number} onBreak.newState the new lease state
+ * @param {Boolean} onBreak.ackRequired true if the break must be acknowledged (see <code>acknowledgeLease</code>)
+ * @param {Function} cb callback called once the lease state has been determined
+ * @param {Number} cb.status <code>STATUS_SUCCESS</code> or <code>STATUS_INVALID_PARAMETER</code>
+ *                           if the lease id is already used for another file
+ * @param {Object} cb.lease the lease (<code>lease.state</code> is the granted lease state)
+ */
+OplockManager.prototype.acquireLease = function (key, owner, leaseId, requestedState, onBreak, cb) {
+  var lease = this.leases[leaseId];
+  if (lease && lease.key !== key) {
+    process.nextTick(function () { cb(ntstatus.STATUS_INVALID_PARAMETER); });
+    return;
+  }
+  if (!lease) {
+    lease = this.leases[leaseId] = createLease(leaseId, key, null);
+  }
+  // break notifications are sent through the most recent open
+  this.setLeaseBreakHandler(leaseId, onBreak);
+  this.register(key, owner, lease, requestedState, function () {
+    cb(ntstatus.STATUS_SUCCESS, lease);
+  });
+};
+
+/**
+ * Sets the function called when a lease has to be broken (e.g. when the client reconnected
+ * to a durable open through another connection).
+ *
+ * @param {String} leaseId
+ * @param {Function} onBreak see <code>acquireLease</code>
+ */
+OplockManager.prototype.setLeaseBreakHandler = function (leaseId, onBreak) {
+  var lease = this.leases[leaseId];
+  if (lease) {
+    lease.onBreak = function (state, newState, ackRequired) {
+      onBreak(lease, state, newState, ackRequired);
+    };
+  }
+};
+
+/**
+ * Registers an open with a lease (or oplock) and determines the caching granted to it.
+ *
+ * @param {String} key file key
+ * @param {*} owner owner of the open
+ * @param {Object} lease the lease of the open
+ * @param {Number} requestedState requested lease state
+ * @param {Function} cb callback called with the granted lease state
+ * @param {Number} cb.state
+ */
+OplockManager.prototype.register = function (key, owner, lease, requestedState, cb) {
+  var self = this;
+  var open = {
+    owner: owner,
+    lease: lease
+  };
+  var others = this.getLeases(key);
+  this.opens[key] = (this.opens[key] || []).concat(open);
+
+  // write caching requires this to be the only lease (or oplock) of the file
+  var breaking = _.filter(others, function (other) {
+    return other !== lease && (other.state & WRITE || other.breakTo !== undefined);
+  });
+  var count = breaking.length;
+  if (!count) {
+    process.nextTick(grant);
+    return;
+  }
+  breaking.forEach(function (other) {
+    other.waiters.push(function () {
+      if (--count === 0) {
+        grant();
+      }
+    });
+    if (other.breakTo === undefined) {
+      self.breakLease(other, other.state & ~WRITE);
+    }
+  });
+
+  function grant() {
+    if (!_.includes(self.opens[key], open)) {
+      // closed in the meantime
+      cb(common.LEASE_NONE);
+      return;
+    }
+    var shared = _.some(self.opens[key], function (other) {
+      return other.lease !== lease;
+    });
+    var state = requestedState;
+    if (lease.id === null) {
+      // oplock
+      if (shared) {
+        state &= READ;
+      }
+      if (state === READ && !lease.levelIISupported) {
+        state = common.LEASE_NONE;
+      }
+    } else if (lease.breakTo !== undefined) {
+      // a lease can't be upgraded while it's being broken
+      state = lease.state;
+    } else {
+      if ((state & lease.state) !== lease.state) {
+        // leases are only upgraded, never downgraded by an open
+        state = lease.state;
+      }
+      if (shared) {
+        state &= ~WRITE;
+      }
+      if (!(state & READ)) {
+        // handle and write caching require read caching
+        state = common.LEASE_NONE;
+      }
+      if (state !== lease.state) {
+        lease.epoch++;
+      }
+    }
+    lease.state = state;
+    logger.debug('lease granted: %s, owner: %s, lease: %s, state: %d', key, owner, lease.id, state);
+    cb(state);
+  }
+};
+
+/**
+ * Breaks a lease (or oplock). Breaks of leases with write or handle caching (exclusive and batch
+ * oplocks) have to be acknowledged; if the holder fails to do so in time the break completes anyway.
+ * If the lease is already being broken the new state is applied once the current break completed.
+ *
+ * @param {Object} lease
+ * @param {Number} newState new lease state
+ */
+OplockManager.prototype.breakLease = function (lease, newState) {
+  var self = this;
+  if (lease.breakTo !== undefined) {
+    lease.nextBreakTo = (lease.nextBreakTo === undefined ? lease.breakTo : lease.nextBreakTo) & newState;
+    return;
+  }
+  if (lease.id === null) {
+    // oplocks can only be broken to level II (if supported) or none
+    newState = newState & READ && lease.levelIISupported ? READ : common.LEASE_NONE;
+  }
+  if (newState === lease.state) {
+    return;
+  }
+  var state = lease.state;
+  var ackRequired = !!(state & (WRITE | HANDLE));
+  logger.debug('breaking lease: %s, lease: %s, state: %d -> %d', lease.key, lease.id, state, newState);
+  lease.epoch++;
+  if (ackRequired) {
+    lease.breakTo = newState;
+    lease.breakTimer = setTimeout(function () {
+      logger.warn('lease break not acknowledged in time: %s, lease: %s', lease.key, String(lease.id));
+      self.completeBreak(lease, lease.breakTo);
+    }, this.breakTimeout);
+  } else {
+    lease.state = newState;
+  }
+  lease.onBreak(state, newState, ackRequired);
+};
+
+/**
+ * Completes the break of a lease.
+ *
+ * @param {Object} lease
+ * @param {Number} state the new lease state
+ */
+OplockManager.prototype.completeBreak = function (lease, state) {
+  clearTimeout(lease.breakTimer);
+  delete lease.breakTimer;
+  delete lease.breakTo;
+  lease.state = state;
+  var nextBreakTo = lease.nextBreakTo;
+  delete lease.nextBreakTo;
+  if (nextBreakTo !== undefined) {
+    this.breakLease(lease, state & nextBreakTo);
+  }
+  var waiters = lease.waiters;
+  lease.waiters = [];
+  waiters.forEach(function (waiter) {
+    waiter();
+  });
+};
+
+/**
+ * Acknowledges an oplock break or releases (downgrades) an oplock.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @param {Number} level the new oplock level (can't exceed the level the oplock is being broken to)
+ */
+OplockManager.prototype.acknowledge = function (key, owner, level) {
+  var open = this.getOpen(key, owner);
+  if (!open) {
+    return;
+  }
+  var lease = open.lease;
+  var maxState = lease.breakTo !== undefined ? lease.breakTo : lease.state;
+  logger.debug('oplock break acknowledged: %s, owner: %s, level: %d', key, owner, level);
+  this.completeBreak(lease, levelToState(level) & maxState);
+};
+
+/**
+ * Acknowledges a lease break (see MS-SMB2 3.3.5.22.2).
+ *
+ * @param {String} leaseId
+ * @param {Number} state the new lease state (must not exceed the state the lease is being broken to)
+ * @return {Number} <code>STATUS_SUCCESS</code>, <code>STATUS_OBJECT_NAME_NOT_FOUND</code> if there's no such lease,
+ *                  <code>STATUS_UNSUCCESSFUL</code> if the lease is not being broken or
+ *                  <code>STATUS_REQUEST_NOT_ACCEPTED</code> if the state exceeds the state the lease is being broken to
+ */
+OplockManager.prototype.acknowledgeLease = function (leaseId, state) {
+  var lease = this.leases[leaseId];
+  if (!lease) {
+    return ntstatus.STATUS_OBJECT_NAME_NOT_FOUND;
+  }
+  if (lease.breakTo === undefined) {
+    return ntstatus.STATUS_UNSUCCESSFUL;
+  }
+  if (state & ~lease.breakTo) {
+    return ntstatus.STATUS_REQUEST_NOT_ACCEPTED;
+  }
+  logger.debug('lease break acknowledged: %s, lease: %s, state: %d', lease.key, leaseId, state);
+  this.completeBreak(lease, state);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Breaks the read caching (level II oplocks and read leases) of all other opens of a file
+ * (e.g. when it's being written to).
+ *
+ * @param {String} key file key
+ * @param {*} owner owner of the open modifying the file
+ */
+OplockManager.prototype.breakLevelII = function (key, owner) {
+  var self = this;
+  var open = this.getOpen(key, owner);
+  _.forEach(this.getLeases(key), function (lease) {
+    if ((!open || lease !== open.lease) && lease.state & READ) {
+      self.breakLease(lease, common.LEASE_NONE);
+    }
+  });
+};
+
+/**
+ * Breaks all caching granted for a file that has been changed, renamed or deleted by someone
+ * other than the holders (e.g. by another client or in the backend). If the key denotes a directory
+ * the caching granted for the files below is broken as well.
+ *
+ * @param {String} key file key
+ * @param {*} [owner] owner of the open that made the change; its lease is not broken
+ */
+OplockManager.prototype.breakOnChange = function (key, owner) {
+  var self = this;
+  var open = owner !== undefined && this.getOpen(key, owner);
+  var prefix = _.endsWith(key, '/') ? key : key + '/';
+  _.forEach(_.keys(this.opens), function (k) {
+    if (k !== key && k.indexOf(prefix) !== 0) {
+      return;
+    }
+    _.forEach(self.getLeases(k), function (lease) {
+      if ((!open || lease !== open.lease) && lease.state !== common.LEASE_NONE) {
+        self.breakLease(lease, common.LEASE_NONE);
+      }
+    });
+  });
+};
+
+/**
+ * Moves an open to another key (e.g. when the file has been renamed). Its lease moves along.
+ *
+ * @param {String} oldKey file key
+ * @param {String} newKey new file key
+ * @param {*} owner
+ */
+OplockManager.prototype.move = function (oldKey, newKey, owner) {
+  var open = this.getOpen(oldKey, owner);
+  if (!open) {
+    return;
+  }
+  _.pull(this.opens[oldKey], open);
+  if (!this.opens[oldKey].length) {
+    delete this.opens[oldKey];
+  }
+  this.opens[newKey] = (this.opens[newKey] || []).concat(open);
+  open.lease.key = newKey;
+};
+
+/**
+ * Unregisters an open (e.g. when a file is closed). The lease of the open is released
+ * once all its opens have been unregistered.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ */
+OplockManager.prototype.release = function (key, owner) {
+  var open = this.getOpen(key, owner);
+  if (!open) {
+    return;
+  }
+  _.pull(this.opens[key], open);
+  if (!this.opens[key].length) {
+    delete this.opens[key];
+  }
+  var lease = open.lease;
+  if (_.some(this.opens[key], function (other) { return other.lease === lease; })) {
+    return;
+  }
+  if (lease.id !== null) {
+    delete this.leases[lease.id];
+  }
+  delete lease.nextBreakTo;
+  this.completeBreak(lease, common.LEASE_NONE);
+};
+
+module.exports = OplockManager;
@@ -0,0 +1,221 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var logger = require('winston').loggers.get('default');
+
+var ntstatus = require('./ntstatus');
+var common = require('./common');
+
+// access rights subject to share access checks
+var READ_ACCESS = common.FILE_READ_DATA | common.FILE_EXECUTE;
+var WRITE_ACCESS = common.FILE_WRITE_DATA | common.FILE_APPEND_DATA;
+var DELETE_ACCESS = common.DELETE;
+
+// generic access rights and the specific rights they map to
+var GENERIC_MAPPING = [
+  [ common.GENERIC_READ, common.FILE_READ_DATA | common.FILE_READ_EA | common.FILE_READ_ATTRIBUTES | common.READ_CONTROL | common.SYNCHRONIZE ],
+  [ common.GENERIC_WRITE, common.FILE_WRITE_DATA | common.FILE_APPEND_DATA | common.FILE_WRITE_EA | common.FILE_WRITE_ATTRIBUTES | common.READ_CONTROL | common.SYNCHRONIZE ],
+  [ common.GENERIC_EXECUTE, common.FILE_EXECUTE | common.FILE_READ_ATTRIBUTES | common.READ_CONTROL | common.SYNCHRONIZE ],
+  [ common.GENERIC_ALL, common.FILE_ALL_ACCESS ],
+  [ common.MAXIMUM_ALLOWED, common.FILE_ALL_ACCESS ]
+];
+
+/**
+ * Maps the generic rights of an access mask to specific rights (see MS-SMB2 3.3.5.9).
+ *
+ * @param {Number} desiredAccess access mask
+ * @return {Number} access mask containing specific rights only
+ */
+function mapAccess(desiredAccess) {
+  return _.reduce(GENERIC_MAPPING, function (access, mapping) {
+    return desiredAccess & mapping[0] ? access | mapping[1] : access;
+  }, desiredAccess & common.FILE_ALL_ACCESS) >>> 0;
+}
+
+/**
+ * Returns true if an open with the given access conflicts with the share access of another open
+ * (see MS-FSA 2.1.5.1.2.1).
+ *
+ * @param {Number} access access granted to (or requested by) the first open
+ * @param {Number} shareAccess share access of the second open
+ * @return {Boolean}
+ */
+function conflicts(access, shareAccess) {
+  return (access & READ_ACCESS && !(shareAccess & common.FILE_SHARE_READ))
+    || (access & WRITE_ACCESS && !(shareAccess & common.FILE_SHARE_WRITE))
+    || (access & DELETE_ACCESS && !(shareAccess & common.FILE_SHARE_DELETE));
+}
+
+/**
+ * Returns true if an access mask includes access subject to share access checks.
+ *
+ * @param {Number} access
+ * @return {Boolean}
+ */
+function isDataAccess(access) {
+  return !!(access & (READ_ACCESS | WRITE_ACCESS | DELETE_ACCESS));
+}
+
+/**
+ * Server-wide registry of the access and share access of open files, used for rejecting
+ * opens that conflict with the share modes of existing opens of the same file (see MS-FSA 2.1.5.1.2),
+ * and of the files pending deletion once their last open is closed.
+ *
+ * Files are identified by an opaque key (see <code>SMBFile.getLockKey()</code>),
+ * opens by an opaque owner id (e.g. the fid of the open file).
+ *
+ * @constructor
+ */
+function ShareModeManager() {
+  // registered opens (key: file key, value: array of opens)
+  this.opens = {};
+  // files to be deleted once their last open is closed (key: file key, value: true)
+  this.deletePending = {};
+}
+
+ShareModeManager.mapAccess = mapAccess;
+
+/**
+ * Returns the registered open of an owner.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @return {Object} open or undefined
+ */
+ShareModeManager.prototype.getOpen = function (key, owner) {
+  return _.find(this.opens[key], { owner: owner });
+};
+
+/**
+ * Registers an open unless the file is pending deletion or the open conflicts with the share modes
+ * of the existing opens of the file. Opens with neither read, write nor delete access
+ * (e.g. for querying attributes) never conflict.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @param {Number} access access granted to the open (specific rights, see <code>mapAccess</code>)
+ * @param {Number} shareAccess share access of the open (<code>common.FILE_SHARE_*</code> flags)
+ * @return {Number} <code>STATUS_SUCCESS</code>, <code>STATUS_DELETE_PENDING</code>
+ *                  or <code>STATUS_SHARING_VIOLATION</code>
+ */
+ShareModeManager.prototype.open = function (key, owner, access, shareAccess) {
+  if (this.deletePending[key]) {
+    return ntstatus.STATUS_DELETE_PENDING;
+  }
+  var conflict = isDataAccess(access) && _.find(this.opens[key], function (open) {
+    return open.owner !== owner && isDataAccess(open.access)
+      && (conflicts(open.access, shareAccess) || conflicts(access, open.shareAccess));
+  });
+  if (conflict) {
+    logger.debug('sharing violation: %s, access: %s, shareAccess: %s, conflicting open: %s', key, access.toString(16), shareAccess.toString(16), conflict.owner);
+    return ntstatus.STATUS_SHARING_VIOLATION;
+  }
+  this.opens[key] = this.opens[key] || [];
+  this.opens[key].push({
+    owner: owner,
+    access: access,
+    shareAccess: shareAccess
+  });
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Moves an open to another key (e.g. when the file has been renamed).
+ *
+ * @param {String} oldKey file key
+ * @param {String} newKey new file key
+ * @param {*} owner
+ */
+ShareModeManager.prototype.move = function (oldKey, newKey, owner) {
+  var open = this.getOpen(oldKey, owner);
+  if (!open) {
+    return;
+  }
+  _.pull(this.opens[oldKey], open);
+  if (!this.opens[oldKey].length) {
+    delete this.opens[oldKey];
+  }
+  this.opens[newKey] = (this.opens[newKey] || []).concat(open);
+};
+
+/**
+ * Returns true if the file has been opened by another owner.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @return {Boolean}
+ */
+ShareModeManager.prototype.hasOtherOpens = function (key, owner) {
+  return _.some(this.opens[key], function (open) {
+    return open.owner !== owner;
+  });
+};
+
+/**
+ * Returns true if another open of the file has been granted write access.
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @return {Boolean}
+ */
+ShareModeManager.prototype.hasOtherWriters = function (key, owner) {
+  return _.some(this.opens[key], function (open) {
+    return open.owner !== owner && !!(open.access & WRITE_ACCESS);
+  });
+};
+
+/**
+ * Marks a file as pending deletion: new opens of the file fail and the file
+ * is deleted once its last open is closed (see <code>close</code>).
+ *
+ * @param {String} key file key
+ */
+ShareModeManager.prototype.setDeletePending = function (key) {
+  this.deletePending[key] = true;
+};
+
+/**
+ * Returns true if a file is pending deletion.
+ *
+ * @param {String} key file key
+ * @return {Boolean}
+ */
+ShareModeManager.prototype.isDeletePending = function (key) {
+  return !!this.deletePending[key];
+};
+
+/**
+ * Unregisters an open (e.g. when a file is closed).
+ *
+ * @param {String} key file key
+ * @param {*} owner
+ * @return {Boolean} true if the file is pending deletion and this was its last open,
+ *                   i.e. the file has to be deleted now
+ */
+ShareModeManager.prototype.close = function (key, owner) {
+  if (this.opens[key]) {
+    this.opens[key] = _.reject(this.opens[key], { owner: owner });
+    if (!this.opens[key].length) {
+      delete this.opens[key];
+    }
+  }
+  if (this.deletePending[key] && !this.opens[key]) {
+    delete this.deletePending[key];
+    return true;
+  }
+  return false;
+};
+
+module.exports = ShareModeManager;
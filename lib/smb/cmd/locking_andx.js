@@ -14,12 +14,16 @@
 
 var put = require('put');
 var binary = require('binary');
+var Long = require('long');
+var async = require('async');
 var logger = require('winston').loggers.get('smb');
 var _ = require('lodash');
 
 var ntstatus = require('../../ntstatus');
 var SMB = require('../constants');
+var oplock = require('../oplock');
 var utils = require('../../utils');
+var SMBError = require('../../smberror');
 
 /**
  * SMB_COM_LOCKING_ANDX (0x24): This command is used to explicitly lock and/or
@@ -86,44 +90,215 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
-  // todo implement locking
+  function returnError(status) {
+    cb({
+      status: status,
+      params: utils.EMPTY_BUFFER,
+      data: utils.EMPTY_BUFFER
+    });
+  }
+
+  function returnSuccess() {
+    // params
+    var out = put();
+    out.word8(commandParams.readUInt8(0)) // andX next cmd id
+      .word8(0) // andX reserved
+      .word16le(commandParams.readUInt16LE(2));  // andX offset (needs to be recalculated by caller!)
+    var params = out.buffer();
 
-  // build result
+    // return result
+    cb({
+      status: ntstatus.STATUS_SUCCESS,
+      params: params,
+      data: utils.EMPTY_BUFFER
+    });
+  }
+
+  if (msg.typeOfLock & SMB.OPLOCK_RELEASE) {
+    // oplock break acknowledgement
+    file.acknowledgeOplockBreak(oplock.fromNewOpLockLevel(msg.newOpLockLevel));
+    if (!msg.unlocks.length && !msg.locks.length) {
+      // acknowledgements don't get a response (see MS-CIFS 2.2.4.32)
+      process.nextTick(function () { cb(null); });
+      return;
+    }
+  }
+
+  if (msg.typeOfLock & SMB.CHANGE_LOCKTYPE) {
+    // atomic lock type changes are not supported (see MS-CIFS 2.2.4.32)
+    process.nextTick(function () { returnError(ntstatus.STATUS_NOT_SUPPORTED); });
+    return;
+  }
+
+  if (msg.typeOfLock & SMB.CANCEL_LOCK) {
+    // cancel the outstanding lock requests of the FID and PID
+    _.forEach(_.filter(connection.pendingLocks, { fid: msg.fid, pid: msg.header.pid }), function (req) {
+      req.cancel(ntstatus.STATUS_CANCELLED);
+    });
+    process.nextTick(returnSuccess);
+    return;
+  }
 
-  // params
-  var out = put();
-  out.word8(commandParams.readUInt8(0)) // andX next cmd id
-    .word8(0) // andX reserved
-    .word16le(commandParams.readUInt16LE(2));  // andX offset (needs to be recalculated by caller!)
-  var params = out.buffer();
+  var exclusive = !(msg.typeOfLock & SMB.SHARED_LOCK);
+  // key of the pending request (NT_CANCEL identifies the request to be cancelled by PID and MID)
+  var key = msg.header.pid + ':' + msg.header.mid;
+  var timer = null;
+  // range currently waiting to be locked: function cancelling the wait and the range's callback
+  var waiting = null;
+  // completion status of a cancelled request (null: cancelled without response)
+  var cancelStatus;
 
-  // return result
-  result = {
-    status: ntstatus.STATUS_SUCCESS,
-    params: params,
-    data: utils.EMPTY_BUFFER
-  };
-  process.nextTick(function () { cb(result); });
+  // locks are owned by the combination of fid and the pid of the range (see MS-CIFS 2.2.4.32)
+  // unlocks are processed first; a failed unlock aborts the request (see MS-CIFS 2.2.4.32)
+  async.eachSeries(msg.unlocks,
+    function (range, callback) {
+      file.unlock(range.offset, range.length, range.pid, callback);
+    },
+    function (err) {
+      if (err) {
+        returnError(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+        return;
+      }
+      lockRanges();
+    }
+  );
+
+  /**
+   * Locks the requested ranges in order. If a range can't be locked the ranges locked
+   * by this request are unlocked again.
+   */
+  function lockRanges() {
+    var granted = [];
+    async.eachSeries(msg.locks,
+      function (range, callback) {
+        lockRange(range, function (err) {
+          if (!err) {
+            granted.push(range);
+          }
+          callback(err);
+        });
+      },
+      function (err) {
+        clearTimeout(timer);
+        delete connection.pendingLocks[key];
+        async.eachSeries(err ? granted : [],
+          function (range, callback) {
+            file.unlock(range.offset, range.length, range.pid, function () {
+              callback();
+            });
+          },
+          function () {
+            if (cancelStatus === null) {
+              // dropped on connection loss, there's no one left to respond to
+              return;
+            }
+            if (err) {
+              returnError(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+            } else {
+              returnSuccess();
+            }
+          }
+        );
+      }
+    );
+  }
+
+  /**
+   * Cancels the request if it's waiting for a lock to be granted.
+   *
+   * @param {Number} [status] completion status; if not specified no response is sent
+   */
+  function cancel(status) {
+    cancelStatus = status === undefined ? null : status;
+    if (waiting) {
+      var w = waiting;
+      waiting = null;
+      w.cancelWait();
+      w.callback(new SMBError(status || ntstatus.STATUS_CANCELLED));
+    }
+  }
+
+  /**
+   * Locks a single range. If the range is locked by someone else and the request specifies
+   * a timeout, the request waits until the lock can be granted or the timeout expires.
+   *
+   * @param {Object} range
+   * @param {Function} callback
+   */
+  function lockRange(range, callback) {
+    if (cancelStatus !== undefined) {
+      callback(new SMBError(cancelStatus || ntstatus.STATUS_CANCELLED));
+      return;
+    }
+    file.lock(range.offset, range.length, exclusive, false, range.pid, function (err) {
+      if (!err || err.status !== ntstatus.STATUS_LOCK_NOT_GRANTED || !msg.timeout) {
+        callback(err);
+        return;
+      }
+
+      if (!connection.pendingLocks[key]) {
+        // first wait of this request: register pending request and start the timer
+        connection.pendingLocks[key] = {
+          fid: msg.fid,
+          pid: msg.header.pid,
+          cancel: cancel
+        };
+        if (msg.timeout !== SMB.LOCK_WAIT_INDEFINITELY) {
+          timer = setTimeout(function () {
+            // the lock could not be granted within the specified period
+            cancel(ntstatus.STATUS_FILE_LOCK_CONFLICT);
+          }, msg.timeout);
+        }
+      }
+
+      waiting = {
+        callback: callback,
+        cancelWait: file.lock(range.offset, range.length, exclusive, true, range.pid, function (err) {
+          waiting = null;
+          callback(err);
+        })
+      };
+    });
+  }
 }
 
+/**
+ * Parses an array of LOCKING_ANDX_RANGE structures.
+ *
+ * @param {Object} parser
+ * @param {Number} count number of ranges
+ * @param {Boolean} largeFiles true if the 64-bit format is used
+ * @return {Object[]} array of ranges with pid, offset and length
+ */
 function parseRanges(parser, count, largeFiles) {
   var result = [];
+  var vars;
   while (count-- > 0) {
     if (largeFiles) {
       // 64bit offset & length
-      result.push(parser.word16le('pid')
+      vars = parser.word16le('pid')
         .skip(2)
         .word32le('byteOffsetHigh')
         .word32le('byteOffsetLow')
         .word32le('lengthInBytesHigh')
         .word32le('lengthInBytesLow')
-        .vars);
+        .vars;
+      result.push({
+        pid: vars.pid,
+        offset: Long.fromBits(vars.byteOffsetLow, vars.byteOffsetHigh, true),
+        length: Long.fromBits(vars.lengthInBytesLow, vars.lengthInBytesHigh, true)
+      });
     } else {
       // 32bit offset & length
-      result.push(parser.word16le('pid')
+      vars = parser.word16le('pid')
         .word32le('byteOffset')
         .word32le('lengthInBytes')
-        .vars);
+        .vars;
+      result.push({
+        pid: vars.pid,
+        offset: Long.fromNumber(vars.byteOffset, true),
+        length: Long.fromNumber(vars.lengthInBytes, true)
+      });
     }
   }
   return result;
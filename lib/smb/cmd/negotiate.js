@@ -12,7 +12,6 @@
 
 'use strict';
 
-var put = require('put');
 var binary = require('binary');
 var Long = require('long');
 var logger = require('winston').loggers.get('smb');
@@ -23,6 +22,7 @@ var utils = require('../../utils');
 var smb2 = require('../../smb2/handler');
 var smb2Message = require('../../smb2/message');
 var SMB2 = require('../../smb2/constants');
+var negotiation = require('../../smb2/negotiation');
 
 var ZERO = new Buffer([ 0 ]);
 
@@ -80,39 +80,29 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   var result;
 
   // SMB2 handshake?
-  if (!!server.config['smb2Support'] && msg.dialects.indexOf(SMB.DIALECT_SMB_2_X) > -1) {
+  var smb2Dialect = 0;
+  if (!!server.config['smb2Support']) {
+    if (msg.dialects.indexOf(SMB.DIALECT_SMB_2_X) > -1) {
+      // the client will follow up with a SMB2 NEGOTIATE request
+      smb2Dialect = SMB2.SMB_2_X_X;
+    } else if (msg.dialects.indexOf(SMB.DIALECT_SMB_2_002) > -1) {
+      smb2Dialect = SMB2.SMB_2_0_2;
+    }
+  }
+  if (smb2Dialect) {
     // handcraft an smb2 negotiate response
-    // todo refactor into reusable separate function
     var buf = new Buffer(SMB2.HEADER_LENGTH);
     buf.fill(0);
     var smb2Msg = smb2Message.decode(buf);
     smb2Msg.protocolId = SMB2.PROTOCOL_ID;
     smb2Msg.header.flags.reply = true;
     smb2Msg.header.commandId = SMB2.STRING_TO_COMMAND['negotiate'];
-    smb2Msg.header.creditReqRes = 1;
-
-    var systemTime = utils.systemToSMBTime(Date.now());
-    var startTime = utils.systemToSMBTime(server.getStartTime());
-    var securityBuffer = utils.EMPTY_BUFFER;
-    var out = put();
-    out.word16le(0x0041)  // StructureSize (fixed according to spec)
-      .word16le(0) // SecurityMode
-      .word16le(SMB2.SMB_2_X_X) // DialectRevision
-      .word16le(0)  // NegotiateContextCount/Reserved
-      .put(server.getGuid())  // ServerGuid
-      .word32le(0) // Capabilities
-      .word32le(0x00100000) // MaxTransactSize
-      .word32le(0x00100000) // MaxReadSize
-      .word32le(0x00100000) // MaxWriteSize
-      .word32le(systemTime.getLowBitsUnsigned())  // SystemTime
-      .word32le(systemTime.getHighBitsUnsigned())
-      .word32le(startTime.getLowBitsUnsigned())  // ServerStartTime
-      .word32le(startTime.getHighBitsUnsigned())
-      .word16le(SMB2.HEADER_LENGTH + 64)  // SecurityBufferOffset
-      .word16le(securityBuffer.length)  // SecurityBufferLength
-      .word32le(0)  // NegotiateContextOffset/Reserved2
-      .put(securityBuffer); // SecurityBuffer
-    smb2Msg.body = out.buffer();
+    // the SMB2 negotiate response implicitly uses MessageId 0
+    connection.sequenceWindow.consume(smb2Msg.header.messageId, 1);
+    smb2Msg.header.creditReqRes = connection.sequenceWindow.grant(1);
+
+    connection.dialect = smb2Dialect;
+    smb2Msg.body = negotiation.createResponseBody(server, smb2Dialect);
     smb2.sendResponse(smb2Msg, ntstatus.STATUS_SUCCESS, connection, server, function (err) {
       if (err) {
         logger.error('failed to send SMB2 negotiate response', err);
@@ -162,7 +152,11 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   params.writeUInt16LE(idx, offset);
   offset += 2;
   // SecurityMode
-  params.writeUInt8(SMB.NEGOTIATE_USER_SECURITY | SMB.NEGOTIATE_ENCRYPT_PASSWORDS, offset);
+  var securityMode = SMB.NEGOTIATE_USER_SECURITY | SMB.NEGOTIATE_ENCRYPT_PASSWORDS | SMB.NEGOTIATE_SECURITY_SIGNATURES_ENABLED;
+  if (server.config.signingRequired) {
+    securityMode |= SMB.NEGOTIATE_SECURITY_SIGNATURES_REQUIRED;
+  }
+  params.writeUInt8(securityMode, offset);
   offset += 1;
   // MaxMpxCount
   params.writeUInt16LE(MAX_MPX_COUNT, offset);
@@ -16,6 +16,7 @@ var put = require('put');
 var logger = require('winston').loggers.get('smb');
 
 var SMB = require('../constants');
+var ntstatus = require('../../ntstatus');
 
 /**
  * SMB_COM_NT_CANCEL (0xA4): This command allows a client to request that a currently pending request be canceled.
@@ -44,6 +45,10 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   if (tree) {
     tree.cancelChangeListener(msg.header.mid);
   }
+  var pendingLock = connection.pendingLocks[msg.header.pid + ':' + msg.header.mid];
+  if (pendingLock) {
+    pendingLock.cancel(ntstatus.STATUS_CANCELLED);
+  }
 
   // "The server MUST NOT send a corresponding response for this request."
   // no further processing required by the caller
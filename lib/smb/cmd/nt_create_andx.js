@@ -21,6 +21,7 @@ var async = require('async');
 var ntstatus = require('../../ntstatus');
 var common = require('../../common');
 var SMB = require('../constants');
+var oplock = require('../oplock');
 var utils = require('../../utils');
 
 // flags
@@ -96,17 +97,42 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   }
 
   // todo evaluate/handle rootDirectoryFID
-  // todo evaluate/handle flags, desiredAccess, extFileAttributes and shareAccess according to the CIFS spec
+  // todo evaluate/handle flags and extFileAttributes according to the CIFS spec
 
   function getFile(callback) {
     if (msg.rootDirectoryFID) {
       var parent = tree.getFile(msg.rootDirectoryFID);
       // todo evaluate/handle rootDirectoryFID, i.e. resolve filename relative to specified parent directory
     }
-    tree.openOrCreate(msg.fileName, msg.createDisposition, !!(msg.createOptions & common.FILE_DIRECTORY_FILE), callback);
+    // the open fails with STATUS_SHARING_VIOLATION if it conflicts with the share access of other opens,
+    // the create options are applied by the tree
+    tree.openOrCreate(msg.fileName, msg.createDisposition, msg.createOptions, msg.desiredAccess, msg.shareAccess, callback);
   }
 
-  function buildResult(file, callback) {
+  function acquireOplock(file, callback) {
+    var level = common.OPLOCK_LEVEL_NONE;
+    if (!tree.getShare().isNamedPipe()) {
+      if (msg.flags & NT_CREATE_REQUEST_OPBATCH) {
+        level = common.OPLOCK_LEVEL_BATCH;
+      } else if (msg.flags & NT_CREATE_REQUEST_OPLOCK) {
+        level = common.OPLOCK_LEVEL_EXCLUSIVE;
+      }
+    }
+    var session = server.getSession(msg.header.uid);
+    var levelIISupported = !!(session && session.client && session.client.capabilities & SMB.CAP_LEVEL2_OPLOCKS);
+    var tid = msg.header.tid;
+    // the response is delayed until conflicting oplocks of other opens have been broken
+    file.acquireOplock(level, levelIISupported,
+      function (newLevel) {
+        oplock.sendBreakNotification(connection, tid, file.fid, newLevel);
+      },
+      function (grantedLevel) {
+        callback(null, file, grantedLevel);
+      }
+    );
+  }
+
+  function buildResult(file, oplockLevel, callback) {
     var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
     var smbLastModified = utils.systemToSMBTime(file.getLastModifiedTime());
     var smbLastAccessed = utils.systemToSMBTime(file.getLastAccessedTime());
@@ -117,7 +143,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     out.word8(commandParams.readUInt8(0)) // andX next cmd id
       .word8(0) // andX reserved
       .word16le(commandParams.readUInt16LE(2))  // andX offset (needs to be recalculated by caller!)
-      .word8(msg.flags & NT_CREATE_REQUEST_OPBATCH ? 2 : 0)  // OpLockLevel
+      .word8(oplock.toOpLockLevel(oplockLevel))  // OpLockLevel
       .word16le(file.fid) // FID
       .word32le(file.getCreateAction()) // CreateDisposition
       .word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
@@ -162,7 +188,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     callback(null, result);
   }
 
-  async.waterfall([ getFile, buildResult ], function (err, result) {
+  async.waterfall([ getFile, acquireOplock, buildResult ], function (err, result) {
     if (err) {
       logger.debug(msg.fileName, err.message ? err.message : err);
       cb({
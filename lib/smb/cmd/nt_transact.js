@@ -133,11 +133,11 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       // by an out-of-band response with the change notification at some later point in time.
       handler(msg, msg.subCommandId, subParams, subData, msg.parameterOffset, msg.dataOffset, connection, server, function (result) {
         var res = buildResponse(result);
-        if (res && res.status === ntstatus.STATUS_SUCCESS) {
+        if (res && (res.status === ntstatus.STATUS_SUCCESS || res.status === ntstatus.STATUS_NOTIFY_ENUM_DIR)) {
           // send out-of-band response (one shot notification)
           msg.commands[0].params = res.params;
           msg.commands[0].data = res.data;
-          smb.sendResponse(msg, ntstatus.STATUS_SUCCESS, connection, server, function (err) {
+          smb.sendResponse(msg, res.status, connection, server, function (err) {
             if (err) {
               logger.error('[%s] failed to send notification response', subCommand.toUpperCase(), err);
             }
@@ -0,0 +1,94 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+var binary = require('binary');
+
+var ntstatus = require('../../../ntstatus');
+var common = require('../../../common');
+var SMB = require('../../constants');
+var copychunk = require('../../../copychunk');
+var utils = require('../../../utils');
+
+/**
+ * NT_TRANSACT_IOCTL (0x0002): This command allows device and file system control functions
+ * to be transferred transparently from client to server. Only the server-side copy FSCTLs
+ * (FSCTL_SRV_REQUEST_RESUME_KEY, FSCTL_SRV_COPYCHUNK) are supported.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} commandParams - the command parameters
+ * @param {Buffer} commandData - the command data
+ * @param {Number} commandParamsOffset - the command parameters offset within the SMB
+ * @param {Number} commandDataOffset - the command data offset within the SMB
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result params and data
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.params
+ * @param {Buffer} cb.result.data
+ */
+function handle(msg, commandId, commandParams, commandData, commandParamsOffset, commandDataOffset, connection, server, cb) {
+  // decode setup
+  var setup = binary.parse(msg.setup)
+    .word32le('functionCode')
+    .word16le('fid')
+    .word8('isFsctl')
+    .word8('isFlags')
+    .vars;
+
+  var tree = server.getTree(msg.header.tid);
+  var file = tree && tree.getFile(setup.fid);
+
+  logger.debug('[%s] functionCode: 0x%s, fid: %d [fileName: %s], isFsctl: %d', SMB.NTTRANS_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), setup.functionCode.toString(16), setup.fid, file ? file.getName() : null, setup.isFsctl);
+
+  function done(status, data) {
+    cb({
+      status: status,
+      params: utils.EMPTY_BUFFER,
+      data: data || utils.EMPTY_BUFFER
+    });
+  }
+
+  if (!tree) {
+    process.nextTick(function () { done(ntstatus.STATUS_SMB_BAD_TID); });
+    return;
+  }
+  if (!file) {
+    process.nextTick(function () { done(ntstatus.STATUS_SMB_BAD_FID); });
+    return;
+  }
+  if (!setup.isFsctl) {
+    process.nextTick(function () { done(ntstatus.STATUS_NOT_SUPPORTED); });
+    return;
+  }
+
+  switch (setup.functionCode) {
+    case common.FSCTL_SRV_REQUEST_RESUME_KEY:
+      process.nextTick(function () { done(ntstatus.STATUS_SUCCESS, copychunk.serializeResumeKey(file.getResumeKey())); });
+      break;
+    case common.FSCTL_SRV_COPYCHUNK:
+    case common.FSCTL_SRV_COPYCHUNK_WRITE:
+      copychunk.copyChunks(server, file, commandData, done);
+      break;
+    default:
+      logger.error('encountered unsupported FSCTL 0x%s', setup.functionCode.toString(16));
+      process.nextTick(function () { done(ntstatus.STATUS_NOT_SUPPORTED); });
+  }
+}
+
+module.exports = handle;
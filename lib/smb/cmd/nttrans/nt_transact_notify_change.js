@@ -12,19 +12,15 @@
 
 'use strict';
 
-var put = require('put');
 var logger = require('winston').loggers.get('smb');
 var binary = require('binary');
 
 var ntstatus = require('../../../ntstatus');
 var common = require('../../../common');
 var SMB = require('../../constants');
+var notifyInfo = require('../../notifyInformation');
 var utils = require('../../../utils');
 
-// Size of <code>FILE_NOTIFY_INFORMATION_SIZE</code> (without file name).
-// (see https://msdn.microsoft.com/en-us/library/dn392331.aspx?f=255&MSPPError=-2147217396)
-var FILE_NOTIFY_INFORMATION_SIZE = 12;
-
 /**
  * NT_TRANSACT_NOTIFY_CHANGE (0x0004): This command notifies the client when the directory, specified by FID, is modified.
  * It also returns the names of all file system objects that changed, and the ways in which they were modified..
@@ -84,8 +80,8 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
-  tree.registerChangeListener(msg.header.mid, file, !!setup.watchTree, setup.completionFilter, function (action, oldName, newName) {
-    onChange(action, oldName, newName, cb);
+  tree.registerChangeListener(msg.header.mid, file, !!setup.watchTree, setup.completionFilter, function (changes) {
+    onChange(changes, msg.maxParameterCount, cb);
   });
 
   // invoke 'empty' callback; a potential notification response will be sent at some later point in time
@@ -93,80 +89,33 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
 }
 
 /**
- * Event handler notified when some file changes in a watched directory
+ * Event handler notified when some files change in a watched directory
  *
- * @param {Number} action - file action
- * @param {String} name - name of file that changed
- * @param {String} [newName] - optional, new name if this was a rename
+ * @param {Object[]} changes - changes (action and name of file that changed)
+ *                             or null if the client has to enumerate the directory
+ * @param {Number} maxParameterCount - max. length of the response parameters
  * @param {Function} cb callback called with the command's result
  */
-function onChange(action, name, newName, cb) {
-  var paramsOut, fileNameBytes, nextEntryOffset, pad;
-  switch (action) {
-    case common.FILE_ACTION_ADDED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_REMOVED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_MODIFIED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_RENAMED_OLD_NAME:
-    case common.FILE_ACTION_RENAMED_NEW_NAME:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      paramsOut = put()
-        .word32le(0) // NextEntryOffset
-        .word32le(action) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-    case common.FILE_ACTION_RENAMED:
-      fileNameBytes = new Buffer(name, 'utf16le');
-      nextEntryOffset = FILE_NOTIFY_INFORMATION_SIZE + fileNameBytes.length;
-      pad = utils.calculatePadLength(nextEntryOffset, 4);
-      nextEntryOffset += pad;
-      paramsOut = put()
-        .word32le(nextEntryOffset) // NextEntryOffset
-        .word32le(common.FILE_ACTION_RENAMED_OLD_NAME) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes) // FileName
-        .pad(pad);
-      fileNameBytes = new Buffer(newName, 'utf16le');
-      paramsOut.word32le(0) // NextEntryOffset
-        .word32le(common.FILE_ACTION_RENAMED_NEW_NAME) // Action
-        .word32le(fileNameBytes.length) // FileNameLength
-        .put(fileNameBytes); // FileName
-      break;
-  }
-  if (paramsOut) {
-    if (action === common.FILE_ACTION_RENAMED) {
-      logger.debug('[NT_TRANSACT_NOTIFY_CHANGE][%s] name: %s, newName: %s', common.FILE_ACTION_TO_STRING[action].toUpperCase(), name, newName);
-    } else {
-      logger.debug('[NT_TRANSACT_NOTIFY_CHANGE][%s] name: %s', common.FILE_ACTION_TO_STRING[action].toUpperCase(), name);
-    }
-    var result = {
-      status: ntstatus.STATUS_SUCCESS,
-      params: paramsOut.buffer(),
+function onChange(changes, maxParameterCount, cb) {
+  var paramsOut = changes && notifyInfo.serialize(changes);
+  if (!paramsOut || paramsOut.length > maxParameterCount) {
+    // the client has to enumerate the directory in order to find out what changed
+    logger.debug('[NT_TRANSACT_NOTIFY_CHANGE] too many changes, client has to enumerate the directory');
+    cb({
+      status: ntstatus.STATUS_NOTIFY_ENUM_DIR,
+      params: utils.EMPTY_BUFFER,
       data: utils.EMPTY_BUFFER
-    };
-    cb(result);
+    });
+    return;
   }
+  changes.forEach(function (change) {
+    logger.debug('[NT_TRANSACT_NOTIFY_CHANGE][%s] name: %s', common.FILE_ACTION_TO_STRING[change.action].toUpperCase(), change.name);
+  });
+  cb({
+    status: ntstatus.STATUS_SUCCESS,
+    params: paramsOut,
+    data: utils.EMPTY_BUFFER
+  });
 }
 
 module.exports = handle;
@@ -21,6 +21,7 @@ var ntlm = require('../../ntlm');
 var ntlmssp = require('../../ntlmssp');
 var ntstatus = require('../../ntstatus');
 var SMB = require('../constants');
+var signing = require('../signing');
 var utils = require('../../utils');
 
 /**
@@ -162,6 +163,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       msg.primaryDomain = authMsg.domain;
       msg.caseInsensitivePassword = authMsg.lmResponse;
       msg.caseSensitivePassword = authMsg.ntResponse;
+      msg.authMsg = authMsg;
       // fall through
     }
   }
@@ -179,8 +181,38 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
 
     session.client = {
       nativeOS: msg.nativeOS,
-      nativeLanMan: msg.nativeLanMan
+      nativeLanMan: msg.nativeLanMan,
+      capabilities: msg.capabilities
     };
+    connection.sessions[session.uid] = session;
+
+    // activate signing with the first authenticated (non-anonymous) session (see MS-CIFS 3.3.5.3)
+    var anonymous = !msg.accountName && !msg.caseSensitivePassword.length;
+    if (!connection.smb1MacKey && (msg.header.flags.security.signature.enabled || server.config.signingRequired)) {
+      var keyExchangeKey = null;
+      if (session.sessionKey && !anonymous) {
+        keyExchangeKey = extendedSecurity
+          ? ntlmssp.calculateKeyExchangeKey(msg.authMsg.flags, session.sessionKey, login.challenge, msg.authMsg.lmResponse, msg.authMsg.ntResponse)
+          : session.sessionKey;
+      }
+      if (keyExchangeKey) {
+        if (extendedSecurity) {
+          session.sessionKey = ntlmssp.calculateExportedSessionKey(msg.authMsg.flags, keyExchangeKey, msg.authMsg.encryptedRandomSessionKey);
+          connection.smb1MacKey = signing.createMacKey(session.sessionKey);
+        } else {
+          connection.smb1MacKey = signing.createMacKey(session.sessionKey, msg.caseSensitivePassword);
+        }
+        // this request has sequence number 0, its response is signed with sequence number 1
+        msg.sequenceNumber = 0;
+        connection.smb1SequenceNumber = 2;
+      } else if (server.config.signingRequired) {
+        // signing is required but we don't have a session key
+        logger.warn('[%s] failed to setup session: signing required but no session key available', SMB.COMMAND_TO_STRING[commandId].toUpperCase());
+        session.logoff();
+        cb(buildResult(ntstatus.STATUS_ACCESS_DENIED, 0, extendedSecurity, securityBlob));
+        return;
+      }
+    }
 
     // build response
     cb(buildResult(ntstatus.STATUS_SUCCESS, session.uid, extendedSecurity, securityBlob));
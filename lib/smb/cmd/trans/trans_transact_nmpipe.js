@@ -12,34 +12,12 @@
 
 'use strict';
 
-var path = require('path');
-var fs = require('fs');
 var logger = require('winston').loggers.get('smb');
 
 var ntstatus = require('../../../ntstatus');
 var SMB = require('../../constants');
 var utils = require('../../../utils');
-var RPC = require('../../../dcerpc/constants');
-var packet = require('../../../dcerpc/packet');
-
-var pduHandlers = {};
-
-function loadPDUHandlers() {
-  var p = path.join(__dirname, '../../../dcerpc/pdu');
-  var files = fs.readdirSync(p);
-  for (var i = 0; i < files.length; i++) {
-    var f = files[i];
-    var stat = fs.statSync(path.resolve(p, f));
-    if (stat.isDirectory()) {
-      continue;
-    }
-    if (f.substr(-3) === '.js') {
-      f = f.slice(0, -3);
-      pduHandlers[f] = require(path.resolve(p, f));
-    }
-  }
-}
-loadPDUHandlers();
+var dcerpc = require('../../../dcerpc/handler');
 
 /**
  * TRANS_TRANSACT_NMPIPE (0x0026):
@@ -94,71 +72,22 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
-  // decode PDU
-  var hdr = packet.parseCommonHeaderFields(commandData);
-  if (!hdr.firstFrag || !hdr.lastFrag) {
-    // fragmented PDU
-    logger.error('encountered fragmented', hdr.type.toString(16));
-    result = {
-      status: ntstatus.STATUS_INVALID_SMB,
-      params: utils.EMPTY_BUFFER,
-      data: utils.EMPTY_BUFFER
-    };
-    process.nextTick(function () { cb(result); });
-    return;
-  }
-  var pdu = RPC.PDUTYPE_TO_STRING[hdr.type];
-  if (!pdu) {
-    logger.error('encountered invalid PDU type 0x%s', hdr.type.toString(16));
-    result = {
-      status: ntstatus.STATUS_INVALID_SMB,
-      params: utils.EMPTY_BUFFER,
-      data: utils.EMPTY_BUFFER
-    };
-    process.nextTick(function () { cb(result); });
-    return;
-  }
-  if (!hdr.firstFrag || !hdr.lastFrag) {
-    // fragmented PDU
-    // todo support fragmented PDUs
-    logger.error('encountered fragmented PDU %s', pdu);
-    result = {
-      status: ntstatus.STATUS_NOT_IMPLEMENTED,
-      params: utils.EMPTY_BUFFER,
-      data: utils.EMPTY_BUFFER
-    };
-    process.nextTick(function () { cb(result); });
-    return;
-  }
-
-  // invoke PDU handler
-  var handler = pduHandlers[pdu];
-  if (handler) {
-    handler(hdr, commandData, file, server, function (err, response) {
-      if (err) {
-        result = {
-          status: ntstatus.STATUS_UNSUCCESSFUL,
-          params: utils.EMPTY_BUFFER,
-          data: utils.EMPTY_BUFFER
-        };
-      } else {
-        result = {
-          status: ntstatus.STATUS_SUCCESS,
-          params: utils.EMPTY_BUFFER,
-          data: response
-        };
-      }
-      cb(result);
-    });
-  } else {
-    logger.error('encountered unsupported PDU type 0x%s \'%s\'', hdr.type.toString(16), pdu.toUpperCase());
-    result = {
-      status: ntstatus.STATUS_NOT_IMPLEMENTED,
-      params: utils.EMPTY_BUFFER,
-      data: utils.EMPTY_BUFFER
-    };
+  dcerpc.handlePDU(commandData, file, server, function (err, response) {
+    if (err) {
+      result = {
+        status: err.status,
+        params: utils.EMPTY_BUFFER,
+        data: utils.EMPTY_BUFFER
+      };
+    } else {
+      result = {
+        status: ntstatus.STATUS_SUCCESS,
+        params: utils.EMPTY_BUFFER,
+        data: response
+      };
+    }
     cb(result);
-  }
+  });
 }
 
 module.exports = handle;
@@ -82,21 +82,22 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
     return;
   }
 
-  var serializeResult = infoLevel.serialize(file, informationLevel);
-  if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
-    result = {
-      status: serializeResult.status,
-      params: utils.EMPTY_BUFFER,
-      data: utils.EMPTY_BUFFER
-    };
-  } else {
-    result = {
-      status: serializeResult.status,
-      params: informationLevel >= SMB.QUERY_FILE_BASIC_INFO ? new Buffer([ 0x00, 0x00 ]) : utils.EMPTY_BUFFER,
-      data: serializeResult.buffer
-    };
-  }
-  process.nextTick(function () { cb(result); });
+  infoLevel.query(file, informationLevel, function (serializeResult) {
+    if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
+      result = {
+        status: serializeResult.status,
+        params: utils.EMPTY_BUFFER,
+        data: utils.EMPTY_BUFFER
+      };
+    } else {
+      result = {
+        status: serializeResult.status,
+        params: informationLevel >= SMB.QUERY_FILE_BASIC_INFO ? new Buffer([ 0x00, 0x00 ]) : utils.EMPTY_BUFFER,
+        data: serializeResult.buffer
+      };
+    }
+    cb(result);
+  });
 }
 
 module.exports = handle;
@@ -79,20 +79,21 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   }
 
   function buildResult(file, callback) {
-   var serializeResult = infoLevel.serialize(file, informationLevel);
-    if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
-      callback(null, file, {
-        status: serializeResult.status,
-        params: utils.EMPTY_BUFFER,
-        data: utils.EMPTY_BUFFER
-      });
-    } else {
-      callback(null, file, {
-        status: serializeResult.status,
-        params: informationLevel >= SMB.QUERY_FILE_BASIC_INFO ? new Buffer([ 0x00, 0x00 ]) : utils.EMPTY_BUFFER,
-        data: serializeResult.buffer
-      });
-    }
+    infoLevel.query(file, informationLevel, function (serializeResult) {
+      if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
+        callback(null, file, {
+          status: serializeResult.status,
+          params: utils.EMPTY_BUFFER,
+          data: utils.EMPTY_BUFFER
+        });
+      } else {
+        callback(null, file, {
+          status: serializeResult.status,
+          params: informationLevel >= SMB.QUERY_FILE_BASIC_INFO ? new Buffer([ 0x00, 0x00 ]) : utils.EMPTY_BUFFER,
+          data: serializeResult.buffer
+        });
+      }
+    });
   }
 
   function closeFile(file, result, callback) {
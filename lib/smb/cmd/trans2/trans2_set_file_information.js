@@ -14,11 +14,10 @@
 
 var Path = require('path');
 
-var put = require('put');
 var logger = require('winston').loggers.get('smb');
-var Long = require('long');
 
 var ntstatus = require('../../../ntstatus');
+var setInfoLevel = require('../../setInformationLevel');
 var SMB = require('../../constants');
 var utils = require('../../../utils');
 
@@ -85,7 +84,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
   }
 
   var eaErrorOffset = new Buffer([ 0x00, 0x00 ]);
-  var msLastAccess, msCreation, msLastWrite, msChange;
+  var msLastAccess, msCreation, msLastWrite;
 
   switch (informationLevel) {
     case SMB.SET_INFO_STANDARD:
@@ -118,7 +117,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
         params: eaErrorOffset,  // EaErrorOffset
         data: utils.EMPTY_BUFFER
       };
-      callback(null, file, result);
+      process.nextTick(function () { cb(result); });
       return;
 
     case SMB.SET_INFO_EAS:
@@ -136,62 +135,14 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       return;
 
     case SMB.SET_FILE_BASIC_INFO:
-      // on OS-X the timestamp value is sometimes -2082844800000 (1904-01-01T00:00:00.000Z) which is the epoch used by GetDateTime() ... ?!
-      off = 0;
-      msCreation = utils.readTimestamp(commandData, off);
-      off += 8;
-      msLastAccess = utils.readTimestamp(commandData, off);
-      off += 8;
-      msLastWrite = utils.readTimestamp(commandData, off);
-      off += 8;
-      msChange = utils.readTimestamp(commandData, off);
-      off += 8;
-      var extFileAttributes = commandData.readUInt32LE(off);
-      off += 4;
-      // todo implement according to https://msdn.microsoft.com/en-us/library/ff469851.aspx
-      if (msCreation && msCreation !== -1) {
-        // set created
-      }
-      if (msLastAccess && msLastAccess !== -1) {
-        // set lastAccessed
-      }
-      if (msLastWrite && msLastWrite !== -1) {
-        // set lastModified
-        file.setLastModifiedTime(msLastWrite);
-      }
-      if (msChange && msChange !== -1) {
-        // set changed
-      }
-
-      logger.debug('[%s] informationLevel: %s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d, changeTime: %d, extFileAttributes: %s', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), fileName, msCreation, msLastAccess, msLastWrite, msChange, extFileAttributes.toString(2));
-
-      result = {
-        status: ntstatus.STATUS_SUCCESS,
-        params: eaErrorOffset,  // EaErrorOffset
-        data: utils.EMPTY_BUFFER
-      };
-      process.nextTick(function () { cb(result); });
-      return;
-
+    case SMB.FILE_BASIC_INFORMATION:
     case SMB.SET_FILE_DISPOSITION_INFO:
     case SMB.FILE_DISPOSITION_INFORMATION:
-      var deletePending = !!commandData.readUInt8(0);
-      if (deletePending) {
-        logger.debug('%s, fid: %d [fileName: %s], deletePending: %d', SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel], fid, fileName, deletePending);
-        file.setDeleteOnClose();
-      }
-      result = {
-        status: ntstatus.STATUS_SUCCESS,
-        params: eaErrorOffset,  // EaErrorOffset
-        data: utils.EMPTY_BUFFER
-      };
-      process.nextTick(function () { cb(result); });
-      return;
-
     case SMB.SET_FILE_END_OF_FILE_INFO:
     case SMB.FILE_END_OF_FILE_INFORMATION:
-      var endOfFile = Long.fromBits(commandData.readUInt32LE(0), commandData.readUInt32LE(4), true).toNumber();
-      file.setLength(endOfFile, function (err) {
+    case SMB.SET_FILE_ALLOCATION_INFO:
+    case SMB.FILE_ALLOCATION_INFORMATION:
+      setInfoLevel.apply(file, informationLevel, commandData, function (err) {
         if (err) {
           logger.error(err);
           result = {
@@ -210,39 +161,6 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       });
       return;
 
-    case SMB.SET_FILE_ALLOCATION_INFO:
-    case SMB.FILE_ALLOCATION_INFORMATION:
-      var allocationSize = Long.fromBits(commandData.readUInt32LE(0), commandData.readUInt32LE(4), true).toNumber();
-      if (!allocationSize && file.size()) {
-        file.setLength(0, function (err) {
-          if (err) {
-            logger.error(err);
-            result = {
-              status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
-              params: utils.EMPTY_BUFFER,
-              data: utils.EMPTY_BUFFER
-            };
-          } else {
-            result = {
-              status: ntstatus.STATUS_SUCCESS,
-              params: eaErrorOffset,  // EaErrorOffset
-              data: utils.EMPTY_BUFFER
-            };
-          }
-          cb(result);
-        });
-      } else {
-        // todo support setting allocationSize > 0
-        // for now silently ignore
-        result = {
-          status: ntstatus.STATUS_SUCCESS,
-          params: eaErrorOffset,  // EaErrorOffset
-          data: utils.EMPTY_BUFFER
-        };
-        process.nextTick(function () { cb(result); });
-      }
-      return;
-
     case SMB.FILE_RENAME_INFORMATION:
       off = 0;
       var replaceIfExists = commandData.readUInt8(off);
@@ -258,7 +176,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       var targetName = utils.extractUnicodeBytes(commandData, off).toString('utf16le');
       var targetPath = Path.join(utils.getParentPath(file.getPath()), targetName);
       logger.debug('%s, fid: %d [fileName: %s], replaceIfExists: %d, rootDirectoryHandle: %d, fileNameLength: %d, targetName: %s', SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel], fid, fileName, replaceIfExists, rootDirectory, fileNameLength, targetName);
-      tree.rename(file, targetPath, function (err) {
+      setInfoLevel.rename(tree, file, targetPath, !!replaceIfExists, function (err) {
         cb({
           status: err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS,
           params: utils.EMPTY_BUFFER,
@@ -17,6 +17,7 @@ var logger = require('winston').loggers.get('smb');
 var async = require('async');
 
 var ntstatus = require('../../../ntstatus');
+var setInfoLevel = require('../../setInformationLevel');
 var SMB = require('../../constants');
 var utils = require('../../../utils');
 
@@ -79,7 +80,7 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
 
   function processFile(file, callback) {
     var eaErrorOffset = new Buffer([ 0x00, 0x00 ]);
-    var msLastAccess, msCreation, msLastWrite, msChange;
+    var msLastAccess, msCreation, msLastWrite;
 
     switch (informationLevel) {
       case SMB.SET_INFO_STANDARD:
@@ -132,41 +133,14 @@ function handle(msg, commandId, commandParams, commandData, commandParamsOffset,
       case SMB.SET_FILE_BASIC_INFO:
       case SMB.FILE_BASIC_INFORMATION:
         // CIFS spec: SET_FILE_BASIC_INFO is not supported for TRANS2_SET_PATH_INFORMATION...
-        // on OS-X the timestamp value is sometimes -2082844800000 (1904-01-01T00:00:00.000Z) which is the epoch used by GetDateTime() ... ?!
-        off = 0;
-        msCreation = utils.readTimestamp(commandData, off);
-        off += 8;
-        msLastAccess = utils.readTimestamp(commandData, off);
-        off += 8;
-        msLastWrite = utils.readTimestamp(commandData, off);
-        off += 8;
-        msChange = utils.readTimestamp(commandData, off);
-        off += 8;
-        var extFileAttributes = commandData.readUInt32LE(off);
-        off += 4;
-        // todo implement according to https://msdn.microsoft.com/en-us/library/ff469851.aspx
-        if (msCreation && msCreation !== -1) {
-          // set created
-        }
-        if (msLastAccess && msLastAccess !== -1) {
-          // set lastAccessed
-        }
-        if (msLastWrite && msLastWrite !== -1) {
-          // set lastModified
-          file.setLastModifiedTime(msLastWrite);
-        }
-        if (msChange && msChange !== -1) {
-          // set changed
-        }
-
-        logger.debug('[%s] informationLevel: %s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d, changeTime: %d, extFileAttributes: %s', SMB.TRANS2_SUBCOMMAND_TO_STRING[commandId].toUpperCase(), SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16), fileName, msCreation, msLastAccess, msLastWrite, msChange, extFileAttributes.toString(2));
-
-        result = {
-          status: ntstatus.STATUS_SUCCESS,
-          params: eaErrorOffset,  // EaErrorOffset
-          data: utils.EMPTY_BUFFER
-        };
-        callback(null, file, result);
+        setInfoLevel.apply(file, informationLevel, commandData, function (err) {
+          result = {
+            status: err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS,
+            params: err ? utils.EMPTY_BUFFER : eaErrorOffset,  // EaErrorOffset
+            data: utils.EMPTY_BUFFER
+          };
+          callback(null, file, result);
+        });
         return;
 
       default:
@@ -272,11 +272,22 @@ consts.QUERY_FS_VOLUME_INFO = 0x0102;  // Query the creation timestamp, serial n
 consts.QUERY_FS_SIZE_INFO = 0x0103;  // Query 64-bit file system allocation unit information.
 consts.QUERY_FS_DEVICE_INFO = 0x0104;  // Query a file system's underlying device type and characteristics.
 consts.QUERY_FS_ATTRIBUTE_INFO = 0x0105;  // Query file system attributes.
+// NT passthrough levels: INFO_PASSTHROUGH + native level
+// (see https://msdn.microsoft.com/en-us/library/cc232083.aspx)
+consts.FILE_FS_VOLUME_INFORMATION = 1001;
+consts.FILE_FS_LABEL_INFORMATION = 1002;
+consts.FILE_FS_SIZE_INFORMATION = 1003;
+consts.FILE_FS_DEVICE_INFORMATION = 1004;
+consts.FILE_FS_ATTRIBUTE_INFORMATION = 1005;
+consts.FILE_FS_CONTROL_INFORMATION = 1006;
+consts.FILE_FS_FULL_SIZE_INFORMATION = 1007;
+consts.FILE_FS_OBJECTID_INFORMATION = 1008;
+consts.FILE_FS_SECTOR_SIZE_INFORMATION = 1011;
 
 consts.QUERY_FS_INFORMATION_LEVEL_TO_STRING = _.reduce(
   consts,
   function (result, val, nm) {
-    if (nm.indexOf('QUERY_FS_') === 0) {
+    if (nm.indexOf('QUERY_FS_') === 0 || nm.indexOf('FILE_FS_') === 0) {
       result[val] = nm;
     }
     return result;
@@ -545,6 +556,25 @@ consts.CHANGE_LOCKTYPE = 0x04; // Request to atomically change the lock type fro
 consts.CANCEL_LOCK = 0x08; // Request to cancel all outstanding lock requests for the specified FID and PID.<40>
 consts.LARGE_FILES = 0x10; // Indicates that the LOCKING_ANDX_RANGE format is the 64-bit file offset version. If this flag is not set, then the LOCKING_ANDX_RANGE format is the 32-bit file offset version.
 
+/**
+ * OpLock levels (NT_CREATE_ANDX response)
+ */
+consts.OPLOCK_NONE = 0x00;  // No OpLock granted.
+consts.OPLOCK_EXCLUSIVE = 0x01; // Exclusive OpLock granted.
+consts.OPLOCK_BATCH = 0x02; // Batch OpLock granted.
+consts.OPLOCK_LEVEL_II = 0x03;  // Level II OpLock granted.
+
+/**
+ * New OpLock levels (OpLock Break Notification)
+ */
+consts.OPLOCK_BREAK_TO_NONE = 0x00; // The client no longer holds an OpLock.
+consts.OPLOCK_BREAK_TO_LEVEL_II = 0x01; // The client holds a Level II OpLock.
+
+/**
+ * Lock timeouts
+ */
+consts.LOCK_WAIT_INDEFINITELY = 0xffffffff; // Wait until the lock is granted.
+
 /**
  * security mode
  */
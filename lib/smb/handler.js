@@ -22,6 +22,7 @@ var domain = require('domain');
 var ntstatus = require('../ntstatus');
 var message = require('./message');
 var SMB = require('./constants');
+var signing = require('./signing');
 
 var cmdHandlers = {};
 
@@ -72,6 +73,27 @@ function handleRequest(msgBuf, connection, server, cb) {
   });
 }
 
+/**
+ * Returns true if the server responds to the given request. NT_CANCEL requests and
+ * oplock break acknowledgements (LOCKING_ANDX requests with the OPLOCK_RELEASE flag
+ * and no lock ranges) don't get a response (see MS-CIFS 3.3.5.2 and 2.2.4.32).
+ *
+ * @param {message} msg - decoded message
+ * @return {Boolean}
+ */
+function expectsResponse(msg) {
+  if (msg.header.command === 'nt_cancel') {
+    return false;
+  }
+  if (msg.header.command === 'locking_andx' && msg.params.length >= 16) {
+    var typeOfLock = msg.params.readUInt8(6);
+    var numberOfRequestedUnlocks = msg.params.readUInt16LE(12);
+    var numberOfRequestedLocks = msg.params.readUInt16LE(14);
+    return !(typeOfLock & SMB.OPLOCK_RELEASE) || numberOfRequestedUnlocks > 0 || numberOfRequestedLocks > 0;
+  }
+  return true;
+}
+
 /**
  * Handle binary CIFS/SMB 1.0 message
  *
@@ -81,6 +103,22 @@ function handleRequest(msgBuf, connection, server, cb) {
  * @param {Function} cb callback called on completion
  */
 function _handleRequest(msg, connection, server, cb) {
+  if (connection.smb1MacKey) {
+    // signing is active: every request consumes a sequence number, its response uses the next one
+    var responseExpected = expectsResponse(msg);
+    msg.sequenceNumber = connection.smb1SequenceNumber;
+    connection.smb1SequenceNumber += responseExpected ? 2 : 1;
+    if (!signing.verify(connection.smb1MacKey, msg.sequenceNumber, msg.buf)) {
+      logger.error('[%s] invalid signature, mid: %d', (msg.header.command || '').toUpperCase(), msg.header.mid);
+      if (!responseExpected) {
+        cb();
+      } else {
+        sendResponse(msg, ntstatus.STATUS_ACCESS_DENIED, connection, server, cb);
+      }
+      return;
+    }
+  }
+
   // invoke async command handlers
   async.eachSeries(msg.commands,
     function (cmd, callback) {
@@ -163,7 +201,11 @@ function sendResponse(msg, status, connection, server, cb) {
 
   msg.header.status = status;
 
-  connection.sendRawMessage(message.encode(msg), cb);
+  var msgBuf = message.encode(msg);
+  if (connection.smb1MacKey && msg.sequenceNumber !== undefined) {
+    signing.sign(connection.smb1MacKey, msg.sequenceNumber + 1, msgBuf);
+  }
+  connection.sendRawMessage(msgBuf, cb);
 }
 
 module.exports.handleRequest = handleRequest;
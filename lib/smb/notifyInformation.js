@@ -0,0 +1,52 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+
+var utils = require('../utils');
+
+// Size of <code>FILE_NOTIFY_INFORMATION_SIZE</code> (without file name).
+// (see https://msdn.microsoft.com/en-us/library/dn392331.aspx?f=255&MSPPError=-2147217396)
+var FILE_NOTIFY_INFORMATION_SIZE = 12;
+
+/**
+ * Serializes a list of changes as list of FILE_NOTIFY_INFORMATION entries.
+ *
+ * @param {Object[]} changes - changes to serialize
+ * @param {Number} changes.action - file action
+ * @param {String} changes.name - name of file that changed
+ * @return {Buffer} serialized entries
+ */
+function serialize(changes) {
+  var out = put();
+  changes.forEach(function (change, i) {
+    var fileNameBytes = new Buffer(change.name, 'utf16le');
+    var nextEntryOffset = 0;
+    var pad = 0;
+    if (i < changes.length - 1) {
+      // entries are aligned on 4 byte boundaries
+      nextEntryOffset = FILE_NOTIFY_INFORMATION_SIZE + fileNameBytes.length;
+      pad = utils.calculatePadLength(nextEntryOffset, 4);
+      nextEntryOffset += pad;
+    }
+    out.word32le(nextEntryOffset) // NextEntryOffset
+      .word32le(change.action) // Action
+      .word32le(fileNameBytes.length) // FileNameLength
+      .put(fileNameBytes) // FileName
+      .pad(pad);
+  });
+  return out.buffer();
+}
+
+module.exports.serialize = serialize;
@@ -0,0 +1,108 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../ntstatus');
+var common = require('../common');
+var message = require('./message');
+var SMB = require('./constants');
+var utils = require('../utils');
+
+/**
+ * Converts an oplock level (<code>common.OPLOCK_LEVEL_*</code>) to the OpLockLevel of an NT_CREATE_ANDX response.
+ *
+ * @param {Number} level
+ * @return {Number}
+ */
+function toOpLockLevel(level) {
+  switch (level) {
+    case common.OPLOCK_LEVEL_BATCH:
+      return SMB.OPLOCK_BATCH;
+    case common.OPLOCK_LEVEL_EXCLUSIVE:
+      return SMB.OPLOCK_EXCLUSIVE;
+    case common.OPLOCK_LEVEL_II:
+      return SMB.OPLOCK_LEVEL_II;
+    default:
+      return SMB.OPLOCK_NONE;
+  }
+}
+
+/**
+ * Converts the NewOpLockLevel of a LOCKING_ANDX request to an oplock level (<code>common.OPLOCK_LEVEL_*</code>).
+ *
+ * @param {Number} newOpLockLevel
+ * @return {Number}
+ */
+function fromNewOpLockLevel(newOpLockLevel) {
+  return newOpLockLevel === SMB.OPLOCK_BREAK_TO_LEVEL_II ? common.OPLOCK_LEVEL_II : common.OPLOCK_LEVEL_NONE;
+}
+
+/**
+ * Sends an OpLock Break Notification, i.e. an unsolicited LOCKING_ANDX request (see MS-CIFS 2.2.4.32.1).
+ * The client acknowledges the break with a LOCKING_ANDX request with the OPLOCK_RELEASE flag set.
+ *
+ * @param {SMBConnection} connection connection of the oplock holder
+ * @param {Number} tid tree id of the open file
+ * @param {Number} fid fid of the open file
+ * @param {Number} level new oplock level (<code>common.OPLOCK_LEVEL_II</code> or <code>common.OPLOCK_LEVEL_NONE</code>)
+ */
+function sendBreakNotification(connection, tid, fid, level) {
+  var params = put()
+    .word8(0xff) // andX next cmd id
+    .word8(0) // andX reserved
+    .word16le(0) // andX offset
+    .word16le(fid) // FID
+    .word8(SMB.OPLOCK_RELEASE) // TypeOfLock
+    .word8(level === common.OPLOCK_LEVEL_II ? SMB.OPLOCK_BREAK_TO_LEVEL_II : SMB.OPLOCK_BREAK_TO_NONE) // NewOpLockLevel
+    .word32le(0) // Timeout
+    .word16le(0) // NumberOfRequestedUnlocks
+    .word16le(0) // NumberOfRequestedLocks
+    .buffer();
+
+  var msg = {
+    protocolId: SMB.PROTOCOL_ID,
+    header: {
+      commandId: parseInt(SMB.STRING_TO_COMMAND['locking_andx']),
+      status: ntstatus.STATUS_SUCCESS,
+      flags: { ntStatus: true, unicode: true },
+      extra: {
+        pidHigh: 0,
+        // break notifications are not signed
+        signature: new Buffer(8).fill(0)
+      },
+      tid: tid,
+      pid: 0xffff,
+      uid: 0,
+      mid: 0xffff
+    },
+    commands: [ {
+      commandId: parseInt(SMB.STRING_TO_COMMAND['locking_andx']),
+      params: params,
+      data: utils.EMPTY_BUFFER
+    } ]
+  };
+
+  logger.debug('[LOCKING_ANDX] sending oplock break notification, tid: %d, fid: %d, newOpLockLevel: %d', tid, fid, level);
+  connection.sendRawMessage(message.encode(msg), function (err) {
+    if (err) {
+      logger.error('failed to send oplock break notification', err);
+    }
+  });
+}
+
+module.exports.toOpLockLevel = toOpLockLevel;
+module.exports.fromNewOpLockLevel = fromNewOpLockLevel;
+module.exports.sendBreakNotification = sendBreakNotification;
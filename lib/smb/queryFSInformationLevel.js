@@ -0,0 +1,124 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var SMB = require('./constants');
+var ntstatus = require('../ntstatus');
+var utils = require('../utils');
+
+var DEFAULT_SERIAL_NUMBER = 0xdabbad00;
+// Maximum length of each file name component, in number of bytes.
+var MAX_FILE_NAME_LENGTH = 255;
+// File system. Returning values other than this may lead to problems.
+var FILE_SYSTEM = 'NTFS';
+
+// fake values for disk total/free size
+var SECTORS_PER_UNIT = 8;
+var BYTES_PER_SECTOR = 512;
+var TOTAL_ALLOCATION_UNITS = 0x08000000;  // * SECTORS_PER_UNIT * BYTES_PER_SECTOR = 512gb
+
+/**
+ *
+ * @param {SMBTree} tree tree whose underlying object store is to be described according to the specified information level
+ * @param {Number} informationLevel
+ * @return {Object} result object with status and buffer
+ */
+function serialize(tree, informationLevel) {
+  var out = put();
+  var status = ntstatus.STATUS_SUCCESS;
+
+  var volumeLabel = tree.getShare().getDescription();
+  var volumeLabelBytes = new Buffer(volumeLabel, 'utf16le');
+
+  // todo expose/retrieve these values through Share abstraction
+  switch (informationLevel) {
+    case SMB.QUERY_FS_INFO_ALLOCATION:
+      out.word32le(0) // idFileSystem
+        .word32le(SECTORS_PER_UNIT) // cSectorUnit
+        .word32le(TOTAL_ALLOCATION_UNITS) // cUnit
+        .word32le(TOTAL_ALLOCATION_UNITS) // cUnitAvailable
+        .word16le(BYTES_PER_SECTOR); // cbSector
+      break;
+
+    case SMB.QUERY_FS_INFO_VOLUME:
+      out.word32le(DEFAULT_SERIAL_NUMBER) // ulVolSerialNbr
+        .word8(volumeLabel.length) // cCharCount
+        .put(volumeLabelBytes);  // VolumeLabel
+      break;
+
+    case SMB.QUERY_FS_VOLUME_INFO:
+    case SMB.FILE_FS_VOLUME_INFORMATION:
+      var long = utils.systemToSMBTime(Date.now());
+      out.word32le(long.getLowBitsUnsigned()) // VolumeCreationTime
+        .word32le(long.getHighBitsUnsigned())
+        .word32le(DEFAULT_SERIAL_NUMBER) // SerialNumber
+        .word32le(volumeLabelBytes.length)  // VolumeLabelSize
+        .word16le(0)  // Reserved
+        .put(volumeLabelBytes);  // VolumeLabel
+      break;
+
+    case SMB.QUERY_FS_SIZE_INFO:
+    case SMB.FILE_FS_SIZE_INFORMATION:
+      out.word64le(TOTAL_ALLOCATION_UNITS) // TotalAllocationUnits
+        .word64le(TOTAL_ALLOCATION_UNITS) // TotalFreeAllocationUnits
+        .word32le(SECTORS_PER_UNIT) // SectorsPerAllocationUnit
+        .word32le(BYTES_PER_SECTOR); // BytesPerSector
+      break;
+
+    case SMB.FILE_FS_FULL_SIZE_INFORMATION:
+      out.word64le(TOTAL_ALLOCATION_UNITS) // TotalAllocationUnits
+        .word64le(TOTAL_ALLOCATION_UNITS) // CallerAvailableAllocationUnits
+        .word64le(TOTAL_ALLOCATION_UNITS) // ActualAvailableAllocationUnits
+        .word32le(SECTORS_PER_UNIT) // SectorsPerAllocationUnit
+        .word32le(BYTES_PER_SECTOR); // BytesPerSector
+      break;
+
+    case SMB.QUERY_FS_DEVICE_INFO:
+    case SMB.FILE_FS_DEVICE_INFORMATION:
+      out.word32le(SMB.FILE_DEVICE_DISK) // DeviceType
+        .word32le(SMB.FILE_VIRTUAL_VOLUME); // DeviceCharacteristics
+      break;
+
+    case SMB.QUERY_FS_ATTRIBUTE_INFO:
+    case SMB.FILE_FS_ATTRIBUTE_INFORMATION:
+      out.word32le(SMB.FILE_CASE_SENSITIVE_SEARCH |
+          SMB.FILE_CASE_PRESERVED_NAMES |
+          (tree.getShare().supportsStreams() ? SMB.FILE_NAMED_STREAMS : 0) |
+          SMB.FILE_UNICODE_ON_DISK) // FileSystemAttributes
+        .word32le(MAX_FILE_NAME_LENGTH)  // MaxFileNameLengthInBytes
+        .word32le(FILE_SYSTEM.length * 2)  // LengthOfFileSystemName
+        .put(new Buffer(FILE_SYSTEM, 'utf16le'));  // FileSystemName
+      break;
+
+    case SMB.FILE_FS_SECTOR_SIZE_INFORMATION:
+      out.word32le(BYTES_PER_SECTOR) // LogicalBytesPerSector
+        .word32le(BYTES_PER_SECTOR) // PhysicalBytesPerSectorForAtomicity
+        .word32le(BYTES_PER_SECTOR) // PhysicalBytesPerSectorForPerformance
+        .word32le(BYTES_PER_SECTOR) // FileSystemEffectivePhysicalBytesPerSectorForAtomicity
+        .word32le(0) // Flags
+        .word32le(0) // ByteOffsetForSectorAlignment
+        .word32le(0); // ByteOffsetForPartitionAlignment
+      break;
+
+    default:
+      logger.error('encountered unsupported or unknown informationLevel %s', SMB.QUERY_FS_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16));
+      status = ntstatus.STATUS_OS2_INVALID_LEVEL;
+  }
+
+  return { status: status, buffer: out.buffer() };
+}
+
+module.exports.serialize = serialize;
@@ -23,9 +23,10 @@ var utils = require('../utils');
  *
  * @param {File} file file to be serialized according to the specified information level
  * @param {Number} informationLevel
+ * @param {Object[]} [streams] named streams of the file (see <code>query</code>)
  * @return {Object} result object with status, buffer and lastNameOffset
  */
-function serialize(file, informationLevel) {
+function serialize(file, informationLevel, streams) {
   var out = put();
   var status = ntstatus.STATUS_SUCCESS;
 
@@ -35,7 +36,6 @@ function serialize(file, informationLevel) {
   var smbLastChanged = utils.systemToSMBTime(file.getLastChangedTime());
 
   var fileNameBytes = new Buffer(file.getName(), 'utf16le');
-  var STREAM_NAME_BYTES = new Buffer('::$DATA', 'utf16le');
 
   switch (informationLevel) {
     case SMB.QUERY_INFO_STANDARD:
@@ -43,7 +43,6 @@ function serialize(file, informationLevel) {
     case SMB.QUERY_INFO_QUERY_EAS_FROM_LIST:
     case SMB.QUERY_QUERY_ALL_EAS:
     case SMB.QUERY_IS_NAME_VALID:
-    case SMB.QUERY_FILE_STREAM_INFO:
     case SMB.QUERY_FILE_ALT_NAME_INFO:
     case SMB.QUERY_FILE_COMPRESSION_INFO:
       // todo implement remaining informationLevels
@@ -71,7 +70,7 @@ function serialize(file, informationLevel) {
       out.word64le(file.getAllocationSize()) // AllocationSize
         .word64le(file.getDataSize()) // EndOfFile
         .word32le(1) // NumberOfLinks
-        .word8(0)  // DeletePending
+        .word8(file.isDeletePending() ? 1 : 0)  // DeletePending
         .word8(file.isDirectory() ? 1 : 0);  // Directory
       if (informationLevel !== SMB.QUERY_FILE_ALL_INFO) {
         break;
@@ -90,14 +89,86 @@ function serialize(file, informationLevel) {
       break;
 
     // NT passthrough levels: SMB.INFO_PASSTHROUGH + native level
+    case SMB.FILE_BASIC_INFORMATION:
+      writeBasicInformation(out, file);
+      break;
+
+    case SMB.FILE_STANDARD_INFORMATION:
+      writeStandardInformation(out, file);
+      break;
+
+    case SMB.FILE_INTERNAL_INFORMATION:
+      out.word64le(file.getId()); // IndexNumber
+      break;
+
+    case SMB.FILE_EA_INFORMATION:
+      out.word32le(0);  // EaSize
+      break;
+
+    case SMB.FILE_ACCESS_INFORMATION:
+      out.word32le(SMB.FILE_ACCESS_ALL);  // AccessFlags
+      break;
+
+    case SMB.FILE_NAME_INFORMATION:
+      writeNameInformation(out, file);
+      break;
+
+    case SMB.FILE_POSITION_INFORMATION:
+      out.word64le(0); // CurrentByteOffset
+      break;
+
+    case SMB.FILE_MODE_INFORMATION:
+      out.word32le(0); // Mode
+      break;
+
+    case SMB.FILE_ALIGNMENT_INFORMATION:
+      out.word32le(0); // AlignmentRequirement (FILE_BYTE_ALIGNMENT)
+      break;
+
+    case SMB.FILE_ALL_INFORMATION:
+      writeBasicInformation(out, file);
+      writeStandardInformation(out, file);
+      out.word64le(file.getId()) // IndexNumber
+        .word32le(0) // EaSize
+        .word32le(SMB.FILE_ACCESS_ALL) // AccessFlags
+        .word64le(0) // CurrentByteOffset
+        .word32le(0) // Mode
+        .word32le(0); // AlignmentRequirement
+      writeNameInformation(out, file);
+      break;
+
+    case SMB.QUERY_FILE_STREAM_INFO:
     case SMB.FILE_STREAM_INFORMATION:
-      if (file.isFile()) {
-        out.word32le(0) // NextEntryOffset
-          .word32le(STREAM_NAME_BYTES.length) // StreamNameLength
-          .word64le(file.getDataSize()) // StreamSize
-          .word64le(file.getAllocationSize()) // AllocationSize
-          .put(STREAM_NAME_BYTES);  // StreamName
-      }
+      writeStreamInformation(out, file, streams || []);
+      break;
+
+    case SMB.FILE_COMPRESSION_INFORMATION:
+      out.word64le(file.getDataSize()) // CompressedFileSize
+        .word16le(0) // CompressionFormat (COMPRESSION_FORMAT_NONE)
+        .word8(0) // CompressionUnitShift
+        .word8(0) // ChunkShift
+        .word8(0) // ClusterShift
+        .pad(3); // Reserved
+      break;
+
+    case SMB.FILE_NETWORK_OPEN_INFORMATION:
+      out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
+        .word32le(smbCreated.getHighBitsUnsigned())
+        .word32le(smbLastAccessed.getLowBitsUnsigned()) // LastAccessTime
+        .word32le(smbLastAccessed.getHighBitsUnsigned())
+        .word32le(smbLastModified.getLowBitsUnsigned()) // LastWriteTime
+        .word32le(smbLastModified.getHighBitsUnsigned())
+        .word32le(smbLastChanged.getLowBitsUnsigned()) // ChangeTime
+        .word32le(smbLastChanged.getHighBitsUnsigned())
+        .word64le(file.getAllocationSize()) // AllocationSize
+        .word64le(file.getDataSize()) // EndOfFile
+        .word32le(file.getAttributes()) // FileAttributes
+        .word32le(0); // Reserved
+      break;
+
+    case SMB.FILE_ATTRIBUTE_TAG_INFORMATION:
+      out.word32le(file.getAttributes()) // FileAttributes
+        .word32le(0); // ReparseTag
       break;
 
     default:
@@ -108,4 +179,111 @@ function serialize(file, informationLevel) {
   return { status: status, buffer: out.buffer() };
 }
 
-module.exports.serialize = serialize;
\ No newline at end of file
+/**
+ * Writes a FILE_BASIC_INFORMATION structure (40 bytes).
+ *
+ * @param {Object} out put instance
+ * @param {File} file
+ */
+function writeBasicInformation(out, file) {
+  var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
+  var smbLastModified = utils.systemToSMBTime(file.getLastModifiedTime());
+  var smbLastAccessed = utils.systemToSMBTime(file.getLastAccessedTime());
+  var smbLastChanged = utils.systemToSMBTime(file.getLastChangedTime());
+
+  out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
+    .word32le(smbCreated.getHighBitsUnsigned())
+    .word32le(smbLastAccessed.getLowBitsUnsigned()) // LastAccessTime
+    .word32le(smbLastAccessed.getHighBitsUnsigned())
+    .word32le(smbLastModified.getLowBitsUnsigned()) // LastWriteTime
+    .word32le(smbLastModified.getHighBitsUnsigned())
+    .word32le(smbLastChanged.getLowBitsUnsigned()) // ChangeTime
+    .word32le(smbLastChanged.getHighBitsUnsigned())
+    .word32le(file.getAttributes()) // FileAttributes
+    .word32le(0); // Reserved
+}
+
+/**
+ * Writes a FILE_STANDARD_INFORMATION structure (24 bytes).
+ *
+ * @param {Object} out put instance
+ * @param {File} file
+ */
+function writeStandardInformation(out, file) {
+  out.word64le(file.getAllocationSize()) // AllocationSize
+    .word64le(file.getDataSize()) // EndOfFile
+    .word32le(1) // NumberOfLinks
+    .word8(file.isDeletePending() ? 1 : 0)  // DeletePending
+    .word8(file.isDirectory() ? 1 : 0)  // Directory
+    .word16le(0); // Reserved
+}
+
+/**
+ * Writes a FILE_NAME_INFORMATION structure. The name is the full path of the file
+ * relative to the share root.
+ *
+ * @param {Object} out put instance
+ * @param {File} file
+ */
+function writeNameInformation(out, file) {
+  var nameBytes = new Buffer(file.getPath().replace(/\//g, '\\'), 'utf16le');
+  out.word32le(nameBytes.length)  // FileNameLength
+    .put(nameBytes);  // FileName
+}
+
+/**
+ * Writes a list of FILE_STREAM_INFORMATION structures: the default data stream of a file
+ * followed by its named streams.
+ *
+ * @param {Object} out put instance
+ * @param {File} file
+ * @param {Object[]} streams named streams of the file
+ */
+function writeStreamInformation(out, file, streams) {
+  var entries = [];
+  if (file.isFile() && !file.getStreamName()) {
+    entries.push({ name: '::$DATA', size: file.getDataSize(), allocationSize: file.getAllocationSize() });
+  }
+  streams.forEach(function (stream) {
+    entries.push({ name: ':' + stream.name + ':$DATA', size: stream.size, allocationSize: stream.allocationSize });
+  });
+  entries.forEach(function (entry, i) {
+    var nameBytes = new Buffer(entry.name, 'utf16le');
+    var length = 24 + nameBytes.length;
+    // entries are 8-byte aligned
+    var pad = i < entries.length - 1 ? utils.calculatePadLength(length, 8) : 0;
+    out.word32le(i < entries.length - 1 ? length + pad : 0) // NextEntryOffset
+      .word32le(nameBytes.length) // StreamNameLength
+      .word64le(entry.size) // StreamSize
+      .word64le(entry.allocationSize) // StreamAllocationSize
+      .put(nameBytes) // StreamName
+      .pad(pad);
+  });
+}
+
+/**
+ * Serializes a file according to the specified information level (see <code>serialize</code>),
+ * retrieving the named streams of the file first if the information level requires them.
+ *
+ * @param {SMBFile} file file to be serialized according to the specified information level
+ * @param {Number} informationLevel
+ * @param {Function} cb callback called with the result object (see <code>serialize</code>)
+ * @param {Object} cb.result result object with status and buffer
+ */
+function query(file, informationLevel, cb) {
+  if (informationLevel !== SMB.QUERY_FILE_STREAM_INFO && informationLevel !== SMB.FILE_STREAM_INFORMATION) {
+    process.nextTick(function () { cb(serialize(file, informationLevel)); });
+    return;
+  }
+  file.listStreams(function (err, streams) {
+    if (err) {
+      logger.error('failed to list the streams of %s', file.getPath(), err);
+      cb({ status: err.status || ntstatus.STATUS_UNSUCCESSFUL, buffer: utils.EMPTY_BUFFER });
+    } else {
+      cb(serialize(file, informationLevel, streams));
+    }
+  });
+}
+
+module.exports.serialize = serialize;
+module.exports.query = query;
\ No newline at end of file
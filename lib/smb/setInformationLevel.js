@@ -0,0 +1,153 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+var Long = require('long');
+
+var SMB = require('./constants');
+var ntstatus = require('../ntstatus');
+var utils = require('../utils');
+var SMBError = require('../smberror');
+
+// minimum length of the encoded information per information level
+var MIN_LENGTH = {};
+MIN_LENGTH[SMB.SET_FILE_BASIC_INFO] = MIN_LENGTH[SMB.FILE_BASIC_INFORMATION] = 36;
+MIN_LENGTH[SMB.SET_FILE_DISPOSITION_INFO] = MIN_LENGTH[SMB.FILE_DISPOSITION_INFORMATION] = 1;
+MIN_LENGTH[SMB.SET_FILE_END_OF_FILE_INFO] = MIN_LENGTH[SMB.FILE_END_OF_FILE_INFORMATION] = 8;
+MIN_LENGTH[SMB.SET_FILE_ALLOCATION_INFO] = MIN_LENGTH[SMB.FILE_ALLOCATION_INFORMATION] = 8;
+
+/**
+ * Applies the information encoded in <code>buf</code> to the specified file.
+ *
+ * Supports the basic, disposition, end-of-file and allocation information levels
+ * (both the SMB_SET_FILE_* levels and their NT passthrough counterparts).
+ *
+ * @param {File} file file to be modified according to the specified information level
+ * @param {Number} informationLevel
+ * @param {Buffer} buf encoded information
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+function apply(file, informationLevel, buf, cb) {
+  var levelName = SMB.SET_INFORMATION_LEVEL_TO_STRING[informationLevel] || '0x' + informationLevel.toString(16);
+
+  if (buf.length < (MIN_LENGTH[informationLevel] || 0)) {
+    logger.error('%s, fileName: %s: buffer too short (%d bytes)', levelName, file.getName(), buf.length);
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_INFO_LENGTH_MISMATCH)); });
+    return;
+  }
+
+  switch (informationLevel) {
+    case SMB.SET_FILE_BASIC_INFO:
+    case SMB.FILE_BASIC_INFORMATION:
+      // on OS-X the timestamp value is sometimes -2082844800000 (1904-01-01T00:00:00.000Z) which is the epoch used by GetDateTime() ... ?!
+      var off = 0;
+      var msCreation = utils.readTimestamp(buf, off);
+      off += 8;
+      var msLastAccess = utils.readTimestamp(buf, off);
+      off += 8;
+      var msLastWrite = utils.readTimestamp(buf, off);
+      off += 8;
+      var msChange = utils.readTimestamp(buf, off);
+      off += 8;
+      var extFileAttributes = buf.readUInt32LE(off);
+      off += 4;
+      // todo implement according to https://msdn.microsoft.com/en-us/library/ff469851.aspx
+      if (msCreation && msCreation !== -1) {
+        // set created
+      }
+      if (msLastAccess && msLastAccess !== -1) {
+        // set lastAccessed
+      }
+      if (msLastWrite && msLastWrite !== -1) {
+        // set lastModified
+        file.setLastModifiedTime(msLastWrite);
+      }
+      if (msChange && msChange !== -1) {
+        // set changed
+      }
+
+      logger.debug('%s, fileName: %s, creationTime: %d, lastAccessTime: %d, lastWriteTime: %d, changeTime: %d, extFileAttributes: %s', levelName, file.getName(), msCreation, msLastAccess, msLastWrite, msChange, extFileAttributes.toString(2));
+      process.nextTick(function () { cb(); });
+      return;
+
+    case SMB.SET_FILE_DISPOSITION_INFO:
+    case SMB.FILE_DISPOSITION_INFORMATION:
+      var deletePending = !!buf.readUInt8(0);
+      if (deletePending) {
+        logger.debug('%s, fileName: %s, deletePending: %d', levelName, file.getName(), deletePending);
+        file.setDeleteOnClose();
+      }
+      process.nextTick(function () { cb(); });
+      return;
+
+    case SMB.SET_FILE_END_OF_FILE_INFO:
+    case SMB.FILE_END_OF_FILE_INFORMATION:
+      var endOfFile = Long.fromBits(buf.readUInt32LE(0), buf.readUInt32LE(4), true).toNumber();
+      file.setLength(endOfFile, cb);
+      return;
+
+    case SMB.SET_FILE_ALLOCATION_INFO:
+    case SMB.FILE_ALLOCATION_INFORMATION:
+      var allocationSize = Long.fromBits(buf.readUInt32LE(0), buf.readUInt32LE(4), true).toNumber();
+      if (!allocationSize && file.getDataSize()) {
+        file.setLength(0, cb);
+      } else {
+        // todo support setting allocationSize > 0
+        // for now silently ignore
+        process.nextTick(function () { cb(); });
+      }
+      return;
+
+    default:
+      logger.error('encountered unsupported or unknown informationLevel %s, fileName: %s', levelName, file.getName());
+      process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OS2_INVALID_LEVEL)); });
+  }
+}
+
+/**
+ * Renames a file (FILE_RENAME_INFORMATION).
+ *
+ * @param {SMBTree} tree tree containing the file
+ * @param {File} file file to be renamed
+ * @param {String} targetPath new path of the file, relative to the share root
+ * @param {Boolean} replaceIfExists if false the rename fails if the target already exists
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+function rename(tree, file, targetPath, replaceIfExists, cb) {
+  var sourcePath = utils.normalizeSMBFileName(file.getPath());
+  targetPath = utils.normalizeSMBFileName(targetPath);
+
+  if (replaceIfExists || sourcePath.toLowerCase() === targetPath.toLowerCase()) {
+    // target can be overwritten or only the case of the name changes
+    tree.rename(file, targetPath, cb);
+    return;
+  }
+
+  tree.exists(targetPath, function (err, exists) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (exists) {
+      cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_COLLISION));
+      return;
+    }
+    tree.rename(file, targetPath, cb);
+  });
+}
+
+module.exports.apply = apply;
+module.exports.rename = rename;
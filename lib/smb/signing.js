@@ -0,0 +1,85 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var SMB = require('./constants');
+var utils = require('../utils');
+
+// offset of the Flags2 and SecuritySignature fields within the SMB header
+var FLAGS2_OFFSET = 10;
+var SIGNATURE_OFFSET = 14;
+var SIGNATURE_LENGTH = 8;
+
+/**
+ * Creates the MAC key used for signing the messages of a connection (see MS-CIFS 3.1.4.1).
+ *
+ * @param {Buffer} sessionKey session key established by the authentication protocol
+ * @param {Buffer} [ntResponse] NT challenge response (non-extended security only)
+ * @return {Buffer} MAC key
+ */
+function createMacKey(sessionKey, ntResponse) {
+  if (!ntResponse || !ntResponse.length) {
+    // extended security: the session key is used as is
+    return sessionKey;
+  }
+  return Buffer.concat([ sessionKey, ntResponse ]);
+}
+
+/**
+ * Calculates the signature of a message.
+ *
+ * @param {Buffer} macKey
+ * @param {Number} sequenceNumber
+ * @param {Buffer} msgBuf raw message (will be modified)
+ * @return {Buffer} 8-byte signature
+ */
+function calculateSignature(macKey, sequenceNumber, msgBuf) {
+  // the SecuritySignature field holds the sequence number while the signature is being calculated
+  msgBuf.fill(0, SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  msgBuf.writeUInt32LE(sequenceNumber >>> 0, SIGNATURE_OFFSET);
+  return crypto.createHash('md5').update(macKey).update(msgBuf).digest().slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Signs a message in place: sets the SMB_FLAGS2_SMB_SECURITY_SIGNATURE flag and the SecuritySignature field.
+ *
+ * @param {Buffer} macKey
+ * @param {Number} sequenceNumber
+ * @param {Buffer} msgBuf raw message
+ */
+function sign(macKey, sequenceNumber, msgBuf) {
+  msgBuf.writeUInt16LE(msgBuf.readUInt16LE(FLAGS2_OFFSET) | SMB.FLAGS2_SECURITY_SIGNATURE, FLAGS2_OFFSET);
+  calculateSignature(macKey, sequenceNumber, msgBuf).copy(msgBuf, SIGNATURE_OFFSET);
+}
+
+/**
+ * Verifies the signature of a message.
+ *
+ * @param {Buffer} macKey
+ * @param {Number} sequenceNumber expected sequence number
+ * @param {Buffer} msgBuf raw message
+ * @return {Boolean} true if the signature is valid
+ */
+function verify(macKey, sequenceNumber, msgBuf) {
+  var signature = msgBuf.slice(SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  // don't modify the original message
+  var buf = new Buffer(msgBuf.length);
+  msgBuf.copy(buf);
+  return utils.bufferEquals(calculateSignature(macKey, sequenceNumber, buf), signature);
+}
+
+module.exports.createMacKey = createMacKey;
+module.exports.sign = sign;
+module.exports.verify = verify;
@@ -0,0 +1,151 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var common = require('../../common');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var notifyInfo = require('../../smb/notifyInformation');
+
+/**
+ * SMB2_CHANGE_NOTIFY (0x000F): Request change notifications on a directory.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0020 (fixed according to spec)
+    .word16le('flags')
+    .word32le('outputBufferLength')
+    .buffer('fileId', 16)
+    .word32le('completionFilter')
+    .word32le('reserved')
+    .vars;
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] flags: %d, outputBufferLength: %d, completionFilter: %s, fileId: %s [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags, params.outputBufferLength, params.completionFilter.toString(2), params.fileId.toString('hex'), file ? file.getName() : null);
+
+  // change_notify has a special contract:
+  // it sends an immediate interim (STATUS_PENDING) or error response followed
+  // by an out-of-band response with the change notification at some later point in time.
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+  if (!file.isDirectory()) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  var asyncId = connection.nextAsyncId++;
+
+  function complete(status, responseBody) {
+    delete connection.asyncRequests[asyncId];
+    cb({
+      status: status,
+      body: responseBody || utils.EMPTY_BUFFER
+    });
+  }
+
+  connection.asyncRequests[asyncId] = {
+    messageId: msg.header.messageId,
+    tree: tree,
+    fileId: params.fileId,
+    // completion status if the handle is closed while the request is pending
+    closeStatus: ntstatus.STATUS_NOTIFY_CLEANUP,
+    /**
+     * Cancels the pending request.
+     *
+     * @param {Number} [status] completion status; if not specified no response is sent
+     */
+    cancel: function (status) {
+      tree.cancelChangeListener(asyncId);
+      if (status === undefined) {
+        delete connection.asyncRequests[asyncId];
+      } else {
+        complete(status);
+      }
+    }
+  };
+
+  tree.registerChangeListener(asyncId, file, !!(params.flags & SMB2.WATCH_TREE), params.completionFilter, function (changes) {
+    var data = changes && notifyInfo.serialize(changes);
+    if (!data || data.length > params.outputBufferLength) {
+      // the client has to enumerate the directory in order to find out what changed
+      logger.debug('[%s] too many changes, client has to enumerate the directory', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+      complete(ntstatus.STATUS_NOTIFY_ENUM_DIR);
+      return;
+    }
+    changes.forEach(function (change) {
+      logger.debug('[%s][%s] name: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), common.FILE_ACTION_TO_STRING[change.action].toUpperCase(), change.name);
+    });
+    var out = put();
+    out.word16le(0x0009)  // StructureSize (fixed according to spec)
+      .word16le(SMB2.HEADER_LENGTH + 8) // OutputBufferOffset
+      .word32le(data.length)  // OutputBufferLength
+      .put(data); // Buffer
+    complete(ntstatus.STATUS_SUCCESS, out.buffer());
+  });
+
+  // send interim response; the notification response will be sent at some later point in time
+  msg.header.flags.async = true;
+  msg.header.asyncId = Long.fromNumber(asyncId, true);
+  result = {
+    status: ntstatus.STATUS_PENDING,
+    body: utils.EMPTY_BUFFER
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,120 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+var _ = require('lodash');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+
+/**
+ * SMB2_CLOSE (0x0006): Close an open file.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0018 (fixed according to spec)
+    .word16le('flags')
+    .skip(4)  // Reserved
+    .buffer('fileId', 16)
+    .vars;
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] flags: %d, fileId: %s [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags, params.fileId.toString('hex'), file ? file.getName() : null);
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+
+  var out = put();
+  out.word16le(0x003c)  // StructureSize (fixed according to spec)
+    .word16le(params.flags & SMB2.CLOSE_FLAG_POSTQUERY_ATTRIB) // Flags
+    .word32le(0); // Reserved
+  if (params.flags & SMB2.CLOSE_FLAG_POSTQUERY_ATTRIB) {
+    var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
+    var smbLastModified = utils.systemToSMBTime(file.getLastModifiedTime());
+    var smbLastAccessed = utils.systemToSMBTime(file.getLastAccessedTime());
+    var smbLastChanged = utils.systemToSMBTime(file.getLastChangedTime());
+    out.word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
+      .word32le(smbCreated.getHighBitsUnsigned())
+      .word32le(smbLastAccessed.getLowBitsUnsigned()) // LastAccessTime
+      .word32le(smbLastAccessed.getHighBitsUnsigned())
+      .word32le(smbLastModified.getLowBitsUnsigned()) // LastWriteTime
+      .word32le(smbLastModified.getHighBitsUnsigned())
+      .word32le(smbLastChanged.getLowBitsUnsigned()) // ChangeTime
+      .word32le(smbLastChanged.getHighBitsUnsigned())
+      .word64le(file.getAllocationSize()) // AllocationSize
+      .word64le(file.getDataSize()) // EndOfFile
+      .word32le(file.getAttributes()); // FileAttributes
+  } else {
+    out.pad(52);
+  }
+  var responseBody = out.buffer();
+
+  // complete pending requests (change notifications, blocking locks) on this handle
+  _.forEach(connection.asyncRequests, function (req) {
+    if (req.tree === tree && utils.bufferEquals(req.fileId, params.fileId)) {
+      req.cancel(req.closeStatus);
+    }
+  });
+
+  // close file
+  tree.closeFileByFileId(params.fileId, function (err) {
+    cb({
+      status: err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS,
+      body: err ? utils.EMPTY_BUFFER : responseBody
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,264 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var async = require('async');
+var logger = require('winston').loggers.get('smb');
+var _ = require('lodash');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var createContexts = require('../createcontexts');
+var lease = require('../lease');
+var durable = require('../durable');
+var common = require('../../common');
+var utils = require('../../utils');
+var SMBError = require('../../smberror');
+
+// length of the fixed part of an SMB2 CREATE response
+var CREATE_RESPONSE_LENGTH = 88;
+
+/**
+ * SMB2_CREATE (0x0005): Create or open a file, directory or named pipe.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0039 (fixed according to spec)
+    .word8('securityFlags')
+    .word8('requestedOplockLevel')
+    .word32le('impersonationLevel')
+    .skip(8)  // SmbCreateFlags
+    .skip(8)  // Reserved
+    .word32le('desiredAccess')
+    .word32le('fileAttributes')
+    .word32le('shareAccess')
+    .word32le('createDisposition')
+    .word32le('createOptions')
+    .word16le('nameOffset')
+    .word16le('nameLength')
+    .word32le('createContextsOffset')
+    .word32le('createContextsLength')
+    .vars;
+
+  var off = params.nameOffset - SMB2.HEADER_LENGTH;
+  var fileName = params.nameLength ? body.slice(off, off + params.nameLength).toString('utf16le') : '';
+  off = params.createContextsOffset - SMB2.HEADER_LENGTH;
+  var contexts = params.createContextsLength ? createContexts.parse(body.slice(off, off + params.createContextsLength)) : [];
+
+  logger.debug('[%s] requestedOplockLevel: %d, desiredAccess: %s, fileAttributes: %s, shareAccess: %s, createDisposition: 0x%s, createOptions: %s, fileName: %s',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.requestedOplockLevel, params.desiredAccess.toString(2),
+    params.fileAttributes.toString(2), params.shareAccess.toString(2), params.createDisposition.toString(16),
+    params.createOptions.toString(2), fileName);
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  var session = connection.getSession(msg.header.sessionId.toNumber());
+  if (!session) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  var tree = server.getTree(msg.header.treeId);
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  var durableRequest = contexts ? durable.parseRequest(contexts, connection.dialect) : undefined;
+  if (params.createDisposition > common.FILE_OVERWRITE_IF || durableRequest === undefined) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  // leases are supported by SMB 2.1 and later (see MS-SMB2 3.3.5.9.8 and 3.3.5.9.11)
+  var leaseRequest = null;
+  if (params.requestedOplockLevel === SMB2.OPLOCK_LEVEL_LEASE && connection.dialect >= SMB2.SMB_2_1_0) {
+    var leaseContext = _.find(contexts, { name: SMB2.CREATE_REQUEST_LEASE });
+    leaseRequest = leaseContext ? lease.parseRequest(leaseContext.data, connection.dialect) : null;
+  }
+
+  function getFile(callback) {
+    // the create options are applied by the tree
+    tree.openOrCreate(fileName, params.createDisposition, params.createOptions, params.desiredAccess, params.shareAccess, callback);
+  }
+
+  function sendLeaseBreak(granted, state, newState, ackRequired) {
+    lease.sendBreakNotification(connection, msg.encryptionSession, leaseRequest.leaseKey, granted, state, newState, ackRequired);
+  }
+
+  function registerOpen(file, callback) {
+    if (!leaseRequest || file.isDirectory()) {
+      // SMB2 opens are not granted oplocks but conflicting oplocks and leases of other opens need to be broken
+      file.acquireOplock(common.OPLOCK_LEVEL_NONE, false, _.noop, function () {
+        callback(null, file, null);
+      });
+      return;
+    }
+    var leaseId = lease.getLeaseId(connection.clientGuid, leaseRequest.leaseKey);
+    file.acquireLease(leaseId, leaseRequest.state, sendLeaseBreak, function (err, granted) {
+      if (err) {
+        tree.closeFile(file.fid, function () {
+          callback(err);
+        });
+        return;
+      }
+      callback(null, file, granted);
+    });
+  }
+
+  function grantDurableHandle(file, granted, callback) {
+    // durable handles require handle caching (see MS-SMB2 3.3.5.9.6 and 3.3.5.9.10)
+    if (durableRequest && granted && granted.state & common.LEASE_HANDLE_CACHING) {
+      var maxTimeout = durable.getTimeout(server);
+      file.durable = {
+        version: durableRequest.version,
+        timeout: durableRequest.timeout ? Math.min(durableRequest.timeout, maxTimeout) : maxTimeout,
+        createGuid: durableRequest.createGuid || null,
+        clientGuid: connection.clientGuid,
+        leaseId: granted.id,
+        accountName: session.accountName,
+        shareName: tree.getShare().getName(),
+        // assigned once the FileId has been created
+        fileId: null
+      };
+    }
+    callback(null, file, granted);
+  }
+
+  function reconnect(callback) {
+    // see MS-SMB2 3.3.5.9.7 and 3.3.5.9.12
+    var file = server.getDurableOpen(durableRequest.fileId);
+    var leaseId = leaseRequest ? lease.getLeaseId(connection.clientGuid, leaseRequest.leaseKey) : null;
+    var status;
+    if (!file || file.durable.version !== durableRequest.version
+      || (durableRequest.version === 2 && !(utils.bufferEquals(file.durable.createGuid, durableRequest.createGuid)
+        && utils.bufferEquals(file.durable.clientGuid, connection.clientGuid)))
+      || file.durable.shareName !== tree.getShare().getName()
+      || file.durable.leaseId !== leaseId) {
+      status = ntstatus.STATUS_OBJECT_NAME_NOT_FOUND;
+    } else if (file.durable.accountName !== session.accountName) {
+      status = ntstatus.STATUS_ACCESS_DENIED;
+    } else if (utils.normalizeSMBFileName(fileName) !== file.getPath()) {
+      status = ntstatus.STATUS_INVALID_PARAMETER;
+    }
+    if (status) {
+      process.nextTick(function () { callback(new SMBError(status)); });
+      return;
+    }
+
+    server.reclaimDurableOpen(durableRequest.fileId, tree);
+    var granted = null;
+    if (leaseId) {
+      // lease breaks are sent through this connection from now on
+      server.getOplockManager().setLeaseBreakHandler(leaseId, sendLeaseBreak);
+      granted = server.getOplockManager().getLease(leaseId);
+    }
+    process.nextTick(function () { callback(null, file, granted); });
+  }
+
+  function buildResult(file, granted, callback) {
+    var reconnected = !!(durableRequest && durableRequest.reconnect);
+    // a reconnected durable open keeps its FileId
+    var fileId = reconnected ? file.durable.fileId : tree.createFileId(file);
+    if (file.durable) {
+      file.durable.fileId = fileId;
+    }
+    // stash FileId for subsequent related operations
+    msg.fileId = fileId;
+
+    var smbCreated = utils.systemToSMBTime(file.getCreatedTime());
+    var smbLastModified = utils.systemToSMBTime(file.getLastModifiedTime());
+    var smbLastAccessed = utils.systemToSMBTime(file.getLastAccessedTime());
+    var smbLastChanged = utils.systemToSMBTime(file.getLastChangedTime());
+
+    var responseContexts = [];
+    if (granted) {
+      responseContexts.push({
+        name: SMB2.CREATE_REQUEST_LEASE,
+        data: lease.serializeResponse(leaseRequest, granted)
+      });
+    }
+    if (file.durable && !reconnected) {
+      responseContexts.push(durable.createResponseContext(file.durable));
+    }
+    var contextsBuf = createContexts.serialize(responseContexts);
+
+    var out = put();
+    out.word16le(0x0059)  // StructureSize (fixed according to spec)
+      .word8(granted ? SMB2.OPLOCK_LEVEL_LEASE : SMB2.OPLOCK_LEVEL_NONE)  // OplockLevel
+      .word8(0) // Flags
+      .word32le(reconnected ? common.FILE_OPENED : file.getCreateAction()) // CreateAction
+      .word32le(smbCreated.getLowBitsUnsigned()) // CreationTime
+      .word32le(smbCreated.getHighBitsUnsigned())
+      .word32le(smbLastAccessed.getLowBitsUnsigned()) // LastAccessTime
+      .word32le(smbLastAccessed.getHighBitsUnsigned())
+      .word32le(smbLastModified.getLowBitsUnsigned()) // LastWriteTime
+      .word32le(smbLastModified.getHighBitsUnsigned())
+      .word32le(smbLastChanged.getLowBitsUnsigned()) // ChangeTime
+      .word32le(smbLastChanged.getHighBitsUnsigned())
+      .word64le(file.getAllocationSize()) // AllocationSize
+      .word64le(file.getDataSize()) // EndOfFile
+      .word32le(file.getAttributes()) // FileAttributes
+      .word32le(0)  // Reserved2
+      .put(fileId) // FileId
+      .word32le(contextsBuf.length ? SMB2.HEADER_LENGTH + CREATE_RESPONSE_LENGTH : 0)  // CreateContextsOffset
+      .word32le(contextsBuf.length) // CreateContextsLength
+      .put(contextsBuf);
+
+    callback(null, {
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    });
+  }
+
+  var steps = durableRequest && durableRequest.reconnect
+    ? [ reconnect, buildResult ]
+    : [ getFile, registerOpen, grantDurableHandle, buildResult ];
+  async.waterfall(steps, function (err, result) {
+    if (err) {
+      logger.debug(fileName, err.message ? err.message : err);
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+    } else {
+      cb(result);
+    }
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,74 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+var dcerpc = require('../../../dcerpc/handler');
+
+/**
+ * FSCTL_PIPE_TRANSCEIVE (0x0011C017): Executes a transacted exchange (a DCE/RPC request
+ * and its response) against a named pipe.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Buffer} input - the input data of the request
+ * @param {Number} maxOutputResponse - the maximum number of bytes the output may hold
+ * @param {SMBFile} file - the target file or undefined if the request doesn't target an open file
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the control's result
+ * @param {Object} cb.result - an object with the control's result
+ *                             or null if the connection has been terminated
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, input, maxOutputResponse, file, connection, server, cb) {
+  logger.debug('[%s] fileName: %s, data: %s', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), file ? file.getName() : null, input.toString('hex'));
+
+  var result;
+
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+  if (!file.getTree().getShare().isNamedPipe()) {
+    result = {
+      status: ntstatus.STATUS_INVALID_DEVICE_REQUEST
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  dcerpc.handlePDU(input, file, server, function (err, response) {
+    if (err) {
+      result = {
+        status: err.status
+      };
+    } else {
+      // a response exceeding maxOutputResponse is truncated (STATUS_BUFFER_OVERFLOW) by the caller
+      result = {
+        status: ntstatus.STATUS_SUCCESS,
+        output: response
+      };
+    }
+    cb(result);
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,128 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var os = require('os');
+var put = require('put');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+
+// size of a NETWORK_INTERFACE_INFO entry
+var ENTRY_LENGTH = 152;
+// size of the SOCKADDR_STORAGE field
+var SOCKADDR_STORAGE_LENGTH = 128;
+
+// address families
+var AF_INET = 0x0002;
+var AF_INET6 = 0x0017;
+
+// the link speed can't be determined portably: assume 1 Gbit/s
+var DEFAULT_LINK_SPEED = 1000000000;
+
+/**
+ * Converts a textual IPv6 address (e.g. 'fe80::1') to its binary representation.
+ *
+ * @param {String} address
+ * @return {Buffer} 16-byte address
+ */
+function parseIPv6Address(address) {
+  var parts = address.split('::');
+  var head = parts[0] ? parts[0].split(':') : [];
+  var tail = parts.length > 1 && parts[1] ? parts[1].split(':') : [];
+  var groups = head.concat(_.fill(new Array(8 - head.length - tail.length), '0'), tail);
+  var buf = new Buffer(16);
+  for (var i = 0; i < 8; i++) {
+    buf.writeUInt16BE(parseInt(groups[i], 16), 2 * i);
+  }
+  return buf;
+}
+
+/**
+ * FSCTL_QUERY_NETWORK_INTERFACE_INFO (0x001401FC): Returns the network interfaces
+ * of the server (see MS-SMB2 3.3.5.15.11).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Buffer} input - the input data of the request
+ * @param {Number} maxOutputResponse - the maximum number of bytes the output may hold
+ * @param {SMBFile} file - the target file or undefined if the request doesn't target an open file
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the control's result
+ * @param {Object} cb.result - an object with the control's result
+ *                             or null if the connection has been terminated
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, input, maxOutputResponse, file, connection, server, cb) {
+  var entries = [];
+  var interfaces = os.networkInterfaces();
+  _.forEach(_.keys(interfaces), function (name, idx) {
+    _.forEach(interfaces[name], function (addr) {
+      // some node versions report the family as a number
+      var ipv4 = addr.family === 'IPv4' || addr.family === 4;
+      if (addr.internal) {
+        return;
+      }
+      var sockAddr = put();
+      if (ipv4) {
+        sockAddr.word16le(AF_INET)  // Family
+          .word16be(0)  // Port
+          .put(new Buffer(addr.address.split('.').map(Number)))  // IPv4Address
+          .pad(8);  // Reserved
+      } else {
+        sockAddr.word16le(AF_INET6)  // Family
+          .word16be(0)  // Port
+          .word32le(0)  // FlowInfo
+          .put(parseIPv6Address(addr.address.split('%')[0]))  // IPv6Address
+          .word32le(addr.scopeid || 0); // ScopeId
+      }
+      var sockAddrBuf = sockAddr.buffer();
+      entries.push(put()
+        .word32le(ENTRY_LENGTH) // Next (fixed up below)
+        .word32le(idx + 1)  // IfIndex
+        .word32le(0)  // Capability
+        .word32le(0)  // Reserved
+        .word32le(DEFAULT_LINK_SPEED) // LinkSpeed
+        .word32le(0)
+        .put(sockAddrBuf) // SockAddr_Storage
+        .pad(SOCKADDR_STORAGE_LENGTH - sockAddrBuf.length)
+        .buffer());
+    });
+  });
+
+  logger.debug('[%s] interfaces: %d', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), entries.length);
+
+  var result;
+  if (entries.length) {
+    // the last entry has no successor
+    entries[entries.length - 1].writeUInt32LE(0, 0);
+  }
+  var output = Buffer.concat(entries);
+  if (output.length > maxOutputResponse) {
+    result = {
+      status: ntstatus.STATUS_BUFFER_TOO_SMALL
+    };
+  } else {
+    result = {
+      status: ntstatus.STATUS_SUCCESS,
+      output: output
+    };
+  }
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
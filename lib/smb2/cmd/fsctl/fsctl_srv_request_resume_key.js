@@ -0,0 +1,59 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+var copychunk = require('../../../copychunk');
+
+/**
+ * FSCTL_SRV_REQUEST_RESUME_KEY (0x00140078): Returns a key identifying the open file
+ * as the source of a server-side copy (see FSCTL_SRV_COPYCHUNK).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Buffer} input - the input data of the request
+ * @param {Number} maxOutputResponse - the maximum number of bytes the output may hold
+ * @param {SMBFile} file - the target file or undefined if the request doesn't target an open file
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the control's result
+ * @param {Object} cb.result - an object with the control's result
+ *                             or null if the connection has been terminated
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, input, maxOutputResponse, file, connection, server, cb) {
+  logger.debug('[%s] fileName: %s', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase(), file ? file.getName() : null);
+
+  var result;
+  if (!file) {
+    result = {
+      status: ntstatus.STATUS_FILE_CLOSED
+    };
+  } else if (maxOutputResponse < copychunk.RESUME_KEY_RESPONSE_LENGTH) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER
+    };
+  } else {
+    result = {
+      status: ntstatus.STATUS_SUCCESS,
+      output: copychunk.serializeResumeKey(file.getResumeKey())
+    };
+  }
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
@@ -0,0 +1,88 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../../ntstatus');
+var SMB2 = require('../../constants');
+var negotiation = require('../../negotiation');
+var utils = require('../../../utils');
+
+// size of the fixed part of a VALIDATE_NEGOTIATE_INFO request (excluding the dialects)
+var REQUEST_HEADER_LENGTH = 24;
+// size of a VALIDATE_NEGOTIATE_INFO response
+var RESPONSE_LENGTH = 24;
+
+/**
+ * FSCTL_VALIDATE_NEGOTIATE_INFO (0x00140204): Validates the parameters of the NEGOTIATE exchange
+ * in order to detect downgrade attacks (see MS-SMB2 3.3.5.15.12). The connection is terminated
+ * if the parameters don't match the ones of the original NEGOTIATE request.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} ctlCode - the control code
+ * @param {Buffer} input - the input data of the request
+ * @param {Number} maxOutputResponse - the maximum number of bytes the output may hold
+ * @param {SMBFile} file - the target file or undefined if the request doesn't target an open file
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the control's result
+ * @param {Object} cb.result - an object with the control's result
+ *                             or null if the connection has been terminated
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.output
+ */
+function handle(msg, ctlCode, input, maxOutputResponse, file, connection, server, cb) {
+  var result;
+
+  if (input.length < REQUEST_HEADER_LENGTH || input.length < REQUEST_HEADER_LENGTH + 2 * input.readUInt16LE(22)
+    || maxOutputResponse < RESPONSE_LENGTH) {
+    result = {
+      status: ntstatus.STATUS_INVALID_PARAMETER
+    };
+    process.nextTick(function () { cb(result); });
+    return;
+  }
+
+  var capabilities = input.readUInt32LE(0);
+  var clientGuid = input.slice(4, 20);
+  var securityMode = input.readUInt16LE(20);
+  var dialects = [];
+  for (var i = 0; i < input.readUInt16LE(22); i++) {
+    dialects.push(input.readUInt16LE(REQUEST_HEADER_LENGTH + 2 * i));
+  }
+
+  if (capabilities !== connection.clientCapabilities
+    || !utils.bufferEquals(clientGuid, connection.clientGuid)
+    || securityMode !== connection.clientSecurityMode
+    || negotiation.selectDialect(dialects) !== connection.dialect) {
+    logger.error('[%s] negotiate parameters don\'t match, terminating connection', SMB2.FSCTL_TO_STRING[ctlCode].toUpperCase());
+    connection.socket.destroy();
+    process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  var out = put();
+  out.word32le(negotiation.getCapabilities(connection.dialect, !!connection.cipherId)) // Capabilities
+    .put(server.getGuid())  // Guid
+    .word16le(negotiation.getSecurityMode(server)) // SecurityMode
+    .word16le(connection.dialect); // Dialect
+  result = {
+    status: ntstatus.STATUS_SUCCESS,
+    output: out.buffer()
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
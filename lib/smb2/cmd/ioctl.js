@@ -0,0 +1,178 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var path = require('path');
+var fs = require('fs');
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+
+// fixed part of the response body (excluding the buffer)
+var RESPONSE_HEADER_LENGTH = 48;
+
+// NTSTATUS values with severity 'error'
+var ERROR_SEVERITY = 0xc0000000;
+
+var fsctlHandlers = {};
+
+function loadFsctlHandlers() {
+  var p = path.join(__dirname, 'fsctl');
+  var files = fs.readdirSync(p);
+  for (var i = 0; i < files.length; i++) {
+    var f = files[i];
+    var stat = fs.statSync(path.resolve(p, f));
+    if (stat.isDirectory()) {
+      continue;
+    }
+    if (f.substr(-3) === '.js') {
+      f = f.slice(0, -3);
+      fsctlHandlers[f] = require(path.resolve(p, f));
+    }
+  }
+}
+loadFsctlHandlers();
+
+/**
+ * SMB2_IOCTL (0x000B): Issue a file system control (FSCTL) command.
+ *
+ * The FSCTL is delegated to the handler in the 'fsctl' directory named after the control code
+ * (see <code>SMB2.FSCTL_TO_STRING</code>).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0039 (fixed according to spec)
+    .skip(2)  // Reserved
+    .word32le('ctlCode')
+    .buffer('fileId', 16)
+    .word32le('inputOffset')
+    .word32le('inputCount')
+    .word32le('maxInputResponse')
+    .word32le('outputOffset')
+    .word32le('outputCount')
+    .word32le('maxOutputResponse')
+    .word32le('flags')
+    .skip(4)  // Reserved2
+    .vars;
+
+  var fsctl = SMB2.FSCTL_TO_STRING[params.ctlCode];
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] ctlCode: 0x%s [%s], fileId: %s [fileName: %s], inputCount: %d, maxOutputResponse: %d, flags: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.ctlCode.toString(16), fsctl, params.fileId.toString('hex'), file ? file.getName() : null, params.inputCount, params.maxOutputResponse, params.flags.toString(2));
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (params.flags !== SMB2.IOCTL_IS_FSCTL) {
+    // plain device IOCTLs are not supported
+    returnError(ntstatus.STATUS_NOT_SUPPORTED);
+    return;
+  }
+  var inputStart = params.inputOffset - SMB2.HEADER_LENGTH;
+  if (params.inputCount > SMB2.MAX_TRANSACT_SIZE || params.maxOutputResponse > SMB2.MAX_TRANSACT_SIZE
+    || (params.inputCount && (inputStart < 0 || inputStart + params.inputCount > body.length))) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+  if (!file && !utils.bufferEquals(params.fileId, SMB2.UNSPECIFIED_FILE_ID)) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+
+  var handler = fsctl && fsctlHandlers[fsctl];
+  if (!handler) {
+    logger.error('encountered unsupported FSCTL 0x%s \'%s\'', params.ctlCode.toString(16), fsctl);
+    returnError(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+    return;
+  }
+
+  var input = params.inputCount ? body.slice(inputStart, inputStart + params.inputCount) : utils.EMPTY_BUFFER;
+  handler(msg, params.ctlCode, input, params.maxOutputResponse, file, connection, server, function (result) {
+    if (!result) {
+      // e.g. the connection has been terminated
+      cb(null);
+      return;
+    }
+    // errors may come with an output (e.g. the limits returned by FSCTL_SRV_COPYCHUNK)
+    if (result.status >= ERROR_SEVERITY && !result.output) {
+      cb({
+        status: result.status,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+
+    var output = result.output || utils.EMPTY_BUFFER;
+    var status = result.status;
+    if (output.length > params.maxOutputResponse) {
+      output = output.slice(0, params.maxOutputResponse);
+      status = ntstatus.STATUS_BUFFER_OVERFLOW;
+    }
+
+    var dataOffset = SMB2.HEADER_LENGTH + RESPONSE_HEADER_LENGTH;
+    var out = put();
+    out.word16le(0x0031)  // StructureSize (fixed according to spec)
+      .word16le(0)  // Reserved
+      .word32le(params.ctlCode) // CtlCode
+      .put(params.fileId) // FileId
+      .word32le(dataOffset) // InputOffset
+      .word32le(0)  // InputCount
+      .word32le(dataOffset) // OutputOffset
+      .word32le(output.length)  // OutputCount
+      .word32le(0)  // Flags
+      .word32le(0)  // Reserved2
+      .put(output); // Buffer
+    cb({
+      status: status,
+      body: out.buffer()
+    });
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,227 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var async = require('async');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+
+// size of a LOCK_ELEMENT structure
+var LOCK_ELEMENT_LENGTH = 24;
+
+/**
+ * SMB2_LOCK (0x000A): Lock or unlock portions of a file.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0030 (fixed according to spec)
+    .word16le('lockCount')
+    .word32le('lockSequence')
+    .buffer('fileId', 16)
+    .vars;
+
+  // decode LOCK_ELEMENT array
+  var locks = [];
+  var off = 24;
+  while (locks.length < params.lockCount && off + LOCK_ELEMENT_LENGTH <= body.length) {
+    locks.push({
+      offset: Long.fromBits(body.readUInt32LE(off), body.readUInt32LE(off + 4), true),
+      length: Long.fromBits(body.readUInt32LE(off + 8), body.readUInt32LE(off + 12), true),
+      flags: body.readUInt32LE(off + 16)
+    });
+    off += LOCK_ELEMENT_LENGTH;
+  }
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] fileId: %s [fileName: %s], locks: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.fileId.toString('hex'), file ? file.getName() : null,
+    locks.map(function (lock) {
+      return '{ offset: ' + lock.offset.toString() + ', length: ' + lock.length.toString() + ', flags: ' + lock.flags.toString(2) + ' }';
+    }).join(', '));
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  function complete(status) {
+    cb({
+      status: status,
+      body: status === ntstatus.STATUS_SUCCESS ? put().word16le(0x0004).word16le(0).buffer() : utils.EMPTY_BUFFER
+    });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+  if (!params.lockCount || locks.length < params.lockCount) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  // see MS-SMB2 3.3.5.14
+  if (locks[0].flags & SMB2.LOCKFLAG_UNLOCK) {
+    // unlock request: all elements must be unlocks
+    if (_.some(locks, function (lock) { return lock.flags !== SMB2.LOCKFLAG_UNLOCK; })) {
+      returnError(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
+    }
+    // ranges are unlocked in order; ranges unlocked before a failure remain unlocked
+    async.eachSeries(locks,
+      function (lock, callback) {
+        file.unlock(lock.offset, lock.length, null, callback);
+      },
+      function (err) {
+        complete(err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS);
+      }
+    );
+    return;
+  }
+
+  // lock request: every element must request either a shared or an exclusive lock;
+  // only a single lock may wait for conflicting locks to be released
+  var invalid = _.some(locks, function (lock) {
+    var flags = lock.flags & ~SMB2.LOCKFLAG_FAIL_IMMEDIATELY;
+    return (flags !== SMB2.LOCKFLAG_SHARED_LOCK && flags !== SMB2.LOCKFLAG_EXCLUSIVE_LOCK)
+      || (locks.length > 1 && !(lock.flags & SMB2.LOCKFLAG_FAIL_IMMEDIATELY));
+  });
+  if (invalid) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  if (locks.length === 1 && !(locks[0].flags & SMB2.LOCKFLAG_FAIL_IMMEDIATELY)) {
+    lockWait(locks[0]);
+    return;
+  }
+
+  // ranges are locked in order; on failure, the ranges locked by this request are unlocked again
+  var granted = [];
+  async.eachSeries(locks,
+    function (lock, callback) {
+      file.lock(lock.offset, lock.length, !!(lock.flags & SMB2.LOCKFLAG_EXCLUSIVE_LOCK), false, null, function (err) {
+        if (!err) {
+          granted.push(lock);
+        }
+        callback(err);
+      });
+    },
+    function (err) {
+      if (!err) {
+        complete(ntstatus.STATUS_SUCCESS);
+        return;
+      }
+      async.eachSeries(granted,
+        function (lock, callback) {
+          file.unlock(lock.offset, lock.length, null, function () {
+            callback();
+          });
+        },
+        function () {
+          complete(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+        }
+      );
+    }
+  );
+
+  /**
+   * Processes a blocking lock request: if the lock can't be granted immediately
+   * an interim (STATUS_PENDING) response is sent and the final response is sent
+   * once the lock has been granted or the request has been cancelled.
+   *
+   * @param {Object} lock lock element
+   */
+  function lockWait(lock) {
+    var exclusive = !!(lock.flags & SMB2.LOCKFLAG_EXCLUSIVE_LOCK);
+    file.lock(lock.offset, lock.length, exclusive, false, null, function (err) {
+      if (!err || err.status !== ntstatus.STATUS_LOCK_NOT_GRANTED) {
+        complete(err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS);
+        return;
+      }
+
+      var asyncId = connection.nextAsyncId++;
+      var cancelWait = file.lock(lock.offset, lock.length, exclusive, true, null, function (err) {
+        delete connection.asyncRequests[asyncId];
+        complete(err ? err.status || ntstatus.STATUS_UNSUCCESSFUL : ntstatus.STATUS_SUCCESS);
+      });
+
+      connection.asyncRequests[asyncId] = {
+        messageId: msg.header.messageId,
+        tree: tree,
+        fileId: params.fileId,
+        // completion status if the handle is closed while the request is pending
+        closeStatus: ntstatus.STATUS_RANGE_NOT_LOCKED,
+        /**
+         * Cancels the pending request.
+         *
+         * @param {Number} [status] completion status; if not specified no response is sent
+         */
+        cancel: function (status) {
+          cancelWait();
+          delete connection.asyncRequests[asyncId];
+          if (status !== undefined) {
+            complete(status);
+          }
+        }
+      };
+
+      // send interim response; the final response will be sent once the lock has been granted
+      msg.header.flags.async = true;
+      msg.header.asyncId = Long.fromNumber(asyncId, true);
+      cb({
+        status: ntstatus.STATUS_PENDING,
+        body: utils.EMPTY_BUFFER
+      });
+    });
+  }
+}
+
+module.exports = handle;
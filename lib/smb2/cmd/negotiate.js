@@ -12,12 +12,12 @@
 
 'use strict';
 
-var put = require('put');
 var binary = require('binary');
 var logger = require('winston').loggers.get('smb');
 
 var ntstatus = require('../../ntstatus');
 var SMB2 = require('../constants');
+var negotiation = require('../negotiation');
 var utils = require('../../utils');
 
 /**
@@ -57,7 +57,7 @@ function handle(msg, commandId, body, related, connection, server, cb) {
   var off = 0;
   params.dialects = [];
   var dialectsString = '';
-  while (params.dialects.length < params.dialectCount) {
+  while (params.dialects.length < params.dialectCount && off + 2 <= params.dialectsRaw.length) {
     var dialectCode = params.dialectsRaw.readUInt16LE(off);
     off += 2;
     params.dialects.push(dialectCode);
@@ -69,48 +69,112 @@ function handle(msg, commandId, body, related, connection, server, cb) {
 
   logger.debug('[%s] dialects: [ %s ]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), dialectsString);
 
-  var result;
+  function returnError(status) {
+    process.nextTick(function () {
+      cb({
+        status: status,
+        body: utils.EMPTY_BUFFER
+      });
+    });
+  }
+
+  if (connection.dialect && connection.dialect !== SMB2.SMB_2_X_X) {
+    // the dialect has already been negotiated on this connection
+    logger.error('[%s] received NEGOTIATE on already negotiated connection, terminating connection', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+    connection.socket.destroy();
+    process.nextTick(function () { cb(null); });
+    return;
+  }
+
+  if (!params.dialectCount) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  var targetDialect = negotiation.selectDialect(params.dialects);
+  if (!targetDialect) {
+    // couldn't agree on a dialect
+    returnError(ntstatus.STATUS_NOT_SUPPORTED);
+    return;
+  }
+
+  // negotiate contexts (SMB 3.1.1 only)
+  var respContexts = [];
+  var cipherId = 0;
+  if (targetDialect === SMB2.SMB_3_1_1) {
+    var contexts = negotiation.parseNegotiateContexts(body.slice(params.negotiateContextOffset - SMB2.HEADER_LENGTH), params.negotiateContextCount);
+    if (!contexts) {
+      returnError(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
+    }
+    var preauthCaps = null;
+    var ciphers = null;
+    for (var i = 0; i < contexts.length; i++) {
+      var ctx = contexts[i];
+      if (ctx.type === SMB2.PREAUTH_INTEGRITY_CAPABILITIES) {
+        if (preauthCaps) {
+          // duplicate context
+          returnError(ntstatus.STATUS_INVALID_PARAMETER);
+          return;
+        }
+        preauthCaps = negotiation.parsePreauthIntegrityCapabilities(ctx.data);
+        if (!preauthCaps) {
+          returnError(ntstatus.STATUS_INVALID_PARAMETER);
+          return;
+        }
+      } else if (ctx.type === SMB2.ENCRYPTION_CAPABILITIES) {
+        if (ciphers) {
+          // duplicate context
+          returnError(ntstatus.STATUS_INVALID_PARAMETER);
+          return;
+        }
+        ciphers = negotiation.parseEncryptionCapabilities(ctx.data);
+        if (!ciphers) {
+          returnError(ntstatus.STATUS_INVALID_PARAMETER);
+          return;
+        }
+      } else {
+        // ignore unsupported contexts
+        logger.debug('[%s] ignoring negotiate context 0x%s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), ctx.type.toString(16));
+      }
+    }
+    if (!preauthCaps) {
+      // the PREAUTH_INTEGRITY_CAPABILITIES context is mandatory
+      returnError(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
+    }
+    if (preauthCaps.hashAlgorithms.indexOf(SMB2.HASH_ALGORITHM_SHA512) === -1) {
+      returnError(ntstatus.STATUS_SMB_NO_PREAUTH_INTEGRITY_HASH_OVERLAP);
+      return;
+    }
+    respContexts.push(negotiation.createPreauthIntegrityContext());
+    if (ciphers) {
+      cipherId = negotiation.selectCipher(ciphers);
+      respContexts.push(negotiation.createEncryptionContext(cipherId));
+    }
+  } else if (targetDialect >= SMB2.SMB_3_0_0 && (params.capabilities & SMB2.GLOBAL_CAP_ENCRYPTION)) {
+    // SMB 3.0.x: AES-128-CCM is the only cipher
+    cipherId = SMB2.AES_128_CCM;
+  }
 
-  // target SMB 2.1 for now
-  var targetDialect;
-  if (params.dialects.indexOf(SMB2.SMB_2_1_0) > -1) {
-    targetDialect = SMB2.SMB_2_1_0;
-  } else if (params.dialects.indexOf(SMB2.SMB_2_0_2) > -1) {
-    targetDialect = SMB2.SMB_2_0_2;
-  } else {
-    result = {
-      status: ntstatus.STATUS_NOT_IMPLEMENTED,
-      body: utils.EMPTY_BUFFER
-    };
-    process.nextTick(function () { cb(result); });
+  connection.dialect = targetDialect;
+  connection.supportsMultiCredit = targetDialect !== SMB2.SMB_2_0_2;
+  connection.clientGuid = params.clientGuid;
+  connection.clientCapabilities = params.capabilities;
+  connection.clientSecurityMode = params.securityMode;
+  connection.clientDialects = params.dialects;
+  connection.cipherId = cipherId;
+  if (targetDialect === SMB2.SMB_3_1_1) {
+    // the hash chain starts with the NEGOTIATE request; the response will be added once it's been encoded
+    connection.preauthIntegrityHashValue = negotiation.updatePreauthIntegrityHash(null, msg.raw);
   }
 
-  var systemTime = utils.systemToSMBTime(Date.now());
-  var startTime = utils.systemToSMBTime(server.getStartTime());
-  var securityBuffer = utils.EMPTY_BUFFER;
-  var out = put();
-  out.word16le(0x0041)  // StructureSize (fixed according to spec)
-    .word16le(0) // SecurityMode
-    .word16le(targetDialect) // DialectRevision
-    .word16le(0)  // NegotiateContextCount/Reserved
-    .put(server.getGuid())  // ServerGuid
-    .word32le(SMB2.GLOBAL_CAP_DFS | SMB2.GLOBAL_CAP_LARGE_MTU) // Capabilities
-    .word32le(0x00100000) // MaxTransactSize
-    .word32le(0x00100000) // MaxReadSize
-    .word32le(0x00100000) // MaxWriteSize
-    .word32le(systemTime.getLowBitsUnsigned())  // SystemTime
-    .word32le(systemTime.getHighBitsUnsigned())
-    .word32le(startTime.getLowBitsUnsigned())  // ServerStartTime
-    .word32le(startTime.getHighBitsUnsigned())
-    .word16le(SMB2.HEADER_LENGTH + 64)  // SecurityBufferOffset
-    .word16le(securityBuffer.length)  // SecurityBufferLength
-    .word32le(0)  // NegotiateContextOffset/Reserved2
-    .put(securityBuffer); // SecurityBuffer
+  logger.debug('[%s] selected dialect: 0x%s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), targetDialect.toString(16));
 
   // return result
-  result = {
+  var result = {
     status: ntstatus.STATUS_SUCCESS,
-    body: out.buffer()
+    body: negotiation.createResponseBody(server, targetDialect, respContexts, !!cipherId)
   };
   process.nextTick(function () { cb(result); });
 }
@@ -0,0 +1,104 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+var lease = require('../lease');
+
+// StructureSize of a Lease Break Acknowledgment (an Oplock Break Acknowledgment has a StructureSize of 24)
+var LEASE_BREAK_ACK_SIZE = 0x0024;
+
+/**
+ * SMB2_OPLOCK_BREAK (0x0012): Acknowledge the break of an oplock or lease.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var structureSize = body.length >= 2 ? body.readUInt16LE(0) : 0;
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+
+  if (structureSize !== LEASE_BREAK_ACK_SIZE || body.length < LEASE_BREAK_ACK_SIZE) {
+    // oplock break acknowledgment: SMB2 opens are never granted oplocks (see MS-SMB2 3.3.5.22.1)
+    logger.debug('[%s] unexpected oplock break acknowledgment', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+    returnError(ntstatus.STATUS_INVALID_OPLOCK_PROTOCOL);
+    return;
+  }
+
+  // lease break acknowledgment (see MS-SMB2 3.3.5.22.2)
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0024 (fixed according to spec)
+    .skip(2)  // Reserved
+    .word32le('flags')
+    .buffer('leaseKey', 16)
+    .word32le('leaseState')
+    .vars;
+
+  logger.debug('[%s] leaseKey: %s, leaseState: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.leaseKey.toString('hex'), params.leaseState);
+
+  var leaseId = lease.getLeaseId(connection.clientGuid, params.leaseKey);
+  var status = server.getOplockManager().acknowledgeLease(leaseId, params.leaseState);
+  if (status !== ntstatus.STATUS_SUCCESS) {
+    returnError(status);
+    return;
+  }
+
+  var out = put();
+  out.word16le(LEASE_BREAK_ACK_SIZE)  // StructureSize (fixed according to spec)
+    .word16le(0)  // Reserved
+    .word32le(0)  // Flags
+    .put(params.leaseKey) // LeaseKey
+    .word32le(params.leaseState)  // LeaseState
+    .pad(8);  // LeaseDuration
+
+  result = {
+    status: ntstatus.STATUS_SUCCESS,
+    body: out.buffer()
+  };
+  process.nextTick(function () { cb(result); });
+}
+
+module.exports = handle;
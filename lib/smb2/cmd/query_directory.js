@@ -0,0 +1,190 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+var infoLevel = require('../../smb/findInformationLevel');
+
+// maps the supported SMB2 FileInformationClass values to the corresponding SMB find information levels
+var INFO_CLASS_TO_FIND_LEVEL = {};
+INFO_CLASS_TO_FIND_LEVEL[SMB2.FILE_DIRECTORY_INFORMATION] = SMB.FIND_FILE_DIRECTORY_INFO;
+INFO_CLASS_TO_FIND_LEVEL[SMB2.FILE_FULL_DIRECTORY_INFORMATION] = SMB.FIND_FILE_FULL_DIRECTORY_INFO;
+INFO_CLASS_TO_FIND_LEVEL[SMB2.FILE_BOTH_DIRECTORY_INFORMATION] = SMB.FIND_FILE_BOTH_DIRECTORY_INFO;
+INFO_CLASS_TO_FIND_LEVEL[SMB2.FILE_NAMES_INFORMATION] = SMB.FIND_FILE_NAMES_INFO;
+INFO_CLASS_TO_FIND_LEVEL[SMB2.FILE_ID_BOTH_DIRECTORY_INFORMATION] = SMB.FIND_FILE_ID_BOTH_DIRECTORY_INFO;
+INFO_CLASS_TO_FIND_LEVEL[SMB2.FILE_ID_FULL_DIRECTORY_INFORMATION] = SMB.FIND_FILE_ID_FULL_DIRECTORY_INFO;
+
+/**
+ * SMB2_QUERY_DIRECTORY (0x000E): Enumerate the contents of a directory.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0021 (fixed according to spec)
+    .word8('fileInformationClass')
+    .word8('flags')
+    .word32le('fileIndex')
+    .buffer('fileId', 16)
+    .word16le('fileNameOffset')
+    .word16le('fileNameLength')
+    .word32le('outputBufferLength')
+    .vars;
+
+  var off = params.fileNameOffset - SMB2.HEADER_LENGTH;
+  var pattern = params.fileNameLength ? body.slice(off, off + params.fileNameLength).toString('utf16le') : '';
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] fileId: %s [fileName: %s], fileInformationClass: 0x%s, flags: %s, pattern: %s, outputBufferLength: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.fileId.toString('hex'), file ? file.getName() : null, params.fileInformationClass.toString(16), params.flags.toString(2), pattern, params.outputBufferLength);
+
+  var result;
+
+  function returnResult(status, buf) {
+    var out = put();
+    if (buf) {
+      out.word16le(0x0009)  // StructureSize (fixed according to spec)
+        .word16le(SMB2.HEADER_LENGTH + 8)  // OutputBufferOffset
+        .word32le(buf.length) // OutputBufferLength
+        .put(buf);  // Buffer
+    }
+    result = {
+      status: status,
+      body: out.buffer()
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnResult(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnResult(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnResult(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+  if (!file.isDirectory()) {
+    returnResult(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+  var level = INFO_CLASS_TO_FIND_LEVEL[params.fileInformationClass];
+  if (!level) {
+    returnResult(ntstatus.STATUS_INVALID_INFO_CLASS);
+    return;
+  }
+
+  function serializeResults() {
+    var enumeration = file.enumeration;
+    var maxLength = Math.min(params.outputBufferLength, SMB2.MAX_TRANSACT_SIZE);
+    var entries = [];
+    var length = 0;
+    while (enumeration.index < enumeration.results.length) {
+      // entries must be aligned on an 8-byte boundary
+      var entry = infoLevel.serialize(enumeration.results, enumeration.index, enumeration.index + 1, level, false).buffer;
+      var alignedLength = entry.length + utils.calculatePadLength(entry.length, 8);
+      if (length + entry.length > maxLength) {
+        break;
+      }
+      entries.push(entry);
+      length += alignedLength;
+      enumeration.index++;
+      if (params.flags & SMB2.RETURN_SINGLE_ENTRY) {
+        break;
+      }
+    }
+
+    if (!entries.length) {
+      if (enumeration.index < enumeration.results.length) {
+        // not even a single entry fits into the output buffer
+        returnResult(ntstatus.STATUS_INFO_LENGTH_MISMATCH);
+      } else if (enumeration.index === 0 && utils.getPathName(enumeration.pattern) !== '*') {
+        returnResult(ntstatus.STATUS_NO_SUCH_FILE);
+      } else {
+        returnResult(ntstatus.STATUS_NO_MORE_FILES);
+      }
+      return;
+    }
+
+    var out = put();
+    entries.forEach(function (entry, n) {
+      var padLength = 0;
+      if (n < entries.length - 1) {
+        padLength = utils.calculatePadLength(entry.length, 8);
+        entry.writeUInt32LE(entry.length + padLength, 0); // NextEntryOffset
+      } else {
+        entry.writeUInt32LE(0, 0);  // NextEntryOffset
+      }
+      out.put(entry);
+      if (padLength) {
+        out.pad(padLength);
+      }
+    });
+    returnResult(ntstatus.STATUS_SUCCESS, out.buffer());
+  }
+
+  var restart = !file.enumeration || params.flags & (SMB2.RESTART_SCANS | SMB2.REOPEN);
+  if (!restart) {
+    // continue enumeration
+    serializeResults();
+    return;
+  }
+
+  // (re)start enumeration
+  var dirPath = file.getPath();
+  var searchPattern = (dirPath === '/' ? '' : dirPath) + '/' + (pattern || '*');
+  if (file.enumeration && !(params.flags & SMB2.REOPEN)) {
+    // RESTART_SCANS: the search pattern is not changed
+    searchPattern = file.enumeration.pattern;
+  }
+  tree.list(searchPattern, function (err, files) {
+    if (err) {
+      returnResult(err.status || ntstatus.STATUS_UNSUCCESSFUL);
+      return;
+    }
+    // the enumeration state lives on the open directory handle
+    file.enumeration = {
+      pattern: searchPattern,
+      results: files,
+      index: 0
+    };
+    serializeResults();
+  });
+}
+
+module.exports = handle;
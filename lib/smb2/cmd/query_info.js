@@ -0,0 +1,242 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+var infoLevel = require('../../smb/queryInformationLevel');
+var fsInfoLevel = require('../../smb/queryFSInformationLevel');
+
+// information classes whose output may be truncated (STATUS_BUFFER_OVERFLOW);
+// all others fail with STATUS_INFO_LENGTH_MISMATCH if they don't fit into the output buffer
+var VARIABLE_LENGTH_INFO_CLASSES = {};
+VARIABLE_LENGTH_INFO_CLASSES[SMB2.INFO_FILE] = [
+  SMB.FILE_ALL_INFORMATION,
+  SMB.FILE_NAME_INFORMATION,
+  SMB.FILE_STREAM_INFORMATION
+];
+VARIABLE_LENGTH_INFO_CLASSES[SMB2.INFO_FILESYSTEM] = [
+  SMB.FILE_FS_VOLUME_INFORMATION,
+  SMB.FILE_FS_ATTRIBUTE_INFORMATION
+];
+
+// well-known SID S-1-1-0 (Everyone)
+var SID_EVERYONE = new Buffer([ 0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00 ]);
+
+// security descriptor control flags
+var SE_DACL_PRESENT = 0x0004;
+var SE_SELF_RELATIVE = 0x8000;
+
+var ACCESS_ALLOWED_ACE_TYPE = 0x00;
+var OBJECT_INHERIT_ACE = 0x01;
+var CONTAINER_INHERIT_ACE = 0x02;
+
+/**
+ * SMB2_QUERY_INFO (0x0010): Query file, file system or security information.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0029 (fixed according to spec)
+    .word8('infoType')
+    .word8('fileInfoClass')
+    .word32le('outputBufferLength')
+    .word16le('inputBufferOffset')
+    .word16le('reserved')
+    .word32le('inputBufferLength')
+    .word32le('additionalInformation')
+    .word32le('flags')
+    .buffer('fileId', 16)
+    .vars;
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] infoType: %d, fileInfoClass: %d, outputBufferLength: %d, additionalInformation: 0x%s, fileId: %s [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.infoType, params.fileInfoClass, params.outputBufferLength, params.additionalInformation.toString(16), params.fileId.toString('hex'), file ? file.getName() : null);
+
+  var result;
+
+  function returnError(status, errorData) {
+    result = {
+      status: status,
+      body: errorData ? buildErrorBody(errorData) : utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+
+  function sendResult(serializeResult) {
+    if (serializeResult.status !== ntstatus.STATUS_SUCCESS) {
+      returnError(serializeResult.status === ntstatus.STATUS_OS2_INVALID_LEVEL ? ntstatus.STATUS_INVALID_INFO_CLASS : serializeResult.status);
+      return;
+    }
+
+    var status = ntstatus.STATUS_SUCCESS;
+    var data = serializeResult.buffer;
+    if (data.length > params.outputBufferLength) {
+      if ((VARIABLE_LENGTH_INFO_CLASSES[params.infoType] || []).indexOf(SMB.INFO_PASSTHROUGH + params.fileInfoClass) === -1) {
+        returnError(ntstatus.STATUS_INFO_LENGTH_MISMATCH);
+        return;
+      }
+      // return as much as fits into the output buffer
+      status = ntstatus.STATUS_BUFFER_OVERFLOW;
+      data = data.slice(0, params.outputBufferLength);
+    }
+
+    var out = put();
+    out.word16le(0x0009)  // StructureSize (fixed according to spec)
+      .word16le(SMB2.HEADER_LENGTH + 8) // OutputBufferOffset
+      .word32le(data.length)  // OutputBufferLength
+      .put(data); // Buffer
+    result = {
+      status: status,
+      body: out.buffer()
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  switch (params.infoType) {
+    case SMB2.INFO_FILE:
+      // SMB2 uses the native information classes, i.e. the SMB passthrough levels
+      infoLevel.query(file, SMB.INFO_PASSTHROUGH + params.fileInfoClass, sendResult);
+      break;
+    case SMB2.INFO_FILESYSTEM:
+      sendResult(fsInfoLevel.serialize(tree, SMB.INFO_PASSTHROUGH + params.fileInfoClass));
+      break;
+    case SMB2.INFO_SECURITY:
+      var sd = buildSecurityDescriptor(params.additionalInformation, file.isDirectory());
+      if (sd.length > params.outputBufferLength) {
+        // report the required size
+        var requiredSize = new Buffer(4);
+        requiredSize.writeUInt32LE(sd.length, 0);
+        returnError(ntstatus.STATUS_BUFFER_TOO_SMALL, requiredSize);
+        return;
+      }
+      sendResult({ status: ntstatus.STATUS_SUCCESS, buffer: sd });
+      break;
+    case SMB2.INFO_QUOTA:
+      returnError(ntstatus.STATUS_NOT_SUPPORTED);
+      break;
+    default:
+      returnError(ntstatus.STATUS_INVALID_PARAMETER);
+  }
+}
+
+/**
+ * Builds a SMB2 ERROR response body carrying the specified error data.
+ *
+ * @param {Buffer} errorData
+ * @return {Buffer}
+ */
+function buildErrorBody(errorData) {
+  return put()
+    .word16le(0x0009) // StructureSize (fixed according to spec)
+    .word8(0) // ErrorContextCount
+    .pad(1) // Reserved
+    .word32le(errorData.length) // ByteCount
+    .put(errorData) // ErrorData
+    .buffer();
+}
+
+/**
+ * Builds a self-relative security descriptor granting everyone full access.
+ * Only the parts requested in <code>additionalInformation</code> are included.
+ *
+ * @param {Number} additionalInformation requested security information flags
+ * @param {Boolean} isDirectory if true the ACE is inherited by child objects
+ * @return {Buffer}
+ */
+function buildSecurityDescriptor(additionalInformation, isDirectory) {
+  var headerLength = 20;
+  var off = headerLength;
+  var control = SE_SELF_RELATIVE;
+  var ownerOffset = 0, groupOffset = 0, daclOffset = 0;
+  var parts = [];
+
+  if (additionalInformation & SMB2.OWNER_SECURITY_INFORMATION) {
+    ownerOffset = off;
+    parts.push(SID_EVERYONE);
+    off += SID_EVERYONE.length;
+  }
+  if (additionalInformation & SMB2.GROUP_SECURITY_INFORMATION) {
+    groupOffset = off;
+    parts.push(SID_EVERYONE);
+    off += SID_EVERYONE.length;
+  }
+  if (additionalInformation & SMB2.DACL_SECURITY_INFORMATION) {
+    control |= SE_DACL_PRESENT;
+    daclOffset = off;
+    var aceSize = 8 + SID_EVERYONE.length;
+    var dacl = put()
+      .word8(2) // AclRevision
+      .word8(0) // Sbz1
+      .word16le(8 + aceSize) // AclSize
+      .word16le(1) // AceCount
+      .word16le(0) // Sbz2
+      .word8(ACCESS_ALLOWED_ACE_TYPE) // AceType
+      .word8(isDirectory ? OBJECT_INHERIT_ACE | CONTAINER_INHERIT_ACE : 0) // AceFlags
+      .word16le(aceSize) // AceSize
+      .word32le(SMB.FILE_ACCESS_ALL | SMB.READ_CONTROL | SMB.WRITE_DAC | SMB.WRITE_OWNER | SMB.SYNCHRONIZE) // Mask
+      .put(SID_EVERYONE) // Sid
+      .buffer();
+    parts.push(dacl);
+    off += dacl.length;
+  }
+
+  var header = put()
+    .word8(1) // Revision
+    .word8(0) // Sbz1
+    .word16le(control) // Control
+    .word32le(ownerOffset) // OffsetOwner
+    .word32le(groupOffset) // OffsetGroup
+    .word32le(0) // OffsetSacl
+    .word32le(daclOffset) // OffsetDacl
+    .buffer();
+
+  return Buffer.concat([ header ].concat(parts));
+}
+
+module.exports = handle;
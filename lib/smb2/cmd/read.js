@@ -0,0 +1,131 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+
+// fixed part of the response body (excluding the buffer)
+var RESPONSE_HEADER_LENGTH = 16;
+
+/**
+ * SMB2_READ (0x0008): Read data from a file or named pipe.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0031 (fixed according to spec)
+    .word8('padding')
+    .word8('flags')
+    .word32le('length')
+    .word64le('offset')
+    .buffer('fileId', 16)
+    .word32le('minimumCount')
+    .word32le('channel')
+    .word32le('remainingBytes')
+    .vars;
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] fileId: %s [fileName: %s], offset: %d, length: %d, minimumCount: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.fileId.toString('hex'), file ? file.getName() : null, params.offset, params.length, params.minimumCount);
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+  if (file.isDirectory()) {
+    returnError(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+    return;
+  }
+  if (params.length > SMB2.MAX_READ_SIZE) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  // read the data directly into the response body in order to avoid copying
+  var buf = new Buffer(RESPONSE_HEADER_LENGTH + params.length);
+  file.read(buf, RESPONSE_HEADER_LENGTH, params.length, params.offset, function (err, bytesRead) {
+    if (err) {
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+
+    if ((!bytesRead && params.length && !tree.getShare().isNamedPipe())
+      || bytesRead < params.minimumCount) {
+      cb({
+        status: ntstatus.STATUS_END_OF_FILE,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+
+    var out = put();
+    out.word16le(0x0011)  // StructureSize (fixed according to spec)
+      .word8(SMB2.HEADER_LENGTH + RESPONSE_HEADER_LENGTH) // DataOffset
+      .word8(0) // Reserved
+      .word32le(bytesRead)  // DataLength
+      .word32le(0)  // DataRemaining
+      .word32le(0); // Reserved2
+    out.buffer().copy(buf, 0);
+
+    result = {
+      status: ntstatus.STATUS_SUCCESS,
+      body: buf.slice(0, RESPONSE_HEADER_LENGTH + bytesRead)
+    };
+    cb(result);
+  });
+}
+
+module.exports = handle;
@@ -0,0 +1,277 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntlmssp = require('../../ntlmssp');
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var negotiation = require('../negotiation');
+var signing = require('../signing');
+var transform = require('../transform');
+var utils = require('../../utils');
+var SMBSession = require('../../smbsession');
+
+// SPNEGO (RFC 4178) negTokenResp negState values
+var SPNEGO_ACCEPT_COMPLETED = 0;
+var SPNEGO_ACCEPT_INCOMPLETE = 1;
+
+// DER encoded NTLMSSP mechanism OID (1.3.6.1.4.1.311.2.2.10)
+var NTLMSSP_MECH_OID = new Buffer([ 0x06, 0x0a, 0x2b, 0x06, 0x01, 0x04, 0x01, 0x82, 0x37, 0x02, 0x02, 0x0a ]);
+
+/**
+ * SMB2_SESSION_SETUP (0x0001): Authenticate and setup a session.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0019 (fixed according to spec)
+    .word8('flags')
+    .word8('securityMode')
+    .word32le('capabilities')
+    .word32le('channel')
+    .word16le('securityBufferOffset')
+    .word16le('securityBufferLength')
+    .buffer('previousSessionIdRaw', 8)
+    .vars;
+
+  var off = params.securityBufferOffset - SMB2.HEADER_LENGTH;
+  var securityBuffer = body.slice(off, off + params.securityBufferLength);
+
+  logger.debug('[%s] flags: %d, securityMode: %d, capabilities: %s, sessionId: %s',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags, params.securityMode, params.capabilities.toString(2),
+    msg.header.sessionId.toString());
+
+  function buildResult(status, sessionFlags, secBlob) {
+    var result;
+    if (status !== ntstatus.STATUS_SUCCESS
+      && status !== ntstatus.STATUS_MORE_PROCESSING_REQUIRED) {
+      result = {
+        status: status,
+        body: utils.EMPTY_BUFFER
+      };
+    } else {
+      var out = put();
+      out.word16le(0x0009)  // StructureSize (fixed according to spec)
+        .word16le(sessionFlags) // SessionFlags
+        .word16le(SMB2.HEADER_LENGTH + 8)  // SecurityBufferOffset
+        .word16le(secBlob.length) // SecurityBufferLength
+        .put(secBlob); // Buffer
+      result = {
+        status: status,
+        body: out.buffer()
+      };
+    }
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (params.flags & SMB2.SESSION_FLAG_BINDING) {
+    // multi-channel is not supported
+    buildResult(ntstatus.STATUS_REQUEST_NOT_ACCEPTED);
+    return;
+  }
+
+  // the NTLMSSP token is either sent raw or wrapped in a SPNEGO token
+  var spnego = false;
+  var ntlmsspToken = securityBuffer;
+  if (!utils.bufferEquals(securityBuffer.slice(0, ntlmssp.NTLMSSP_SIGNATURE.length), ntlmssp.NTLMSSP_SIGNATURE)) {
+    spnego = true;
+    var pos = bufferIndexOf(securityBuffer, ntlmssp.NTLMSSP_SIGNATURE);
+    if (pos === -1) {
+      // the client didn't offer NTLMSSP
+      logger.warn('[%s] unsupported security mechanism: 0x%s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), securityBuffer.toString('hex'));
+      buildResult(ntstatus.STATUS_NOT_SUPPORTED);
+      return;
+    }
+    ntlmsspToken = securityBuffer.slice(pos);
+  }
+
+  function wrap(state, token) {
+    return spnego ? createSPNEGOResponse(state, token) : token;
+  }
+
+  var sessionId = msg.header.sessionId.toNumber();
+  var login = connection.pendingLogins[sessionId];
+  if (!login) {
+    if (sessionId && !connection.getSession(sessionId)) {
+      // re-authentication of an unknown session
+      buildResult(ntstatus.STATUS_USER_SESSION_DELETED);
+      return;
+    }
+    // parse NTLMSSP_NEGOTIATE msg
+    var negMsg = ntlmssp.parseNegotiateMessage(ntlmsspToken);
+    if (!negMsg) {
+      buildResult(ntstatus.STATUS_LOGON_FAILURE);
+      return;
+    }
+    login = server.createLogin();
+    login.negotiateMsg = negMsg;
+    // reserve the session id; a re-authentication keeps the existing session id
+    login.sessionId = sessionId || SMBSession.allocateUid();
+    // the session to be re-authenticated (null if a new session is being established)
+    login.session = sessionId ? connection.getSession(sessionId) : null;
+    connection.pendingLogins[login.sessionId] = login;
+    if (connection.dialect === SMB2.SMB_3_1_1) {
+      // the session's preauth integrity hash chain continues the connection's one
+      login.preauthIntegrityHashValue = negotiation.updatePreauthIntegrityHash(connection.preauthIntegrityHashValue, msg.raw);
+    }
+    msg.header.sessionId = Long.fromNumber(login.sessionId, true);
+    // create NTLMSSP_CHALLENGE msg
+    var challengeMsg = ntlmssp.createChallengeMessage(negMsg.flags, login.challenge, server.hostName, server.domainName);
+    buildResult(ntstatus.STATUS_MORE_PROCESSING_REQUIRED, 0, wrap(SPNEGO_ACCEPT_INCOMPLETE, challengeMsg));
+    return;
+  }
+
+  // this is the last round trip of this login, successful or not
+  delete connection.pendingLogins[sessionId];
+  server.destroyLogin(login.key);
+  if (login.preauthIntegrityHashValue) {
+    login.preauthIntegrityHashValue = negotiation.updatePreauthIntegrityHash(login.preauthIntegrityHashValue, msg.raw);
+  }
+
+  // parse NTLMSSP_AUTHENTICATE msg
+  var authMsg = ntlmssp.parseAuthenticateMessage(ntlmsspToken);
+  if (!authMsg) {
+    buildResult(ntstatus.STATUS_LOGON_FAILURE);
+    return;
+  }
+
+  logger.debug('[%s] accountName: %s, primaryDomain: %s, workstation: %s',
+    SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), authMsg.user, authMsg.domain, authMsg.workstation);
+
+  if (login.session && !connection.getSession(login.session.uid)) {
+    // the session to be re-authenticated has been logged off in the meantime
+    buildResult(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+
+  server.setupSession(login, authMsg.user, authMsg.domain, authMsg.lmResponse, authMsg.ntResponse, function (err, session) {
+    if (err) {
+      // authentication failure
+      buildResult(ntstatus.STATUS_LOGON_FAILURE);
+      return;
+    }
+
+    session.client = {
+      workstation: authMsg.workstation,
+      capabilities: params.capabilities
+    };
+    connection.sessions[session.uid] = session;
+
+    var sessionFlags = 0;
+    if (!authMsg.user && !authMsg.ntResponse.length) {
+      sessionFlags |= SMB2.SESSION_FLAG_IS_NULL;
+    }
+
+    // a re-authenticated session keeps the keys established by its initial authentication
+    var newSession = !login.session;
+    var keyExchangeKey = null;
+    // anonymous sessions can't be signed
+    if (newSession && session.sessionKey && !(sessionFlags & SMB2.SESSION_FLAG_IS_NULL)) {
+      keyExchangeKey = ntlmssp.calculateKeyExchangeKey(authMsg.flags, session.sessionKey, login.challenge, authMsg.lmResponse, authMsg.ntResponse);
+    }
+    if (keyExchangeKey) {
+      session.sessionKey = ntlmssp.calculateExportedSessionKey(authMsg.flags, keyExchangeKey, authMsg.encryptedRandomSessionKey);
+      session.signingKey = signing.createSigningKey(connection.dialect, session.sessionKey, login.preauthIntegrityHashValue);
+      session.signingRequired = !!(params.securityMode & SMB2.NEGOTIATE_SIGNING_REQUIRED) || !!server.config.signingRequired;
+      if (connection.dialect >= SMB2.SMB_3_0_0 && connection.cipherId) {
+        var keys = transform.createEncryptionKeys(connection.dialect, session.sessionKey, login.preauthIntegrityHashValue);
+        session.encryptionKey = keys.encryptionKey;
+        session.decryptionKey = keys.decryptionKey;
+      }
+    } else if (newSession && server.config.signingRequired) {
+      // signing is required but we don't have a session key
+      logger.warn('[%s] failed to setup session: signing required but no session key available', SMB2.COMMAND_TO_STRING[commandId].toUpperCase());
+      session.logoff();
+      buildResult(ntstatus.STATUS_ACCESS_DENIED);
+      return;
+    }
+
+    buildResult(ntstatus.STATUS_SUCCESS, sessionFlags, spnego ? createSPNEGOResponse(SPNEGO_ACCEPT_COMPLETED) : utils.EMPTY_BUFFER);
+  });
+}
+
+/**
+ * Returns the position of the first occurrence of <code>pattern</code> within <code>buf</code>.
+ *
+ * @param {Buffer} buf
+ * @param {Buffer} pattern
+ * @return {Number} position or -1 if <code>pattern</code> could not be found
+ */
+function bufferIndexOf(buf, pattern) {
+  for (var i = 0; i <= buf.length - pattern.length; i++) {
+    if (utils.bufferEquals(buf.slice(i, i + pattern.length), pattern)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Encodes a DER element.
+ *
+ * @param {Number} tag
+ * @param {Buffer} content
+ * @return {Buffer}
+ */
+function derEncode(tag, content) {
+  var out = put();
+  out.word8(tag);
+  if (content.length < 0x80) {
+    out.word8(content.length);
+  } else if (content.length < 0x100) {
+    out.word8(0x81).word8(content.length);
+  } else {
+    out.word8(0x82).word16be(content.length);
+  }
+  return out.put(content).buffer();
+}
+
+/**
+ * Creates a SPNEGO negTokenResp (see RFC 4178).
+ *
+ * @param {Number} state negState
+ * @param {Buffer} [token] optional responseToken
+ * @return {Buffer}
+ */
+function createSPNEGOResponse(state, token) {
+  var elements = [ derEncode(0xa0, derEncode(0x0a, new Buffer([ state ]))) ]; // negState
+  if (state === SPNEGO_ACCEPT_INCOMPLETE) {
+    elements.push(derEncode(0xa1, NTLMSSP_MECH_OID)); // supportedMech
+  }
+  if (token) {
+    elements.push(derEncode(0xa2, derEncode(0x04, token))); // responseToken
+  }
+  return derEncode(0xa1, derEncode(0x30, Buffer.concat(elements)));
+}
+
+module.exports = handle;
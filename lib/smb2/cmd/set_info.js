@@ -0,0 +1,156 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+var SMBError = require('../../smberror');
+var setInfoLevel = require('../../smb/setInformationLevel');
+
+var SET_INFO_RESPONSE = put()
+  .word16le(0x0002) // StructureSize (fixed according to spec)
+  .buffer();
+
+/**
+ * SMB2_SET_INFO (0x0011): Set file, file system or security information.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0021 (fixed according to spec)
+    .word8('infoType')
+    .word8('fileInfoClass')
+    .word32le('bufferLength')
+    .word16le('bufferOffset')
+    .word16le('reserved')
+    .word32le('additionalInformation')
+    .buffer('fileId', 16)
+    .vars;
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] infoType: %d, fileInfoClass: %d, bufferLength: %d, additionalInformation: 0x%s, fileId: %s [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.infoType, params.fileInfoClass, params.bufferLength, params.additionalInformation.toString(16), params.fileId.toString('hex'), file ? file.getName() : null);
+
+  var result;
+
+  function returnResult(status) {
+    result = {
+      status: status,
+      body: status === ntstatus.STATUS_SUCCESS ? SET_INFO_RESPONSE : utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  function onCompletion(err) {
+    var status = ntstatus.STATUS_SUCCESS;
+    if (err) {
+      status = err.status === ntstatus.STATUS_OS2_INVALID_LEVEL ? ntstatus.STATUS_INVALID_INFO_CLASS : err.status || ntstatus.STATUS_UNSUCCESSFUL;
+    }
+    returnResult(status);
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnResult(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnResult(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnResult(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+
+  var off = params.bufferOffset - SMB2.HEADER_LENGTH;
+  if (off < 0 || off + params.bufferLength > body.length) {
+    returnResult(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+  var buf = body.slice(off, off + params.bufferLength);
+
+  switch (params.infoType) {
+    case SMB2.INFO_FILE:
+      // SMB2 uses the native information classes, i.e. the SMB passthrough levels
+      var informationLevel = SMB.INFO_PASSTHROUGH + params.fileInfoClass;
+      if (informationLevel === SMB.FILE_RENAME_INFORMATION) {
+        rename(tree, file, buf, onCompletion);
+      } else {
+        setInfoLevel.apply(file, informationLevel, buf, onCompletion);
+      }
+      return;
+    case SMB2.INFO_SECURITY:
+      // security descriptors are not persisted: silently ignore
+      logger.debug('[%s] ignoring security information 0x%s [fileName: %s]', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.additionalInformation.toString(16), file.getName());
+      returnResult(ntstatus.STATUS_SUCCESS);
+      return;
+    case SMB2.INFO_FILESYSTEM:
+    case SMB2.INFO_QUOTA:
+      returnResult(ntstatus.STATUS_NOT_SUPPORTED);
+      return;
+    default:
+      returnResult(ntstatus.STATUS_INVALID_PARAMETER);
+  }
+}
+
+/**
+ * Parses a FILE_RENAME_INFORMATION (SMB2 variant) structure and renames the file accordingly.
+ *
+ * @param {SMBTree} tree
+ * @param {File} file
+ * @param {Buffer} buf encoded FILE_RENAME_INFORMATION
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+function rename(tree, file, buf, cb) {
+  if (buf.length < 20 || 20 + buf.readUInt32LE(16) > buf.length) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_INFO_LENGTH_MISMATCH)); });
+    return;
+  }
+  var info = binary.parse(buf)
+    .word8('replaceIfExists')
+    .skip(7)  // Reserved
+    .word64le('rootDirectory')
+    .word32le('fileNameLength')
+    .vars;
+  // the target name is relative to the share root
+  var targetName = buf.slice(20, 20 + info.fileNameLength).toString('utf16le');
+
+  logger.debug('FILE_RENAME_INFORMATION, fileName: %s, replaceIfExists: %d, targetName: %s', file.getName(), info.replaceIfExists, targetName);
+
+  setInfoLevel.rename(tree, file, targetName, !!info.replaceIfExists, cb);
+}
+
+module.exports = handle;
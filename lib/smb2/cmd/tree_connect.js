@@ -0,0 +1,124 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var _ = require('lodash');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var SMB = require('../../smb/constants');
+var utils = require('../../utils');
+
+// maximal access rights granted on a disk share
+var MAXIMAL_ACCESS = SMB.FILE_ACCESS_ALL | SMB.READ_CONTROL | SMB.SYNCHRONIZE;
+
+/**
+ * SMB2_TREE_CONNECT (0x0003): Connect to a share.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0009 (fixed according to spec)
+    .word16le('flags')
+    .word16le('pathOffset')
+    .word16le('pathLength')
+    .vars;
+
+  var off = params.pathOffset - SMB2.HEADER_LENGTH;
+  // path is in UNC format, i.e. \\server\share
+  var path = body.slice(off, off + params.pathLength).toString('utf16le');
+
+  logger.debug('[%s] flags: %s, path: %s', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.flags.toString(2), path);
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  // share names are case-insensitive
+  var shareName = path.substring(path.lastIndexOf('\\') + 1).toLowerCase();
+  shareName = _.find(server.getShareNames(), function (name) {
+    return name.toLowerCase() === shareName;
+  });
+  if (!shareName) {
+    returnError(ntstatus.STATUS_BAD_NETWORK_NAME);
+    return;
+  }
+  var session = connection.getSession(msg.header.sessionId.toNumber());
+  if (!session) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  server.connectTree(session, shareName, null, function (err, tree) {
+    if (err) {
+      returnError(ntstatus.STATUS_ACCESS_DENIED);
+      return;
+    }
+
+    var encryptData = tree.getShare().isEncryptData();
+    if (encryptData && !session.encryptionKey) {
+      // the share requires encryption but the client can't encrypt (SMB 2.x or no common cipher)
+      logger.warn('[%s] access to share %s denied: encryption required but not supported by client', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), shareName);
+      server.disconnectTree(tree.tid);
+      returnError(ntstatus.STATUS_ACCESS_DENIED);
+      return;
+    }
+
+    // build response
+    msg.header.treeId = tree.tid;
+    var namedPipe = tree.getShare().isNamedPipe();
+    var shareFlags = namedPipe ? SMB2.SHAREFLAG_NO_CACHING : SMB2.SHAREFLAG_MANUAL_CACHING;
+    if (encryptData) {
+      shareFlags |= SMB2.SHAREFLAG_ENCRYPT_DATA;
+    }
+    var out = put();
+    out.word16le(0x0010)  // StructureSize (fixed according to spec)
+      .word8(namedPipe ? SMB2.SHARE_TYPE_PIPE : SMB2.SHARE_TYPE_DISK) // ShareType
+      .word8(0) // Reserved
+      .word32le(shareFlags) // ShareFlags
+      .word32le(0)  // Capabilities
+      .word32le(namedPipe ? SMB.FILE_ACCESS_ALL : MAXIMAL_ACCESS); // MaximalAccess
+
+    // return result
+    result = {
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    };
+    cb(result);
+  });
+}
+
+module.exports = handle;
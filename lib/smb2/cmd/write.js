@@ -0,0 +1,131 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var binary = require('binary');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../../ntstatus');
+var SMB2 = require('../constants');
+var utils = require('../../utils');
+
+/**
+ * SMB2_WRITE (0x0009): Write data to a file or named pipe.
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Number} commandId - the command id
+ * @param {Buffer} body - the command specific message body
+ * @param {Object} related - context for related operations (null for unrelated operation)
+ * @param {Long} related.sessionId - sessionId
+ * @param {Number} related.treeId - treeId
+ * @param {Object} related.fileId - fileId
+ * @param {Object} connection - an SMBConnection instance
+ * @param {Object} server - an SMBServer instance
+ * @param {Function} cb callback called with the command's result
+ * @param {Object} cb.result - an object with the command's result
+ *                             or null if the handler already sent the response and
+ *                             no further processing is required by the caller
+ * @param {Number} cb.result.status
+ * @param {Buffer} cb.result.body
+ */
+function handle(msg, commandId, body, related, connection, server, cb) {
+  var params = binary.parse(body)
+    .word16le('structureSize')  // 0x0031 (fixed according to spec)
+    .word16le('dataOffset')
+    .word32le('length')
+    .word64le('offset')
+    .buffer('fileId', 16)
+    .word32le('channel')
+    .word32le('remainingBytes')
+    .word16le('writeChannelInfoOffset')
+    .word16le('writeChannelInfoLength')
+    .word32le('flags')
+    .vars;
+
+  var tree = server.getTree(msg.header.treeId);
+  var file = tree && tree.getFileByFileId(params.fileId);
+
+  logger.debug('[%s] fileId: %s [fileName: %s], offset: %d, length: %d, dataOffset: %d, flags: %d', SMB2.COMMAND_TO_STRING[commandId].toUpperCase(), params.fileId.toString('hex'), file ? file.getName() : null, params.offset, params.length, params.dataOffset, params.flags);
+
+  var result;
+
+  function returnError(status) {
+    result = {
+      status: status,
+      body: utils.EMPTY_BUFFER
+    };
+    process.nextTick(function () { cb(result); });
+  }
+
+  if (!connection.getSession(msg.header.sessionId.toNumber())) {
+    returnError(ntstatus.STATUS_USER_SESSION_DELETED);
+    return;
+  }
+  if (!tree) {
+    returnError(ntstatus.STATUS_NETWORK_NAME_DELETED);
+    return;
+  }
+  if (!file) {
+    returnError(ntstatus.STATUS_FILE_CLOSED);
+    return;
+  }
+  if (file.isDirectory()) {
+    returnError(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+    return;
+  }
+  // DataOffset is relative to the beginning of the SMB2 header
+  if (params.dataOffset < SMB2.HEADER_LENGTH + 48
+    || params.dataOffset + params.length > msg.buf.length
+    || params.length > SMB2.MAX_WRITE_SIZE) {
+    returnError(ntstatus.STATUS_INVALID_PARAMETER);
+    return;
+  }
+
+  // no need to copy the data, a slice of the raw message buffer will do
+  var data = msg.buf.slice(params.dataOffset, params.dataOffset + params.length);
+
+  function onWritten(err) {
+    if (err) {
+      cb({
+        status: err.status || ntstatus.STATUS_UNSUCCESSFUL,
+        body: utils.EMPTY_BUFFER
+      });
+      return;
+    }
+
+    var out = put();
+    out.word16le(0x0011)  // StructureSize (fixed according to spec)
+      .word16le(0)  // Reserved
+      .word32le(data.length)  // Count
+      .word32le(0)  // Remaining
+      .word16le(0)  // WriteChannelInfoOffset
+      .word16le(0); // WriteChannelInfoLength
+
+    result = {
+      status: ntstatus.STATUS_SUCCESS,
+      body: out.buffer()
+    };
+    cb(result);
+  }
+
+  file.write(data, params.offset, function (err) {
+    if (!err && params.flags & SMB2.WRITEFLAG_WRITE_THROUGH) {
+      file.flush(onWritten);
+    } else {
+      onWritten(err);
+    }
+  });
+}
+
+module.exports = handle;
@@ -49,9 +49,25 @@ consts.STRING_TO_COMMAND = _.invert(consts.COMMAND_TO_STRING);
 
 // protocol id
 consts.PROTOCOL_ID = new Buffer([ 0xfe, 0x53, 0x4d, 0x42 ]);  // 0xfe, 'S', 'M', 'B'
+// protocol id of encrypted messages (SMB2 TRANSFORM_HEADER, SMB 3.x only)
+consts.TRANSFORM_PROTOCOL_ID = new Buffer([ 0xfd, 0x53, 0x4d, 0x42 ]);  // 0xfd, 'S', 'M', 'B'
 
 // fixed header length
 consts.HEADER_LENGTH = 64;
+// fixed TRANSFORM_HEADER length
+consts.TRANSFORM_HEADER_LENGTH = 52;
+
+// TRANSFORM_HEADER Flags (SMB 3.1.1) / EncryptionAlgorithm (SMB 3.0.x)
+consts.TRANSFORM_FLAG_ENCRYPTED = 0x0001;
+
+// max. buffer sizes advertised in the NEGOTIATE response
+consts.MAX_TRANSACT_SIZE = 0x00100000;
+consts.MAX_READ_SIZE = 0x00800000;
+consts.MAX_WRITE_SIZE = 0x00800000;
+// upper limit of the number of credits (i.e. outstanding requests) granted to a client
+consts.MAX_CREDITS = 512;
+// number of payload bytes covered by a single credit
+consts.CREDIT_PAYLOAD_SIZE = 0x00010000;
 
 /**
  * flags
@@ -81,6 +97,209 @@ consts.GLOBAL_CAP_ENCRYPTION = 0x00000040;  // When set, indicates that the clie
 consts.NEGOTIATE_SIGNING_ENABLED = 0x0001; // When set, indicates that security signatures are enabled on the server.
 consts.NEGOTIATE_SIGNING_REQUIRED = 0x0002;  // When set, indicates that security signatures are required by the server
 
+/**
+ * SessionSetup request flags
+ */
+consts.SESSION_FLAG_BINDING = 0x01; // When set, indicates that the request is to bind an existing session to a new connection.
+
+/**
+ * SessionFlags
+ */
+consts.SESSION_FLAG_IS_GUEST = 0x0001;  // If set, the client has been authenticated as a guest user.
+consts.SESSION_FLAG_IS_NULL = 0x0002; // If set, the client has been authenticated as an anonymous user.
+consts.SESSION_FLAG_ENCRYPT_DATA = 0x0004;  // If set, the server requires encryption of messages on this session (SMB 3.x only).
+
+/**
+ * ShareType
+ */
+consts.SHARE_TYPE_DISK = 0x01;  // Physical disk share.
+consts.SHARE_TYPE_PIPE = 0x02;  // Named pipe share.
+consts.SHARE_TYPE_PRINT = 0x03; // Printer share.
+
+/**
+ * ShareFlags
+ */
+consts.SHAREFLAG_MANUAL_CACHING = 0x00000000; // The client may cache files that are explicitly selected by the user for offline use.
+consts.SHAREFLAG_AUTO_CACHING = 0x00000010; // The client may automatically cache files that are used by the user for offline access.
+consts.SHAREFLAG_VDO_CACHING = 0x00000020;  // The client may automatically cache files that are used by the user for offline access and may use those files in an offline mode even if the share is available.
+consts.SHAREFLAG_NO_CACHING = 0x00000030; // Offline caching MUST NOT occur.
+consts.SHAREFLAG_DFS = 0x00000001;  // The specified share is present in a DFS tree structure.
+consts.SHAREFLAG_DFS_ROOT = 0x00000002; // The specified share is present in a DFS tree structure.
+consts.SHAREFLAG_RESTRICT_EXCLUSIVE_OPENS = 0x00000100; // The specified share disallows exclusive file opens that deny reads to an open file.
+consts.SHAREFLAG_FORCE_SHARED_DELETE = 0x00000200;  // The specified share disallows clients from opening files on the share in an exclusive mode that prevents the file from being deleted until the client closes the file.
+consts.SHAREFLAG_ALLOW_NAMESPACE_CACHING = 0x00000400;  // The client MUST ignore this flag.
+consts.SHAREFLAG_ACCESS_BASED_DIRECTORY_ENUM = 0x00000800;  // The server will filter directory entries based on the access permissions of the client.
+consts.SHAREFLAG_FORCE_LEVELII_OPLOCK = 0x00001000; // The server will not issue exclusive caching rights on this share.
+consts.SHAREFLAG_ENABLE_HASH_V1 = 0x00002000; // The share supports hash generation for branch cache retrieval of data.
+consts.SHAREFLAG_ENABLE_HASH_V2 = 0x00004000; // The share supports v2 hash generation for branch cache retrieval of data.
+consts.SHAREFLAG_ENCRYPT_DATA = 0x00008000; // The server requires encryption of remote file access messages on this share (SMB 3.x only).
+
+/**
+ * Share Capabilities
+ */
+consts.SHARE_CAP_DFS = 0x00000008;  // The specified share is present in a DFS tree structure.
+consts.SHARE_CAP_CONTINUOUS_AVAILABILITY = 0x00000010;  // The specified share is continuously available.
+consts.SHARE_CAP_SCALEOUT = 0x00000020; // The specified share is present on a server configuration which facilitates faster recovery of durable handles.
+consts.SHARE_CAP_CLUSTER = 0x00000040;  // The specified share is present on a server configuration which provides monitoring of the availability of share through the Witness service.
+consts.SHARE_CAP_ASYMMETRIC = 0x00000080; // The specified share is present on a server configuration that allows dynamic changes in the ownership of the share.
+
+/**
+ * OplockLevel
+ */
+consts.OPLOCK_LEVEL_NONE = 0x00;  // No oplock is requested.
+consts.OPLOCK_LEVEL_II = 0x01;  // A level II oplock is requested.
+consts.OPLOCK_LEVEL_EXCLUSIVE = 0x08; // An exclusive oplock is requested.
+consts.OPLOCK_LEVEL_BATCH = 0x09; // A batch oplock is requested.
+consts.OPLOCK_LEVEL_LEASE = 0xff; // A lease is requested.
+
+/**
+ * Lease flags
+ */
+consts.LEASE_FLAG_BREAK_IN_PROGRESS = 0x00000002; // A break for the lease is in progress.
+consts.LEASE_FLAG_PARENT_LEASE_KEY_SET = 0x00000004; // The ParentLeaseKey is set (SMB 3.x only).
+
+/**
+ * Lease break notification flags
+ */
+consts.NOTIFY_BREAK_LEASE_FLAG_ACK_REQUIRED = 0x01; // The client must acknowledge the lease break.
+
+/**
+ * Create context names
+ */
+consts.CREATE_REQUEST_LEASE = 'RqLs'; // SMB2_CREATE_REQUEST_LEASE (v1) or SMB2_CREATE_REQUEST_LEASE_V2
+consts.CREATE_DURABLE_HANDLE_REQUEST = 'DHnQ'; // SMB2_CREATE_DURABLE_HANDLE_REQUEST
+consts.CREATE_DURABLE_HANDLE_RECONNECT = 'DHnC'; // SMB2_CREATE_DURABLE_HANDLE_RECONNECT
+consts.CREATE_DURABLE_HANDLE_REQUEST_V2 = 'DH2Q'; // SMB2_CREATE_DURABLE_HANDLE_REQUEST_V2 (SMB 3.x only)
+consts.CREATE_DURABLE_HANDLE_RECONNECT_V2 = 'DH2C'; // SMB2_CREATE_DURABLE_HANDLE_RECONNECT_V2 (SMB 3.x only)
+
+/**
+ * Durable handle flags
+ */
+consts.DHANDLE_FLAG_PERSISTENT = 0x00000002; // A persistent handle is requested.
+
+// length of the lease create contexts data
+consts.LEASE_V1_LENGTH = 32;
+consts.LEASE_V2_LENGTH = 52;
+
+/**
+ * Lock flags
+ */
+consts.LOCKFLAG_SHARED_LOCK = 0x00000001; // A shared lock is requested.
+consts.LOCKFLAG_EXCLUSIVE_LOCK = 0x00000002;  // An exclusive lock is requested.
+consts.LOCKFLAG_UNLOCK = 0x00000004;  // A range is being unlocked.
+consts.LOCKFLAG_FAIL_IMMEDIATELY = 0x00000010;  // The lock request is to fail immediately if it conflicts with an existing lock.
+
+/**
+ * IOCTL flags
+ */
+consts.IOCTL_IS_FSCTL = 0x00000001; // The request is a file system control (FSCTL) request.
+
+/**
+ * FSCTL/IOCTL control codes
+ */
+consts.FSCTL_TO_STRING = {
+  0x00060194: 'fsctl_dfs_get_referrals',
+  0x0011400c: 'fsctl_pipe_peek',
+  0x00110018: 'fsctl_pipe_wait',
+  0x0011c017: 'fsctl_pipe_transceive',
+  0x001440f2: 'fsctl_srv_copychunk',
+  0x00144064: 'fsctl_srv_enumerate_snapshots',
+  0x00140078: 'fsctl_srv_request_resume_key',
+  0x001441bb: 'fsctl_srv_read_hash',
+  0x001480f2: 'fsctl_srv_copychunk_write',
+  0x001401d4: 'fsctl_lmr_request_resiliency',
+  0x001401fc: 'fsctl_query_network_interface_info',
+  0x000900a4: 'fsctl_set_reparse_point',
+  0x000601b0: 'fsctl_dfs_get_referrals_ex',
+  0x00098208: 'fsctl_file_level_trim',
+  0x00140204: 'fsctl_validate_negotiate_info'
+};
+
+consts.STRING_TO_FSCTL = _.invert(consts.FSCTL_TO_STRING);
+
+// FileId of IOCTL requests that don't target an open file
+consts.UNSPECIFIED_FILE_ID = new Buffer(16).fill(0xff);
+
+/**
+ * NETWORK_INTERFACE_INFO capabilities
+ */
+consts.RSS_CAPABLE = 0x00000001;  // The interface supports receive side scaling.
+consts.RDMA_CAPABLE = 0x00000002; // The interface supports remote direct memory access.
+
+/**
+ * Close flags
+ */
+consts.CLOSE_FLAG_POSTQUERY_ATTRIB = 0x0001;  // If set, the server MUST set the attribute fields in the response to valid values.
+
+/**
+ * Read/Write flags
+ */
+consts.READFLAG_READ_UNBUFFERED = 0x01; // The server or underlying object store SHOULD NOT cache the read data at intermediate layers (SMB 3.0.2 and later).
+consts.WRITEFLAG_WRITE_THROUGH = 0x00000001;  // The write data should be written to persistent storage before the response is sent regardless of how the file was opened (SMB 2.1 and later).
+consts.WRITEFLAG_WRITE_UNBUFFERED = 0x00000002; // The server or underlying object store SHOULD NOT cache the write data at intermediate layers (SMB 3.0.2 and later).
+
+/**
+ * QUERY_DIRECTORY flags
+ */
+consts.RESTART_SCANS = 0x01;  // The server MUST restart the enumeration from the beginning, but the search pattern is not changed.
+consts.RETURN_SINGLE_ENTRY = 0x02;  // The server MUST only return the first entry of the search results.
+consts.INDEX_SPECIFIED = 0x04;  // The server SHOULD return entries beginning at the byte number specified by FileIndex.
+consts.REOPEN = 0x10; // The server MUST restart the enumeration from the beginning, and the search pattern MUST be changed to the provided value.
+
+/**
+ * CHANGE_NOTIFY flags
+ */
+consts.WATCH_TREE = 0x0001; // The request MUST monitor changes on any file or directory contained beneath the directory specified by FileId.
+
+/**
+ * FileInformationClass (MS-FSCC, 2.4)
+ */
+consts.FILE_DIRECTORY_INFORMATION = 0x01;
+consts.FILE_FULL_DIRECTORY_INFORMATION = 0x02;
+consts.FILE_BOTH_DIRECTORY_INFORMATION = 0x03;
+consts.FILE_BASIC_INFORMATION = 0x04;
+consts.FILE_STANDARD_INFORMATION = 0x05;
+consts.FILE_INTERNAL_INFORMATION = 0x06;
+consts.FILE_EA_INFORMATION = 0x07;
+consts.FILE_ACCESS_INFORMATION = 0x08;
+consts.FILE_NAME_INFORMATION = 0x09;
+consts.FILE_RENAME_INFORMATION = 0x0a;
+consts.FILE_LINK_INFORMATION = 0x0b;
+consts.FILE_NAMES_INFORMATION = 0x0c;
+consts.FILE_DISPOSITION_INFORMATION = 0x0d;
+consts.FILE_POSITION_INFORMATION = 0x0e;
+consts.FILE_FULL_EA_INFORMATION = 0x0f;
+consts.FILE_MODE_INFORMATION = 0x10;
+consts.FILE_ALIGNMENT_INFORMATION = 0x11;
+consts.FILE_ALL_INFORMATION = 0x12;
+consts.FILE_ALLOCATION_INFORMATION = 0x13;
+consts.FILE_END_OF_FILE_INFORMATION = 0x14;
+consts.FILE_ALTERNATE_NAME_INFORMATION = 0x15;
+consts.FILE_STREAM_INFORMATION = 0x16;
+consts.FILE_PIPE_INFORMATION = 0x17;
+consts.FILE_COMPRESSION_INFORMATION = 0x1c;
+consts.FILE_NETWORK_OPEN_INFORMATION = 0x22;
+consts.FILE_ATTRIBUTE_TAG_INFORMATION = 0x23;
+consts.FILE_ID_BOTH_DIRECTORY_INFORMATION = 0x25;
+consts.FILE_ID_FULL_DIRECTORY_INFORMATION = 0x26;
+
+/**
+ * QUERY_INFO/SET_INFO InfoType
+ */
+consts.INFO_FILE = 0x01;
+consts.INFO_FILESYSTEM = 0x02;
+consts.INFO_SECURITY = 0x03;
+consts.INFO_QUOTA = 0x04;
+
+/**
+ * QUERY_INFO/SET_INFO AdditionalInformation (security information)
+ */
+consts.OWNER_SECURITY_INFORMATION = 0x00000001;
+consts.GROUP_SECURITY_INFORMATION = 0x00000002;
+consts.DACL_SECURITY_INFORMATION = 0x00000004;
+consts.SACL_SECURITY_INFORMATION = 0x00000008;
+consts.LABEL_SECURITY_INFORMATION = 0x00000010;
+
 /**
  * dialects
  */
@@ -92,4 +311,31 @@ consts.SMB_3_0_2 = 0x0302;  // SMB 3.0.2 dialect revision number.
 consts.SMB_3_1_1 = 0x0311;  // SMB 3.1.1 dialect revision number.
 consts.SMB_3_X_X = 0x03ff;
 
+/**
+ * negotiate context types (SMB 3.1.1 only)
+ */
+consts.PREAUTH_INTEGRITY_CAPABILITIES = 0x0001;
+consts.ENCRYPTION_CAPABILITIES = 0x0002;
+consts.COMPRESSION_CAPABILITIES = 0x0003;
+consts.NETNAME_NEGOTIATE_CONTEXT_ID = 0x0005;
+consts.TRANSPORT_CAPABILITIES = 0x0006;
+consts.RDMA_TRANSFORM_CAPABILITIES = 0x0007;
+consts.SIGNING_CAPABILITIES = 0x0008;
+
+/**
+ * preauth integrity hash algorithms
+ */
+consts.HASH_ALGORITHM_SHA512 = 0x0001;
+
+// length of the salt returned in the PREAUTH_INTEGRITY_CAPABILITIES negotiate context
+consts.PREAUTH_SALT_LENGTH = 32;
+
+/**
+ * encryption ciphers
+ */
+consts.AES_128_CCM = 0x0001;
+consts.AES_128_GCM = 0x0002;
+consts.AES_256_CCM = 0x0003;
+consts.AES_256_GCM = 0x0004;
+
 module.exports = consts;
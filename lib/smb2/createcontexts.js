@@ -0,0 +1,89 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+
+var utils = require('../utils');
+
+// length of the fixed part of a SMB2_CREATE_CONTEXT structure
+var CONTEXT_HEADER_LENGTH = 16;
+
+/**
+ * Parses the create contexts of an SMB2 CREATE request (see MS-SMB2 2.2.13.2).
+ *
+ * @param {Buffer} buf buffer holding the chained SMB2_CREATE_CONTEXT structures
+ * @return {Object[]} array of create contexts (<code>{ name: String, data: Buffer }</code>)
+ *                    or null if the create contexts are malformed
+ */
+function parse(buf) {
+  var contexts = [];
+  var off = 0;
+  while (off < buf.length) {
+    if (off + CONTEXT_HEADER_LENGTH > buf.length) {
+      return null;
+    }
+    var next = buf.readUInt32LE(off);
+    var nameOffset = buf.readUInt16LE(off + 4);
+    var nameLength = buf.readUInt16LE(off + 6);
+    var dataOffset = buf.readUInt16LE(off + 10);
+    var dataLength = buf.readUInt32LE(off + 12);
+    if (off + nameOffset + nameLength > buf.length || off + dataOffset + dataLength > buf.length) {
+      return null;
+    }
+    contexts.push({
+      name: buf.slice(off + nameOffset, off + nameOffset + nameLength).toString('binary'),
+      data: buf.slice(off + dataOffset, off + dataOffset + dataLength)
+    });
+    if (!next) {
+      break;
+    }
+    if (next % 8) {
+      // create contexts must be 8-byte aligned
+      return null;
+    }
+    off += next;
+  }
+  return contexts;
+}
+
+/**
+ * Serializes the create contexts of an SMB2 CREATE response (see MS-SMB2 2.2.14.2).
+ *
+ * @param {Object[]} contexts array of create contexts (<code>{ name: String, data: Buffer }</code>)
+ * @return {Buffer} the chained SMB2_CREATE_CONTEXT structures
+ */
+function serialize(contexts) {
+  var out = put();
+  contexts.forEach(function (context, n) {
+    var name = new Buffer(context.name, 'binary');
+    var namePad = utils.calculatePadLength(CONTEXT_HEADER_LENGTH + name.length, 8);
+    var dataOffset = CONTEXT_HEADER_LENGTH + name.length + namePad;
+    var length = dataOffset + context.data.length;
+    var pad = n < contexts.length - 1 ? utils.calculatePadLength(length, 8) : 0;
+    out.word32le(n < contexts.length - 1 ? length + pad : 0) // Next
+      .word16le(CONTEXT_HEADER_LENGTH) // NameOffset
+      .word16le(name.length) // NameLength
+      .word16le(0) // Reserved
+      .word16le(context.data.length ? dataOffset : 0) // DataOffset
+      .word32le(context.data.length) // DataLength
+      .put(name)
+      .pad(namePad)
+      .put(context.data)
+      .pad(pad);
+  });
+  return out.buffer();
+}
+
+module.exports.parse = parse;
+module.exports.serialize = serialize;
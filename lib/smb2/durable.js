@@ -0,0 +1,124 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var _ = require('lodash');
+
+var SMB2 = require('./constants');
+
+// time (in ms) a disconnected durable open is preserved unless configured otherwise (see MS-SMB2 3.3.5.9.10)
+var DEFAULT_TIMEOUT = 60000;
+
+/**
+ * Returns the maximum time (in ms) a disconnected durable open is preserved
+ * (server configuration property <code>durableHandleTimeout</code>).
+ *
+ * @param {SMBServer} server
+ * @return {Number}
+ */
+function getTimeout(server) {
+  var timeout = server.config.durableHandleTimeout;
+  return timeout === undefined ? DEFAULT_TIMEOUT : timeout;
+}
+
+/**
+ * Parses the durable handle create contexts of a CREATE request (see MS-SMB2 2.2.13.2.3 - 2.2.13.2.12).
+ *
+ * @param {Object[]} contexts create contexts (see <code>createcontexts.parse</code>)
+ * @param {Number} dialect dialect of the connection (version 2 requires SMB 3.x)
+ * @return {Object} durable handle request or reconnect (<code>{ version, reconnect, timeout, createGuid, fileId }</code>),
+ *                  null if there is none or undefined if the create contexts are invalid
+ */
+function parseRequest(contexts, dialect) {
+  function find(name) {
+    return _.find(contexts, { name: name });
+  }
+
+  var request = find(SMB2.CREATE_DURABLE_HANDLE_REQUEST);
+  var reconnect = find(SMB2.CREATE_DURABLE_HANDLE_RECONNECT);
+  var requestV2 = dialect >= SMB2.SMB_3_0_0 ? find(SMB2.CREATE_DURABLE_HANDLE_REQUEST_V2) : undefined;
+  var reconnectV2 = dialect >= SMB2.SMB_3_0_0 ? find(SMB2.CREATE_DURABLE_HANDLE_RECONNECT_V2) : undefined;
+
+  // contexts of different versions can't be combined
+  if (reconnectV2) {
+    if (request || reconnect || reconnectV2.data.length < 36) {
+      return undefined;
+    }
+    return {
+      version: 2,
+      reconnect: true,
+      fileId: reconnectV2.data.slice(0, 16),
+      createGuid: reconnectV2.data.slice(16, 32)
+    };
+  }
+  if (reconnect) {
+    if (requestV2 || reconnect.data.length < 16) {
+      return undefined;
+    }
+    return {
+      version: 1,
+      reconnect: true,
+      fileId: reconnect.data.slice(0, 16)
+    };
+  }
+  if (requestV2) {
+    if (request || requestV2.data.length < 32) {
+      return undefined;
+    }
+    return {
+      version: 2,
+      reconnect: false,
+      // persistent handles (Flags) are not supported
+      timeout: requestV2.data.readUInt32LE(0),
+      createGuid: requestV2.data.slice(16, 32)
+    };
+  }
+  if (request) {
+    return {
+      version: 1,
+      reconnect: false,
+      timeout: 0
+    };
+  }
+  return null;
+}
+
+/**
+ * Serializes the durable handle response create context of a CREATE response
+ * (see MS-SMB2 2.2.14.2.3 and 2.2.14.2.12).
+ *
+ * @param {Object} durable the granted durable handle (<code>{ version, timeout }</code>)
+ * @return {Object} create context (<code>{ name: String, data: Buffer }</code>)
+ */
+function createResponseContext(durable) {
+  if (durable.version === 2) {
+    return {
+      name: SMB2.CREATE_DURABLE_HANDLE_REQUEST_V2,
+      data: put()
+        .word32le(durable.timeout) // Timeout
+        .word32le(0) // Flags
+        .buffer()
+    };
+  }
+  return {
+    name: SMB2.CREATE_DURABLE_HANDLE_REQUEST,
+    data: put()
+      .pad(8) // Reserved
+      .buffer()
+  };
+}
+
+module.exports.getTimeout = getTimeout;
+module.exports.parseRequest = parseRequest;
+module.exports.createResponseContext = createResponseContext;
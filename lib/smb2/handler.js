@@ -18,11 +18,15 @@ var path = require('path');
 var logger = require('winston').loggers.get('smb');
 var put = require('put');
 var async = require('async');
+var _ = require('lodash');
 
 var utils = require('../utils');
 var ntstatus = require('../ntstatus');
 var message = require('./message');
 var SMB2 = require('./constants');
+var negotiation = require('./negotiation');
+var signing = require('./signing');
+var transform = require('./transform');
 
 var cmdHandlers = {};
 
@@ -51,6 +55,46 @@ out.word16le(0x0009)  // StructureSize (fixed according to spec)
   .word8(0);  // ErrorData
 var SMBERROR_BODY = out.buffer();
 
+// NTSTATUS values with severity 'error'
+var ERROR_SEVERITY = 0xc0000000;
+
+// commands which don't require a session established on the connection (see MS-SMB2 3.3.5.2.9)
+var SESSIONLESS_COMMANDS = [ 'negotiate', 'session_setup', 'cancel', 'echo' ];
+// commands which don't operate on a tree connect (see MS-SMB2 3.3.5.2.11)
+var TREELESS_COMMANDS = [ 'negotiate', 'session_setup', 'logoff', 'tree_connect', 'cancel', 'echo' ];
+
+// offsets of the FileId within the request bodies of the commands operating on an open file
+var FILE_ID_OFFSETS = {
+  'close': 8,
+  'read': 16,
+  'write': 16,
+  'lock': 8,
+  'ioctl': 8,
+  'query_directory': 8,
+  'change_notify': 8,
+  'query_info': 24,
+  'set_info': 16
+};
+
+/**
+ * Returns a copy of a request body with its FileId replaced, leaving the original body untouched.
+ *
+ * @param {Buffer} body - the command specific message body
+ * @param {Number} offset - offset of the FileId within the body
+ * @param {Buffer} fileId - FileId to be used instead
+ * @return {Buffer} the modified copy or the original body if it's too short to hold a FileId
+ */
+function replaceFileId(body, offset, fileId) {
+  if (body.length < offset + 16) {
+    // malformed request: leave it to the command handler
+    return body;
+  }
+  var result = new Buffer(body.length);
+  body.copy(result);
+  fileId.copy(result, offset);
+  return result;
+}
+
 /**
  * Handles binary SMB 2.x/3.x messages
  *
@@ -60,75 +104,267 @@ var SMBERROR_BODY = out.buffer();
  * @param {Function} cb callback called on completion
  */
 function handleRequest(msgBuf, connection, server, cb) {
+  processRequest(msgBuf, null, connection, server, cb);
+}
+
+/**
+ * Handles encrypted SMB 3.x messages (see MS-SMB2 3.3.5.2.1.1)
+ *
+ * @param {Buffer} msgBuf - raw message buffer starting with the TRANSFORM_HEADER
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @param {Function} cb callback called on completion
+ */
+function handleEncryptedRequest(msgBuf, connection, server, cb) {
+  var hdr = transform.decodeHeader(msgBuf);
+  var session = hdr && connection.dialect >= SMB2.SMB_3_0_0 ? connection.getSession(hdr.sessionId.toNumber()) : null;
+  var plainBuf = session && session.decryptionKey ? transform.decrypt(connection.cipherId, session.decryptionKey, msgBuf) : null;
+  if (!plainBuf) {
+    connection.socket.destroy();
+    cb('failed to decrypt message, connection terminated');
+    return;
+  }
+  processRequest(plainBuf, session, connection, server, cb);
+}
+
+/**
+ * Processes (decrypted) SMB 2.x/3.x messages
+ *
+ * @param {Buffer} msgBuf - raw message buffer
+ * @param {SMBSession} encryptionSession - the session the message has been encrypted with (null for unencrypted messages)
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @param {SMBServer} server - an SMBServer instance
+ * @param {Function} cb callback called on completion
+ */
+function processRequest(msgBuf, encryptionSession, connection, server, cb) {
   var buf = msgBuf;
   // dissect compounded requests
   var compMsgs = [];
   var msg = message.decode(buf);
+  // raw message bytes (needed e.g. for the preauth integrity hash)
+  msg.raw = buf;
   compMsgs.push(msg);
   while (msg.header.nextCommand) {
+    if (msg.header.nextCommand % 8 || msg.header.nextCommand + SMB2.HEADER_LENGTH > buf.length) {
+      // the next header must be 8-byte aligned and lie within the message
+      logger.error('encountered invalid nextCommand offset %d', msg.header.nextCommand);
+      msg.invalid = true;
+      break;
+    }
+    msg.raw = buf.slice(0, msg.header.nextCommand);
     buf = buf.slice(msg.header.nextCommand);
     msg = message.decode(buf);
-    compMsgs.put(msg);
+    msg.raw = buf;
+    compMsgs.push(msg);
   }
 
-  if (compMsgs[0].header.relatedOp) {
-    sendResponse(compMsgs[0], ntstatus.STATUS_INVALID_PARAMETER, cb);
+  // the MessageIds must lie within the command sequence window (CANCEL doesn't consume a MessageId)
+  var outOfWindow = _.find(compMsgs, function (msg) {
+    return msg.header.command !== 'cancel'
+      && !connection.sequenceWindow.consume(msg.header.messageId, msg.header.creditCharge);
+  });
+  if (outOfWindow) {
+    connection.socket.destroy();
+    cb('encountered MessageId ' + outOfWindow.header.messageId.toString() + ' outside of the command sequence window, connection terminated');
     return;
   }
 
-  var relatedOps = compMsgs.length > 1 && compMsgs[1].header.relatedOp;
+  if (encryptionSession) {
+    // all unrelated operations of an encrypted message must target the session the message has been encrypted with
+    var foreign = _.find(compMsgs, function (msg) {
+      return !msg.header.flags.relatedOp && msg.header.sessionId.toNumber() !== encryptionSession.uid;
+    });
+    if (foreign) {
+      connection.socket.destroy();
+      cb('encountered SessionId ' + foreign.header.sessionId.toString() + ' in message encrypted for session ' + encryptionSession.uid + ', connection terminated');
+      return;
+    }
+    compMsgs.forEach(function (msg) {
+      msg.encryptionSession = encryptionSession;
+    });
+  }
+
+  var relatedOps = _.some(compMsgs, function (msg) {
+    return msg.header.flags.relatedOp;
+  });
 
-  // context for related operations
-  var relatedCtx = relatedOps ? {
-    sessionId: compMsgs[0].sessionId,
-    treeId: compMsgs[0].treeId,
-    fileId: null
-  } : null;
+  // context for related operations: the ids and the status of the previous operation
+  var relatedCtx = null;
 
   function processMsg(msg, callback) {
+    function fail(status) {
+      msg.header.status = status;
+      msg.body = utils.EMPTY_BUFFER;
+      callback();
+    }
+
     var command = SMB2.COMMAND_TO_STRING[msg.header.commandId];
     if (!command) {
       // unknown command
-      callback({
-        status: ntstatus.STATUS_SMB_BAD_COMMAND,
-        message: 'encountered invalid command 0x' + msg.header.ommandId.toString(16)
-      });
+      logger.error('encountered invalid command 0x' + msg.header.commandId.toString(16));
+      fail(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
     }
-    var handler = cmdHandlers[command];
-    if (handler) {
-      // process command
-      handler(msg, msg.header.commandId, msg.body, relatedCtx, connection, server, function (result) {
-        if (!result) {
-          // special case (see e.g. 'echo' handler): no further processing required
-          msg.processed = true;
-        } else {
-          if (result.status !== ntstatus.STATUS_SUCCESS) {
-            // command failed
-            logger.debug('\'' + command.toUpperCase() + '\' returned error status ' + ntstatus.STATUS_TO_STRING[result.status] + ' (0x' + result.status.toString(16) + ')');
-          }
-          // stash command result/response
-          msg.header.status = result.status;
-          msg.body = result.body;
+    if (msg.invalid) {
+      fail(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
+    }
+    if (connection.supportsMultiCredit && Math.max(msg.header.creditCharge, 1) < getExpectedCreditCharge(msg)) {
+      // the CreditCharge doesn't cover the payload
+      logger.error('[%s] CreditCharge %d is insufficient for payload size %d', command.toUpperCase(), msg.header.creditCharge, getPayloadSize(msg));
+      fail(ntstatus.STATUS_INVALID_PARAMETER);
+      return;
+    }
+
+    var related = null;
+    if (msg.header.flags.relatedOp) {
+      if (!relatedCtx) {
+        // the first operation of a compound can't be a related operation
+        fail(ntstatus.STATUS_INVALID_PARAMETER);
+        return;
+      }
+      if (relatedCtx.status >= ERROR_SEVERITY) {
+        // the previous operation failed: fail this one with the same status
+        fail(relatedCtx.status);
+        return;
+      }
+      // inherit the ids of the previous operation
+      related = relatedCtx;
+      msg.header.sessionId = related.sessionId;
+      msg.header.treeId = related.treeId;
+    }
+
+    // verify the signature of the request (see MS-SMB2 3.3.5.2.4)
+    var session = command !== 'negotiate' ? connection.getSession(msg.header.sessionId.toNumber()) : null;
+    // encrypted requests are not signed
+    if (session && session.signingKey && !msg.encryptionSession) {
+      if (msg.header.flags.signed) {
+        if (!signing.verify(connection.dialect, session.signingKey, msg.raw)) {
+          logger.error('[%s] invalid signature, messageId: %s', command.toUpperCase(), msg.header.messageId.toString());
+          // don't sign the response
+          msg.header.flags.signed = false;
+          fail(ntstatus.STATUS_ACCESS_DENIED);
+          return;
         }
-        callback();
-      });
-    } else {
+      } else if (session.signingRequired && command !== 'cancel' && command !== 'session_setup') {
+        logger.error('[%s] unsigned request on session requiring signing, messageId: %s', command.toUpperCase(), msg.header.messageId.toString());
+        fail(ntstatus.STATUS_ACCESS_DENIED);
+        return;
+      }
+    }
+
+    if (!session && SESSIONLESS_COMMANDS.indexOf(command) === -1) {
+      // unknown session or a session established on another connection
+      logger.error('[%s] invalid session, sessionId: %s', command.toUpperCase(), msg.header.sessionId.toString());
+      fail(ntstatus.STATUS_USER_SESSION_DELETED);
+      return;
+    }
+
+    var tree = msg.header.treeId && command !== 'cancel' ? server.getTree(msg.header.treeId) : null;
+    if (tree && tree.smbSession !== session && TREELESS_COMMANDS.indexOf(command) === -1) {
+      // tree connect established by another session (see MS-SMB2 3.3.5.2.11)
+      logger.error('[%s] invalid tree, treeId: %d, sessionId: %s', command.toUpperCase(), msg.header.treeId, msg.header.sessionId.toString());
+      fail(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      return;
+    }
+
+    // unencrypted access to a share requiring encryption is rejected (see MS-SMB2 3.3.5.2.9)
+    if (!msg.encryptionSession && tree && tree.getShare().isEncryptData()) {
+      logger.error('[%s] unencrypted request on share requiring encryption, messageId: %s', command.toUpperCase(), msg.header.messageId.toString());
+      fail(ntstatus.STATUS_ACCESS_DENIED);
+      return;
+    }
+
+    if (related && related.fileId && FILE_ID_OFFSETS[command] !== undefined) {
+      // related operation: use the FileId of the previous operation
+      msg.body = replaceFileId(msg.body, FILE_ID_OFFSETS[command], related.fileId);
+    }
+
+    var handler = cmdHandlers[command];
+    if (!handler) {
       // no handler found
       logger.error('encountered unsupported command 0x' + msg.header.commandId.toString(16) + ' \'' + command.toUpperCase() + '\'');
-      msg.header.status = ntstatus.STATUS_NOT_IMPLEMENTED;
-      msg.body = SMBERROR_BODY;
+      fail(ntstatus.STATUS_NOT_IMPLEMENTED);
+      return;
+    }
+
+    var pending = false;
+    var completed = false;
+    var failed = false;
+
+    function onResult(result) {
+      if (failed) {
+        // the command already failed with an exception
+        return;
+      }
+      completed = true;
+      if (pending) {
+        // async operations (see e.g. 'change_notify' handler) have a special contract:
+        // an interim STATUS_PENDING response is followed by an out-of-band final response.
+        msg.header.flags.relatedOp = false;
+        // credits have already been granted with the interim response
+        msg.header.creditReqRes = 0;
+        msg.body = result.body;
+        sendResponse(msg, result.status, connection, server, function (err) {
+          if (err) {
+            logger.error('[%s] failed to send async response', command.toUpperCase(), err);
+          }
+        });
+        return;
+      }
+      pending = !!result && result.status === ntstatus.STATUS_PENDING;
+      if (!result) {
+        // special case (see e.g. 'cancel' handler): no further processing required
+        msg.processed = true;
+      } else {
+        if (result.status !== ntstatus.STATUS_SUCCESS) {
+          // command failed
+          logger.debug('\'' + command.toUpperCase() + '\' returned error status ' + ntstatus.STATUS_TO_STRING[result.status] + ' (0x' + result.status.toString(16) + ')');
+        }
+        // stash command result/response
+        msg.header.status = result.status;
+        msg.body = result.body;
+      }
       callback();
     }
+
+    // process command
+    try {
+      handler(msg, msg.header.commandId, msg.body, related, connection, server, onResult);
+    } catch (e) {
+      if (completed) {
+        // thrown while processing the following operations of the compound
+        throw e;
+      }
+      // e.g. a malformed request: fail the command rather than taking the server down
+      logger.error('[%s] failed to process request, messageId: %s', command.toUpperCase(), msg.header.messageId.toString(), e);
+      failed = true;
+      fail(ntstatus.STATUS_INVALID_PARAMETER);
+    }
   }
 
-  function processResults(err) {
+  function processRelatedMsg(msg, callback) {
+    processMsg(msg, function () {
+      relatedCtx = {
+        sessionId: msg.header.sessionId,
+        treeId: msg.header.treeId,
+        // FileId either generated (e.g. by 'create') or inherited by this operation
+        fileId: msg.fileId || (relatedCtx && msg.header.flags.relatedOp ? relatedCtx.fileId : null),
+        status: msg.header.status
+      };
+      callback();
+    });
+  }
+
+  function processResults() {
     sendCompoundedResponses(compMsgs, connection, server, cb);
   }
 
   // invoke async command handlers
   if (relatedOps) {
+    // related operations depend on the outcome of the previous operation
     async.eachSeries(compMsgs,
-      processMsg,
+      processRelatedMsg,
       processResults
     );
   } else {
@@ -142,8 +378,9 @@ function handleRequest(msgBuf, connection, server, cb) {
 function sendCompoundedResponses(msgs, connection, server, cb) {
   var out = put();
 
-  if (msgs.length === 1 && msgs[0].processed) {
-    // special case (see e.g. 'echo' handler): no further processing required
+  // skip requests that don't require a response (see e.g. 'cancel' handler)
+  msgs = _.reject(msgs, 'processed');
+  if (!msgs.length) {
     cb();
     return;
   }
@@ -152,7 +389,11 @@ function sendCompoundedResponses(msgs, connection, server, cb) {
   msgs.forEach(function (msg, n, arr) {
     // make sure the 'reply' flag is set
     msg.header.flags.reply = true;
-    if (msg.header.status !== ntstatus.STATUS_SUCCESS) {
+    // grant credits (CreditRequest -> CreditResponse)
+    msg.header.creditReqRes = connection.sequenceWindow.grant(msg.header.creditReqRes);
+    if (msg.header.status !== ntstatus.STATUS_SUCCESS && !msg.body.length) {
+      // handlers return an empty body for plain errors; statuses like STATUS_MORE_PROCESSING_REQUIRED
+      // or STATUS_BUFFER_OVERFLOW come with a regular response body
       msg.body = SMBERROR_BODY;
     }
     // calculate nextCommand offset
@@ -165,13 +406,126 @@ function sendCompoundedResponses(msgs, connection, server, cb) {
       nextCommandOff += padLength;
     }
     msg.header.nextCommand = nextCommandOff;
-    out.put(message.encode(msg));
+    var msgBuf = message.encode(msg);
     if (padLength) {
-      out.pad(padLength);
+      // the signature of a compounded response covers the padding
+      msgBuf = Buffer.concat([ msgBuf, new Buffer(padLength).fill(0) ]);
     }
+    signResponse(msg, msgBuf, connection);
+    updatePreauthIntegrityHash(msg, msgBuf, connection);
+    out.put(msgBuf);
   });
 
-  connection.sendRawMessage(out.buffer(), cb);
+  connection.sendRawMessage(encryptResponse(msgs[0], out.buffer(), connection), cb);
+}
+
+/**
+ * Returns the payload size of a request, i.e. the larger of the size of the data sent
+ * and the maximum size of the data expected in the response (see MS-SMB2 3.3.5.2.5).
+ *
+ * @param {Object} msg - an SMB message object
+ * @return {Number} payload size in bytes
+ */
+function getPayloadSize(msg) {
+  var body = msg.body;
+
+  function read32(off) {
+    return off + 4 <= body.length ? body.readUInt32LE(off) : 0;
+  }
+
+  switch (msg.header.command) {
+    case 'read':
+    case 'write':
+      return read32(4); // Length
+    case 'change_notify':
+    case 'set_info':
+      return read32(4); // OutputBufferLength/BufferLength
+    case 'query_info':
+      return Math.max(read32(4), read32(12)); // OutputBufferLength, InputBufferLength
+    case 'query_directory':
+      return read32(28); // OutputBufferLength
+    case 'ioctl':
+      // InputCount + OutputCount, MaxInputResponse + MaxOutputResponse
+      return Math.max(read32(28) + read32(40), read32(32) + read32(44));
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Returns the number of credits a request needs to be charged with.
+ *
+ * @param {Object} msg - an SMB message object
+ * @return {Number} expected CreditCharge
+ */
+function getExpectedCreditCharge(msg) {
+  var payloadSize = getPayloadSize(msg);
+  return payloadSize ? Math.floor((payloadSize - 1) / SMB2.CREDIT_PAYLOAD_SIZE) + 1 : 1;
+}
+
+/**
+ * Signs a response if required (see MS-SMB2 3.3.4.1.1).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Buffer} msgBuf - the encoded response
+ * @param {SMBConnection} connection - an SMBConnection instance
+ */
+function signResponse(msg, msgBuf, connection) {
+  var session = connection.getSession(msg.header.sessionId.toNumber());
+  var sign = false;
+  // interim responses and encrypted responses are not signed
+  if (session && session.signingKey && !msg.encryptionSession
+    && !(msg.header.flags.async && msg.header.status === ntstatus.STATUS_PENDING)) {
+    if (msg.header.command === 'session_setup') {
+      // the final response of a successful authentication is signed in SMB 3.x
+      // or if the client asked for it
+      sign = msg.header.status === ntstatus.STATUS_SUCCESS
+        && (connection.dialect >= SMB2.SMB_3_0_0 || msg.header.flags.signed || session.signingRequired);
+    } else {
+      sign = msg.header.flags.signed || session.signingRequired;
+    }
+  }
+  if (sign) {
+    signing.sign(connection.dialect, session.signingKey, msgBuf);
+  } else {
+    // don't echo the signature of the request
+    signing.clear(msgBuf);
+  }
+}
+
+/**
+ * Encrypts a (compounded) response if the request has been encrypted (see MS-SMB2 3.3.4.1.4).
+ *
+ * @param {Object} msg - the (first) SMB message object of the response
+ * @param {Buffer} msgBuf - the encoded response
+ * @param {SMBConnection} connection - an SMBConnection instance
+ * @return {Buffer} the encrypted response or <code>msgBuf</code> if no encryption is required
+ */
+function encryptResponse(msg, msgBuf, connection) {
+  var session = msg.encryptionSession;
+  if (!session) {
+    return msgBuf;
+  }
+  return transform.encrypt(connection.cipherId, session.encryptionKey, msg.header.sessionId, msgBuf);
+}
+
+/**
+ * Adds a response to the preauth integrity hash chain (SMB 3.1.1 only, see MS-SMB2 3.3.5.4 and 3.3.5.5).
+ *
+ * @param {Object} msg - an SMB message object
+ * @param {Buffer} msgBuf - the encoded response
+ * @param {SMBConnection} connection - an SMBConnection instance
+ */
+function updatePreauthIntegrityHash(msg, msgBuf, connection) {
+  if (msg.header.command === 'negotiate' && connection.preauthIntegrityHashValue) {
+    connection.preauthIntegrityHashValue = negotiation.updatePreauthIntegrityHash(connection.preauthIntegrityHashValue, msgBuf);
+  } else if (msg.header.command === 'session_setup' && msg.header.status === ntstatus.STATUS_MORE_PROCESSING_REQUIRED) {
+    // the final SESSION_SETUP response is not part of the hash chain
+    var login = connection.pendingLogins[msg.header.sessionId.toNumber()];
+    if (login && login.preauthIntegrityHashValue) {
+      login.preauthIntegrityHashValue = negotiation.updatePreauthIntegrityHash(login.preauthIntegrityHashValue, msgBuf);
+    }
+  }
 }
 
 function sendResponse(msg, status, connection, server, cb) {
@@ -184,8 +538,11 @@ function sendResponse(msg, status, connection, server, cb) {
     msg.body = SMBERROR_BODY;
   }
 
-  connection.sendRawMessage(message.encode(msg), cb);
+  var msgBuf = message.encode(msg);
+  signResponse(msg, msgBuf, connection);
+  connection.sendRawMessage(encryptResponse(msg, msgBuf, connection), cb);
 }
 
 module.exports.handleRequest = handleRequest;
+module.exports.handleEncryptedRequest = handleEncryptedRequest;
 module.exports.sendResponse = sendResponse;
@@ -0,0 +1,149 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var put = require('put');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var ntstatus = require('../ntstatus');
+var message = require('./message');
+var transform = require('./transform');
+var SMB2 = require('./constants');
+
+// MessageId of unsolicited messages (see MS-SMB2 3.3.4.7)
+var UNSOLICITED_MESSAGE_ID = Long.fromBits(0xffffffff, 0xffffffff, true);
+
+/**
+ * Returns the server-wide id of a lease. Lease keys are chosen by the client and hence
+ * only unique per client (see MS-SMB2 3.3.1.4).
+ *
+ * @param {Buffer} clientGuid ClientGuid of the connection
+ * @param {Buffer} leaseKey LeaseKey
+ * @return {String} lease id
+ */
+function getLeaseId(clientGuid, leaseKey) {
+  return (clientGuid ? clientGuid.toString('hex') : '') + ':' + leaseKey.toString('hex');
+}
+
+/**
+ * Parses the data of an SMB2_CREATE_REQUEST_LEASE or SMB2_CREATE_REQUEST_LEASE_V2 create context
+ * (see MS-SMB2 2.2.13.2.8 and 2.2.13.2.10).
+ *
+ * @param {Buffer} data create context data
+ * @param {Number} dialect dialect of the connection (version 2 requires SMB 3.x)
+ * @return {Object} lease request or null if the data is malformed
+ */
+function parseRequest(data, dialect) {
+  var version;
+  if (data.length >= SMB2.LEASE_V2_LENGTH && dialect >= SMB2.SMB_3_0_0) {
+    version = 2;
+  } else if (data.length >= SMB2.LEASE_V1_LENGTH) {
+    version = 1;
+  } else {
+    return null;
+  }
+  return {
+    version: version,
+    leaseKey: data.slice(0, 16),
+    state: data.readUInt32LE(16),
+    flags: data.readUInt32LE(20),
+    parentLeaseKey: version === 2 ? data.slice(32, 48) : null
+  };
+}
+
+/**
+ * Serializes the data of an SMB2_CREATE_RESPONSE_LEASE or SMB2_CREATE_RESPONSE_LEASE_V2 create context
+ * (see MS-SMB2 2.2.14.2.10 and 2.2.14.2.11).
+ *
+ * @param {Object} request lease request (see <code>parseRequest</code>)
+ * @param {Object} lease the granted lease (see <code>OplockManager.acquireLease</code>)
+ * @return {Buffer} create context data
+ */
+function serializeResponse(request, lease) {
+  var flags = lease.breakTo !== undefined ? SMB2.LEASE_FLAG_BREAK_IN_PROGRESS : 0;
+  if (request.version === 2) {
+    flags |= request.flags & SMB2.LEASE_FLAG_PARENT_LEASE_KEY_SET;
+  }
+  var out = put()
+    .put(request.leaseKey) // LeaseKey
+    .word32le(lease.state) // LeaseState
+    .word32le(flags) // LeaseFlags
+    .pad(8); // LeaseDuration
+  if (request.version === 2) {
+    out.put(request.parentLeaseKey) // ParentLeaseKey
+      .word16le(lease.epoch & 0xffff) // Epoch
+      .word16le(0); // Reserved
+  }
+  return out.buffer();
+}
+
+/**
+ * Sends a Lease Break Notification (see MS-SMB2 2.2.23.2 and 3.3.4.7). The client acknowledges
+ * breaks that require an acknowledgement with an SMB2 OPLOCK_BREAK (Lease Break Acknowledgment) request.
+ *
+ * @param {SMBConnection} connection connection of the lease holder
+ * @param {SMBSession} encryptionSession session whose key the notification is encrypted with (null if unencrypted)
+ * @param {Buffer} leaseKey LeaseKey
+ * @param {Object} lease the lease being broken
+ * @param {Number} state current lease state
+ * @param {Number} newState new lease state
+ * @param {Boolean} ackRequired true if the client must acknowledge the break
+ */
+function sendBreakNotification(connection, encryptionSession, leaseKey, lease, state, newState, ackRequired) {
+  var body = put()
+    .word16le(0x002c) // StructureSize (fixed according to spec)
+    .word16le(lease.epoch & 0xffff) // NewEpoch
+    .word32le(ackRequired ? SMB2.NOTIFY_BREAK_LEASE_FLAG_ACK_REQUIRED : 0) // Flags
+    .put(leaseKey) // LeaseKey
+    .word32le(state) // CurrentLeaseState
+    .word32le(newState) // NewLeaseState
+    .word32le(0) // BreakReason
+    .word32le(0) // AccessMaskHint
+    .word32le(0) // ShareMaskHint
+    .buffer();
+
+  var msg = {
+    protocolId: SMB2.PROTOCOL_ID,
+    header: {
+      commandId: parseInt(SMB2.STRING_TO_COMMAND['oplock_break']),
+      creditCharge: 0,
+      status: ntstatus.STATUS_SUCCESS,
+      creditReqRes: 0,
+      flags: { reply: true },
+      nextCommand: 0,
+      messageId: UNSOLICITED_MESSAGE_ID,
+      treeId: 0,
+      sessionId: Long.UZERO,
+      // break notifications are not signed
+      signature: new Buffer(16).fill(0)
+    },
+    body: body
+  };
+
+  logger.debug('[OPLOCK_BREAK] sending lease break notification, leaseKey: %s, state: %d -> %d, ackRequired: %s', leaseKey.toString('hex'), state, newState, ackRequired);
+  var msgBuf = message.encode(msg);
+  if (encryptionSession) {
+    msgBuf = transform.encrypt(connection.cipherId, encryptionSession.encryptionKey, Long.fromNumber(encryptionSession.uid, true), msgBuf);
+  }
+  connection.sendRawMessage(msgBuf, function (err) {
+    if (err) {
+      logger.error('failed to send lease break notification', err);
+    }
+  });
+}
+
+module.exports.getLeaseId = getLeaseId;
+module.exports.parseRequest = parseRequest;
+module.exports.serializeResponse = serializeResponse;
+module.exports.sendBreakNotification = sendBreakNotification;
@@ -33,8 +33,7 @@ function decode(buf) {
     .word32le('flags')
     .word32le('nextCommand')
     .buffer('messageIdRaw', 8)
-    .skip(4)  // reserved
-    .word32le('treeId')
+    .buffer('asyncIdRaw', 8)  // async: AsyncId, sync: Reserved (4 bytes) + TreeId
     .buffer('sessionIdRaw', 8)
     .buffer('signature', 16)
     .vars;
@@ -43,17 +42,19 @@ function decode(buf) {
   var body = buf.slice(consts.HEADER_LENGTH, raw.nextCommand ? raw.nextCommand : buf.length);
 
   var cmdId = raw.command;
+  var flgs = flags.decode(raw.flags);
   var header = {
     commandId: cmdId,
     command: consts.COMMAND_TO_STRING[cmdId],
     status: raw.status,
     creditCharge: raw.creditCharge,
     creditReqRes: raw.creditReqRes,
-    flags: flags.decode(raw.flags),
+    flags: flgs,
     nextCommand: raw.nextCommand,
-    messageId: new Long(raw.messageIdRaw.slice(0, 4), raw.messageIdRaw.slice(4), true),
-    treeId: raw.treeId,
-    sessionId: new Long(raw.sessionIdRaw.slice(0, 4), raw.sessionIdRaw.slice(4), true),
+    messageId: new Long(raw.messageIdRaw.readUInt32LE(0), raw.messageIdRaw.readUInt32LE(4), true),
+    asyncId: flgs.async ? new Long(raw.asyncIdRaw.readUInt32LE(0), raw.asyncIdRaw.readUInt32LE(4), true) : null,
+    treeId: flgs.async ? 0 : raw.asyncIdRaw.readUInt32LE(4),
+    sessionId: new Long(raw.sessionIdRaw.readUInt32LE(0), raw.sessionIdRaw.readUInt32LE(4), true),
     signature: raw.signature
   };
 
@@ -80,10 +81,15 @@ function encode(msg) {
     .word32le(flgs)
     .word32le(msg.header.nextCommand)
     .word32le(msg.header.messageId.getLowBitsUnsigned())
-    .word32le(msg.header.messageId.getHighBitsUnsigned())
-    .pad(4)
-    .word32le(msg.header.treeId)
-    .word32le(msg.header.sessionId.getLowBitsUnsigned())
+    .word32le(msg.header.messageId.getHighBitsUnsigned());
+  if (flgs & consts.FLAGS_ASYNC_COMMAND) {
+    out.word32le(msg.header.asyncId.getLowBitsUnsigned())
+      .word32le(msg.header.asyncId.getHighBitsUnsigned());
+  } else {
+    out.pad(4)
+      .word32le(msg.header.treeId);
+  }
+  out.word32le(msg.header.sessionId.getLowBitsUnsigned())
     .word32le(msg.header.sessionId.getHighBitsUnsigned())
     .put(msg.header.signature)
     // body
@@ -0,0 +1,302 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var put = require('put');
+
+var SMB2 = require('./constants');
+var utils = require('../utils');
+
+// supported dialects, in order of preference
+var SUPPORTED_DIALECTS = [ SMB2.SMB_3_1_1, SMB2.SMB_3_0_2, SMB2.SMB_3_0_0, SMB2.SMB_2_1_0, SMB2.SMB_2_0_2 ];
+
+// supported encryption ciphers, in order of preference
+var SUPPORTED_CIPHERS = [ SMB2.AES_128_GCM, SMB2.AES_128_CCM ];
+
+// initial preauth integrity hash value
+var ZERO_HASH = new Buffer(64).fill(0);
+
+/**
+ * Selects the highest dialect supported by both client and server.
+ *
+ * @param {Number[]} dialects dialects offered by the client
+ * @return {Number} selected dialect or undefined if there's no common dialect
+ */
+function selectDialect(dialects) {
+  for (var i = 0; i < SUPPORTED_DIALECTS.length; i++) {
+    if (dialects.indexOf(SUPPORTED_DIALECTS[i]) > -1) {
+      return SUPPORTED_DIALECTS[i];
+    }
+  }
+}
+
+/**
+ * Selects the preferred encryption cipher supported by both client and server.
+ *
+ * @param {Number[]} ciphers ciphers offered by the client
+ * @return {Number} selected cipher or 0 if there's no common cipher
+ */
+function selectCipher(ciphers) {
+  for (var i = 0; i < SUPPORTED_CIPHERS.length; i++) {
+    if (ciphers.indexOf(SUPPORTED_CIPHERS[i]) > -1) {
+      return SUPPORTED_CIPHERS[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parses the negotiate contexts of a SMB 3.1.1 NEGOTIATE request.
+ *
+ * @param {Buffer} buf buffer starting with the first negotiate context
+ * @param {Number} count number of negotiate contexts
+ * @return {Object[]} array of <code>{ type: Number, data: Buffer }</code> objects
+ *                    or null if the negotiate contexts are malformed
+ */
+function parseNegotiateContexts(buf, count) {
+  var contexts = [];
+  var off = 0;
+  while (contexts.length < count) {
+    if (off + 8 > buf.length) {
+      return null;
+    }
+    var type = buf.readUInt16LE(off);
+    var dataLength = buf.readUInt16LE(off + 2);
+    off += 8;
+    if (off + dataLength > buf.length) {
+      return null;
+    }
+    contexts.push({
+      type: type,
+      data: buf.slice(off, off + dataLength)
+    });
+    off += dataLength;
+    // negotiate contexts are 8-byte aligned
+    off += utils.calculatePadLength(off, 8);
+  }
+  return contexts;
+}
+
+/**
+ * Parses the data of a PREAUTH_INTEGRITY_CAPABILITIES negotiate context.
+ *
+ * @param {Buffer} data
+ * @return {Object} object with <code>hashAlgorithms</code> and <code>salt</code> properties
+ *                  or null if the data is malformed
+ */
+function parsePreauthIntegrityCapabilities(data) {
+  if (data.length < 4) {
+    return null;
+  }
+  var hashAlgorithmCount = data.readUInt16LE(0);
+  var saltLength = data.readUInt16LE(2);
+  if (!hashAlgorithmCount || data.length < 4 + 2 * hashAlgorithmCount + saltLength) {
+    return null;
+  }
+  var result = {
+    hashAlgorithms: [],
+    salt: data.slice(4 + 2 * hashAlgorithmCount, 4 + 2 * hashAlgorithmCount + saltLength)
+  };
+  for (var i = 0; i < hashAlgorithmCount; i++) {
+    result.hashAlgorithms.push(data.readUInt16LE(4 + 2 * i));
+  }
+  return result;
+}
+
+/**
+ * Parses the data of an ENCRYPTION_CAPABILITIES negotiate context.
+ *
+ * @param {Buffer} data
+ * @return {Number[]} ciphers or null if the data is malformed
+ */
+function parseEncryptionCapabilities(data) {
+  if (data.length < 2) {
+    return null;
+  }
+  var cipherCount = data.readUInt16LE(0);
+  if (!cipherCount || data.length < 2 + 2 * cipherCount) {
+    return null;
+  }
+  var ciphers = [];
+  for (var i = 0; i < cipherCount; i++) {
+    ciphers.push(data.readUInt16LE(2 + 2 * i));
+  }
+  return ciphers;
+}
+
+/**
+ * Creates the PREAUTH_INTEGRITY_CAPABILITIES negotiate context of the NEGOTIATE response.
+ *
+ * @return {Object} <code>{ type: Number, data: Buffer }</code>
+ */
+function createPreauthIntegrityContext() {
+  var data = put()
+    .word16le(1)  // HashAlgorithmCount
+    .word16le(SMB2.PREAUTH_SALT_LENGTH) // SaltLength
+    .word16le(SMB2.HASH_ALGORITHM_SHA512) // HashAlgorithms
+    .put(crypto.randomBytes(SMB2.PREAUTH_SALT_LENGTH))  // Salt
+    .buffer();
+  return {
+    type: SMB2.PREAUTH_INTEGRITY_CAPABILITIES,
+    data: data
+  };
+}
+
+/**
+ * Creates the ENCRYPTION_CAPABILITIES negotiate context of the NEGOTIATE response.
+ *
+ * @param {Number} cipher selected cipher or 0 if there's no common cipher
+ * @return {Object} <code>{ type: Number, data: Buffer }</code>
+ */
+function createEncryptionContext(cipher) {
+  var data = put()
+    .word16le(1)  // CipherCount
+    .word16le(cipher) // Ciphers
+    .buffer();
+  return {
+    type: SMB2.ENCRYPTION_CAPABILITIES,
+    data: data
+  };
+}
+
+/**
+ * Returns the server's security mode.
+ *
+ * @param {SMBServer} server - an SMBServer instance
+ * @return {Number} SecurityMode flags
+ */
+function getSecurityMode(server) {
+  // signing is always enabled
+  var securityMode = SMB2.NEGOTIATE_SIGNING_ENABLED;
+  if (server.config.signingRequired) {
+    securityMode |= SMB2.NEGOTIATE_SIGNING_REQUIRED;
+  }
+  return securityMode;
+}
+
+/**
+ * Returns the server's capabilities for a dialect.
+ *
+ * @param {Number} dialect - selected dialect
+ * @param {Boolean} [encryption] - whether encryption is supported on this connection (SMB 3.0.x only)
+ * @return {Number} Capabilities flags
+ */
+function getCapabilities(dialect, encryption) {
+  if (dialect === SMB2.SMB_2_X_X) {
+    return 0;
+  }
+  if (dialect === SMB2.SMB_2_0_2) {
+    return SMB2.GLOBAL_CAP_DFS;
+  }
+  var capabilities = SMB2.GLOBAL_CAP_DFS | SMB2.GLOBAL_CAP_LEASING | SMB2.GLOBAL_CAP_LARGE_MTU;
+  if (encryption && (dialect === SMB2.SMB_3_0_0 || dialect === SMB2.SMB_3_0_2)) {
+    capabilities |= SMB2.GLOBAL_CAP_ENCRYPTION;
+  }
+  return capabilities;
+}
+
+/**
+ * Creates the body of a NEGOTIATE response.
+ *
+ * @param {SMBServer} server - an SMBServer instance
+ * @param {Number} dialect - selected dialect (<code>SMB2.SMB_2_X_X</code> for the response to a multi-protocol negotiate)
+ * @param {Object[]} [contexts] - negotiate contexts (SMB 3.1.1 only)
+ * @param {Boolean} [encryption] - whether encryption is supported on this connection (SMB 3.0.x only,
+ *                                 SMB 3.1.1 uses the ENCRYPTION_CAPABILITIES negotiate context instead)
+ * @return {Buffer}
+ */
+function createResponseBody(server, dialect, contexts, encryption) {
+  contexts = contexts || [];
+
+  var securityMode = getSecurityMode(server);
+  var capabilities = getCapabilities(dialect, encryption);
+  var maxSize = [ SMB2.MAX_TRANSACT_SIZE, SMB2.MAX_READ_SIZE, SMB2.MAX_WRITE_SIZE ];
+  if (dialect === SMB2.SMB_2_0_2) {
+    // no multi-credit operations: a single request can't exceed the payload size covered by one credit
+    maxSize = [ SMB2.CREDIT_PAYLOAD_SIZE, SMB2.CREDIT_PAYLOAD_SIZE, SMB2.CREDIT_PAYLOAD_SIZE ];
+  }
+
+  var systemTime = utils.systemToSMBTime(Date.now());
+  var startTime = utils.systemToSMBTime(server.getStartTime());
+  var securityBuffer = utils.EMPTY_BUFFER;
+  var securityBufferOffset = SMB2.HEADER_LENGTH + 64;
+  var contextsOffset = 0;
+  var padLength = 0;
+  if (contexts.length) {
+    contextsOffset = securityBufferOffset + securityBuffer.length;
+    padLength = utils.calculatePadLength(contextsOffset, 8);
+    contextsOffset += padLength;
+  }
+
+  var out = put();
+  out.word16le(0x0041)  // StructureSize (fixed according to spec)
+    .word16le(securityMode) // SecurityMode
+    .word16le(dialect) // DialectRevision
+    .word16le(contexts.length)  // NegotiateContextCount/Reserved
+    .put(server.getGuid())  // ServerGuid
+    .word32le(capabilities) // Capabilities
+    .word32le(maxSize[0]) // MaxTransactSize
+    .word32le(maxSize[1]) // MaxReadSize
+    .word32le(maxSize[2]) // MaxWriteSize
+    .word32le(systemTime.getLowBitsUnsigned())  // SystemTime
+    .word32le(systemTime.getHighBitsUnsigned())
+    .word32le(startTime.getLowBitsUnsigned())  // ServerStartTime
+    .word32le(startTime.getHighBitsUnsigned())
+    .word16le(securityBufferOffset)  // SecurityBufferOffset
+    .word16le(securityBuffer.length)  // SecurityBufferLength
+    .word32le(contextsOffset)  // NegotiateContextOffset/Reserved2
+    .put(securityBuffer); // SecurityBuffer
+  if (padLength) {
+    out.pad(padLength);
+  }
+  contexts.forEach(function (ctx, n, arr) {
+    out.word16le(ctx.type)  // ContextType
+      .word16le(ctx.data.length)  // DataLength
+      .word32le(0)  // Reserved
+      .put(ctx.data); // Data
+    if (n < arr.length - 1) {
+      // align next negotiate context on 8-byte boundary
+      var pad = utils.calculatePadLength(ctx.data.length, 8);
+      if (pad) {
+        out.pad(pad);
+      }
+    }
+  });
+  return out.buffer();
+}
+
+/**
+ * Computes the next preauth integrity hash value (SHA-512) of a SMB 3.1.1 connection or session.
+ *
+ * @param {Buffer} hashValue current hash value or null for the initial (all zero) hash value
+ * @param {Buffer} msgBuf raw message (request or response)
+ * @return {Buffer} new hash value
+ */
+function updatePreauthIntegrityHash(hashValue, msgBuf) {
+  return crypto.createHash('sha512').update(hashValue || ZERO_HASH).update(msgBuf).digest();
+}
+
+module.exports.SUPPORTED_DIALECTS = SUPPORTED_DIALECTS;
+module.exports.selectDialect = selectDialect;
+module.exports.selectCipher = selectCipher;
+module.exports.parseNegotiateContexts = parseNegotiateContexts;
+module.exports.parsePreauthIntegrityCapabilities = parsePreauthIntegrityCapabilities;
+module.exports.parseEncryptionCapabilities = parseEncryptionCapabilities;
+module.exports.createPreauthIntegrityContext = createPreauthIntegrityContext;
+module.exports.createEncryptionContext = createEncryptionContext;
+module.exports.getSecurityMode = getSecurityMode;
+module.exports.getCapabilities = getCapabilities;
+module.exports.createResponseBody = createResponseBody;
+module.exports.updatePreauthIntegrityHash = updatePreauthIntegrityHash;
@@ -0,0 +1,83 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var SMB2 = require('./constants');
+
+/**
+ * Tracks the MessageIds a client is allowed to use on a SMB2 connection
+ * (Connection.CommandSequenceWindow, see MS-SMB2 3.3.1.1).
+ *
+ * Every credit granted to the client adds the next MessageId to the window;
+ * every request removes the MessageIds it consumes (CreditCharge) from the window.
+ *
+ * @param {Number} [maxCredits] upper limit of outstanding credits (default: SMB2.MAX_CREDITS)
+ * @constructor
+ */
+function SequenceWindow(maxCredits) {
+  this.maxCredits = maxCredits || SMB2.MAX_CREDITS;
+  // available MessageIds (key: MessageId)
+  this.available = {};
+  this.size = 0;
+  // next MessageId to be granted
+  this.nextMessageId = 0;
+
+  // the window initially contains MessageId 0 (NEGOTIATE)
+  this.grant(1);
+}
+
+/**
+ * Consumes the MessageIds used by a request.
+ *
+ * @param {Long} messageId MessageId of the request
+ * @param {Number} creditCharge CreditCharge of the request (0 is treated as 1)
+ * @return {Boolean} true if all MessageIds were within the window; false otherwise
+ */
+SequenceWindow.prototype.consume = function (messageId, creditCharge) {
+  var first = messageId.toNumber();
+  var count = creditCharge || 1;
+  var i;
+  for (i = first; i < first + count; i++) {
+    if (!this.available[i]) {
+      return false;
+    }
+  }
+  for (i = first; i < first + count; i++) {
+    delete this.available[i];
+  }
+  this.size -= count;
+  return true;
+};
+
+/**
+ * Grants credits to the client, i.e. extends the window.
+ *
+ * The client gets what it asks for as long as the number of outstanding credits
+ * doesn't exceed the upper limit, and at least 1 credit if it has none left.
+ *
+ * @param {Number} creditRequest number of credits requested by the client
+ * @return {Number} number of credits granted
+ */
+SequenceWindow.prototype.grant = function (creditRequest) {
+  var granted = Math.min(Math.max(creditRequest, 1), this.maxCredits - this.size);
+  if (granted < 1) {
+    granted = this.size ? 0 : 1;
+  }
+  for (var i = 0; i < granted; i++) {
+    this.available[this.nextMessageId++] = true;
+  }
+  this.size += granted;
+  return granted;
+};
+
+module.exports = SequenceWindow;
@@ -0,0 +1,206 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var put = require('put');
+
+var SMB2 = require('./constants');
+var utils = require('../utils');
+
+// offset and length of the Flags and Signature fields within the SMB2 header
+var FLAGS_OFFSET = 16;
+var SIGNATURE_OFFSET = 48;
+var SIGNATURE_LENGTH = 16;
+
+// key derivation labels and contexts (note that the strings include the terminating nul character)
+var SMB2AESCMAC = new Buffer('SMB2AESCMAC\0', 'ascii');
+var SMBSIGN = new Buffer('SmbSign\0', 'ascii');
+var SMBSIGNINGKEY = new Buffer('SMBSigningKey\0', 'ascii');
+
+var ZERO_BLOCK = new Buffer(16).fill(0);
+
+/**
+ * Derives a 128-bit key using the SP800-108 KDF in counter mode with HMAC-SHA256 as PRF
+ * (see MS-SMB2 3.1.4.2).
+ *
+ * @param {Buffer} key key derivation key (Ki)
+ * @param {Buffer} label
+ * @param {Buffer} context
+ * @return {Buffer} 16-byte key
+ */
+function deriveKey(key, label, context) {
+  var input = put()
+    .word32be(1)  // i
+    .put(label) // Label
+    .word8(0) // 0x00
+    .put(context) // Context
+    .word32be(128)  // L
+    .buffer();
+  return crypto.createHmac('sha256', key).update(input).digest().slice(0, 16);
+}
+
+/**
+ * Shifts a 16-byte block left by one bit and conditionally xors the result with Rb
+ * (subkey generation, see RFC 4493 2.3).
+ *
+ * @param {Buffer} block
+ * @return {Buffer}
+ */
+function generateSubkey(block) {
+  var result = new Buffer(16);
+  for (var i = 0; i < 16; i++) {
+    result[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff;
+  }
+  if (block[0] & 0x80) {
+    result[15] ^= 0x87;
+  }
+  return result;
+}
+
+/**
+ * Calculates the AES-128-CMAC of the given data (see RFC 4493).
+ *
+ * @param {Buffer} key 16-byte key
+ * @param {Buffer} data
+ * @return {Buffer} 16-byte MAC
+ */
+function aesCmac(key, data) {
+  var cipher = crypto.createCipheriv('aes-128-ecb', key, '');
+  cipher.setAutoPadding(false);
+  var k1 = generateSubkey(cipher.update(ZERO_BLOCK));
+  var k2 = generateSubkey(k1);
+
+  var blockCount = Math.ceil(data.length / 16);
+  var complete = blockCount > 0 && data.length % 16 === 0;
+  if (!blockCount) {
+    blockCount = 1;
+  }
+
+  // last block: xor'ed with K1 if complete, padded and xor'ed with K2 otherwise
+  var lastOff = (blockCount - 1) * 16;
+  var last = new Buffer(16).fill(0);
+  data.copy(last, 0, lastOff);
+  if (!complete) {
+    last[data.length - lastOff] = 0x80;
+  }
+  var subkey = complete ? k1 : k2;
+  for (var i = 0; i < 16; i++) {
+    last[i] ^= subkey[i];
+  }
+
+  // CBC-MAC
+  cipher = crypto.createCipheriv('aes-128-cbc', key, ZERO_BLOCK);
+  cipher.setAutoPadding(false);
+  if (lastOff) {
+    cipher.update(data.slice(0, lastOff));
+  }
+  return cipher.update(last);
+}
+
+/**
+ * Returns Session.SessionKey, i.e. the first 16 bytes of the session key established
+ * by the authentication protocol, zero-padded if necessary.
+ *
+ * @param {Buffer} sessionKey
+ * @return {Buffer} 16-byte key
+ */
+function toSessionKey(sessionKey) {
+  var key = new Buffer(16).fill(0);
+  sessionKey.copy(key, 0, 0, Math.min(sessionKey.length, 16));
+  return key;
+}
+
+/**
+ * Creates the signing key of a session (see MS-SMB2 3.3.5.5.3).
+ *
+ * @param {Number} dialect negotiated dialect
+ * @param {Buffer} sessionKey session key established by the authentication protocol
+ * @param {Buffer} [preauthIntegrityHashValue] preauth integrity hash of the session (SMB 3.1.1 only)
+ * @return {Buffer} 16-byte signing key
+ */
+function createSigningKey(dialect, sessionKey, preauthIntegrityHashValue) {
+  var key = toSessionKey(sessionKey);
+  if (dialect === SMB2.SMB_3_1_1) {
+    return deriveKey(key, SMBSIGNINGKEY, preauthIntegrityHashValue);
+  } else if (dialect >= SMB2.SMB_3_0_0) {
+    return deriveKey(key, SMB2AESCMAC, SMBSIGN);
+  }
+  return key;
+}
+
+/**
+ * Calculates the signature of a message whose Signature field has been zeroed.
+ *
+ * @param {Number} dialect negotiated dialect
+ * @param {Buffer} signingKey
+ * @param {Buffer} msgBuf
+ * @return {Buffer} 16-byte signature
+ */
+function calculateSignature(dialect, signingKey, msgBuf) {
+  if (dialect >= SMB2.SMB_3_0_0) {
+    // SMB 3.x: AES-128-CMAC
+    return aesCmac(signingKey, msgBuf);
+  }
+  // SMB 2.x: HMAC-SHA256
+  return crypto.createHmac('sha256', signingKey).update(msgBuf).digest().slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Signs a message in place: sets the SMB2_FLAGS_SIGNED flag and the Signature field.
+ *
+ * @param {Number} dialect negotiated dialect
+ * @param {Buffer} signingKey
+ * @param {Buffer} msgBuf raw message (including any padding of a compounded message)
+ */
+function sign(dialect, signingKey, msgBuf) {
+  msgBuf.writeUInt32LE((msgBuf.readUInt32LE(FLAGS_OFFSET) | SMB2.FLAGS_SIGNED) >>> 0, FLAGS_OFFSET);
+  msgBuf.fill(0, SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  calculateSignature(dialect, signingKey, msgBuf).copy(msgBuf, SIGNATURE_OFFSET);
+}
+
+/**
+ * Removes the signature of a message in place: clears the SMB2_FLAGS_SIGNED flag and the Signature field.
+ *
+ * @param {Buffer} msgBuf raw message
+ */
+function clear(msgBuf) {
+  msgBuf.writeUInt32LE((msgBuf.readUInt32LE(FLAGS_OFFSET) & ~SMB2.FLAGS_SIGNED) >>> 0, FLAGS_OFFSET);
+  msgBuf.fill(0, SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+}
+
+/**
+ * Verifies the signature of a message.
+ *
+ * @param {Number} dialect negotiated dialect
+ * @param {Buffer} signingKey
+ * @param {Buffer} msgBuf raw message (including any padding of a compounded message)
+ * @return {Boolean} true if the signature is valid
+ */
+function verify(dialect, signingKey, msgBuf) {
+  var signature = msgBuf.slice(SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  // don't modify the original message
+  var buf = new Buffer(msgBuf.length);
+  msgBuf.copy(buf);
+  buf.fill(0, SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH);
+  return utils.bufferEquals(calculateSignature(dialect, signingKey, buf), signature);
+}
+
+module.exports.deriveKey = deriveKey;
+module.exports.aesCmac = aesCmac;
+module.exports.toSessionKey = toSessionKey;
+module.exports.createSigningKey = createSigningKey;
+module.exports.sign = sign;
+module.exports.clear = clear;
+module.exports.verify = verify;
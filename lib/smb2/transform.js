@@ -0,0 +1,146 @@
+/*
+ *  Copyright 2015 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+
+var put = require('put');
+var Long = require('long');
+var logger = require('winston').loggers.get('smb');
+
+var SMB2 = require('./constants');
+var signing = require('./signing');
+
+// offset of the authenticated part (Nonce through SessionId) of the TRANSFORM_HEADER
+var AAD_OFFSET = 20;
+// length of the Signature (authentication tag) field
+var SIGNATURE_LENGTH = 16;
+
+// key derivation labels and contexts (note that the strings include the terminating nul character)
+var SMB2AESCCM = new Buffer('SMB2AESCCM\0', 'ascii');
+var SERVER_IN = new Buffer('ServerIn \0', 'ascii');
+var SERVER_OUT = new Buffer('ServerOut\0', 'ascii');
+var SMBC2SCIPHERKEY = new Buffer('SMBC2SCipherKey\0', 'ascii');
+var SMBS2CCIPHERKEY = new Buffer('SMBS2CCipherKey\0', 'ascii');
+
+var CIPHERS = {};
+CIPHERS[SMB2.AES_128_CCM] = { algorithm: 'aes-128-ccm', nonceLength: 11 };
+CIPHERS[SMB2.AES_128_GCM] = { algorithm: 'aes-128-gcm', nonceLength: 12 };
+
+/**
+ * Creates the encryption keys of a session (see MS-SMB2 3.3.5.5.3).
+ *
+ * @param {Number} dialect negotiated dialect
+ * @param {Buffer} sessionKey session key established by the authentication protocol
+ * @param {Buffer} [preauthIntegrityHashValue] preauth integrity hash of the session (SMB 3.1.1 only)
+ * @return {Object} object with 16-byte <code>encryptionKey</code> (server to client)
+ *                  and <code>decryptionKey</code> (client to server) properties
+ */
+function createEncryptionKeys(dialect, sessionKey, preauthIntegrityHashValue) {
+  var key = signing.toSessionKey(sessionKey);
+  if (dialect === SMB2.SMB_3_1_1) {
+    return {
+      encryptionKey: signing.deriveKey(key, SMBS2CCIPHERKEY, preauthIntegrityHashValue),
+      decryptionKey: signing.deriveKey(key, SMBC2SCIPHERKEY, preauthIntegrityHashValue)
+    };
+  }
+  return {
+    encryptionKey: signing.deriveKey(key, SMB2AESCCM, SERVER_OUT),
+    decryptionKey: signing.deriveKey(key, SMB2AESCCM, SERVER_IN)
+  };
+}
+
+/**
+ * Decodes a TRANSFORM_HEADER.
+ *
+ * @param {Buffer} buf raw encrypted message
+ * @return {Object} decoded header or null if the header is malformed
+ */
+function decodeHeader(buf) {
+  if (buf.length < SMB2.TRANSFORM_HEADER_LENGTH) {
+    return null;
+  }
+  return {
+    signature: buf.slice(4, 20),
+    nonce: buf.slice(20, 36),
+    originalMessageSize: buf.readUInt32LE(36),
+    flags: buf.readUInt16LE(42),
+    sessionId: Long.fromBits(buf.readUInt32LE(44), buf.readUInt32LE(48), true)
+  };
+}
+
+/**
+ * Encrypts a (compounded) message.
+ *
+ * @param {Number} cipherId negotiated cipher
+ * @param {Buffer} key encryption key of the session
+ * @param {Long} sessionId id of the session
+ * @param {Buffer} msgBuf raw message
+ * @return {Buffer} encrypted message including the TRANSFORM_HEADER
+ */
+function encrypt(cipherId, key, sessionId, msgBuf) {
+  var cipherSpec = CIPHERS[cipherId];
+  var nonce = crypto.randomBytes(cipherSpec.nonceLength);
+  var hdr = put()
+    .put(SMB2.TRANSFORM_PROTOCOL_ID)  // ProtocolId
+    .pad(SIGNATURE_LENGTH)  // Signature (set below)
+    .put(nonce) // Nonce
+    .pad(16 - nonce.length) // (Nonce padding)
+    .word32le(msgBuf.length)  // OriginalMessageSize
+    .word16le(0)  // Reserved
+    .word16le(SMB2.TRANSFORM_FLAG_ENCRYPTED)  // Flags/EncryptionAlgorithm
+    .word32le(sessionId.getLowBitsUnsigned()) // SessionId
+    .word32le(sessionId.getHighBitsUnsigned())
+    .buffer();
+
+  var cipher = crypto.createCipheriv(cipherSpec.algorithm, key, nonce, { authTagLength: SIGNATURE_LENGTH });
+  cipher.setAAD(hdr.slice(AAD_OFFSET), { plaintextLength: msgBuf.length });
+  var encrypted = Buffer.concat([ cipher.update(msgBuf), cipher.final() ]);
+  cipher.getAuthTag().copy(hdr, 4);
+  return Buffer.concat([ hdr, encrypted ]);
+}
+
+/**
+ * Decrypts a (compounded) message.
+ *
+ * @param {Number} cipherId negotiated cipher
+ * @param {Buffer} key decryption key of the session
+ * @param {Buffer} buf encrypted message including the TRANSFORM_HEADER
+ * @return {Buffer} decrypted message or null if the message couldn't be decrypted/authenticated
+ */
+function decrypt(cipherId, key, buf) {
+  var hdr = decodeHeader(buf);
+  var cipherSpec = CIPHERS[cipherId];
+  if (!hdr || !cipherSpec) {
+    return null;
+  }
+  var encrypted = buf.slice(SMB2.TRANSFORM_HEADER_LENGTH);
+  if (hdr.flags !== SMB2.TRANSFORM_FLAG_ENCRYPTED || hdr.originalMessageSize !== encrypted.length) {
+    logger.error('invalid transform header: flags: 0x%s, originalMessageSize: %d, actual size: %d', hdr.flags.toString(16), hdr.originalMessageSize, encrypted.length);
+    return null;
+  }
+  var decipher = crypto.createDecipheriv(cipherSpec.algorithm, key, hdr.nonce.slice(0, cipherSpec.nonceLength), { authTagLength: SIGNATURE_LENGTH });
+  decipher.setAuthTag(hdr.signature);
+  decipher.setAAD(buf.slice(AAD_OFFSET, SMB2.TRANSFORM_HEADER_LENGTH), { plaintextLength: encrypted.length });
+  try {
+    return Buffer.concat([ decipher.update(encrypted), decipher.final() ]);
+  } catch (e) {
+    logger.error('failed to decrypt message', e.message);
+    return null;
+  }
+}
+
+module.exports.createEncryptionKeys = createEncryptionKeys;
+module.exports.decodeHeader = decodeHeader;
+module.exports.encrypt = encrypt;
+module.exports.decrypt = decrypt;
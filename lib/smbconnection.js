@@ -14,12 +14,14 @@
 
 var logger = require('winston').loggers.get('smb');
 var async = require('async');
+var _ = require('lodash');
 
 var SMB = require('./smb/constants');
 var SMB2 = require('./smb2/constants');
 var utils = require('./utils');
 var smb = require('./smb/handler');
 var smb2 = require('./smb2/handler');
+var SequenceWindow = require('./smb2/sequencewindow');
 
 /**
  * Creates an <code>SMBConnection</code> instance. This objects takes care of reading and writing
@@ -32,6 +34,33 @@ var smb2 = require('./smb2/handler');
 function SMBConnection(socket, server) {
   this.socket = socket;
   this.server = server;
+  // SMB2 logins in progress (key: provisional session id)
+  this.pendingLogins = {};
+  // sessions established on this connection (key: uid)
+  this.sessions = {};
+  // pending SMB2 async requests (key: async id)
+  this.asyncRequests = {};
+  // pending SMB1 blocking lock requests (key: pid and mid, see 'locking_andx' handler)
+  this.pendingLocks = {};
+  this.nextAsyncId = 1;
+  // negotiated SMB2 dialect
+  this.dialect = null;
+  // true if the client may consume more than one credit per request (SMB 2.1 and later)
+  this.supportsMultiCredit = false;
+  // client information from the NEGOTIATE request
+  this.clientGuid = null;
+  this.clientCapabilities = 0;
+  this.clientSecurityMode = 0;
+  this.clientDialects = [];
+  // negotiated encryption cipher (SMB 3.x only, 0: none)
+  this.cipherId = 0;
+  // SHA-512 hash of the NEGOTIATE request and response (SMB 3.1.1 only)
+  this.preauthIntegrityHashValue = null;
+  // MessageIds the client is allowed to use
+  this.sequenceWindow = new SequenceWindow();
+  // SMB1 signing: MAC key (null until signing has been activated) and sequence number of the next request
+  this.smb1MacKey = null;
+  this.smb1SequenceNumber = 0;
 
   this.socket.on('data', this.onData.bind(this));
   this.socket.on('close', this.onClose.bind(this));
@@ -97,6 +126,9 @@ SMBConnection.prototype.onData = function (data) {
       } else if (utils.bufferEquals(protocolId, SMB2.PROTOCOL_ID)) {
         // SMB 2.x/3.x
         smb2.handleRequest(chunk, self, self.server, callback);
+      } else if (utils.bufferEquals(protocolId, SMB2.TRANSFORM_PROTOCOL_ID)) {
+        // encrypted SMB 3.x
+        smb2.handleEncryptedRequest(chunk, self, self.server, callback);
       } else {
         // ???
         callback('invalid SMB protocol id: ' + protocolId.toString('hex') + ', data: ' + chunk.toString('hex'));
@@ -110,8 +142,43 @@ SMBConnection.prototype.onData = function (data) {
   );
 };
 
+/**
+ * Returns a session established on this connection.
+ *
+ * @param {Number} uid session id
+ * @return {SMBSession} the session or <code>null</code> if no such session has been established
+ *                      on this connection or if it has been logged off in the meantime
+ */
+SMBConnection.prototype.getSession = function (uid) {
+  var session = this.sessions[uid];
+  if (!session || this.server.getSession(uid) !== session) {
+    return null;
+  }
+  return session;
+};
+
 SMBConnection.prototype.onClose = function (hadErrors) {
-  // todo cleanup connection state
+  var self = this;
+  // drop pending async requests, there's no one left to respond to
+  _.forEach(this.asyncRequests, function (req) {
+    req.cancel();
+  });
+  _.forEach(this.pendingLocks, function (req) {
+    req.cancel();
+  });
+  // log off the sessions that are still active (releases the byte-range locks of their open files);
+  // durable opens survive, waiting for the client to reconnect
+  _.forEach(this.sessions, function (session) {
+    if (self.getSession(session.uid)) {
+      self.server.preserveDurableOpens(session);
+      session.logoff();
+    }
+  });
+  // drop the logins of sessions still being authenticated
+  _.forOwn(this.pendingLogins, function (login) {
+    self.server.destroyLogin(login.key);
+  });
+  this.pendingLogins = {};
 };
 
 SMBConnection.prototype.sendRawMessage = function (msgBuf, cb) {
@@ -120,7 +187,9 @@ SMBConnection.prototype.sendRawMessage = function (msgBuf, cb) {
   // since NetBIOS session message type is 0 we can write the length as 32-bit unsigned int.
   // (NetBIOS uses big-endian (network) byte order)
   hdrBuf.writeUInt32BE(msgBuf.length, 0);
-  this.socket.write(Buffer.concat([ hdrBuf, msgBuf ]), cb);
+  // write header and message separately in order to avoid copying large messages
+  this.socket.write(hdrBuf);
+  this.socket.write(msgBuf, cb);
 };
 
 module.exports = SMBConnection;
@@ -12,10 +12,17 @@
 
 'use strict';
 
+var crypto = require('crypto');
+
 var logger = require('winston').loggers.get('spi'),
-    async = require('async');
+    async = require('async'),
+    _ = require('lodash');
 
 var common = require('./common');
+var ntstatus = require('./ntstatus');
+var SMBError = require('./smberror');
+var ShareModeManager = require('./sharemodemanager');
+var utils = require('./utils');
 
 /**
  * Represents a file opened by an SMB command.
@@ -44,8 +51,25 @@ function SMBFile(spiFile, smbTree, createAction, fid) {
   }
   this.fid = fid === undefined ? 0 : fid;
   this.deleteOnClose = false;
+  // state of an SMB2 directory enumeration (QUERY_DIRECTORY)
+  this.enumeration = null;
+  // SMB2 durable handle granted to this open (null if the open is not durable)
+  this.durable = null;
+  // key identifying this open as the source of a server-side copy (see <code>getResumeKey</code>)
+  this.resumeKey = null;
+  // access granted to this open (see <code>grantAccess</code>)
+  this.grantedAccess = common.FILE_ALL_ACCESS;
+  // FILE_WRITE_THROUGH: every write is flushed (see <code>applyCreateOptions</code>)
+  this.writeThrough = false;
+  // FILE_SEQUENTIAL_ONLY: reads are served from a read-ahead buffer
+  this.sequentialOnly = false;
+  // data read ahead by a sequential-only open ({ position: Number, data: Buffer, eof: Boolean })
+  this.readAhead = null;
 }
 
+// number of bytes read ahead by sequential-only opens
+SMBFile.READ_AHEAD_LENGTH = 65536;
+
 SMBFile.prototype.getId = function () {
   return this.fid;
 };
@@ -80,6 +104,30 @@ SMBFile.prototype.getPath = function () {
   return this.spiFile.getPath();
 };
 
+/**
+ * Return the name of the named stream if this file represents a named stream (i.e. if it was opened as
+ * <code>name:stream</code>).
+ *
+ * @return {String} stream name or <code>null</code>
+ */
+SMBFile.prototype.getStreamName = function () {
+  var parsedName = utils.parseStreamName(this.getPath());
+  return parsedName && parsedName.streamName;
+};
+
+/**
+ * List the named streams of this file (or of the file whose named stream this file represents).
+ *
+ * @param {Function} cb callback called with an array of streams
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Object[]} cb.streams array of objects with <code>name</code>, <code>size</code>
+ *                              and <code>allocationSize</code> of the named streams
+ */
+SMBFile.prototype.listStreams = function (cb) {
+  var parsedName = utils.parseStreamName(this.getPath());
+  this.smbTree.spiTree.listStreams(parsedName ? parsedName.name : this.getPath(), cb);
+};
+
 /**
  * Return a flag indicating whether this is a file.
  *
@@ -192,9 +240,72 @@ SMBFile.prototype.getLastAccessedTime = function () {
 SMBFile.prototype.read = function (buffer, offset, length, position, cb) {
   logger.debug('[fid=%d] file.read %s offset=%d, length=%d, position=%d', this.fid, this.getPath(), offset, length, position);
 
+  if (!(this.grantedAccess & (common.FILE_READ_DATA | common.FILE_EXECUTE))) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_ACCESS_DENIED)); });
+    return;
+  }
+  if (!this.smbTree.getLockManager().checkAccess(this.getLockKey(), this.fid, position, length, false)) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_FILE_LOCK_CONFLICT)); });
+    return;
+  }
+  if (this.sequentialOnly) {
+    this.readSequential(buffer, offset, length, position, cb);
+    return;
+  }
   this.spiFile.read(buffer, offset, length, position, cb);
 };
 
+/**
+ * Read bytes of a sequential-only open: reads are served from the read-ahead buffer
+ * which is refilled with <code>READ_AHEAD_LENGTH</code> bytes (at least) once a read isn't covered by it.
+ * The buffer isn't used while other opens of the file may write it.
+ *
+ * @param {Buffer} buffer the buffer that the data will be written to
+ * @param {Number} offset the offset in the buffer to start writing at
+ * @param {Number} length the number of bytes to read
+ * @param {Number} position offset where to begin reading from in the file
+ * @param {Function} cb callback called with the bytes actually read
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Number} cb.bytesRead number of bytes actually read
+ * @param {Buffer} cb.buffer buffer holding the bytes actually read
+ */
+SMBFile.prototype.readSequential = function (buffer, offset, length, position, cb) {
+  var self = this;
+  var ra = this.readAhead;
+
+  function serve() {
+    var start = position - self.readAhead.position;
+    var bytesRead = Math.max(0, Math.min(length, self.readAhead.data.length - start));
+    self.readAhead.data.copy(buffer, offset, start, start + bytesRead);
+    cb(null, bytesRead, buffer);
+  }
+
+  if (this.smbTree.getShareModeManager().hasOtherWriters(this.getLockKey(), this.fid)) {
+    this.readAhead = null;
+    this.spiFile.read(buffer, offset, length, position, cb);
+    return;
+  }
+  if (ra && position >= ra.position
+    && (position + length <= ra.position + ra.data.length || (ra.eof && position <= ra.position + ra.data.length))) {
+    process.nextTick(serve);
+    return;
+  }
+  var data = new Buffer(Math.max(length, SMBFile.READ_AHEAD_LENGTH));
+  this.spiFile.read(data, 0, data.length, position, function (err, bytesRead) {
+    if (err) {
+      self.readAhead = null;
+      cb(err);
+      return;
+    }
+    self.readAhead = {
+      position: position,
+      data: data.slice(0, bytesRead),
+      eof: bytesRead < data.length
+    };
+    serve();
+  });
+};
+
 /**
  * Write bytes at a certain position inside the file.
  *
@@ -206,7 +317,323 @@ SMBFile.prototype.read = function (buffer, offset, length, position, cb) {
 SMBFile.prototype.write = function (data, position, cb) {
   logger.debug('[fid=%d] file.write %s data.length=%d, position=%d', this.fid, this.getPath(), data.length, position);
 
-  this.spiFile.write(data, position, cb);
+  if (!(this.grantedAccess & (common.FILE_WRITE_DATA | common.FILE_APPEND_DATA))) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_ACCESS_DENIED)); });
+    return;
+  }
+  if (!this.smbTree.getLockManager().checkAccess(this.getLockKey(), this.fid, position, data.length, true)) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_FILE_LOCK_CONFLICT)); });
+    return;
+  }
+  // other clients may no longer cache reads
+  this.smbTree.getOplockManager().breakLevelII(this.getLockKey(), this.fid);
+  this.readAhead = null;
+  if (!this.writeThrough) {
+    this.spiFile.write(data, position, cb);
+    return;
+  }
+  var spiFile = this.spiFile;
+  spiFile.write(data, position, function (err) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    spiFile.flush(cb);
+  });
+};
+
+/**
+ * Return the key identifying this file in the server-wide lock and oplock managers.
+ *
+ * @return {String} lock key
+ */
+SMBFile.prototype.getLockKey = function () {
+  return this.smbTree.getShare().getName() + ':' + this.getPath();
+};
+
+/**
+ * Apply the CreateOptions of the request that opened or created this file.
+ *
+ * @param {Number} createOptions <code>common.FILE_*</code> create option flags
+ * @return {Number} <code>STATUS_SUCCESS</code>, <code>STATUS_NOT_A_DIRECTORY</code>,
+ *                  <code>STATUS_FILE_IS_A_DIRECTORY</code> or <code>STATUS_CANNOT_DELETE</code>
+ */
+SMBFile.prototype.applyCreateOptions = function (createOptions) {
+  if (createOptions & common.FILE_DIRECTORY_FILE && !this.isDirectory()) {
+    return ntstatus.STATUS_NOT_A_DIRECTORY;
+  }
+  if (createOptions & common.FILE_NON_DIRECTORY_FILE && this.isDirectory()) {
+    return ntstatus.STATUS_FILE_IS_A_DIRECTORY;
+  }
+  if (createOptions & common.FILE_DELETE_ON_CLOSE) {
+    if (this.isReadOnly()) {
+      return ntstatus.STATUS_CANNOT_DELETE;
+    }
+    this.setDeleteOnClose();
+  }
+  // FILE_OPEN_REPARSE_POINT: the backends don't expose reparse points, i.e. the file itself is always opened
+  this.writeThrough = !!(createOptions & common.FILE_WRITE_THROUGH);
+  this.sequentialOnly = !!(createOptions & common.FILE_SEQUENTIAL_ONLY);
+  return ntstatus.STATUS_SUCCESS;
+};
+
+/**
+ * Grant access to this open file. The open is registered with the server-wide share mode manager
+ * unless it conflicts with the share access of other opens of the file.
+ *
+ * @param {Number} desiredAccess access requested by the client (generic rights are mapped to specific rights)
+ * @param {Number} shareAccess access other opens of the file may be granted (<code>common.FILE_SHARE_*</code> flags)
+ * @return {Number} <code>STATUS_SUCCESS</code> or <code>STATUS_SHARING_VIOLATION</code>
+ */
+SMBFile.prototype.grantAccess = function (desiredAccess, shareAccess) {
+  var access = ShareModeManager.mapAccess(desiredAccess);
+  var status = this.smbTree.getShareModeManager().open(this.getLockKey(), this.fid, access, shareAccess);
+  if (status === ntstatus.STATUS_SUCCESS) {
+    this.grantedAccess = access;
+  }
+  return status;
+};
+
+/**
+ * Lock a byte range of this file.
+ *
+ * @param {Number|Long} offset offset of the first byte of the range
+ * @param {Number|Long} length length of the range, in bytes
+ * @param {Boolean} exclusive true for an exclusive lock, false for a shared lock
+ * @param {Boolean} wait true if the lock should be granted once conflicting locks have been released,
+ *                       false if the request should fail immediately if it conflicts with existing locks
+ * @param {Number} pid SMB1 process id requesting the lock or null if the lock is owned by the open file
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @return {Function} function cancelling a waiting lock request; the callback won't be called
+ *                    after the request has been cancelled
+ */
+SMBFile.prototype.lock = function (offset, length, exclusive, wait, pid, cb) {
+  logger.debug('[fid=%d] file.lock %s offset=%s, length=%s, exclusive=%s, wait=%s, pid=%s', this.fid, this.getPath(), offset.toString(), length.toString(), exclusive, wait, pid);
+
+  function done(status) {
+    cb(status === ntstatus.STATUS_SUCCESS ? null : new SMBError(status));
+  }
+
+  // other clients may no longer cache reads
+  this.smbTree.getOplockManager().breakLevelII(this.getLockKey(), this.fid);
+
+  var lockManager = this.smbTree.getLockManager();
+  if (wait) {
+    return lockManager.lockWait(this.getLockKey(), this.getLockOwner(pid), offset, length, exclusive, done);
+  }
+  var status = lockManager.lock(this.getLockKey(), this.getLockOwner(pid), offset, length, exclusive);
+  process.nextTick(function () { done(status); });
+  return _.noop;
+};
+
+/**
+ * Unlock a byte range of this file. The range must match a range previously locked.
+ *
+ * @param {Number|Long} offset offset of the first byte of the range
+ * @param {Number|Long} length length of the range, in bytes
+ * @param {Number} pid SMB1 process id owning the lock or null if the lock is owned by the open file
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+SMBFile.prototype.unlock = function (offset, length, pid, cb) {
+  logger.debug('[fid=%d] file.unlock %s offset=%s, length=%s, pid=%s', this.fid, this.getPath(), offset.toString(), length.toString(), pid);
+
+  var status = this.smbTree.getLockManager().unlock(this.getLockKey(), this.getLockOwner(pid), offset, length);
+  process.nextTick(function () { cb(status === ntstatus.STATUS_SUCCESS ? null : new SMBError(status)); });
+};
+
+/**
+ * Return the owner of byte-range locks acquired through this open file. SMB1 locks are owned
+ * by the combination of FID and PID (see MS-CIFS 2.2.4.32), SMB2 locks by the open file.
+ *
+ * @param {Number} pid SMB1 process id or null
+ * @return {*} lock owner (see <code>LockManager</code>)
+ */
+SMBFile.prototype.getLockOwner = function (pid) {
+  return pid === null ? this.fid : { id: this.fid, pid: pid };
+};
+
+/**
+ * Release all byte-range locks held by this open file, including the locks of its SMB1 processes.
+ * Waiting lock requests fail with <code>STATUS_RANGE_NOT_LOCKED</code>.
+ */
+SMBFile.prototype.releaseLocks = function () {
+  this.smbTree.getLockManager().releaseAll(this.getLockKey(), this.fid);
+};
+
+/**
+ * Request an oplock for this open file. Conflicting oplocks held by other opens of the file
+ * are broken first. Directories are never granted an oplock.
+ *
+ * @param {Number} level requested oplock level (<code>common.OPLOCK_LEVEL_*</code>)
+ * @param {Boolean} levelIISupported true if the client supports level II oplocks
+ * @param {Function} onBreak called when the oplock granted to this file has to be broken
+ * @param {Number} onBreak.level new oplock level
+ * @param {Function} cb callback called with the granted oplock level
+ * @param {Number} cb.level granted oplock level
+ */
+SMBFile.prototype.acquireOplock = function (level, levelIISupported, onBreak, cb) {
+  if (this.isDirectory()) {
+    process.nextTick(function () { cb(common.OPLOCK_LEVEL_NONE); });
+    return;
+  }
+  this.smbTree.getOplockManager().acquire(this.getLockKey(), this.fid, level, levelIISupported, onBreak, cb);
+};
+
+/**
+ * Request a lease for this open file. Opens with the same lease id share the lease;
+ * write caching granted to other leases of the file is broken first.
+ *
+ * @param {String} leaseId lease id (identifies the client and its lease key)
+ * @param {Number} state requested lease state (<code>common.LEASE_*</code> flags)
+ * @param {Function} onBreak called when the lease has to be broken (see <code>OplockManager.acquireLease</code>)
+ * @param {Function} cb callback called once the lease has been granted
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Object} cb.lease the lease
+ */
+SMBFile.prototype.acquireLease = function (leaseId, state, onBreak, cb) {
+  this.smbTree.getOplockManager().acquireLease(this.getLockKey(), this.fid, leaseId, state, onBreak, function (status, lease) {
+    cb(status === ntstatus.STATUS_SUCCESS ? null : new SMBError(status), lease);
+  });
+};
+
+/**
+ * Acknowledge the break of the oplock granted to this file or release the oplock.
+ *
+ * @param {Number} level new oplock level
+ */
+SMBFile.prototype.acknowledgeOplockBreak = function (level) {
+  this.smbTree.getOplockManager().acknowledge(this.getLockKey(), this.fid, level);
+};
+
+/**
+ * Release the oplock granted to this file.
+ */
+SMBFile.prototype.releaseOplock = function () {
+  this.smbTree.getOplockManager().release(this.getLockKey(), this.fid);
+};
+
+/**
+ * Return the key identifying this open as the source of a server-side copy (FSCTL_SRV_REQUEST_RESUME_KEY).
+ * The key encodes the tid and fid of the open (see <code>SMBServer.getFileByResumeKey</code>).
+ *
+ * @return {Buffer} 24 byte resume key
+ */
+SMBFile.prototype.getResumeKey = function () {
+  if (!this.resumeKey) {
+    var key = new Buffer(24);
+    key.writeUInt32LE(this.smbTree.tid, 0);
+    key.writeUInt32LE(this.fid, 4);
+    crypto.randomBytes(16).copy(key, 8);
+    this.resumeKey = key;
+  }
+  return this.resumeKey;
+};
+
+/**
+ * Replace the contents of this file with the contents of another file. The copy is delegated
+ * to the backend (see <code>File.copyTo</code>) which may copy the file without transferring its contents
+ * through the server. The file is copied to a temporary file first which then replaces this file,
+ * i.e. this file is left untouched if the copy fails. Fails with <code>STATUS_SHARING_VIOLATION</code>
+ * if the file is opened by others since their opens would be left referring to the replaced file.
+ *
+ * @param {SMBFile} srcFile source file
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+SMBFile.prototype.copyFrom = function (srcFile, cb) {
+  logger.debug('[fid=%d] file.copyFrom %s %s', this.fid, this.getPath(), srcFile.getPath());
+  var self = this;
+  var spiTree = this.smbTree.spiTree;
+  var path = this.getPath();
+  var suffix = crypto.randomBytes(4).toString('hex');
+  var tmpPath = path + '.~copy' + suffix;
+  var backupPath = path + '.~orig' + suffix;
+  var closed = false;
+
+  if (this.smbTree.getShareModeManager().hasOtherOpens(this.getLockKey(), this.fid)) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_SHARING_VIOLATION)); });
+    return;
+  }
+
+  // other clients may no longer cache reads
+  this.smbTree.getOplockManager().breakLevelII(this.getLockKey(), this.fid);
+  this.readAhead = null;
+
+  async.waterfall([
+    function (callback) {
+      // File.copyTo closes the source file: use a separate instance
+      srcFile.getTree().spiTree.open(srcFile.getPath(), callback);
+    },
+    function (srcSpiFile, callback) {
+      // File.copyTo creates the target file
+      srcSpiFile.copyTo(spiTree, tmpPath, function (err) {
+        if (err) {
+          // remove what has been copied so far
+          spiTree.delete(tmpPath, function () {
+            callback(err);
+          });
+          return;
+        }
+        callback();
+      });
+    },
+    function (callback) {
+      self.spiFile.close(callback);
+    },
+    function (callback) {
+      closed = true;
+      // keep the original until the copy has taken its place
+      spiTree.rename(path, backupPath, function (err) {
+        if (err) {
+          spiTree.delete(tmpPath, function () {
+            callback(err);
+          });
+          return;
+        }
+        callback();
+      });
+    },
+    function (callback) {
+      spiTree.rename(tmpPath, path, function (err) {
+        if (err) {
+          // restore the original
+          spiTree.rename(backupPath, path, function () {
+            spiTree.delete(tmpPath, function () {
+              callback(err);
+            });
+          });
+          return;
+        }
+        callback();
+      });
+    },
+    function (callback) {
+      spiTree.delete(backupPath, function (err) {
+        if (err) {
+          // the copy has been completed nevertheless
+          logger.warn('failed to delete %s: %s', backupPath, err.message);
+        }
+        callback();
+      });
+    }
+  ], function (err) {
+    if (!closed) {
+      cb(err);
+      return;
+    }
+    // reopen the target file in order to refresh its state
+    spiTree.open(path, function (openErr, file) {
+      if (!openErr) {
+        self.spiFile = file;
+      }
+      if (!err) {
+        self.smbTree.notifyChangeListeners(common.FILE_ACTION_MODIFIED, path, null, self.fid);
+      }
+      cb(err || openErr);
+    });
+  });
 };
 
 /**
@@ -221,7 +648,8 @@ SMBFile.prototype.delete = function (cb) {
 
   this.spiFile.delete(cb);
   // notify registered change listeners
-  this.smbTree.notifyChangeListeners(common.FILE_ACTION_REMOVED, this.getPath());
+  var action = this.getStreamName() ? common.FILE_ACTION_REMOVED_STREAM : common.FILE_ACTION_REMOVED;
+  this.smbTree.notifyChangeListeners(action, this.getPath(), null, this.fid, this.isDirectory());
 };
 
 /**
@@ -234,11 +662,23 @@ SMBFile.prototype.delete = function (cb) {
 SMBFile.prototype.setLength = function (length, cb) {
   logger.debug('[fid=%d] file.setLength %s length=%d', this.fid, this.getPath(), length);
 
+  this.readAhead = null;
   this.spiFile.setLength(length, cb);
 };
 
 /**
- * Delete this file when it will be closed.
+ * Return true if this file will be deleted, i.e. if it will be deleted when this open is closed
+ * or if it's pending deletion.
+ *
+ * @return {Boolean}
+ */
+SMBFile.prototype.isDeletePending = function () {
+  return this.deleteOnClose || this.smbTree.getShareModeManager().isDeletePending(this.getLockKey());
+};
+
+/**
+ * Delete this file when it will be closed. Once this file has been closed, the file is pending deletion:
+ * new opens fail with <code>STATUS_DELETE_PENDING</code> and the file is deleted when its last open is closed.
  */
 SMBFile.prototype.setDeleteOnClose = function () {
   logger.debug('[fid=%d] file.setDeleteOnClose %s', this.fid, this.getPath());
@@ -257,7 +697,8 @@ SMBFile.prototype.flush = function (cb) {
 
   this.spiFile.flush(cb);
   // notify registered change listeners
-  this.smbTree.notifyChangeListeners(common.FILE_ACTION_MODIFIED, this.getPath());
+  var action = this.getStreamName() ? common.FILE_ACTION_MODIFIED_STREAM : common.FILE_ACTION_MODIFIED;
+  this.smbTree.notifyChangeListeners(action, this.getPath(), null, this.fid);
 };
 
 /**
@@ -270,12 +711,20 @@ SMBFile.prototype.close = function (cb) {
   logger.debug('[fid=%d] file.close %s deleteOnClose=%d', this.fid, this.getPath(), this.deleteOnClose);
   var self = this;
 
+  this.releaseLocks();
+  this.releaseOplock();
+  var shareModeManager = this.smbTree.getShareModeManager();
+  if (this.deleteOnClose) {
+    shareModeManager.setDeletePending(this.getLockKey());
+  }
+  var lastOpen = shareModeManager.close(this.getLockKey(), this.fid);
+
   async.series([
     function (callback) {
       self.spiFile.close(callback);
     },
     function (callback) {
-      if (self.deleteOnClose) {
+      if (lastOpen) {
         self.delete(callback);
       } else {
         callback();
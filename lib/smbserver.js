@@ -26,6 +26,9 @@ var utils = require('./utils');
 var DefaultAuthenticator = require('./defaultauthenticator');
 var ntlm = require('./ntlm');
 var SMBConnection = require('./smbconnection');
+var LockManager = require('./lockmanager');
+var OplockManager = require('./oplockmanager');
+var ShareModeManager = require('./sharemodemanager');
 var SMBLogin = require('./smblogin');
 var SMBSession = require('./smbsession');
 var SMBShare = require('./smbshare');
@@ -61,6 +64,14 @@ function SMBServer(config, authenticator) {
   this.sessions = {};
   this.shares = {};
   this.trees = {};
+  // server-wide byte-range locks
+  this.lockManager = new LockManager();
+  // server-wide opens and oplocks
+  this.oplockManager = new OplockManager();
+  // server-wide access and share access of opens
+  this.shareModeManager = new ShareModeManager();
+  // disconnected SMB2 durable opens (key: hex encoded persistent part of the FileId, value: SMBFile)
+  this.durableOpens = {};
   // todo load/persist generated server guid
   this.guid = utils.generateRawUUID();
   this.domainName = config && config.domainName || '';
@@ -150,11 +161,23 @@ SMBServer.prototype.start = function (port, host, cb) {
 };
 
 SMBServer.prototype.stop = function (cb) {
-  this.tcpServer.close(function (err) {
-    if (err) {
-      logger.error(err);
-    }
-    cb(err);
+  var self = this;
+  // stop the shares first: the tcp server only reports being closed once all connections have ended
+  async.each(_.values(this.shares), function (share, callback) {
+    share.stop(function (err) {
+      if (err) {
+        logger.error('error while stopping share %s', share.getName(), err);
+      }
+      // stop the remaining shares anyway
+      callback();
+    });
+  }, function () {
+    self.tcpServer.close(function (err) {
+      if (err) {
+        logger.error(err);
+      }
+      cb(err);
+    });
   });
 };
 
@@ -194,12 +217,20 @@ SMBServer.prototype.destroyLogin = function (key) {
  */
 SMBServer.prototype.setupSession = function (login, accountName, primaryDomain, caseInsensitivePassword, caseSensitivePassword, cb) {
   var self = this;
-  this.authenticator.authenticate(login.challenge, caseInsensitivePassword, caseSensitivePassword, primaryDomain, accountName, function (err, session) {
+  this.authenticator.authenticate(login.challenge, caseInsensitivePassword, caseSensitivePassword, primaryDomain, accountName, function (err, session, sessionKey) {
     if (err) {
       cb(err);
       return;
     }
-    var smbSession = new SMBSession(self, accountName, primaryDomain, session);
+    if (login.session) {
+      // SMB2 re-authentication: the session and its tree connects remain, only the credentials change
+      login.session.reauthenticate(accountName, primaryDomain, session);
+      cb(null, login.session);
+      return;
+    }
+    // SMB2 reserves the session id on the first SESSION_SETUP round trip
+    var smbSession = new SMBSession(self, accountName, primaryDomain, session, login.sessionId);
+    smbSession.sessionKey = sessionKey || null;
     // register session
     self.sessions[smbSession.uid] = smbSession;
     cb(null, smbSession);
@@ -211,6 +242,13 @@ SMBServer.prototype.getSession = function (uid) {
 };
 
 SMBServer.prototype.destroySession = function (uid) {
+  var self = this;
+  // disconnect the trees connected by the session
+  _.forEach(_.filter(this.trees, function (tree) {
+    return tree.smbSession && tree.smbSession.uid === uid;
+  }), function (tree) {
+    self.disconnectTree(tree.tid);
+  });
   delete this.sessions[uid];
 };
 
@@ -291,10 +329,134 @@ SMBServer.prototype.connectTree = function (session, shareName, shareLevelPasswo
   });
 };
 
+/**
+ * Returns the server-wide byte-range lock manager.
+ *
+ * @return {LockManager}
+ */
+SMBServer.prototype.getLockManager = function () {
+  return this.lockManager;
+};
+
+/**
+ * Returns the server-wide oplock manager.
+ *
+ * @return {OplockManager}
+ */
+SMBServer.prototype.getOplockManager = function () {
+  return this.oplockManager;
+};
+
+/**
+ * Returns the server-wide share mode manager.
+ *
+ * @return {ShareModeManager}
+ */
+SMBServer.prototype.getShareModeManager = function () {
+  return this.shareModeManager;
+};
+
+/**
+ * Preserves the durable opens of a session whose connection has been lost (see MS-SMB2 3.3.7.1).
+ * The open files keep their byte-range locks and leases until the client reconnects
+ * (see <code>reclaimDurableOpen</code>) or the durable handle times out.
+ *
+ * @param {SMBSession} session
+ */
+SMBServer.prototype.preserveDurableOpens = function (session) {
+  var self = this;
+  _.forEach(_.filter(this.trees, function (tree) {
+    return tree.smbSession && tree.smbSession.uid === session.uid;
+  }), function (tree) {
+    _.forEach(tree.detachDurableFiles(), function (file) {
+      var key = file.durable.fileId.slice(0, 8).toString('hex');
+      logger.debug('preserving durable open %s of %s for %d ms', key, file.getPath(), file.durable.timeout);
+      self.durableOpens[key] = file;
+      file.durable.timer = setTimeout(function () {
+        logger.debug('durable open %s of %s timed out', key, file.getPath());
+        self.closeDurableOpen(key);
+      }, file.durable.timeout);
+      var leaseId = file.durable.leaseId;
+      if (leaseId) {
+        // a lease break can't be delivered to a disconnected client: the opens of the lease are closed instead
+        self.oplockManager.setLeaseBreakHandler(leaseId, function () {
+          _.forEach(_.keys(self.durableOpens), function (k) {
+            if (self.durableOpens[k].durable.leaseId === leaseId) {
+              self.closeDurableOpen(k);
+            }
+          });
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Returns a disconnected durable open.
+ *
+ * @param {Buffer} fileId SMB2 FileId of the open
+ * @return {SMBFile} open file or undefined
+ */
+SMBServer.prototype.getDurableOpen = function (fileId) {
+  return this.durableOpens[fileId.slice(0, 8).toString('hex')];
+};
+
+/**
+ * Reclaims a disconnected durable open on behalf of a reconnecting client.
+ *
+ * @param {Buffer} fileId SMB2 FileId of the open
+ * @param {SMBTree} tree tree connection of the reconnecting client
+ * @return {SMBFile} open file or undefined if there's no such durable open
+ */
+SMBServer.prototype.reclaimDurableOpen = function (fileId, tree) {
+  var key = fileId.slice(0, 8).toString('hex');
+  var file = this.durableOpens[key];
+  if (file) {
+    delete this.durableOpens[key];
+    clearTimeout(file.durable.timer);
+    delete file.durable.timer;
+    tree.attachFile(file, file.durable.fileId);
+  }
+  return file;
+};
+
+/**
+ * Closes a disconnected durable open.
+ *
+ * @param {String} key hex encoded persistent part of the FileId
+ */
+SMBServer.prototype.closeDurableOpen = function (key) {
+  var file = this.durableOpens[key];
+  if (!file) {
+    return;
+  }
+  delete this.durableOpens[key];
+  clearTimeout(file.durable.timer);
+  file.close(function (err) {
+    if (err) {
+      logger.error('failed to close durable open %s', key, err);
+    }
+  });
+};
+
 SMBServer.prototype.getTree = function (tid) {
   return this.trees[tid];
 };
 
+/**
+ * Returns the open file identified by a resume key (see <code>SMBFile.getResumeKey</code>).
+ *
+ * @param {Buffer} resumeKey 24 byte resume key
+ * @return {SMBFile} open file or undefined if the file has been closed
+ */
+SMBServer.prototype.getFileByResumeKey = function (resumeKey) {
+  var tree = this.getTree(resumeKey.readUInt32LE(0));
+  var file = tree && tree.getFile(resumeKey.readUInt32LE(4));
+  if (file && file.resumeKey && utils.bufferEquals(file.resumeKey, resumeKey)) {
+    return file;
+  }
+};
+
 SMBServer.prototype.disconnectTree = function (tid) {
   var tree = this.trees[tid];
   if (tree) {
@@ -15,17 +15,34 @@
 /**
  * Represents an SMB session established by <code>SESSION_SETUP_ANDX</code>
  */
-function SMBSession(smbServer, accountName, primaryDomain, spiSession) {
+function SMBSession(smbServer, accountName, primaryDomain, spiSession, uid) {
   this.smbServer = smbServer;
   this.spiSession = spiSession;
   this.accountName = accountName;
   this.primaryDomain = primaryDomain;
-  this.uid = ++SMBSession.uidCounter;
+  this.uid = uid || SMBSession.allocateUid();
   this.searches = {};
+  // session key as established by the authentication protocol (null if not available, e.g. anonymous)
+  this.sessionKey = null;
+  // SMB2 signing key and whether signing is required for this session
+  this.signingKey = null;
+  this.signingRequired = false;
+  // SMB 3.x encryption keys (server to client and client to server)
+  this.encryptionKey = null;
+  this.decryptionKey = null;
 }
 
 SMBSession.uidCounter = 0;
 
+/**
+ * Allocates a new session id.
+ *
+ * @return {Number}
+ */
+SMBSession.allocateUid = function () {
+  return ++SMBSession.uidCounter;
+};
+
 SMBSession.sidCounter = 0;
 
 /**
@@ -59,6 +76,22 @@ SMBSession.prototype.closeSearch = function (sid) {
   delete this.searches[sid];
 };
 
+/**
+ * Replaces the credentials of the session (SMB2 re-authentication).
+ *
+ * @param {String} accountName
+ * @param {String} primaryDomain
+ * @param {Session} spiSession the session returned by the authenticator
+ */
+SMBSession.prototype.reauthenticate = function (accountName, primaryDomain, spiSession) {
+  if (this.spiSession && this.spiSession !== spiSession) {
+    this.spiSession.logoff();
+  }
+  this.spiSession = spiSession;
+  this.accountName = accountName;
+  this.primaryDomain = primaryDomain;
+};
+
 SMBSession.prototype.logoff = function () {
   if (this.spiSession) {
     this.spiSession.logoff();
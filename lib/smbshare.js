@@ -12,7 +12,10 @@
 
 'use strict';
 
+var _ = require('lodash');
+
 var SMBTree = require('./smbtree');
+var common = require('./common');
 
 /**
  * Represents an active share exposed by this SMB server.
@@ -24,6 +27,9 @@ var SMBTree = require('./smbtree');
 function SMBShare(smbServer, spiShare) {
   this.smbServer = smbServer;
   this.spiShare = spiShare;
+
+  // changes made in the backend, i.e. not through this server
+  this.spiShare.on('change', this.onChange.bind(this));
 }
 
 SMBShare.prototype.getName = function () {
@@ -52,6 +58,66 @@ SMBShare.prototype.isNamedPipe = function () {
   return this.spiShare.isNamedPipe();
 };
 
+/**
+ * Return a flag indicating whether access to this share requires encryption (SMB 3.x only).
+ *
+ * @return {Boolean} <code>true</code> if unencrypted access to this share should be rejected;
+ *         <code>false</code> otherwise.
+ */
+SMBShare.prototype.isEncryptData = function () {
+  return this.spiShare.isEncryptData();
+};
+
+/**
+ * Return the interval in ms after which pending change notification requests are completed
+ * with a dummy change notification, forcing the client to refresh (<code>0</code> if disabled).
+ *
+ * @return {Number} refresh interval in ms
+ */
+SMBShare.prototype.getRefreshInterval = function () {
+  return this.spiShare.getRefreshInterval();
+};
+
+/**
+ * Return a flag indicating whether this share supports named (alternate data) streams.
+ *
+ * @return {Boolean} <code>true</code> if named streams are supported; <code>false</code> otherwise
+ */
+SMBShare.prototype.supportsStreams = function () {
+  return this.spiShare.supportsStreams();
+};
+
+/**
+ * Reports a change made in the backend (i.e. not through this server) to the change listeners
+ * of the connected trees and emits the corresponding server event.
+ *
+ * @param {Number} action file action (<code>FILE_ACTION_ADDED</code>, <code>FILE_ACTION_REMOVED</code>
+ *                        or <code>FILE_ACTION_RENAMED</code>)
+ * @param {String} name name of file that changed
+ * @param {String} [newName] new name of file in case of a rename
+ * @param {Boolean} [directory] true if the file is a directory
+ */
+SMBShare.prototype.onChange = function (action, name, newName, directory) {
+  var self = this;
+  _.forOwn(this.smbServer.trees, function (tree) {
+    if (tree.getShare() === self) {
+      tree.notifyChangeListeners(action, name, newName, undefined, directory);
+    }
+  });
+
+  switch (action) {
+    case common.FILE_ACTION_ADDED:
+      this.smbServer.emit(directory ? 'folderCreated' : 'fileCreated', this.getName(), name);
+      break;
+    case common.FILE_ACTION_REMOVED:
+      this.smbServer.emit(directory ? 'folderDeleted' : 'fileDeleted', this.getName(), name);
+      break;
+    case common.FILE_ACTION_RENAMED:
+      this.smbServer.emit('itemMoved', this.getName(), name, newName);
+      break;
+  }
+};
+
 /**
  *
  * @param {Session} session
@@ -66,10 +132,20 @@ SMBShare.prototype.connect = function (session, shareLevelPassword, cb) {
     if (err) {
       cb(err);
     } else {
-      cb(null, new SMBTree(self.smbServer, self, tree));
+      cb(null, new SMBTree(self.smbServer, self, tree, session));
     }
   });
 };
 
+/**
+ * Release the resources held by the share.
+ *
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+SMBShare.prototype.stop = function (cb) {
+  this.spiShare.stop(cb);
+};
+
 module.exports = SMBShare;
 
@@ -16,15 +16,54 @@ var logger = require('winston').loggers.get('default');
 var async = require('async');
 var _ = require('lodash');
 var path = require('path');
+var crypto = require('crypto');
 
 var SMBFile = require('./smbfile');
+var ShareModeManager = require('./sharemodemanager');
 var common = require('./common');
 var utils = require('./utils');
 var ntstatus = require('./ntstatus');
+var SMBError = require('./smberror');
 
-// timeout in ms after which a NT_TRANSACT_NOTIFY_CHANGE request will be replied with a dummy change notification.
-// after receiving such a change notification the client (i.e. Finder on os-x) will send a TRANS2_FIND_FIRST2 cmd to refresh.
-var CHANGE_LISTENER_TIMEOUT = 5000; // todo FIXME use configured refresh interval
+// max. number of changes buffered per watched directory handle; if more changes occur before the client
+// requests them the client will be told to enumerate the directory instead (STATUS_NOTIFY_ENUM_DIR)
+var MAX_BUFFERED_CHANGES = 256;
+
+// completion filter flags matching a change of a name
+var NAME_FILTER = common.FILE_NOTIFY_CHANGE_FILE_NAME | common.FILE_NOTIFY_CHANGE_DIR_NAME;
+// completion filter flags matching a modification of a file (we don't know what exactly has changed)
+var MODIFIED_FILTER = common.FILE_NOTIFY_CHANGE_ATTRIBUTES | common.FILE_NOTIFY_CHANGE_SIZE
+  | common.FILE_NOTIFY_CHANGE_LAST_WRITE | common.FILE_NOTIFY_CHANGE_LAST_ACCESS | common.FILE_NOTIFY_CHANGE_CREATION
+  | common.FILE_NOTIFY_CHANGE_EA | common.FILE_NOTIFY_CHANGE_SECURITY;
+
+/**
+ * Returns the completion filter flags matching a file action.
+ *
+ * @param {Number} action file action
+ * @param {Boolean} [directory] true if the change affects a directory, false if it affects a file,
+ *                              undefined if unknown
+ * @return {Number} completion filter flags
+ */
+function getCompletionFilter(action, directory) {
+  switch (action) {
+    case common.FILE_ACTION_ADDED:
+    case common.FILE_ACTION_REMOVED:
+    case common.FILE_ACTION_RENAMED_OLD_NAME:
+    case common.FILE_ACTION_RENAMED_NEW_NAME:
+    case common.FILE_ACTION_RENAMED:
+      if (directory === undefined) {
+        return NAME_FILTER;
+      }
+      return directory ? common.FILE_NOTIFY_CHANGE_DIR_NAME : common.FILE_NOTIFY_CHANGE_FILE_NAME;
+    case common.FILE_ACTION_ADDED_STREAM:
+    case common.FILE_ACTION_REMOVED_STREAM:
+      return common.FILE_NOTIFY_CHANGE_STREAM_NAME;
+    case common.FILE_ACTION_MODIFIED_STREAM:
+      return common.FILE_NOTIFY_CHANGE_STREAM_SIZE | common.FILE_NOTIFY_CHANGE_STREAM_WRITE;
+    default:
+      return MODIFIED_FILTER;
+  }
+}
 
 /**
  * Represents a tree connection established by <code>TREE_CONNECT_ANDX</code> or <code>SMB2 TREE_CONNECT</code>
@@ -32,16 +71,23 @@ var CHANGE_LISTENER_TIMEOUT = 5000; // todo FIXME use configured refresh interva
  * @param {SMBServer} smbServer
  * @param {SMBShare} smbShare
  * @param {Tree} spiTree
+ * @param {SMBSession} [smbSession] session that established the tree connection
  * @constructor
  */
-function SMBTree(smbServer, smbShare, spiTree) {
+function SMBTree(smbServer, smbShare, spiTree, smbSession) {
   this.smbServer = smbServer;
   this.smbShare = smbShare;
   this.spiTree = spiTree;
+  this.smbSession = smbSession || null;
   this.tid = ++SMBTree.tidCounter;
 
   this.files = {};
+  // SMB2 FileId table (key: hex encoded FileId, value: fid)
+  this.fileIds = {};
+  // pending change notification requests (key: mid or SMB2 async id, value: listener)
   this.listeners = {};
+  // watched directory handles (key: fid, value: watch with the buffered changes)
+  this.watches = {};
 }
 
 SMBTree.tidCounter = 0;
@@ -51,6 +97,33 @@ SMBTree.prototype.getShare = function () {
   return this.smbShare;
 };
 
+/**
+ * Returns the server-wide byte-range lock manager.
+ *
+ * @return {LockManager}
+ */
+SMBTree.prototype.getLockManager = function () {
+  return this.smbServer.getLockManager();
+};
+
+/**
+ * Returns the server-wide oplock manager.
+ *
+ * @return {OplockManager}
+ */
+SMBTree.prototype.getOplockManager = function () {
+  return this.smbServer.getOplockManager();
+};
+
+/**
+ * Returns the server-wide share mode manager.
+ *
+ * @return {ShareModeManager}
+ */
+SMBTree.prototype.getShareModeManager = function () {
+  return this.smbServer.getShareModeManager();
+};
+
 SMBTree.prototype.getFile = function (fid) {
   return this.files[fid];
 };
@@ -61,10 +134,85 @@ SMBTree.prototype.closeFile = function (fid, cb) {
     process.nextTick(function () { cb(new Error('no such file')); });
   } else {
     delete this.files[fid];
+    delete this.watches[fid];
     file.close(cb);
   }
 };
 
+/**
+ * Assigns a 16 byte SMB2 FileId to an open file. The persistent part
+ * is derived from the file's fid, the volatile part is random.
+ *
+ * @param {SMBFile} file open file
+ * @return {Buffer} FileId
+ */
+SMBTree.prototype.createFileId = function (file) {
+  var fileId = new Buffer(16);
+  fileId.writeUInt32LE(file.fid, 0);  // Persistent
+  fileId.writeUInt32LE(0, 4);
+  crypto.randomBytes(8).copy(fileId, 8); // Volatile
+  this.fileIds[fileId.toString('hex')] = file.fid;
+  return fileId;
+};
+
+/**
+ * Returns the open file associated with the given SMB2 FileId.
+ *
+ * @param {Buffer} fileId 16 byte FileId
+ * @return {SMBFile} open file or undefined
+ */
+SMBTree.prototype.getFileByFileId = function (fileId) {
+  var fid = this.fileIds[fileId.toString('hex')];
+  return fid === undefined ? undefined : this.files[fid];
+};
+
+/**
+ * Closes the open file associated with the given SMB2 FileId.
+ *
+ * @param {Buffer} fileId 16 byte FileId
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+SMBTree.prototype.closeFileByFileId = function (fileId, cb) {
+  var key = fileId.toString('hex');
+  var fid = this.fileIds[key];
+  if (fid === undefined) {
+    process.nextTick(function () { cb(new Error('no such file')); });
+  } else {
+    delete this.fileIds[key];
+    this.closeFile(fid, cb);
+  }
+};
+
+/**
+ * Detaches the open files that have been granted a durable handle (see <code>SMBFile.durable</code>),
+ * e.g. when the connection of the session has been lost. Their byte-range locks and leases are retained.
+ *
+ * @return {SMBFile[]} detached files
+ */
+SMBTree.prototype.detachDurableFiles = function () {
+  var self = this;
+  var files = _.filter(this.files, 'durable');
+  files.forEach(function (file) {
+    delete self.files[file.fid];
+    delete self.fileIds[file.durable.fileId.toString('hex')];
+  });
+  return files;
+};
+
+/**
+ * Attaches a detached open file (see <code>detachDurableFiles</code>) to this tree, e.g. when a client
+ * reconnects to a durable handle.
+ *
+ * @param {SMBFile} file open file
+ * @param {Buffer} fileId SMB2 FileId of the open file
+ */
+SMBTree.prototype.attachFile = function (file, fileId) {
+  file.smbTree = this;
+  this.files[file.fid] = file;
+  this.fileIds[fileId.toString('hex')] = file.fid;
+};
+
 /**
  * Test whether or not the specified file exists.
  *
@@ -82,23 +230,96 @@ SMBTree.prototype.exists = function (name, cb) {
  *
  * @param {String} name file name
  * @param {Number} createDisposition flag specifying action if file does/does not exist
- * @param {Boolean} openTargetDirectory true if target for open is a directory
+ * @param {Number} createOptions <code>common.FILE_*</code> create option flags (see <code>SMBFile.applyCreateOptions</code>)
+ * @param {Number} desiredAccess access requested by the client
+ * @param {Number} shareAccess access other opens of the file may be granted (<code>common.FILE_SHARE_*</code> flags)
  * @param {Function} cb callback called with the opened file
- * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {SMBError} cb.error error (non-null if an error occurred,
+ *                            <code>STATUS_SHARING_VIOLATION</code> if the open conflicts with other opens of the file,
+ *                            <code>STATUS_DELETE_PENDING</code> if the file is pending deletion)
  * @param {SMBFile} cb.file opened file
  */
-SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDirectory, cb) {
+SMBTree.prototype.openOrCreate = function (name, createDisposition, createOptions, desiredAccess, shareAccess, cb) {
   var self = this;
 
-  name = utils.normalizeSMBFileName(name);
+  // name:stream opens address a named stream of a file or directory
+  var parsedName = utils.parseStreamName(utils.normalizeSMBFileName(name));
+  name = parsedName && parsedName.name;
+  var streamName = parsedName && parsedName.streamName;
+
+  // see MS-SMB2 3.3.5.9
+  var invalidStatus;
+  if (!parsedName) {
+    invalidStatus = ntstatus.STATUS_OBJECT_NAME_INVALID;
+  } else if (createOptions & common.FILE_DIRECTORY_FILE && createOptions & common.FILE_NON_DIRECTORY_FILE) {
+    invalidStatus = ntstatus.STATUS_INVALID_PARAMETER;
+  } else if (streamName && createOptions & common.FILE_DIRECTORY_FILE) {
+    // a named stream is never a directory
+    invalidStatus = ntstatus.STATUS_NOT_A_DIRECTORY;
+  } else if (createOptions & common.FILE_DELETE_ON_CLOSE && !(ShareModeManager.mapAccess(desiredAccess) & common.DELETE)) {
+    invalidStatus = ntstatus.STATUS_ACCESS_DENIED;
+  }
+  if (invalidStatus) {
+    process.nextTick(function () { cb(new SMBError(invalidStatus)); });
+    return;
+  }
+
+  /**
+   * Applies the create options and grants the requested access.
+   *
+   * @param {SMBFile} file
+   * @return {Number} status
+   */
+  function init(file) {
+    var status = file.applyCreateOptions(createOptions);
+    return status === ntstatus.STATUS_SUCCESS ? file.grantAccess(desiredAccess, shareAccess) : status;
+  }
+
+  function existsFn(callback) {
+    if (streamName) {
+      self.streamExists(name, streamName, callback);
+    } else {
+      self.exists(name, callback);
+    }
+  }
+
+  function createFn(callback) {
+    if (streamName) {
+      self.createStream(name, streamName, callback);
+    } else if (createOptions & common.FILE_DIRECTORY_FILE) {
+      self.createDirectory(name, callback);
+    } else {
+      self.createFile(name, callback);
+    }
+  }
+
+  function openFn(callback) {
+    if (streamName) {
+      self.spiTree.openStream(name, streamName, callback);
+    } else {
+      self.spiTree.open(name, callback);
+    }
+  }
 
   function create(callback) {
-    var createFn = openTargetDirectory ? self.createDirectory : self.createFile;
-    createFn.call(self, name, callback);
+    createFn(function (err, file) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      var status = init(file);
+      if (status !== ntstatus.STATUS_SUCCESS) {
+        self.closeFile(file.fid, function () {
+          callback(new SMBError(status));
+        });
+        return;
+      }
+      callback(null, file);
+    });
   }
 
   function open(callback) {
-    self.spiTree.open(name, function (err, file) {
+    openFn(function (err, file) {
       if (err) {
         callback(err);
         return;
@@ -114,6 +335,14 @@ SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDi
         openAction = common.FILE_OPENED;
       }
       var result = new SMBFile(file, self, openAction, fid);
+      // the share modes of other opens are checked before the file is overwritten
+      var status = init(result);
+      if (status !== ntstatus.STATUS_SUCCESS) {
+        file.close(function () {
+          callback(new SMBError(status));
+        });
+        return;
+      }
       self.files[fid] = result;
       if (openAction === common.FILE_OVERWRITTEN) {
         result.setLength(0, function (err) {
@@ -133,7 +362,7 @@ SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDi
     create(cb);
   } else {
     // conditional create/open (consts.FILE_SUPERSEDE, consts.FILE_OPEN_IF, consts.FILE_OVERWRITE_IF)
-    self.exists(name, function (err, exists) {
+    existsFn(function (err, exists) {
       if (err) {
         cb(err);
         return;
@@ -157,7 +386,19 @@ SMBTree.prototype.openOrCreate = function (name, createDisposition, openTargetDi
  */
 SMBTree.prototype.open = function (name, cb) {
   var self = this;
-  this.spiTree.open(utils.normalizeSMBFileName(name), function (err, file) {
+  var parsedName = utils.parseStreamName(utils.normalizeSMBFileName(name));
+  if (!parsedName) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID)); });
+    return;
+  }
+  function openFn(callback) {
+    if (parsedName.streamName) {
+      self.spiTree.openStream(parsedName.name, parsedName.streamName, callback);
+    } else {
+      self.spiTree.open(parsedName.name, callback);
+    }
+  }
+  openFn(function (err, file) {
     if (err) {
       cb(err);
     } else {
@@ -188,6 +429,11 @@ SMBTree.prototype.reopen = function (name, fid, cb) {
       cb(err);
     } else {
       var result = new SMBFile(file, self, common.FILE_OPENED, fid);
+      var previous = self.files[fid];
+      if (previous) {
+        // the reopened file keeps the access granted to the open and its create options
+        _.assign(result, _.pick(previous, [ 'grantedAccess', 'deleteOnClose', 'writeThrough', 'sequentialOnly' ]));
+      }
       self.files[fid] = result;
       cb(null, result);
     }
@@ -243,7 +489,7 @@ SMBTree.prototype.createFile = function (name, cb) {
     self.files[fid] = result;
     cb(null, result);
 
-    self.notifyChangeListeners(common.FILE_ACTION_ADDED, nname);
+    self.notifyChangeListeners(common.FILE_ACTION_ADDED, nname, null, undefined, false);
 
     // emit event
     self.smbServer.emit('fileCreated', self.smbShare.getName(), nname);
@@ -272,13 +518,79 @@ SMBTree.prototype.createDirectory = function (name, cb) {
     self.files[fid] = result;
     cb(null, result);
 
-    self.notifyChangeListeners(common.FILE_ACTION_ADDED, nname);
+    self.notifyChangeListeners(common.FILE_ACTION_ADDED, nname, null, undefined, true);
 
     // emit event
     self.smbServer.emit('folderCreated', self.smbShare.getName(), nname);
   });
 };
 
+/**
+ * Test whether or not the specified named stream exists.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called with the result
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Boolean} cb.exists true if the stream exists; false otherwise
+ */
+SMBTree.prototype.streamExists = function (name, streamName, cb) {
+  this.spiTree.listStreams(utils.normalizeSMBFileName(name), function (err, streams) {
+    if (err) {
+      cb(err);
+    } else {
+      cb(null, _.some(streams, { name: streamName }));
+    }
+  });
+};
+
+/**
+ * Create a new named stream. The file is created first if it doesn't exist yet.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {SMBFile} cb.file created stream
+ */
+SMBTree.prototype.createStream = function (name, streamName, cb) {
+  var self = this;
+  var nname = utils.normalizeSMBFileName(name);
+
+  function createFile(callback) {
+    self.exists(nname, function (err, exists) {
+      if (err || exists) {
+        callback(err);
+        return;
+      }
+      self.createFile(nname, function (err, file) {
+        if (err) {
+          callback(err);
+        } else {
+          self.closeFile(file.fid, callback);
+        }
+      });
+    });
+  }
+
+  function createStream(callback) {
+    self.spiTree.createStream(nname, streamName, callback);
+  }
+
+  async.series([ createFile, createStream ], function (err, results) {
+    if (err) {
+      cb(err);
+      return;
+    }
+    var fid = ++SMBTree.fidCounter;
+    var result = new SMBFile(results[1], self, common.FILE_CREATED, fid);
+    self.files[fid] = result;
+    cb(null, result);
+
+    self.notifyChangeListeners(common.FILE_ACTION_ADDED_STREAM, nname + ':' + streamName, null);
+  });
+};
+
 /**
  * Delete a file.
  *
@@ -291,10 +603,25 @@ SMBTree.prototype.delete = function (name, cb) {
   var self = this;
   var nname = utils.normalizeSMBFileName(name);
 
+  var parsedName = utils.parseStreamName(nname);
+  if (!parsedName) {
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID)); });
+    return;
+  }
+  if (parsedName.streamName) {
+    this.spiTree.deleteStream(parsedName.name, parsedName.streamName, function (err) {
+      cb(err);
+      if (!err) {
+        self.notifyChangeListeners(common.FILE_ACTION_REMOVED_STREAM, nname, null);
+      }
+    });
+    return;
+  }
+
   this.spiTree.delete(nname, function (err) {
     cb(err);
     if (!err) {
-      self.notifyChangeListeners(common.FILE_ACTION_REMOVED, nname);
+      self.notifyChangeListeners(common.FILE_ACTION_REMOVED, nname, null, undefined, false);
 
       // emit event
       self.smbServer.emit('fileDeleted', self.smbShare.getName(), nname);
@@ -317,7 +644,7 @@ SMBTree.prototype.deleteDirectory = function (name, cb) {
   this.spiTree.deleteDirectory(nname, function (err) {
     cb(err);
     if (!err) {
-      self.notifyChangeListeners(common.FILE_ACTION_REMOVED, nname);
+      self.notifyChangeListeners(common.FILE_ACTION_REMOVED, nname, null, undefined, true);
 
       // emit event
       self.smbServer.emit('folderDeleted', self.smbShare.getName(), nname);
@@ -338,15 +665,23 @@ SMBTree.prototype.rename = function (nameOrFile, newName, cb) {
 
   var targetFID;
   var oldName;
+  var directory;
   if (typeof nameOrFile === 'string') {
     oldName = nameOrFile;
   } else {
     targetFID = nameOrFile.getId();
     oldName = nameOrFile.getPath();
+    directory = nameOrFile.isDirectory();
   }
   var nOldName = utils.normalizeSMBFileName(oldName);
   var nNewName = utils.normalizeSMBFileName(newName);
 
+  if (nOldName.indexOf(':') !== -1 || nNewName.indexOf(':') !== -1) {
+    // renaming named streams is not supported
+    process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_SUPPORTED)); });
+    return;
+  }
+
   // todo check if source has uncommitted changes (i.e. needs flush)
   // todo check if source has deleteOnClose set
   this.spiTree.rename(nOldName, nNewName, function (err) {
@@ -355,12 +690,16 @@ SMBTree.prototype.rename = function (nameOrFile, newName, cb) {
       return;
     }
     if (targetFID) {
+      // the open file keeps its lease (or oplock) under the new name
+      var keyPrefix = self.smbShare.getName() + ':';
+      self.getOplockManager().move(keyPrefix + nOldName, keyPrefix + nNewName, targetFID);
+      self.getShareModeManager().move(keyPrefix + nOldName, keyPrefix + nNewName, targetFID);
       self.reopen(nNewName, targetFID, cb);
     } else {
       cb();
     }
 
-    self.notifyChangeListeners(common.FILE_ACTION_RENAMED, nOldName, nNewName);
+    self.notifyChangeListeners(common.FILE_ACTION_RENAMED, nOldName, nNewName, targetFID, directory);
 
     // emit event
     self.smbServer.emit('itemMoved', self.smbShare.getName(), nOldName, nOldName);
@@ -390,6 +729,12 @@ SMBTree.prototype.disconnect = function () {
   _.forOwn(this.listeners, function (listener, mid) {
     self.cancelChangeListener(mid);
   });
+  this.watches = {};
+  // release the byte-range locks and oplocks held by open files
+  _.forOwn(this.files, function (file) {
+    file.releaseLocks();
+    file.releaseOplock();
+  });
   // delegate to spi
   this.spiTree.disconnect(function (err) {
     if (err) {
@@ -422,104 +767,166 @@ SMBTree.prototype.refresh = function (folderPath, deep, cb) {
 };
 
 /**
- * Register a one-shot notification listener that will send a NT_TRANSACT_NOTIFY_CHANGE response.
+ * Register a one-shot notification listener that will send a NT_TRANSACT_NOTIFY_CHANGE
+ * or SMB2 CHANGE_NOTIFY response.
+ *
+ * Changes matching the completion filter are buffered per directory handle: changes that occur while
+ * no request is pending are reported in the response to the next request on the same handle. The watch tree flag
+ * and completion filter of the first request on a handle apply to all subsequent requests on that handle
+ * (see MS-FSA 2.1.5.10).
+ *
+ * If nothing changed within the share's refresh interval the listener is notified with a dummy
+ * <code>FILE_ACTION_MODIFIED</code> change of the directory itself (empty name).
  *
  * see https://msdn.microsoft.com/en-us/library/ee442155.aspx
  *
  * @param {Number} mid - multiplex id (msg.header.mid, identifies an SMB request within an SMB session)
+ *                       or SMB2 async id
  * @param {SMBFile} file - directory to watch for changes
  * @param {Boolean} deep - watch all subdirectories too
  * @param {Number} completionFilter - completion filter bit flags
  * @param {Function} cb - callback to be called on changes
- * @param {Number} cb.action - file action
- * @param {String} cb.name - name of file that changed
- * @param {String} [cb.newName] - optional, new name if this was a rename
+ * @param {Object[]} cb.changes - changes (<code>action</code> and <code>name</code> relative to the watched directory)
+ *                                or null if too many changes occurred, i.e. the client has to enumerate the directory
  */
 SMBTree.prototype.registerChangeListener = function (mid, file, deep, completionFilter, cb) {
   var self = this;
+  var watch = this.watches[file.fid];
+  if (!watch) {
+    watch = this.watches[file.fid] = {
+      fid: file.fid,
+      path: file.getPath(),
+      deep: deep,
+      completionFilter: completionFilter,
+      changes: [],
+      overflow: false,
+      deliveryScheduled: false
+    };
+  }
   var listener = {
     mid: mid,
-    path: file.getPath(),
-    deep: deep,
-    completionFilter: completionFilter,
+    fid: file.fid,
     cb: cb
   };
-  // auto refresh after timeout if no change (via SMB server) occurred within specified period
-  listener.autoRefreshTimer = setTimeout(
-    function () {
-      // dummy change notification to force client to refresh
-      var p = path.join(listener.path, '/'); // append trailing / to folder path (to make sure the proper listener is selected)
-      self.notifyChangeListeners(common.FILE_ACTION_MODIFIED, p);
-    },
-    CHANGE_LISTENER_TIMEOUT
-  );
-
   this.listeners[mid] = listener;
+
+  if (watch.changes.length || watch.overflow) {
+    // report the buffered changes
+    this.deliverChanges(watch);
+    return;
+  }
+
+  var refreshInterval = this.smbShare.getRefreshInterval();
+  if (refreshInterval) {
+    // auto refresh after timeout if no change (via SMB server) occurred within specified period
+    listener.autoRefreshTimer = setTimeout(
+      function () {
+        // dummy change notification to force client to refresh (nothing changed, leases remain valid)
+        self.cancelChangeListener(mid);
+        listener.cb([ { action: common.FILE_ACTION_MODIFIED, name: '' } ]);
+      },
+      refreshInterval
+    );
+  }
 };
 
 /**
- * Notify the appropriate listener (if there is one) for some change
- * and remove it from the collection of registered listeners (one shot notification).
+ * Notifies the first pending listener registered for a watched directory handle (if there is one)
+ * of the buffered changes and removes it from the collection of registered listeners (one shot notification).
+ * The listener is notified asynchronously: the immediate (interim) response to the request has to be sent first,
+ * and changes occurring in the meantime are reported in the same notification.
+ *
+ * @param {Object} watch watched directory handle
+ */
+SMBTree.prototype.deliverChanges = function (watch) {
+  var self = this;
+  if (watch.deliveryScheduled) {
+    return;
+  }
+  watch.deliveryScheduled = true;
+  setImmediate(function () {
+    watch.deliveryScheduled = false;
+    var listener = _.find(self.listeners, { fid: watch.fid });
+    if (!listener || (!watch.changes.length && !watch.overflow)) {
+      return;
+    }
+    var changes = watch.overflow ? null : watch.changes;
+    watch.changes = [];
+    watch.overflow = false;
+    self.cancelChangeListener(listener.mid);
+    listener.cb(changes);
+  });
+};
+
+/**
+ * Buffers a change for the directory handles watching the changed file and notifies their pending
+ * listeners (if there are any). Changes not matching the completion filter of a watch are ignored.
+ * Leases and oplocks granted for the file (or, if <code>name</code> denotes a folder, for the files below)
+ * are broken, except the one of the open that made the change.
  *
  * @param {Number} action file action
  * @param {String} name name of file that changed
  * @param {String} [newName] optional, new name of file in case of a rename
+ * @param {Number} [fid] optional, fid of the open file that made the change
+ * @param {Boolean} [directory] optional, true if the changed file is a directory, false if it is a regular file
  */
-SMBTree.prototype.notifyChangeListeners = function (action, name, newName) {
-
-  function trimListenerPath(name, listener) {
-    return name.substr(listener.path.length + ((listener.path === '/') ? 0 : 1));
+SMBTree.prototype.notifyChangeListeners = function (action, name, newName, fid, directory) {
+  var self = this;
+  // other clients may no longer rely on what they cached of the file
+  var keyPrefix = this.smbShare.getName() + ':';
+  var oplockManager = this.getOplockManager();
+  oplockManager.breakOnChange(keyPrefix + name, fid);
+  if (newName) {
+    oplockManager.breakOnChange(keyPrefix + newName, fid);
   }
 
-  function getSearchPredicate(path) {
-    return function (listener, mid) {
-      // todo evaluate listener.completionFilter WRT action
-      return (!listener.deep && utils.getParentPath(path) === listener.path)
-        || (listener.deep && path.indexOf(listener.path) === 0);
-    };
+  var filter = getCompletionFilter(action, directory);
+
+  // returns the path relative to the watched directory or null if the watch doesn't cover the path
+  function getRelativePath(path, watch) {
+    if (!watch.deep) {
+      return utils.getParentPath(path) === watch.path ? utils.getPathName(path) : null;
+    }
+    var prefix = watch.path === '/' ? '/' : watch.path + '/';
+    return path.indexOf(prefix) === 0 ? path.substr(prefix.length) : null;
   }
 
-  var listener = _.find(this.listeners, getSearchPredicate(name));
-  var listenerNew;
-  if (action === common.FILE_ACTION_RENAMED) {
-    // rename
-    listenerNew = _.find(this.listeners, getSearchPredicate(newName));
-    if (listener || listenerNew) {
-      if (listener === listenerNew) {
-        // in-place rename: same listener for both old and new name
-        listener.cb(action, name.substr(listener.path.length + 1), trimListenerPath(newName, listener));
-      } else if (listener && listenerNew) {
-        // there's separate listeners for old and new name
-        listener.cb(common.FILE_ACTION_RENAMED_OLD_NAME, trimListenerPath(name, listener));
-        listenerNew.cb(common.FILE_ACTION_RENAMED_NEW_NAME, trimListenerPath(newName, listenerNew));
-      } else if (listener) {
-        // there's only a listener for old name
-        listener.cb(common.FILE_ACTION_RENAMED_OLD_NAME, trimListenerPath(name, listener));
-      } else {
-        // there's only a listener for new name
-        listenerNew.cb(common.FILE_ACTION_RENAMED_NEW_NAME, trimListenerPath(newName, listenerNew));
+  _.forOwn(this.watches, function (watch) {
+    if (!(watch.completionFilter & filter)) {
+      return;
+    }
+    var changes = [];
+    var relName = getRelativePath(name, watch);
+    if (action === common.FILE_ACTION_RENAMED) {
+      var relNewName = getRelativePath(newName, watch);
+      if (relName !== null) {
+        changes.push({ action: common.FILE_ACTION_RENAMED_OLD_NAME, name: relName });
+      }
+      if (relNewName !== null) {
+        changes.push({ action: common.FILE_ACTION_RENAMED_NEW_NAME, name: relNewName });
       }
+    } else if (relName !== null) {
+      changes.push({ action: action, name: relName });
     }
-  } else {
-    // not a rename
-    if (listener) {
-      listener.cb(action, trimListenerPath(name, listener));
+    if (!changes.length || watch.overflow) {
+      return;
     }
-  }
-
-  // one shot notification, cancel listeners
-  if (listener) {
-    this.cancelChangeListener(listener.mid);
-  }
-  if (listenerNew) {
-    this.cancelChangeListener(listenerNew.mid);
-  }
+    if (watch.changes.length + changes.length > MAX_BUFFERED_CHANGES) {
+      // too many changes: the client has to enumerate the directory
+      watch.changes = [];
+      watch.overflow = true;
+    } else {
+      watch.changes = watch.changes.concat(changes);
+    }
+    self.deliverChanges(watch);
+  });
 };
 
 /**
  * Cancel the specified listener.
  *
  * @param {Number} mid - multiplex id (msg.header.mid, identifies an SMB request within an SMB session)
+ *                       or SMB2 async id
  * @return {Function} cancelled listener callback or null
  */
 SMBTree.prototype.cancelChangeListener = function (mid) {
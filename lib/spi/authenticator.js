@@ -24,6 +24,19 @@ var Authenticator = function () {
   }
 };
 
+/**
+ * Authenticates a user.
+ *
+ * @param {Buffer} challenge server challenge
+ * @param {Buffer} caseInsensitivePassword client LM or LMv2 response
+ * @param {Buffer} caseSensitivePassword client NTLM or NTLMv2 response
+ * @param {String} domainName
+ * @param {String} accountName
+ * @param {Function} cb callback called with the authenticated session
+ * @param {String|Error} cb.error error (non-null if an error occurred)
+ * @param {Session} cb.session authenticated session
+ * @param {Buffer} [cb.sessionKey] NTLM session base key (required for message signing)
+ */
 Authenticator.prototype.authenticate = function (challenge, caseInsensitivePassword, caseSensitivePassword, domainName, accountName, cb) {
   process.nextTick(function () { cb(new Error('abstract method')); });
 };
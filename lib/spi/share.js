@@ -20,6 +20,11 @@ var util = require('util');
 /**
  * Creates an instance of Share.
  *
+ * Shares whose storage may be modified directly (i.e. not through the SMB server) may report such changes
+ * by emitting <code>change</code> events with the arguments <code>action</code> (<code>FILE_ACTION_ADDED</code>,
+ * <code>FILE_ACTION_REMOVED</code> or <code>FILE_ACTION_RENAMED</code>), <code>name</code>, <code>newName</code>
+ * (renames only) and <code>directory</code>.
+ *
  * @constructor
  * @this {Share}
  * @param {String} name share name
@@ -39,6 +44,9 @@ var Share = function (name, config) {
 
 util.inherits(Share, EventEmitter);
 
+// default refresh interval in ms: no dummy notifications (see <code>getRefreshInterval</code>)
+Share.DEFAULT_REFRESH_INTERVAL = 0;
+
 /**
  * Retrieves an array of event names that the share provides.
  *
@@ -52,6 +60,39 @@ Share.prototype.getEvents = function () {
   }
 };
 
+/**
+ * Return a flag indicating whether access to this share requires encryption (SMB 3.x only).
+ *
+ * @return {Boolean} <code>true</code> if unencrypted access to this share should be rejected;
+ *         <code>false</code> otherwise.
+ */
+Share.prototype.isEncryptData = function () {
+  return !!this.config.encryptData;
+};
+
+/**
+ * Return the interval in ms after which a pending change notification request is completed with
+ * a dummy change notification if nothing changed in the meantime. After receiving such a notification
+ * the client (e.g. Finder on OS X) enumerates the directory again, picking up changes made outside of
+ * this server. The dummy notifications are opt-in: they are only sent if the share's
+ * <code>refreshInterval</code> setting is configured with a non-zero value.
+ *
+ * @return {Number} refresh interval in ms
+ */
+Share.prototype.getRefreshInterval = function () {
+  return typeof this.config.refreshInterval === 'number' ? this.config.refreshInterval : Share.DEFAULT_REFRESH_INTERVAL;
+};
+
+/**
+ * Return a flag indicating whether the trees of this share support named (alternate data) streams
+ * (see <code>Tree.listStreams</code>, <code>Tree.openStream</code> etc.).
+ *
+ * @return {Boolean} <code>true</code> if named streams are supported; <code>false</code> otherwise
+ */
+Share.prototype.supportsStreams = function () {
+  return false;
+};
+
 /**
  * Return a flag indicating whether this is a named pipe share.
  *
@@ -74,5 +115,16 @@ Share.prototype.connect = function (session, shareLevelPassword, cb) {
   process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
 };
 
+/**
+ * Release the resources held by this share (e.g. watchers). Called when the server is stopped.
+ * The default implementation does nothing.
+ *
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+Share.prototype.stop = function (cb) {
+  process.nextTick(function () { cb(); });
+};
+
 module.exports = Share;
 
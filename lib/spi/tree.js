@@ -123,6 +123,68 @@ Tree.prototype.rename = function (oldName, newName, cb) {
   process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_NOT_IMPLEMENTED)); });
 };
 
+/**
+ * List the named streams of a file or directory (see <code>Share.supportsStreams</code>).
+ * The default implementation reports no named streams.
+ *
+ * @param {String} name file name
+ * @param {Function} cb callback called with an array of streams
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {Object[]} cb.streams array of objects with <code>name</code>, <code>size</code>
+ *                              and <code>allocationSize</code> of the named streams
+ */
+Tree.prototype.listStreams = function (name, cb) {
+  process.nextTick(function () { cb(null, []); });
+};
+
+/**
+ * Open an existing named stream of a file or directory. The returned file represents the stream;
+ * its path is <code>name:streamName</code>.
+ *
+ * The default implementation fails with <code>STATUS_OBJECT_NAME_INVALID</code>,
+ * i.e. named streams are not supported.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called with the opened stream
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {File} cb.file opened stream
+ */
+Tree.prototype.openStream = function (name, streamName, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID)); });
+};
+
+/**
+ * Create a new named stream of an existing file or directory.
+ *
+ * The default implementation fails with <code>STATUS_OBJECT_NAME_INVALID</code>,
+ * i.e. named streams are not supported.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ * @param {File} cb.file created stream
+ */
+Tree.prototype.createStream = function (name, streamName, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID)); });
+};
+
+/**
+ * Delete a named stream of a file or directory.
+ *
+ * The default implementation fails with <code>STATUS_OBJECT_NAME_INVALID</code>,
+ * i.e. named streams are not supported.
+ *
+ * @param {String} name file name
+ * @param {String} streamName stream name
+ * @param {Function} cb callback called on completion
+ * @param {SMBError} cb.error error (non-null if an error occurred)
+ */
+Tree.prototype.deleteStream = function (name, streamName, cb) {
+  process.nextTick(function () { cb(new SMBError(ntstatus.STATUS_OBJECT_NAME_INVALID)); });
+};
+
 /**
  * Refresh a specific folder.
  *
@@ -320,6 +320,29 @@ function stripParentPath(path, parentPath) {
   return path;
 }
 
+/**
+ * Splits a file name of the form <code>name[:stream[:type]]</code> into the name of the file
+ * and the name of the named stream (see MS-FSCC 2.1.5). The only supported stream type is <code>$DATA</code>;
+ * <code>name::$DATA</code> denotes the default (unnamed) data stream, i.e. the file itself.
+ *
+ * @param {String} name normalized file name
+ * @return {Object} object with <code>name</code> and <code>streamName</code> (<code>null</code> for
+ *                  the default data stream) or <code>null</code> if the name is invalid
+ */
+function parseStreamName(name) {
+  var parts = name.split(':');
+  if (parts.length === 1) {
+    return { name: name, streamName: null };
+  }
+  if (parts.length > 3
+    || (parts.length === 3 && parts[2].toUpperCase() !== '$DATA')
+    || (parts.length === 2 && !parts[1].length)
+    || getPathName(parts[1]) !== parts[1]) {
+    return null;
+  }
+  return { name: parts[0], streamName: parts[1] || null };
+}
+
 function getRandomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
@@ -429,6 +452,7 @@ module.exports.normalizeSMBFileName = normalizeSMBFileName;
 module.exports.bufferEquals = bufferEquals;
 module.exports.getParentPath = getParentPath;
 module.exports.stripParentPath = stripParentPath;
+module.exports.parseStreamName = parseStreamName;
 module.exports.getPathName = getPathName;
 module.exports.getFileExtension = getFileExtension;
 module.exports.generateRawUUID = generateRawUUID;
@@ -0,0 +1,188 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var Path = require('path');
+var tmp = require('temp').track();
+
+var FSShare = require('../../../../lib/backends/fs/share');
+var SMBShare = require('../../../../lib/smbshare');
+var SMBTree = require('../../../../lib/smbtree');
+var LockManager = require('../../../../lib/lockmanager');
+var OplockManager = require('../../../../lib/oplockmanager');
+var ShareModeManager = require('../../../../lib/sharemodemanager');
+var infoLevel = require('../../../../lib/smb/queryInformationLevel');
+var SMB = require('../../../../lib/smb/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('FSTree', function () {
+  var root, streamsRoot, share, tree;
+
+  var READ_WRITE = common.FILE_READ_DATA | common.FILE_WRITE_DATA;
+  var SHARE_ALL = common.FILE_SHARE_READ | common.FILE_SHARE_WRITE | common.FILE_SHARE_DELETE;
+
+  beforeEach(function (done) {
+    root = tmp.mkdirSync('fstree');
+    streamsRoot = tmp.mkdirSync('fstreestreams');
+    fs.writeFileSync(Path.join(root, 'test.txt'), 'hello');
+    share = new FSShare('test', { backend: 'fs', path: root, streamsPath: streamsRoot });
+    share.connect(null, null, function (err, result) {
+      expect(err).toBeFalsy();
+      tree = result;
+      done();
+    });
+  });
+
+  // wraps the tree like a tree connection of the server
+  function createSMBTree() {
+    var server = new EventEmitter();
+    server.trees = {};
+    server.lockManager = new LockManager();
+    server.getLockManager = function () {
+      return server.lockManager;
+    };
+    server.oplockManager = new OplockManager();
+    server.getOplockManager = function () {
+      return server.oplockManager;
+    };
+    server.shareModeManager = new ShareModeManager();
+    server.getShareModeManager = function () {
+      return server.shareModeManager;
+    };
+    return new SMBTree(server, new SMBShare(server, share), tree);
+  }
+
+  // returns the [ name, size ] pairs of a list of FILE_STREAM_INFORMATION structures
+  function getStreamEntries(buf) {
+    var result = [];
+    var nextEntryOffset;
+    do {
+      nextEntryOffset = buf.readUInt32LE(0);
+      result.push([ buf.slice(24, 24 + buf.readUInt32LE(4)).toString('utf16le'), buf.readUInt32LE(8) ]);
+      buf = buf.slice(nextEntryOffset);
+    } while (nextEntryOffset);
+    return result;
+  }
+
+  it('testStreams', function (done) {
+    tree.createStream('/missing.txt', 'Zone.Identifier', function (err) {
+      expect(err.status).toEqual(ntstatus.STATUS_NO_SUCH_FILE);
+      tree.createStream('/test.txt', 'Zone.Identifier', function (err, stream) {
+        expect(err).toBeFalsy();
+        expect(stream.getPath()).toEqual('/test.txt:Zone.Identifier');
+        stream.write(new Buffer('[ZoneTransfer]'), 0, function (err) {
+          expect(err).toBeFalsy();
+          stream.close(function () {
+            tree.listStreams('/test.txt', function (err, streams) {
+              expect(err).toBeFalsy();
+              expect(streams.length).toEqual(1);
+              expect(streams[0].name).toEqual('Zone.Identifier');
+              expect(streams[0].size).toEqual(14);
+              // the default data stream is not affected
+              expect(fs.readFileSync(Path.join(root, 'test.txt'), 'utf8')).toEqual('hello');
+
+              // the streams follow the file when it is renamed
+              tree.rename('/test.txt', '/renamed.txt', function (err) {
+                expect(err).toBeFalsy();
+                tree.openStream('/renamed.txt', 'Zone.Identifier', function (err, stream) {
+                  expect(err).toBeFalsy();
+                  expect(stream.size()).toEqual(14);
+                  tree.openStream('/test.txt', 'Zone.Identifier', function (err) {
+                    expect(err.status).toEqual(ntstatus.STATUS_NO_SUCH_FILE);
+
+                    // and are deleted with the file
+                    tree.delete('/renamed.txt', function (err) {
+                      expect(err).toBeFalsy();
+                      expect(fs.readdirSync(streamsRoot)).toEqual([]);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('testOpenStream', function (done) {
+    var smbTree = createSMBTree();
+    // the file is created along with the stream
+    smbTree.openOrCreate('\\new.txt:AFP_AfpInfo:$DATA', common.FILE_OPEN_IF, 0, READ_WRITE, SHARE_ALL, function (err, stream) {
+      expect(err).toBeFalsy();
+      expect(stream.getCreateAction()).toEqual(common.FILE_CREATED);
+      expect(stream.getStreamName()).toEqual('AFP_AfpInfo');
+      expect(fs.existsSync(Path.join(root, 'new.txt'))).toBeTruthy();
+      smbTree.closeFile(stream.fid, function () {
+        smbTree.openOrCreate('\\new.txt:AFP_AfpInfo', common.FILE_OPEN, 0, READ_WRITE, SHARE_ALL, function (err, stream) {
+          expect(err).toBeFalsy();
+          expect(stream.getCreateAction()).toEqual(common.FILE_OPENED);
+          infoLevel.query(stream, SMB.FILE_STREAM_INFORMATION, function (result) {
+            expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+            expect(getStreamEntries(result.buffer)).toEqual([ [ ':AFP_AfpInfo:$DATA', 0 ] ]);
+            smbTree.closeFile(stream.fid, function () {
+              smbTree.openOrCreate('\\test.txt::$DATA', common.FILE_OPEN, 0, READ_WRITE, SHARE_ALL, function (err, file) {
+                expect(err).toBeFalsy();
+                expect(file.getStreamName()).toBeFalsy();
+                expect(file.getDataSize()).toEqual(5);
+                smbTree.closeFile(file.fid, done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('testOpenStreamFailures', function (done) {
+    var smbTree = createSMBTree();
+    smbTree.openOrCreate('\\test.txt:Zone.Identifier', common.FILE_OPEN, 0, READ_WRITE, SHARE_ALL, function (err) {
+      expect(err.status).toEqual(ntstatus.STATUS_NO_SUCH_FILE);
+      smbTree.openOrCreate('\\test.txt:Zone.Identifier:$INDEX_ALLOCATION', common.FILE_OPEN_IF, 0, READ_WRITE, SHARE_ALL, function (err) {
+        expect(err.status).toEqual(ntstatus.STATUS_OBJECT_NAME_INVALID);
+        smbTree.openOrCreate('\\test.txt:Zone.Identifier', common.FILE_CREATE, common.FILE_DIRECTORY_FILE, READ_WRITE, SHARE_ALL, function (err) {
+          expect(err.status).toEqual(ntstatus.STATUS_NOT_A_DIRECTORY);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testQueryStreams', function (done) {
+    var smbTree = createSMBTree();
+    tree.createStream('/test.txt', 'Zone.Identifier', function (err) {
+      expect(err).toBeFalsy();
+      smbTree.open('/test.txt', function (err, file) {
+        expect(err).toBeFalsy();
+        infoLevel.query(file, SMB.FILE_STREAM_INFORMATION, function (result) {
+          expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+          expect(getStreamEntries(result.buffer)).toEqual([ [ '::$DATA', 5 ], [ ':Zone.Identifier:$DATA', 0 ] ]);
+          // the stream is deleted on close
+          smbTree.openOrCreate('/test.txt:Zone.Identifier', common.FILE_OPEN, common.FILE_DELETE_ON_CLOSE, common.DELETE, SHARE_ALL, function (err, stream) {
+            expect(err).toBeFalsy();
+            smbTree.closeFile(stream.fid, function () {
+              tree.listStreams('/test.txt', function (err, streams) {
+                expect(err).toBeFalsy();
+                expect(streams).toEqual([]);
+                expect(fs.existsSync(Path.join(root, 'test.txt'))).toBeTruthy();
+                smbTree.closeFile(file.fid, done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
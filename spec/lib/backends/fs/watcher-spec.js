@@ -0,0 +1,105 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+var tmp = require('temp').track();
+
+var FSWatcher = require('../../../../lib/backends/fs/watcher');
+var FSShare = require('../../../../lib/backends/fs/share');
+var common = require('../../../../lib/common');
+
+describe('FSWatcher', function () {
+  var root, changes;
+
+  // waits until the expected number of changes has been reported
+  function waitForChanges(count, cb) {
+    var attempts = 0;
+    var timer = setInterval(function () {
+      if (changes.length >= count || ++attempts > 100) {
+        clearInterval(timer);
+        cb(changes);
+      }
+    }, 10);
+  }
+
+  function onChange(action, name, newName, directory) {
+    changes.push([ action, name, newName, directory ]);
+  }
+
+  beforeEach(function () {
+    root = tmp.mkdirSync('fswatcher');
+    changes = [];
+    fs.writeFileSync(Path.join(root, 'test.txt'), 'hello');
+  });
+
+  function testChanges(watcher, done) {
+    watcher.on('change', onChange);
+    watcher.start(function (err) {
+      expect(err).toBeFalsy();
+      fs.mkdirSync(Path.join(root, 'dir'));
+      fs.writeFileSync(Path.join(root, 'dir', 'new.txt'), 'new');
+      waitForChanges(2, function (changes) {
+        expect(changes).toEqual([
+          [ common.FILE_ACTION_ADDED, '/dir', null, true ],
+          [ common.FILE_ACTION_ADDED, '/dir/new.txt', null, false ]
+        ]);
+        changes.length = 0;
+        fs.renameSync(Path.join(root, 'test.txt'), Path.join(root, 'dir', 'renamed.txt'));
+        fs.unlinkSync(Path.join(root, 'dir', 'new.txt'));
+        waitForChanges(2, function (changes) {
+          expect(changes).toEqual([
+            [ common.FILE_ACTION_RENAMED, '/test.txt', '/dir/renamed.txt', false ],
+            [ common.FILE_ACTION_REMOVED, '/dir/new.txt', null, false ]
+          ]);
+          watcher.stop();
+          done();
+        });
+      });
+    });
+  }
+
+  it('testWatch', function (done) {
+    testChanges(new FSWatcher(root), done);
+  });
+
+  it('testPolling', function (done) {
+    testChanges(new FSWatcher(root, { usePolling: true, pollInterval: 20 }), done);
+  });
+
+  it('testChangesThroughShare', function (done) {
+    var share = new FSShare('test', { path: root, watch: true, watchPolling: true, watchPollInterval: 20 });
+    share.on('change', onChange);
+    share.connect(null, null, function (err, tree) {
+      expect(err).toBeFalsy();
+      // changes made through the share are not reported again
+      tree.createFile('/created.txt', function (err) {
+        expect(err).toBeFalsy();
+        tree.rename('/test.txt', '/renamed.txt', function (err) {
+          expect(err).toBeFalsy();
+          fs.writeFileSync(Path.join(root, 'external.txt'), 'external');
+          waitForChanges(1, function (changes) {
+            // wait for another rescan
+            setTimeout(function () {
+              expect(changes).toEqual([ [ common.FILE_ACTION_ADDED, '/external.txt', null, false ] ]);
+              share.stop(function (err) {
+                expect(err).toBeFalsy();
+                expect(share.watcher.pollTimer).toBeFalsy();
+                done();
+              });
+            }, 50);
+          });
+        });
+      });
+    });
+  });
+});
@@ -91,27 +91,31 @@ TestFile.prototype.read = function (buffer, offset, length, position, cb) {
 };
 
 TestFile.prototype.write = function (data, position, cb) {
-    if (position + data.length > this.data.content.length) {
-        cb('unable to write: file is not large enough to receive data');
+    this.dirty = true;
+    if (typeof data !== 'string' && !(this.data.content instanceof Array)) {
+        // binary data: switch to byte content
+        this.data.content = Array.prototype.slice.call(new Buffer(this.data.content));
+    }
+    if (this.data.content instanceof Array) {
+        // writing past the end of the file extends it
+        while (this.data.content.length < position) {
+            this.data.content.push(0);
+        }
+        var target = position;
+        for (var i = 0; i < data.length; i++) {
+            this.data.content[target] = data[i];
+            target++;
+        }
     } else {
-        this.dirty = true;
-        if (this.data.content instanceof Array) {
-            var target = position;
-            for (var i = 0; i < data.length; i++) {
-                this.data.content[target] = data[i];
-                target++;
-            }
-        } else {
-            var before = '';
+        var before = '';
 
-            if (position > 0) {
-                before = this.data.content.substr(0, position);
-            }
-            var after = this.data.content.substr(position + data.length);
-            this.data.content = before + data + after;
+        if (position > 0) {
+            before = this.data.content.substr(0, position);
         }
-        cb();
+        var after = this.data.content.substr(position + data.length);
+        this.data.content = before + data + after;
     }
+    cb();
 };
 
 TestFile.prototype.setLength = function (length, cb) {
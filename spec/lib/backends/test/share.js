@@ -10,6 +10,8 @@
  *  governing permissions and limitations under the License.
  */
 
+var util = require('util');
+
 var Share = require('../../../../lib/spi/share');
 var TestTree = require('./tree');
 
@@ -25,6 +27,9 @@ var TestShare = function (name, config) {
     Share.call(this, name, config);
 };
 
+// the TestShare prototype inherits from Share
+util.inherits(TestShare, Share);
+
 TestShare.prototype.setFetchCb = function (cb) {
   this.fetchCb = cb;
 };
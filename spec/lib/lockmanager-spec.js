@@ -0,0 +1,112 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var Long = require('long');
+
+var LockManager = require('../../lib/lockmanager');
+var ntstatus = require('../../lib/ntstatus');
+
+describe('LockManager', function () {
+  var lockManager;
+
+  var KEY = 'test:/test.txt';
+
+  beforeEach(function () {
+    lockManager = new LockManager();
+  });
+
+  it('testSharedExclusive', function () {
+    expect(lockManager.lock(KEY, 1, 0, 10, false)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(lockManager.lock(KEY, 2, 5, 10, false)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(lockManager.lock(KEY, 2, 9, 1, true)).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+    // adjacent ranges don't overlap
+    expect(lockManager.lock(KEY, 3, 15, 5, true)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(lockManager.lock(KEY, 1, 15, 1, false)).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+    // the owner of an exclusive lock may add overlapping shared locks
+    expect(lockManager.lock(KEY, 3, 15, 1, false)).toEqual(ntstatus.STATUS_SUCCESS);
+    // locks of other files don't conflict
+    expect(lockManager.lock('test:/other.txt', 1, 0, 20, true)).toEqual(ntstatus.STATUS_SUCCESS);
+  });
+
+  it('testRanges', function () {
+    // zero-length ranges never conflict
+    expect(lockManager.lock(KEY, 1, 0, 0, true)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(lockManager.lock(KEY, 2, 0, 0, true)).toEqual(ntstatus.STATUS_SUCCESS);
+    // ranges beyond 2^53 are supported
+    var max = Long.MAX_UNSIGNED_VALUE;
+    expect(lockManager.lock(KEY, 1, max.subtract(1), 1, true)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(lockManager.lock(KEY, 2, max.subtract(2), 2, true)).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+    // ranges must not exceed the maximum file offset
+    expect(lockManager.lock(KEY, 1, max, 2, true)).toEqual(ntstatus.STATUS_INVALID_LOCK_RANGE);
+  });
+
+  it('testUnlock', function () {
+    expect(lockManager.lock(KEY, 1, 0, 10, true)).toEqual(ntstatus.STATUS_SUCCESS);
+    // the range must match exactly
+    expect(lockManager.unlock(KEY, 1, 0, 5)).toEqual(ntstatus.STATUS_RANGE_NOT_LOCKED);
+    // only the owner may unlock
+    expect(lockManager.unlock(KEY, 2, 0, 10)).toEqual(ntstatus.STATUS_RANGE_NOT_LOCKED);
+    expect(lockManager.unlock(KEY, 1, 0, 10)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(lockManager.unlock(KEY, 1, 0, 10)).toEqual(ntstatus.STATUS_RANGE_NOT_LOCKED);
+    expect(lockManager.lock(KEY, 2, 0, 10, true)).toEqual(ntstatus.STATUS_SUCCESS);
+  });
+
+  it('testProcessOwners', function () {
+    expect(lockManager.lock(KEY, { id: 1, pid: 1 }, 0, 10, true)).toEqual(ntstatus.STATUS_SUCCESS);
+    // processes of the same open don't share locks
+    expect(lockManager.lock(KEY, { id: 1, pid: 2 }, 5, 1, false)).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+    expect(lockManager.lock(KEY, 1, 5, 1, false)).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+    expect(lockManager.unlock(KEY, { id: 1, pid: 2 }, 0, 10)).toEqual(ntstatus.STATUS_RANGE_NOT_LOCKED);
+    expect(lockManager.lock(KEY, { id: 1, pid: 1 }, 5, 1, false)).toEqual(ntstatus.STATUS_SUCCESS);
+    // reads and writes are checked against the open
+    expect(lockManager.checkAccess(KEY, 1, 0, 5, true)).toBeTruthy();
+    expect(lockManager.checkAccess(KEY, 2, 0, 5, false)).toBeFalsy();
+    // releasing the locks of the open includes its processes
+    lockManager.releaseAll(KEY, 1);
+    expect(lockManager.lock(KEY, 2, 0, 10, true)).toEqual(ntstatus.STATUS_SUCCESS);
+  });
+
+  it('testCheckAccess', function () {
+    lockManager.lock(KEY, 1, 0, 10, true);
+    lockManager.lock(KEY, 2, 20, 10, false);
+    expect(lockManager.checkAccess(KEY, 1, 0, 10, true)).toBeTruthy();
+    expect(lockManager.checkAccess(KEY, 2, 5, 10, false)).toBeFalsy();
+    expect(lockManager.checkAccess(KEY, 2, 10, 10, true)).toBeTruthy();
+    // shared locks allow reads but no writes, not even by their owner
+    expect(lockManager.checkAccess(KEY, 1, 20, 10, false)).toBeTruthy();
+    expect(lockManager.checkAccess(KEY, 2, 25, 1, true)).toBeFalsy();
+  });
+
+  it('testLockWait', function (done) {
+    lockManager.lock(KEY, 1, 0, 10, true);
+    var granted = [];
+    lockManager.lockWait(KEY, 2, 5, 1, false, function (status) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      granted.push(2);
+    });
+    var cancel = lockManager.lockWait(KEY, 3, 5, 1, false, function () {
+      granted.push(3);
+    });
+    lockManager.lockWait(KEY, 4, 0, 10, true, function (status) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      granted.push(4);
+    });
+    cancel();
+    expect(granted).toEqual([]);
+    lockManager.unlock(KEY, 1, 0, 10);
+    expect(granted).toEqual([ 2 ]);
+    // releasing all locks of an owner (e.g. on close) grants waiting requests
+    lockManager.releaseAll(KEY, 2);
+    expect(granted).toEqual([ 2, 4 ]);
+    done();
+  });
+});
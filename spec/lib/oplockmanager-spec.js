@@ -0,0 +1,188 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var OplockManager = require('../../lib/oplockmanager');
+var common = require('../../lib/common');
+var ntstatus = require('../../lib/ntstatus');
+
+describe('OplockManager', function () {
+  var oplockManager, breaks;
+
+  var KEY = 'test:/test.txt';
+
+  function onBreak(owner) {
+    return function (level) {
+      breaks.push({ owner: owner, level: level });
+    };
+  }
+
+  var RH = common.LEASE_READ_CACHING | common.LEASE_HANDLE_CACHING;
+  var RWH = RH | common.LEASE_WRITE_CACHING;
+
+  function onLeaseBreak(leaseId) {
+    return function (lease, state, newState, ackRequired) {
+      breaks.push({ lease: leaseId, state: state, newState: newState, ackRequired: ackRequired });
+    };
+  }
+
+  beforeEach(function () {
+    breaks = [];
+    oplockManager = new OplockManager();
+  });
+
+  it('testGrant', function (done) {
+    oplockManager.acquire(KEY, 1, common.OPLOCK_LEVEL_NONE, true, onBreak(1), function (level) {
+      expect(level).toEqual(common.OPLOCK_LEVEL_NONE);
+      // exclusive oplocks require the open to be the only one
+      oplockManager.acquire(KEY, 2, common.OPLOCK_LEVEL_BATCH, true, onBreak(2), function (level) {
+        expect(level).toEqual(common.OPLOCK_LEVEL_II);
+        oplockManager.acquire(KEY, 3, common.OPLOCK_LEVEL_EXCLUSIVE, false, onBreak(3), function (level) {
+          expect(level).toEqual(common.OPLOCK_LEVEL_NONE);
+          oplockManager.acquire('test:/other.txt', 4, common.OPLOCK_LEVEL_BATCH, true, onBreak(4), function (level) {
+            expect(level).toEqual(common.OPLOCK_LEVEL_BATCH);
+            expect(breaks).toEqual([]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('testBreak', function (done) {
+    oplockManager.acquire(KEY, 1, common.OPLOCK_LEVEL_BATCH, true, onBreak(1), function (level) {
+      expect(level).toEqual(common.OPLOCK_LEVEL_BATCH);
+      var granted = false;
+      oplockManager.acquire(KEY, 2, common.OPLOCK_LEVEL_BATCH, true, onBreak(2), function (level) {
+        granted = true;
+        expect(level).toEqual(common.OPLOCK_LEVEL_II);
+        // writes break level II oplocks of other opens, without acknowledgement
+        oplockManager.breakLevelII(KEY, 1);
+        expect(breaks).toEqual([ { owner: 1, level: common.OPLOCK_LEVEL_II }, { owner: 2, level: common.OPLOCK_LEVEL_NONE } ]);
+        expect(oplockManager.getOpen(KEY, 1).lease.state).toEqual(common.LEASE_READ_CACHING);
+        expect(oplockManager.getOpen(KEY, 2).lease.state).toEqual(common.LEASE_NONE);
+        done();
+      });
+      // the new open waits for the acknowledgement of the break
+      expect(breaks).toEqual([ { owner: 1, level: common.OPLOCK_LEVEL_II } ]);
+      setImmediate(function () {
+        expect(granted).toBeFalsy();
+        oplockManager.acknowledge(KEY, 1, common.OPLOCK_LEVEL_II);
+      });
+    });
+  });
+
+  it('testBreakOnClose', function (done) {
+    oplockManager.acquire(KEY, 1, common.OPLOCK_LEVEL_EXCLUSIVE, false, onBreak(1), function () {
+      oplockManager.acquire(KEY, 2, common.OPLOCK_LEVEL_EXCLUSIVE, true, onBreak(2), function (level) {
+        // the holder closed the file instead of acknowledging the break
+        expect(level).toEqual(common.OPLOCK_LEVEL_EXCLUSIVE);
+        expect(oplockManager.getOpen(KEY, 1)).toBeUndefined();
+        done();
+      });
+      expect(breaks).toEqual([ { owner: 1, level: common.OPLOCK_LEVEL_NONE } ]);
+      oplockManager.release(KEY, 1);
+    });
+  });
+
+  it('testBreakTimeout', function (done) {
+    oplockManager.breakTimeout = 10;
+    oplockManager.acquire(KEY, 1, common.OPLOCK_LEVEL_BATCH, true, onBreak(1), function () {
+      oplockManager.acquire(KEY, 2, common.OPLOCK_LEVEL_NONE, true, onBreak(2), function (level) {
+        expect(level).toEqual(common.OPLOCK_LEVEL_NONE);
+        expect(oplockManager.getOpen(KEY, 1).lease.state).toEqual(common.LEASE_READ_CACHING);
+        done();
+      });
+    });
+  });
+
+  it('testLeaseShared', function (done) {
+    oplockManager.acquireLease(KEY, 1, 'a', RWH, onLeaseBreak('a'), function (status, lease) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(lease.state).toEqual(RWH);
+      // opens with the same lease key share the lease
+      oplockManager.acquireLease(KEY, 2, 'a', RWH, onLeaseBreak('a'), function (status, lease2) {
+        expect(lease2).toBe(lease);
+        expect(lease2.state).toEqual(RWH);
+        // a lease key can't be used for another file
+        oplockManager.acquireLease('test:/other.txt', 3, 'a', RWH, onLeaseBreak('a'), function (status) {
+          expect(status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+          // the lease is released once all its opens are closed
+          oplockManager.release(KEY, 1);
+          expect(oplockManager.getLease('a')).toBe(lease);
+          oplockManager.release(KEY, 2);
+          expect(oplockManager.getLease('a')).toBeUndefined();
+          expect(breaks).toEqual([]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testLeaseUpgrade', function (done) {
+    oplockManager.acquireLease(KEY, 1, 'a', common.LEASE_READ_CACHING, onLeaseBreak('a'), function (status, lease) {
+      expect(lease.state).toEqual(common.LEASE_READ_CACHING);
+      oplockManager.acquireLease(KEY, 2, 'a', RWH, onLeaseBreak('a'), function (status, lease) {
+        expect(lease.state).toEqual(RWH);
+        expect(lease.epoch).toEqual(2);
+        // leases are not downgraded by an open
+        oplockManager.acquireLease(KEY, 3, 'a', common.LEASE_READ_CACHING, onLeaseBreak('a'), function (status, lease) {
+          expect(lease.state).toEqual(RWH);
+          expect(lease.epoch).toEqual(2);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testLeaseBreak', function (done) {
+    oplockManager.acquireLease(KEY, 1, 'a', RWH, onLeaseBreak('a'), function () {
+      var granted = false;
+      oplockManager.acquireLease(KEY, 2, 'b', RWH, onLeaseBreak('b'), function (status, lease) {
+        granted = true;
+        // write caching requires the lease to be the only one
+        expect(lease.state).toEqual(RH);
+        expect(oplockManager.getLease('a').state).toEqual(RH);
+        // writes break the read caching of other leases
+        oplockManager.breakLevelII(KEY, 1);
+        expect(breaks[1]).toEqual({ lease: 'b', state: RH, newState: common.LEASE_NONE, ackRequired: true });
+        oplockManager.release(KEY, 2);
+        done();
+      });
+      // the new open waits for the acknowledgement of the break
+      expect(breaks).toEqual([ { lease: 'a', state: RWH, newState: RH, ackRequired: true } ]);
+      setImmediate(function () {
+        expect(granted).toBeFalsy();
+        expect(oplockManager.acknowledgeLease('x', RH)).toEqual(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND);
+        expect(oplockManager.acknowledgeLease('b', RH)).toEqual(ntstatus.STATUS_UNSUCCESSFUL);
+        expect(oplockManager.acknowledgeLease('a', RWH)).toEqual(ntstatus.STATUS_REQUEST_NOT_ACCEPTED);
+        expect(oplockManager.acknowledgeLease('a', RH)).toEqual(ntstatus.STATUS_SUCCESS);
+      });
+    });
+  });
+
+  it('testBreakOnChange', function (done) {
+    oplockManager.acquireLease(KEY, 1, 'a', RH, onLeaseBreak('a'), function () {
+      oplockManager.acquireLease('test:/dir/test.txt', 2, 'b', common.LEASE_READ_CACHING, onLeaseBreak('b'), function () {
+        // changes of a folder affect the files below
+        oplockManager.breakOnChange('test:/dir/');
+        expect(breaks).toEqual([ { lease: 'b', state: common.LEASE_READ_CACHING, newState: common.LEASE_NONE, ackRequired: false } ]);
+        // the lease of the open that made the change is not broken
+        oplockManager.breakOnChange(KEY, 1);
+        expect(breaks.length).toEqual(1);
+        oplockManager.breakOnChange(KEY);
+        expect(breaks[1]).toEqual({ lease: 'a', state: RH, newState: common.LEASE_NONE, ackRequired: true });
+        oplockManager.release(KEY, 1);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var ShareModeManager = require('../../lib/sharemodemanager');
+var ntstatus = require('../../lib/ntstatus');
+var common = require('../../lib/common');
+
+describe('ShareModeManager', function () {
+  var shareModeManager;
+
+  var KEY = 'test:/test.txt';
+  var READ = common.FILE_READ_DATA;
+  var WRITE = common.FILE_WRITE_DATA;
+  var SHARE_ALL = common.FILE_SHARE_READ | common.FILE_SHARE_WRITE | common.FILE_SHARE_DELETE;
+
+  beforeEach(function () {
+    shareModeManager = new ShareModeManager();
+  });
+
+  it('testShareAccess', function () {
+    expect(shareModeManager.open(KEY, 1, READ, common.FILE_SHARE_READ)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(shareModeManager.open(KEY, 2, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+    // the first open doesn't share write access
+    expect(shareModeManager.open(KEY, 3, READ | WRITE, SHARE_ALL)).toEqual(ntstatus.STATUS_SHARING_VIOLATION);
+    // the new open doesn't share read access with the existing opens
+    expect(shareModeManager.open(KEY, 3, READ, common.FILE_SHARE_WRITE)).toEqual(ntstatus.STATUS_SHARING_VIOLATION);
+    // opens without data access never conflict
+    expect(shareModeManager.open(KEY, 3, common.FILE_READ_ATTRIBUTES, common.FILE_SHARE_NONE)).toEqual(ntstatus.STATUS_SUCCESS);
+    // opens of other files don't conflict
+    expect(shareModeManager.open('test:/other.txt', 3, READ | WRITE, common.FILE_SHARE_NONE)).toEqual(ntstatus.STATUS_SUCCESS);
+
+    shareModeManager.close(KEY, 1);
+    expect(shareModeManager.open(KEY, 3, READ | WRITE, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+  });
+
+  it('testExclusive', function () {
+    expect(shareModeManager.open(KEY, 1, READ | WRITE, common.FILE_SHARE_NONE)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(shareModeManager.open(KEY, 2, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_SHARING_VIOLATION);
+    expect(shareModeManager.open(KEY, 2, common.DELETE, SHARE_ALL)).toEqual(ntstatus.STATUS_SHARING_VIOLATION);
+
+    // the open follows the file when it is renamed
+    shareModeManager.move(KEY, 'test:/renamed.txt', 1);
+    expect(shareModeManager.open(KEY, 2, READ | WRITE, common.FILE_SHARE_NONE)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(shareModeManager.open('test:/renamed.txt', 3, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_SHARING_VIOLATION);
+  });
+
+  it('testDeletePending', function () {
+    expect(shareModeManager.open(KEY, 1, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(shareModeManager.open(KEY, 2, common.FILE_READ_ATTRIBUTES, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+    shareModeManager.setDeletePending(KEY);
+    expect(shareModeManager.open(KEY, 3, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_DELETE_PENDING);
+    // the file is deleted once its last open has been closed
+    expect(shareModeManager.close(KEY, 1)).toBeFalsy();
+    expect(shareModeManager.close(KEY, 2)).toBeTruthy();
+    expect(shareModeManager.isDeletePending(KEY)).toBeFalsy();
+    expect(shareModeManager.open(KEY, 3, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+  });
+
+  it('testHasOtherOpens', function () {
+    expect(shareModeManager.hasOtherOpens(KEY, 1)).toBeFalsy();
+    expect(shareModeManager.open(KEY, 1, READ, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(shareModeManager.hasOtherOpens(KEY, 1)).toBeFalsy();
+    expect(shareModeManager.open(KEY, 2, common.FILE_READ_ATTRIBUTES, SHARE_ALL)).toEqual(ntstatus.STATUS_SUCCESS);
+    expect(shareModeManager.hasOtherOpens(KEY, 1)).toBeTruthy();
+    shareModeManager.close(KEY, 2);
+    expect(shareModeManager.hasOtherOpens(KEY, 1)).toBeFalsy();
+  });
+
+  it('testMapAccess', function () {
+    expect(ShareModeManager.mapAccess(common.GENERIC_READ) & (READ | WRITE)).toEqual(READ);
+    expect(ShareModeManager.mapAccess(common.GENERIC_WRITE) & (READ | WRITE)).toEqual(WRITE);
+    expect(ShareModeManager.mapAccess(common.GENERIC_ALL)).toEqual(common.FILE_ALL_ACCESS);
+    expect(ShareModeManager.mapAccess(common.MAXIMUM_ALLOWED)).toEqual(common.FILE_ALL_ACCESS);
+    expect(ShareModeManager.mapAccess(common.GENERIC_READ | common.DELETE) & common.DELETE).toEqual(common.DELETE);
+  });
+});
@@ -0,0 +1,207 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var put = require('put');
+
+var TestShare = require('../../backends/test/share');
+var SMBShare = require('../../../../lib/smbshare');
+var LockManager = require('../../../../lib/lockmanager');
+var OplockManager = require('../../../../lib/oplockmanager');
+var ShareModeManager = require('../../../../lib/sharemodemanager');
+var lockingAndX = require('../../../../lib/smb/cmd/locking_andx');
+var ntCancel = require('../../../../lib/smb/cmd/nt_cancel');
+var SMB = require('../../../../lib/smb/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+
+describe('SMB1 LOCKING_ANDX', function () {
+  var server, connection, tree, file1, file2, nextMid;
+
+  function lock(file, typeOfLock, timeout, unlocks, locks, cb) {
+    var params = put()
+      .word8(0xff) // AndXCommand
+      .word8(0) // AndXReserved
+      .word16le(0) // AndXOffset
+      .word16le(file.fid) // FID
+      .word8(typeOfLock) // TypeOfLock
+      .word8(0) // NewOpLockLevel
+      .word32le(timeout) // Timeout
+      .word16le(unlocks.length) // NumberOfRequestedUnlocks
+      .word16le(locks.length) // NumberOfRequestedLocks
+      .buffer();
+    var data = put();
+    unlocks.concat(locks).forEach(function (range) {
+      data.word16le(range[2] || 1); // PID
+      if (typeOfLock & SMB.LARGE_FILES) {
+        data.word16le(0) // Pad
+          .word32le(range[0] / 0x100000000) // ByteOffsetHigh
+          .word32le(range[0] % 0x100000000) // ByteOffsetLow
+          .word32le(0) // LengthInBytesHigh
+          .word32le(range[1]); // LengthInBytesLow
+      } else {
+        data.word32le(range[0]) // ByteOffset
+          .word32le(range[1]); // LengthInBytes
+      }
+    });
+    var msg = { header: { tid: tree.tid, pid: 1, mid: nextMid++ } };
+    lockingAndX(msg, 0x24, params, data.buffer(), 0, 0, connection, server, function (result) {
+      cb(result.status, msg);
+    });
+    return msg;
+  }
+
+  beforeEach(function (done) {
+    nextMid = 1;
+    server = new EventEmitter();
+    server.lockManager = new LockManager();
+    server.getLockManager = function () {
+      return server.lockManager;
+    };
+    server.oplockManager = new OplockManager();
+    server.getOplockManager = function () {
+      return server.oplockManager;
+    };
+    server.shareModeManager = new ShareModeManager();
+    server.getShareModeManager = function () {
+      return server.shareModeManager;
+    };
+    server.getTree = function (tid) {
+      return tid === tree.tid ? tree : null;
+    };
+    connection = {
+      pendingLocks: {}
+    };
+    var share = new SMBShare(server, new TestShare('test', {}));
+    share.connect(null, null, function (err, smbTree) {
+      expect(err).toBeFalsy();
+      tree = smbTree;
+      tree.spiTree.addFile('/test.txt', false, [ 0x68, 0x65, 0x6c, 0x6c, 0x6f ], function (err) {
+        expect(err).toBeFalsy();
+        tree.open('/test.txt', function (err, file) {
+          expect(err).toBeFalsy();
+          file1 = file;
+          tree.open('/test.txt', function (err, file) {
+            expect(err).toBeFalsy();
+            file2 = file;
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('testLockUnlock', function (done) {
+    lock(file1, 0, 0, [], [ [ 0, 3 ], [ 3, 2 ] ], function (status) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      // a failed request doesn't leave any ranges locked
+      lock(file2, SMB.SHARED_LOCK, 0, [], [ [ 10, 1 ], [ 4, 1 ] ], function (status) {
+        expect(status).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+        file2.read(new Buffer(5), 0, 5, 0, function (err) {
+          expect(err.status).toEqual(ntstatus.STATUS_FILE_LOCK_CONFLICT);
+          lock(file1, 0, 0, [ [ 3, 2 ] ], [ [ 10, 1 ] ], function (status) {
+            expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+            lock(file2, SMB.SHARED_LOCK, 0, [], [ [ 3, 2 ] ], function (status) {
+              expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+              lock(file2, 0, 0, [ [ 0, 3 ] ], [], function (status) {
+                expect(status).toEqual(ntstatus.STATUS_RANGE_NOT_LOCKED);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('testProcessOwnership', function (done) {
+    // locks are owned by the combination of FID and PID
+    lock(file1, 0, 0, [], [ [ 0, 5, 1 ] ], function (status) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      lock(file1, SMB.SHARED_LOCK, 0, [], [ [ 2, 1, 2 ] ], function (status) {
+        expect(status).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+        lock(file1, 0, 0, [ [ 0, 5, 2 ] ], [], function (status) {
+          expect(status).toEqual(ntstatus.STATUS_RANGE_NOT_LOCKED);
+          lock(file1, SMB.SHARED_LOCK, 0, [], [ [ 2, 1, 1 ] ], function (status) {
+            expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+            // closing the file releases the locks of all its processes
+            tree.closeFile(file1.fid, function (err) {
+              expect(err).toBeFalsy();
+              lock(file2, 0, 0, [], [ [ 0, 5 ] ], function (status) {
+                expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('testLargeFiles', function (done) {
+    lock(file1, SMB.LARGE_FILES, 0, [], [ [ 0x100000000, 10 ] ], function (status) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      lock(file2, 0, 0, [], [ [ 0, 10 ] ], function (status) {
+        expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+        lock(file2, SMB.LARGE_FILES, 0, [], [ [ 0x100000005, 1 ] ], function (status) {
+          expect(status).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testLockWait', function (done) {
+    lock(file1, 0, 0, [], [ [ 0, 5 ] ], function (status) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      lock(file2, 0, SMB.LOCK_WAIT_INDEFINITELY, [], [ [ 2, 1 ] ], function (status) {
+        expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(connection.pendingLocks).toEqual({});
+        done();
+      });
+      setImmediate(function () {
+        expect(Object.keys(connection.pendingLocks).length).toEqual(1);
+        // closing the file releases its locks
+        tree.closeFile(file1.fid, function (err) {
+          expect(err).toBeFalsy();
+        });
+      });
+    });
+  });
+
+  it('testLockTimeout', function (done) {
+    lock(file1, 0, 0, [], [ [ 0, 5 ] ], function () {
+      lock(file2, SMB.SHARED_LOCK, 10, [], [ [ 2, 1 ] ], function (status) {
+        expect(status).toEqual(ntstatus.STATUS_FILE_LOCK_CONFLICT);
+        expect(connection.pendingLocks).toEqual({});
+        done();
+      });
+    });
+  });
+
+  it('testCancel', function (done) {
+    lock(file1, 0, 0, [], [ [ 0, 5 ] ], function () {
+      var msg = lock(file2, 0, SMB.LOCK_WAIT_INDEFINITELY, [], [ [ 2, 1 ] ], function (status) {
+        expect(status).toEqual(ntstatus.STATUS_CANCELLED);
+        // the cancelled request doesn't hold the lock
+        lock(file1, 0, 0, [ [ 0, 5 ] ], [ [ 2, 1 ] ], function (status) {
+          expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+          done();
+        });
+      });
+      setImmediate(function () {
+        ntCancel({ header: msg.header }, 0xa4, null, null, 0, 0, connection, server, function (result) {
+          expect(result).toBeNull();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var put = require('put');
+
+var TestShare = require('../../backends/test/share');
+var SMBShare = require('../../../../lib/smbshare');
+var LockManager = require('../../../../lib/lockmanager');
+var OplockManager = require('../../../../lib/oplockmanager');
+var ShareModeManager = require('../../../../lib/sharemodemanager');
+var ntCreateAndX = require('../../../../lib/smb/cmd/nt_create_andx');
+var lockingAndX = require('../../../../lib/smb/cmd/locking_andx');
+var message = require('../../../../lib/smb/message');
+var SMB = require('../../../../lib/smb/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB1 NT_CREATE_ANDX', function () {
+  var server, connection, tree, sent, onSent, nextMid;
+
+  var NT_CREATE_REQUEST_OPBATCH = 0x00000004;
+
+  function create(name, flags, cb, desiredAccess, shareAccess, createOptions) {
+    var params = put()
+      .word8(0xff) // AndXCommand
+      .word8(0) // AndXReserved
+      .word16le(0) // AndXOffset
+      .word8(0) // Reserved
+      .word16le(name.length * 2) // NameLength
+      .word32le(flags) // Flags
+      .word32le(0) // RootDirectoryFID
+      .word32le(desiredAccess === undefined ? 0x0012019f : desiredAccess) // DesiredAccess
+      .word64le(0) // AllocationSize
+      .word32le(0) // ExtFileAttributes
+      .word32le(shareAccess === undefined ? 7 : shareAccess) // ShareAccess
+      .word32le(common.FILE_OPEN) // CreateDisposition
+      .word32le(createOptions || 0) // CreateOptions
+      .word32le(2) // ImpersonationLevel
+      .word8(0) // SecurityFlags
+      .buffer();
+    var data = put()
+      .put(new Buffer(name, 'utf16le'))
+      .word16le(0)
+      .buffer();
+    var msg = { header: { tid: tree.tid, uid: 1, pid: 1, mid: nextMid++ } };
+    ntCreateAndX(msg, 0xa2, params, data, 0, 0, connection, server, cb);
+  }
+
+  beforeEach(function (done) {
+    sent = [];
+    onSent = null;
+    nextMid = 1;
+    server = new EventEmitter();
+    server.lockManager = new LockManager();
+    server.getLockManager = function () {
+      return server.lockManager;
+    };
+    server.oplockManager = new OplockManager();
+    server.getOplockManager = function () {
+      return server.oplockManager;
+    };
+    server.shareModeManager = new ShareModeManager();
+    server.getShareModeManager = function () {
+      return server.shareModeManager;
+    };
+    server.getTree = function (tid) {
+      return tid === tree.tid ? tree : null;
+    };
+    server.getSession = function (uid) {
+      return uid === 1 ? { uid: 1, client: { capabilities: SMB.CAP_LEVEL2_OPLOCKS } } : null;
+    };
+    connection = {
+      pendingLocks: {},
+      sendRawMessage: function (buf, cb) {
+        sent.push(buf);
+        cb();
+        if (onSent) {
+          onSent(buf);
+        }
+      }
+    };
+    var share = new SMBShare(server, new TestShare('test', {}));
+    share.connect(null, null, function (err, smbTree) {
+      expect(err).toBeFalsy();
+      tree = smbTree;
+      tree.spiTree.addFile('/test.txt', false, [ 0x68, 0x65, 0x6c, 0x6c, 0x6f ], function (err) {
+        expect(err).toBeFalsy();
+        done();
+      });
+    });
+  });
+
+  it('testOplockBreak', function (done) {
+    create('test.txt', NT_CREATE_REQUEST_OPBATCH, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(result.params.readUInt8(4)).toEqual(SMB.OPLOCK_BATCH);
+      var fid = result.params.readUInt16LE(5);
+
+      onSent = function (buf) {
+        // oplock break notification
+        expect(sent.length).toEqual(1);
+        var msg = message.decode(buf);
+        expect(msg.header.command).toEqual('locking_andx');
+        expect(msg.header.mid).toEqual(0xffff);
+        expect(msg.header.flags.reply).toBeFalsy();
+        expect(msg.params.readUInt16LE(4)).toEqual(fid);
+        expect(msg.params.readUInt8(6)).toEqual(SMB.OPLOCK_RELEASE);
+        expect(msg.params.readUInt8(7)).toEqual(SMB.OPLOCK_BREAK_TO_LEVEL_II);
+
+        // acknowledgement
+        var params = put()
+          .word8(0xff) // AndXCommand
+          .word8(0) // AndXReserved
+          .word16le(0) // AndXOffset
+          .word16le(fid) // FID
+          .word8(SMB.OPLOCK_RELEASE) // TypeOfLock
+          .word8(SMB.OPLOCK_BREAK_TO_LEVEL_II) // NewOpLockLevel
+          .word32le(0) // Timeout
+          .word16le(0) // NumberOfRequestedUnlocks
+          .word16le(0) // NumberOfRequestedLocks
+          .buffer();
+        var ack = { header: { tid: tree.tid, uid: 1, pid: 1, mid: nextMid++ } };
+        lockingAndX(ack, 0x24, params, new Buffer(0), 0, 0, connection, server, function (result) {
+          // no response
+          expect(result).toBeNull();
+        });
+      };
+
+      create('test.txt', NT_CREATE_REQUEST_OPBATCH, function (result) {
+        // the second open is granted a level II oplock once the break has been acknowledged
+        expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(result.params.readUInt8(4)).toEqual(SMB.OPLOCK_LEVEL_II);
+        expect(server.oplockManager.getOpen(tree.getFile(fid).getLockKey(), fid).lease.state).toEqual(common.LEASE_READ_CACHING);
+        done();
+      });
+    });
+  });
+
+  it('testSharingViolation', function (done) {
+    var SHARE_READ = common.FILE_SHARE_READ;
+    create('test.txt', 0, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var fid = result.params.readUInt16LE(5);
+      // the file is opened exclusively
+      create('test.txt', 0, function (result) {
+        expect(result.status).toEqual(ntstatus.STATUS_SHARING_VIOLATION);
+        // opens without data access are allowed
+        create('test.txt', 0, function (result) {
+          expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+          tree.closeFile(fid, function (err) {
+            expect(err).toBeFalsy();
+            create('test.txt', 0, function (result) {
+              expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+              done();
+            }, common.GENERIC_READ, SHARE_READ);
+          });
+        }, common.FILE_READ_ATTRIBUTES, SHARE_READ);
+      }, common.GENERIC_READ, SHARE_READ);
+    }, common.GENERIC_READ | common.GENERIC_WRITE, common.FILE_SHARE_NONE);
+  });
+
+  it('testGrantedAccess', function (done) {
+    create('test.txt', 0, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var file = tree.getFile(result.params.readUInt16LE(5));
+      file.write(new Buffer('x'), 0, function (err) {
+        // the file has been opened for reading only
+        expect(err.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+        var buf = new Buffer(5);
+        file.read(buf, 0, 5, 0, function (err, bytesRead) {
+          expect(err).toBeFalsy();
+          expect(bytesRead).toEqual(5);
+          done();
+        });
+      });
+    }, common.GENERIC_READ, common.FILE_SHARE_READ | common.FILE_SHARE_WRITE);
+  });
+
+  it('testDeleteOnClose', function (done) {
+    var SHARE_ALL = common.FILE_SHARE_READ | common.FILE_SHARE_WRITE | common.FILE_SHARE_DELETE;
+    create('test.txt', 0, function (result) {
+      // DELETE access is required
+      expect(result.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+      create('test.txt', 0, function (result) {
+        expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+        var fid1 = result.params.readUInt16LE(5);
+        create('test.txt', 0, function (result) {
+          expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+          var fid2 = result.params.readUInt16LE(5);
+          tree.closeFile(fid1, function (err) {
+            expect(err).toBeFalsy();
+            // the file is pending deletion until its last open is closed
+            expect(tree.getFile(fid2).isDeletePending()).toBeTruthy();
+            create('test.txt', 0, function (result) {
+              expect(result.status).toEqual(ntstatus.STATUS_DELETE_PENDING);
+              tree.closeFile(fid2, function (err) {
+                expect(err).toBeFalsy();
+                tree.exists('test.txt', function (err, exists) {
+                  expect(err).toBeFalsy();
+                  expect(exists).toBeFalsy();
+                  done();
+                });
+              });
+            }, common.GENERIC_READ, SHARE_ALL);
+          });
+        }, common.GENERIC_READ, SHARE_ALL);
+      }, common.GENERIC_READ | common.DELETE, SHARE_ALL, common.FILE_DELETE_ON_CLOSE);
+    }, common.GENERIC_READ, SHARE_ALL, common.FILE_DELETE_ON_CLOSE);
+  });
+
+  it('testDirectoryOptions', function (done) {
+    tree.spiTree.addDirectory('/dir', false, function (err) {
+      expect(err).toBeFalsy();
+      create('dir', 0, function (result) {
+        expect(result.status).toEqual(ntstatus.STATUS_FILE_IS_A_DIRECTORY);
+        create('test.txt', 0, function (result) {
+          expect(result.status).toEqual(ntstatus.STATUS_NOT_A_DIRECTORY);
+          create('test.txt', 0, function (result) {
+            expect(result.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+            done();
+          }, undefined, undefined, common.FILE_DIRECTORY_FILE | common.FILE_NON_DIRECTORY_FILE);
+        }, undefined, undefined, common.FILE_DIRECTORY_FILE);
+      }, undefined, undefined, common.FILE_NON_DIRECTORY_FILE);
+    });
+  });
+
+  it('testWriteThrough', function (done) {
+    create('test.txt', 0, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var file = tree.getFile(result.params.readUInt16LE(5));
+      spyOn(file.spiFile, 'flush').andCallThrough();
+      file.write(new Buffer('j'), 0, function (err) {
+        expect(err).toBeFalsy();
+        expect(file.spiFile.flush).toHaveBeenCalled();
+        done();
+      });
+    }, undefined, undefined, common.FILE_WRITE_THROUGH);
+  });
+
+  it('testSequentialOnly', function (done) {
+    create('test.txt', 0, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var file = tree.getFile(result.params.readUInt16LE(5));
+      spyOn(file.spiFile, 'read').andCallThrough();
+      var buf = new Buffer(3);
+      file.read(buf, 0, 2, 0, function (err, bytesRead) {
+        expect(err).toBeFalsy();
+        expect(bytesRead).toEqual(2);
+        expect(buf.slice(0, 2).toString()).toEqual('he');
+        // the next read is served from the read-ahead buffer
+        file.read(buf, 0, 3, 2, function (err, bytesRead) {
+          expect(err).toBeFalsy();
+          expect(bytesRead).toEqual(3);
+          expect(buf.toString()).toEqual('llo');
+          expect(file.spiFile.read.callCount).toEqual(1);
+          // reads beyond the end of the file return no data
+          file.read(buf, 0, 3, 5, function (err, bytesRead) {
+            expect(err).toBeFalsy();
+            expect(bytesRead).toEqual(0);
+            expect(file.spiFile.read.callCount).toEqual(1);
+            done();
+          });
+        });
+      });
+    }, common.GENERIC_READ, common.FILE_SHARE_READ, common.FILE_SEQUENTIAL_ONLY);
+  });
+});
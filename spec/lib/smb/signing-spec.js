@@ -0,0 +1,118 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var crypto = require('crypto');
+var put = require('put');
+
+var signing = require('../../../lib/smb/signing');
+var handler = require('../../../lib/smb/handler');
+var SMB = require('../../../lib/smb/constants');
+var ntstatus = require('../../../lib/ntstatus');
+
+describe('SMB1 signing', function () {
+  var connection, server, sent;
+
+  var MAC_KEY = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+
+  function createEcho(mid) {
+    return put()
+      .put(SMB.PROTOCOL_ID) // Protocol
+      .word8(0x2b) // Command (SMB_COM_ECHO)
+      .word32le(0) // Status
+      .word8(0) // Flags
+      .word16le(SMB.FLAGS2_STATUS | SMB.FLAGS2_SECURITY_SIGNATURE) // Flags2
+      .word16le(0) // PIDHigh
+      .pad(8) // SecuritySignature
+      .pad(2) // Reserved
+      .word16le(0) // TID
+      .word16le(1) // PIDLow
+      .word16le(1) // UID
+      .word16le(mid) // MID
+      .word8(1) // WordCount
+      .word16le(1) // EchoCount
+      .word16le(4) // ByteCount
+      .put(new Buffer('ping'))
+      .buffer();
+  }
+
+  function handle(buf, cb) {
+    sent = [];
+    handler.handleRequest(buf, connection, server, function (err) {
+      expect(err).toBeFalsy();
+      cb();
+    });
+  }
+
+  beforeEach(function () {
+    sent = [];
+    server = { config: {} };
+    connection = {
+      smb1MacKey: MAC_KEY,
+      smb1SequenceNumber: 2,
+      sendRawMessage: function (buf, cb) {
+        sent.push(buf);
+        cb();
+      }
+    };
+  });
+
+  it('testMacKey', function () {
+    var ntResponse = crypto.randomBytes(24);
+    expect(signing.createMacKey(MAC_KEY).toString('hex')).toEqual(MAC_KEY.toString('hex'));
+    expect(signing.createMacKey(MAC_KEY, ntResponse).toString('hex')).toEqual(MAC_KEY.toString('hex') + ntResponse.toString('hex'));
+  });
+
+  it('testSign', function () {
+    var msg = createEcho(1);
+    signing.sign(MAC_KEY, 5, msg);
+    // MD5(MAC key, message with the sequence number in the SecuritySignature field)
+    var expected = createEcho(1);
+    expected.writeUInt32LE(5, 14);
+    var digest = crypto.createHash('md5').update(MAC_KEY).update(expected).digest();
+    expect(msg.slice(14, 22).toString('hex')).toEqual(digest.slice(0, 8).toString('hex'));
+    expect(signing.verify(MAC_KEY, 5, msg)).toBeTruthy();
+    expect(signing.verify(MAC_KEY, 6, msg)).toBeFalsy();
+    msg[msg.length - 1] ^= 0x01;
+    expect(signing.verify(MAC_KEY, 5, msg)).toBeFalsy();
+  });
+
+  it('testSignedRequest', function (done) {
+    var req = createEcho(1);
+    signing.sign(MAC_KEY, 2, req);
+    handle(req, function () {
+      expect(sent.length).toEqual(1);
+      expect(sent[0].readUInt32LE(5)).toEqual(ntstatus.STATUS_SUCCESS);
+      // the response is signed with the sequence number following the one of the request
+      expect(signing.verify(MAC_KEY, 3, sent[0])).toBeTruthy();
+      expect(connection.smb1SequenceNumber).toEqual(4);
+
+      req = createEcho(2);
+      signing.sign(MAC_KEY, 4, req);
+      handle(req, function () {
+        expect(signing.verify(MAC_KEY, 5, sent[0])).toBeTruthy();
+        done();
+      });
+    });
+  });
+
+  it('testInvalidSignature', function (done) {
+    var req = createEcho(1);
+    // wrong sequence number
+    signing.sign(MAC_KEY, 3, req);
+    handle(req, function () {
+      expect(sent.length).toEqual(1);
+      expect(sent[0].readUInt32LE(5)).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+      expect(signing.verify(MAC_KEY, 3, sent[0])).toBeTruthy();
+      done();
+    });
+  });
+});
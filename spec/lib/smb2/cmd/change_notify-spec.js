@@ -0,0 +1,181 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+
+var SMB2Common = require('../smb2-common');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 CHANGE_NOTIFY and CANCEL', function () {
+  var c, dirId;
+
+  var UNSPECIFIED_FILE_ID = new Buffer('ffffffffffffffffffffffffffffffff', 'hex');
+  var NAME = common.FILE_NOTIFY_CHANGE_FILE_NAME;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.mkdirSync(Path.join(c.root, 'dir'));
+    fs.writeFileSync(Path.join(c.root, 'test.txt'), 'hello');
+    c.connect(function () {
+      c.open('dir', common.FILE_OPEN, common.FILE_DIRECTORY_FILE, function (result) {
+        dirId = result;
+        done();
+      });
+    });
+  });
+
+  function changeNotifyMsg(opts) {
+    return c.createMsg('change_notify', c.changeNotifyBody(dirId, 0, NAME), opts);
+  }
+
+  it('testChangeNotify', function (done) {
+    var msg = changeNotifyMsg();
+    c.handleAsync([ msg ], function (responses) {
+      // interim response
+      expect(responses[0].header.messageId.equals(msg.header.messageId)).toBeTruthy();
+      expect(responses[0].header.creditReqRes).toEqual(1);
+      expect(Object.keys(c.connection.asyncRequests).length).toEqual(1);
+      c.request('create', c.createBody('dir\\new.txt', common.FILE_CREATE), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      });
+    }, function (response) {
+      // final response
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.header.messageId.equals(msg.header.messageId)).toBeTruthy();
+      expect(response.header.creditReqRes).toEqual(0);
+      expect(c.getNotifyEntries(response)).toEqual([ [ common.FILE_ACTION_ADDED, 'new.txt' ] ]);
+      expect(Object.keys(c.connection.asyncRequests).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testChangeNotifyRelated', function (done) {
+    c.handleAsync([
+      c.createMsg('create', c.createBody('dir', common.FILE_OPEN, common.FILE_DIRECTORY_FILE)),
+      c.createMsg('change_notify', c.changeNotifyBody(UNSPECIFIED_FILE_ID, 0, NAME), { related: true })
+    ], function (responses) {
+      expect(responses.length).toEqual(2);
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      c.request('create', c.createBody('dir\\new.txt', common.FILE_CREATE), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      });
+    }, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.getNotifyEntries(response)).toEqual([ [ common.FILE_ACTION_ADDED, 'new.txt' ] ]);
+      done();
+    });
+  });
+
+  it('testChangeNotifyBufferTooSmall', function (done) {
+    c.handleAsync([ c.createMsg('change_notify', c.changeNotifyBody(dirId, 0, NAME, 8)) ], function () {
+      c.request('create', c.createBody('dir\\new.txt', common.FILE_CREATE), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      });
+    }, function (response) {
+      // the client has to enumerate the directory
+      expect(response.header.status).toEqual(ntstatus.STATUS_NOTIFY_ENUM_DIR);
+      done();
+    });
+  });
+
+  it('testChangeNotifyClose', function (done) {
+    c.handleAsync([ changeNotifyMsg() ], function () {
+      c.request('close', c.closeBody(dirId), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      });
+    }, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_NOTIFY_CLEANUP);
+      expect(Object.keys(c.connection.asyncRequests).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testChangeNotifyNotDirectory', function (done) {
+    c.open('test.txt', common.FILE_OPEN, 0, function (fileId) {
+      c.request('change_notify', c.changeNotifyBody(fileId, 0, NAME), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+        expect(Object.keys(c.connection.asyncRequests).length).toEqual(0);
+        done();
+      });
+    });
+  });
+
+  it('testChangeNotifyClosedFile', function (done) {
+    c.request('close', c.closeBody(dirId), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      c.request('change_notify', c.changeNotifyBody(dirId, 0, NAME), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+        done();
+      });
+    });
+  });
+
+  it('testChangeNotifyBadTree', function (done) {
+    c.handle([ changeNotifyMsg({ treeId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      expect(Object.keys(c.connection.asyncRequests).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testChangeNotifyBadSession', function (done) {
+    c.handle([ changeNotifyMsg({ sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      expect(Object.keys(c.connection.asyncRequests).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testCancel', function (done) {
+    var cancelled = false;
+    c.handleAsync([ changeNotifyMsg() ], function (responses) {
+      // cancel the request by its AsyncId
+      c.cancel(c.createMsg('cancel', c.cancelBody(), { asyncId: responses[0].header.asyncId.toNumber() }), function () {
+        expect(cancelled).toBeTruthy();
+        expect(Object.keys(c.connection.asyncRequests).length).toEqual(0);
+        done();
+      });
+    }, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_CANCELLED);
+      cancelled = true;
+    });
+  });
+
+  it('testCancelByMessageId', function (done) {
+    var msg = changeNotifyMsg();
+    var cancelled = false;
+    c.handleAsync([ msg ], function () {
+      // CANCEL doesn't consume a MessageId, it refers to the request to be cancelled
+      c.cancel(c.createMsg('cancel', c.cancelBody(), { messageId: msg.header.messageId.toNumber() }), function () {
+        expect(cancelled).toBeTruthy();
+        done();
+      });
+    }, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_CANCELLED);
+      cancelled = true;
+    });
+  });
+
+  it('testCancelUnknownRequest', function (done) {
+    c.handleAsync([ changeNotifyMsg() ], function () {
+      c.cancel(c.createMsg('cancel', c.cancelBody(), { asyncId: 4711 }), function () {
+        // the pending request is not affected
+        expect(Object.keys(c.connection.asyncRequests).length).toEqual(1);
+        done();
+      });
+    }, function () {
+      expect('final response').toBeFalsy();
+    });
+  });
+});
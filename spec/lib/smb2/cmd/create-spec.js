@@ -0,0 +1,151 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 CREATE and CLOSE', function () {
+  var c;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.writeFileSync(Path.join(c.root, 'test.txt'), 'hello');
+    c.connect(function () {
+      done();
+    });
+  });
+
+  function getTree() {
+    return c.server.getTree(c.treeId);
+  }
+
+  it('testCreateOpenExisting', function (done) {
+    c.request('create', c.createBody('test.txt', common.FILE_OPEN), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.body.readUInt32LE(4)).toEqual(common.FILE_OPENED); // CreateAction
+      expect(response.body.readUInt32LE(48)).toEqual(5); // EndofFile
+      var file = getTree().getFileByFileId(response.body.slice(64, 80));
+      expect(file).toBeTruthy();
+      expect(file.getName()).toEqual('test.txt');
+      done();
+    });
+  });
+
+  it('testCreateNewFile', function (done) {
+    c.request('create', c.createBody('new.txt', common.FILE_CREATE), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.body.readUInt32LE(4)).toEqual(common.FILE_CREATED); // CreateAction
+      expect(fs.statSync(Path.join(c.root, 'new.txt')).isFile()).toBeTruthy();
+      done();
+    });
+  });
+
+  it('testCreateDirectory', function (done) {
+    c.request('create', c.createBody('dir', common.FILE_CREATE, common.FILE_DIRECTORY_FILE), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.body.readUInt32LE(56) & common.ATTR_DIRECTORY).toBeTruthy(); // FileAttributes
+      expect(fs.statSync(Path.join(c.root, 'dir')).isDirectory()).toBeTruthy();
+      done();
+    });
+  });
+
+  it('testCreateCollision', function (done) {
+    c.request('create', c.createBody('test.txt', common.FILE_CREATE), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_OBJECT_NAME_COLLISION);
+      expect(fs.readFileSync(Path.join(c.root, 'test.txt')).toString()).toEqual('hello');
+      done();
+    });
+  });
+
+  it('testCreateNotFound', function (done) {
+    c.request('create', c.createBody('missing.txt', common.FILE_OPEN), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_NO_SUCH_FILE);
+      expect(Object.keys(getTree().files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testCreateInvalidDisposition', function (done) {
+    c.request('create', c.createBody('new.txt', common.FILE_OVERWRITE_IF + 1), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      expect(fs.existsSync(Path.join(c.root, 'new.txt'))).toBeFalsy();
+      done();
+    });
+  });
+
+  it('testCreateBadTree', function (done) {
+    c.handle([ c.createMsg('create', c.createBody('test.txt', common.FILE_OPEN), { treeId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      expect(Object.keys(getTree().files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testCreateBadSession', function (done) {
+    c.handle([ c.createMsg('create', c.createBody('test.txt', common.FILE_OPEN), { sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      expect(Object.keys(getTree().files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testClose', function (done) {
+    c.open('test.txt', common.FILE_OPEN, 0, function (fileId) {
+      c.request('close', c.closeBody(fileId), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(response.body.readUInt16LE(2)).toEqual(0); // Flags
+        expect(getTree().getFileByFileId(fileId)).toBeFalsy();
+        // the FileId is no longer valid
+        c.request('close', c.closeBody(fileId), function (response) {
+          expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testClosePostQueryAttributes', function (done) {
+    c.open('test.txt', common.FILE_OPEN, 0, function (fileId) {
+      c.request('close', c.closeBody(fileId, SMB2.CLOSE_FLAG_POSTQUERY_ATTRIB), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(response.body.readUInt16LE(2)).toEqual(SMB2.CLOSE_FLAG_POSTQUERY_ATTRIB); // Flags
+        expect(response.body.readUInt32LE(48)).toEqual(5); // EndofFile
+        done();
+      });
+    });
+  });
+
+  it('testCloseBadTree', function (done) {
+    c.open('test.txt', common.FILE_OPEN, 0, function (fileId) {
+      c.handle([ c.createMsg('close', c.closeBody(fileId), { treeId: 4711 }) ], function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+        expect(getTree().getFileByFileId(fileId)).toBeTruthy();
+        done();
+      });
+    });
+  });
+
+  it('testCloseBadSession', function (done) {
+    c.open('test.txt', common.FILE_OPEN, 0, function (fileId) {
+      c.handle([ c.createMsg('close', c.closeBody(fileId), { sessionId: 4711 }) ], function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+        expect(getTree().getFileByFileId(fileId)).toBeTruthy();
+        done();
+      });
+    });
+  });
+});
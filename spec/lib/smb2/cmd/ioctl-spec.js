@@ -0,0 +1,246 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var os = require('os');
+var Long = require('long');
+var put = require('put');
+var _ = require('lodash');
+
+var ioctl = require('../../../../lib/smb2/cmd/ioctl');
+var SMB2 = require('../../../../lib/smb2/constants');
+var RPC = require('../../../../lib/dcerpc/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var utils = require('../../../../lib/utils');
+
+describe('SMB2 IOCTL', function () {
+  var server, connection, tree, pipe, destroyed;
+
+  var SERVER_GUID = new Buffer('00112233445566778899aabbccddeeff', 'hex');
+  var CLIENT_GUID = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+  var PIPE_FILE_ID = new Buffer('01000000000000000000000000000000', 'hex');
+
+  function createBody(ctlCode, fileId, input, maxOutputResponse, flags) {
+    return put()
+      .word16le(57) // StructureSize
+      .word16le(0) // Reserved
+      .word32le(ctlCode) // CtlCode
+      .put(fileId) // FileId
+      .word32le(SMB2.HEADER_LENGTH + 56) // InputOffset
+      .word32le(input.length) // InputCount
+      .word32le(0) // MaxInputResponse
+      .word32le(0) // OutputOffset
+      .word32le(0) // OutputCount
+      .word32le(maxOutputResponse) // MaxOutputResponse
+      .word32le(flags === undefined ? SMB2.IOCTL_IS_FSCTL : flags) // Flags
+      .word32le(0) // Reserved2
+      .put(input)
+      .buffer();
+  }
+
+  function validateNegotiateInput(capabilities, securityMode, dialects) {
+    var out = put()
+      .word32le(capabilities) // Capabilities
+      .put(CLIENT_GUID) // Guid
+      .word16le(securityMode) // SecurityMode
+      .word16le(dialects.length); // DialectCount
+    dialects.forEach(function (dialect) {
+      out.word16le(dialect);
+    });
+    return out.buffer();
+  }
+
+  function bindPDU() {
+    var out = put()
+      .word8(5) // rpc_vers
+      .word8(0) // rpc_vers_minor
+      .word8(parseInt(RPC.STRING_TO_PDUTYPE['bind'])) // PTYPE
+      .word8(RPC.PFC_FIRST_FRAG | RPC.PFC_LAST_FRAG) // pfc_flags
+      .put(new Buffer('10000000', 'hex')) // packed_drep
+      .word16le(72) // frag_length
+      .word16le(0) // auth_length
+      .word32le(1) // call_id
+      .word16le(4280) // max_xmit_frag
+      .word16le(4280) // max_recv_frag
+      .word32le(0) // assoc_group_id
+      .word8(1) // n_context_elem
+      .pad(3) // reserved, reserved2
+      .word16le(0) // p_cont_id
+      .word8(1) // n_transfer_syn
+      .pad(1) // reserved
+      .put(new Buffer('c84f324b7016d30112785a47bf6ee188', 'hex')) // abstract_syntax (SRVSVC)
+      .word16le(3)
+      .word16le(0)
+      .put(new Buffer('045d888aeb1cc9119fe808002b104860', 'hex')) // transfer_syntaxes (NDR)
+      .word16le(2)
+      .word16le(0);
+    return out.buffer();
+  }
+
+  function handle(body, cb) {
+    var msg = {
+      header: {
+        treeId: 1,
+        sessionId: Long.fromNumber(1, true)
+      }
+    };
+    ioctl(msg, parseInt(SMB2.STRING_TO_COMMAND['ioctl']), body, null, connection, server, function (result) {
+      if (!result) {
+        cb(null);
+        return;
+      }
+      var output = utils.EMPTY_BUFFER;
+      if (result.body.length) {
+        expect(result.body.readUInt32LE(32)).toEqual(SMB2.HEADER_LENGTH + 48); // OutputOffset
+        output = result.body.slice(48, 48 + result.body.readUInt32LE(36));
+      }
+      cb(result.status, output);
+    });
+  }
+
+  beforeEach(function () {
+    destroyed = false;
+    pipe = {
+      getName: function () {
+        return 'srvsvc';
+      },
+      getTree: function () {
+        return tree;
+      }
+    };
+    tree = {
+      namedPipe: true,
+      getShare: function () {
+        return {
+          isNamedPipe: function () {
+            return tree.namedPipe;
+          }
+        };
+      },
+      getFileByFileId: function (fileId) {
+        return utils.bufferEquals(fileId, PIPE_FILE_ID) ? pipe : undefined;
+      }
+    };
+    server = {
+      config: {},
+      getTree: function (tid) {
+        return tid === 1 ? tree : null;
+      },
+      getGuid: function () {
+        return SERVER_GUID;
+      }
+    };
+    connection = {
+      dialect: SMB2.SMB_3_0_2,
+      clientGuid: CLIENT_GUID,
+      clientCapabilities: SMB2.GLOBAL_CAP_LEASING | SMB2.GLOBAL_CAP_LARGE_MTU,
+      clientSecurityMode: SMB2.NEGOTIATE_SIGNING_ENABLED,
+      cipherId: 0,
+      getSession: function (uid) {
+        return uid === 1 ? {} : null;
+      },
+      socket: {
+        destroy: function () {
+          destroyed = true;
+        }
+      }
+    };
+  });
+
+  it('testValidateNegotiateInfo', function (done) {
+    var input = validateNegotiateInput(connection.clientCapabilities, connection.clientSecurityMode, [ SMB2.SMB_2_1_0, SMB2.SMB_3_0_0, SMB2.SMB_3_0_2 ]);
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_validate_negotiate_info'], SMB2.UNSPECIFIED_FILE_ID, input, 24), function (status, output) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(output.length).toEqual(24);
+      expect(output.readUInt32LE(0)).toEqual(SMB2.GLOBAL_CAP_DFS | SMB2.GLOBAL_CAP_LEASING | SMB2.GLOBAL_CAP_LARGE_MTU);
+      expect(output.slice(4, 20).toString('hex')).toEqual(SERVER_GUID.toString('hex'));
+      expect(output.readUInt16LE(20)).toEqual(SMB2.NEGOTIATE_SIGNING_ENABLED);
+      expect(output.readUInt16LE(22)).toEqual(SMB2.SMB_3_0_2);
+      expect(destroyed).toBeFalsy();
+      done();
+    });
+  });
+
+  it('testValidateNegotiateInfoMismatch', function (done) {
+    // the dialect list has been tampered with
+    var input = validateNegotiateInput(connection.clientCapabilities, connection.clientSecurityMode, [ SMB2.SMB_2_1_0 ]);
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_validate_negotiate_info'], SMB2.UNSPECIFIED_FILE_ID, input, 24), function (status) {
+      expect(status).toBeNull();
+      expect(destroyed).toBeTruthy();
+      done();
+    });
+  });
+
+  it('testValidateNegotiateInfoInvalid', function (done) {
+    var input = validateNegotiateInput(connection.clientCapabilities, connection.clientSecurityMode, [ SMB2.SMB_3_0_2 ]);
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_validate_negotiate_info'], SMB2.UNSPECIFIED_FILE_ID, input.slice(0, 24), 24), function (status) {
+      expect(status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_validate_negotiate_info'], SMB2.UNSPECIFIED_FILE_ID, input, 16), function (status) {
+        expect(status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+        expect(destroyed).toBeFalsy();
+        done();
+      });
+    });
+  });
+
+  it('testQueryNetworkInterfaceInfo', function (done) {
+    var count = _.filter(_.flatten(_.values(os.networkInterfaces())), function (addr) {
+      return !addr.internal;
+    }).length;
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_query_network_interface_info'], SMB2.UNSPECIFIED_FILE_ID, utils.EMPTY_BUFFER, 65536), function (status, output) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(output.length).toEqual(152 * count);
+      // the entries are chained by their Next field
+      for (var off = 0; off < output.length; off += 152) {
+        expect(output.readUInt32LE(off)).toEqual(off + 152 < output.length ? 152 : 0);
+        expect([ 0x0002, 0x0017 ]).toContain(output.readUInt16LE(off + 24));
+      }
+      done();
+    });
+  });
+
+  it('testPipeTransceive', function (done) {
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_pipe_transceive'], PIPE_FILE_ID, bindPDU(), 4280), function (status, output) {
+      expect(status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(output.readUInt8(2)).toEqual(parseInt(RPC.STRING_TO_PDUTYPE['bind_ack']));
+      expect(output.readUInt16LE(8)).toEqual(output.length);
+      expect(pipe.syntaxSpec.uuid).toEqual('4b324fc8-1670-01d3-1278-5a47bf6ee188');
+      // the response exceeds MaxOutputResponse
+      handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_pipe_transceive'], PIPE_FILE_ID, bindPDU(), 16), function (status, output) {
+        expect(status).toEqual(ntstatus.STATUS_BUFFER_OVERFLOW);
+        expect(output.length).toEqual(16);
+        done();
+      });
+    });
+  });
+
+  it('testPipeTransceiveInvalidTarget', function (done) {
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_pipe_transceive'], SMB2.UNSPECIFIED_FILE_ID, bindPDU(), 4280), function (status) {
+      expect(status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+      tree.namedPipe = false;
+      handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_pipe_transceive'], PIPE_FILE_ID, bindPDU(), 4280), function (status) {
+        expect(status).toEqual(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+        done();
+      });
+    });
+  });
+
+  it('testUnsupported', function (done) {
+    handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_srv_enumerate_snapshots'], PIPE_FILE_ID, utils.EMPTY_BUFFER, 16), function (status) {
+      expect(status).toEqual(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+      // device IOCTLs are not supported
+      handle(createBody(SMB2.STRING_TO_FSCTL['fsctl_validate_negotiate_info'], SMB2.UNSPECIFIED_FILE_ID, utils.EMPTY_BUFFER, 24, 0), function (status) {
+        expect(status).toEqual(ntstatus.STATUS_NOT_SUPPORTED);
+        done();
+      });
+    });
+  });
+});
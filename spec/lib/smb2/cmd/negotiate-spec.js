@@ -0,0 +1,232 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var crypto = require('crypto');
+var Long = require('long');
+var put = require('put');
+
+var handler = require('../../../../lib/smb2/handler');
+var message = require('../../../../lib/smb2/message');
+var negotiation = require('../../../../lib/smb2/negotiation');
+var SequenceWindow = require('../../../../lib/smb2/sequencewindow');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+
+describe('SMB2 NEGOTIATE', function () {
+  var server, connection, sent, destroyed;
+
+  var SERVER_GUID = new Buffer('00112233445566778899aabbccddeeff', 'hex');
+
+  function context(type, data) {
+    return { type: type, data: data };
+  }
+
+  function preauthContext(hashAlgorithms) {
+    var out = put()
+      .word16le(hashAlgorithms.length) // HashAlgorithmCount
+      .word16le(32); // SaltLength
+    hashAlgorithms.forEach(function (alg) {
+      out.word16le(alg);
+    });
+    return context(SMB2.PREAUTH_INTEGRITY_CAPABILITIES, out.put(crypto.randomBytes(32)).buffer());
+  }
+
+  function encryptionContext(ciphers) {
+    var out = put().word16le(ciphers.length); // CipherCount
+    ciphers.forEach(function (cipher) {
+      out.word16le(cipher);
+    });
+    return context(SMB2.ENCRYPTION_CAPABILITIES, out.buffer());
+  }
+
+  function createRequest(dialects, contexts) {
+    contexts = contexts || [];
+    var contextsOffset = SMB2.HEADER_LENGTH + 36 + 2 * dialects.length;
+    var pad = (8 - (contextsOffset % 8)) % 8;
+    var out = put()
+      .word16le(36) // StructureSize
+      .word16le(dialects.length) // DialectCount
+      .word16le(SMB2.NEGOTIATE_SIGNING_ENABLED) // SecurityMode
+      .word16le(0) // Reserved
+      .word32le(SMB2.GLOBAL_CAP_LARGE_MTU) // Capabilities
+      .put(crypto.randomBytes(16)) // ClientGuid
+      .word32le(contexts.length ? contextsOffset + pad : 0) // NegotiateContextOffset
+      .word16le(contexts.length) // NegotiateContextCount
+      .word16le(0); // Reserved2
+    dialects.forEach(function (dialect) {
+      out.word16le(dialect);
+    });
+    if (contexts.length) {
+      out.pad(pad);
+    }
+    contexts.forEach(function (ctx) {
+      out.word16le(ctx.type)
+        .word16le(ctx.data.length)
+        .word32le(0)
+        .put(ctx.data)
+        .pad((8 - (ctx.data.length % 8)) % 8);
+    });
+    return message.encode({
+      protocolId: SMB2.PROTOCOL_ID,
+      header: {
+        commandId: parseInt(SMB2.STRING_TO_COMMAND['negotiate']),
+        status: 0,
+        creditCharge: 0,
+        creditReqRes: 1,
+        flags: {},
+        nextCommand: 0,
+        messageId: Long.fromNumber(0, true),
+        treeId: 0,
+        sessionId: Long.fromNumber(0, true),
+        signature: new Buffer(16).fill(0)
+      },
+      body: out.buffer()
+    });
+  }
+
+  function negotiate(dialects, contexts, cb) {
+    var req = createRequest(dialects, contexts);
+    handler.handleRequest(req, connection, server, function (err) {
+      expect(err).toBeFalsy();
+      expect(sent.length).toEqual(1);
+      var resp = message.decode(sent[0]);
+      var body = resp.body;
+      var result = {
+        req: req,
+        raw: sent[0],
+        status: resp.header.status,
+        dialect: body.readUInt16LE(4),
+        contexts: []
+      };
+      if (resp.header.status === ntstatus.STATUS_SUCCESS) {
+        var count = body.readUInt16LE(6);
+        result.contexts = count ? negotiation.parseNegotiateContexts(body.slice(body.readUInt32LE(60) - SMB2.HEADER_LENGTH), count) : [];
+      }
+      cb(result);
+    });
+  }
+
+  beforeEach(function () {
+    sent = [];
+    destroyed = false;
+    server = {
+      config: {},
+      getGuid: function () {
+        return SERVER_GUID;
+      },
+      getStartTime: function () {
+        return Date.now();
+      }
+    };
+    connection = {
+      dialect: null,
+      sequenceWindow: new SequenceWindow(),
+      getSession: function () {
+        return null;
+      },
+      socket: {
+        destroy: function () {
+          destroyed = true;
+        }
+      },
+      sendRawMessage: function (buf, cb) {
+        sent.push(buf);
+        cb();
+      }
+    };
+  });
+
+  it('testHighestCommonDialect', function (done) {
+    negotiate([ SMB2.SMB_2_0_2, SMB2.SMB_2_1_0, SMB2.SMB_3_0_0 ], null, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(result.dialect).toEqual(SMB2.SMB_3_0_0);
+      expect(result.contexts.length).toEqual(0);
+      expect(connection.dialect).toEqual(SMB2.SMB_3_0_0);
+      expect(connection.supportsMultiCredit).toBeTruthy();
+      expect(connection.preauthIntegrityHashValue).toBeFalsy();
+      done();
+    });
+  });
+
+  it('testNoCommonDialect', function (done) {
+    negotiate([ 0x0100 ], null, function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_NOT_SUPPORTED);
+      expect(connection.dialect).toBeFalsy();
+      done();
+    });
+  });
+
+  it('testNegotiateContexts', function (done) {
+    negotiate([ SMB2.SMB_2_1_0, SMB2.SMB_3_1_1 ], [
+      preauthContext([ SMB2.HASH_ALGORITHM_SHA512 ]),
+      encryptionContext([ SMB2.AES_128_CCM, SMB2.AES_128_GCM ])
+    ], function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(result.dialect).toEqual(SMB2.SMB_3_1_1);
+      expect(result.contexts.length).toEqual(2);
+      var preauth = negotiation.parsePreauthIntegrityCapabilities(result.contexts[0].data);
+      expect(preauth.hashAlgorithms).toEqual([ SMB2.HASH_ALGORITHM_SHA512 ]);
+      expect(preauth.salt.length).toEqual(SMB2.PREAUTH_SALT_LENGTH);
+      expect(negotiation.parseEncryptionCapabilities(result.contexts[1].data)).toEqual([ SMB2.AES_128_GCM ]);
+      expect(connection.cipherId).toEqual(SMB2.AES_128_GCM);
+      // hash chain: negotiate request followed by negotiate response
+      var hash = crypto.createHash('sha512').update(new Buffer(64).fill(0)).update(result.req).digest();
+      hash = crypto.createHash('sha512').update(hash).update(result.raw).digest();
+      expect(connection.preauthIntegrityHashValue.toString('hex')).toEqual(hash.toString('hex'));
+      done();
+    });
+  });
+
+  it('testNoCommonCipher', function (done) {
+    negotiate([ SMB2.SMB_3_1_1 ], [
+      preauthContext([ SMB2.HASH_ALGORITHM_SHA512 ]),
+      encryptionContext([ SMB2.AES_256_GCM ])
+    ], function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(negotiation.parseEncryptionCapabilities(result.contexts[1].data)).toEqual([ 0 ]);
+      expect(connection.cipherId).toEqual(0);
+      done();
+    });
+  });
+
+  it('testMissingPreauthContext', function (done) {
+    negotiate([ SMB2.SMB_3_1_1 ], [
+      encryptionContext([ SMB2.AES_128_GCM ])
+    ], function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      done();
+    });
+  });
+
+  it('testNoHashAlgorithmOverlap', function (done) {
+    negotiate([ SMB2.SMB_3_1_1 ], [
+      preauthContext([ 0x0002 ])
+    ], function (result) {
+      expect(result.status).toEqual(ntstatus.STATUS_SMB_NO_PREAUTH_INTEGRITY_HASH_OVERLAP);
+      done();
+    });
+  });
+
+  it('testRepeatedNegotiate', function (done) {
+    negotiate([ SMB2.SMB_2_1_0 ], null, function () {
+      sent = [];
+      var req = createRequest([ SMB2.SMB_2_1_0 ]);
+      req.writeUInt32LE(1, 24); // MessageId
+      handler.handleRequest(req, connection, server, function (err) {
+        expect(err).toBeFalsy();
+        expect(destroyed).toBeTruthy();
+        expect(sent.length).toEqual(0);
+        done();
+      });
+    });
+  });
+});
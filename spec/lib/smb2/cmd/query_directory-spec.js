@@ -0,0 +1,147 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 QUERY_DIRECTORY', function () {
+  var c, dirId;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.mkdirSync(Path.join(c.root, 'dir'));
+    fs.writeFileSync(Path.join(c.root, 'dir', 'a.txt'), 'a');
+    fs.writeFileSync(Path.join(c.root, 'dir', 'b.txt'), 'b');
+    fs.mkdirSync(Path.join(c.root, 'dir', 'sub'));
+    c.connect(function () {
+      c.open('dir', common.FILE_OPEN, common.FILE_DIRECTORY_FILE, function (result) {
+        dirId = result;
+        done();
+      });
+    });
+  });
+
+  function queryNames(flags, pattern, cb) {
+    c.request('query_directory', c.queryDirectoryBody(dirId, SMB2.FILE_NAMES_INFORMATION, flags, pattern), cb);
+  }
+
+  it('testQueryDirectory', function (done) {
+    queryNames(0, '*', function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.getDirectoryNames(response).sort()).toEqual([ 'a.txt', 'b.txt', 'sub' ]);
+      // the enumeration continues where the previous request stopped
+      queryNames(0, '*', function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_NO_MORE_FILES);
+        done();
+      });
+    });
+  });
+
+  it('testQueryDirectoryFileName', function (done) {
+    queryNames(0, 'a.txt', function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.getDirectoryNames(response)).toEqual([ 'a.txt' ]);
+      done();
+    });
+  });
+
+  it('testQueryDirectoryNoMatch', function (done) {
+    queryNames(0, 'x.txt', function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_NO_SUCH_FILE);
+      done();
+    });
+  });
+
+  it('testQueryDirectorySingleEntry', function (done) {
+    queryNames(SMB2.RETURN_SINGLE_ENTRY, '*', function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var names = c.getDirectoryNames(response);
+      expect(names.length).toEqual(1);
+      queryNames(0, '*', function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(names.concat(c.getDirectoryNames(response)).sort()).toEqual([ 'a.txt', 'b.txt', 'sub' ]);
+        done();
+      });
+    });
+  });
+
+  it('testQueryDirectoryRestartScans', function (done) {
+    queryNames(0, 'a.txt', function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      // the pattern of the enumeration is kept
+      queryNames(SMB2.RESTART_SCANS, '*', function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(c.getDirectoryNames(response)).toEqual([ 'a.txt' ]);
+        // REOPEN starts a new enumeration with a new pattern
+        queryNames(SMB2.REOPEN, 'b.txt', function (response) {
+          expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+          expect(c.getDirectoryNames(response)).toEqual([ 'b.txt' ]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testQueryDirectoryBufferTooSmall', function (done) {
+    c.request('query_directory', c.queryDirectoryBody(dirId, SMB2.FILE_NAMES_INFORMATION, 0, '*', 8), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INFO_LENGTH_MISMATCH);
+      done();
+    });
+  });
+
+  it('testQueryDirectoryInvalidInfoClass', function (done) {
+    c.request('query_directory', c.queryDirectoryBody(dirId, 0x3f, 0, '*'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_INFO_CLASS);
+      done();
+    });
+  });
+
+  it('testQueryDirectoryNotDirectory', function (done) {
+    c.open('dir\\a.txt', common.FILE_OPEN, 0, function (fileId) {
+      c.request('query_directory', c.queryDirectoryBody(fileId, SMB2.FILE_NAMES_INFORMATION, 0, '*'), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+        done();
+      });
+    });
+  });
+
+  it('testQueryDirectoryClosedFile', function (done) {
+    c.request('close', c.closeBody(dirId), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      queryNames(0, '*', function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+        done();
+      });
+    });
+  });
+
+  it('testQueryDirectoryBadTree', function (done) {
+    var msg = c.createMsg('query_directory', c.queryDirectoryBody(dirId, SMB2.FILE_NAMES_INFORMATION, 0, '*'), { treeId: 4711 });
+    c.handle([ msg ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      done();
+    });
+  });
+
+  it('testQueryDirectoryBadSession', function (done) {
+    var msg = c.createMsg('query_directory', c.queryDirectoryBody(dirId, SMB2.FILE_NAMES_INFORMATION, 0, '*'), { sessionId: 4711 });
+    c.handle([ msg ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      done();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var SMB = require('../../../../lib/smb/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 QUERY_INFO', function () {
+  var c, fileId;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.writeFileSync(Path.join(c.root, 'test.txt'), 'hello');
+    c.connect(function () {
+      c.open('test.txt', common.FILE_OPEN, 0, function (result) {
+        fileId = result;
+        done();
+      });
+    });
+  });
+
+  function queryInfo(infoType, fileInfoClass, outputBufferLength, cb) {
+    c.request('query_info', c.queryInfoBody(fileId, infoType, fileInfoClass, outputBufferLength), cb);
+  }
+
+  it('testQueryFileInfo', function (done) {
+    queryInfo(SMB2.INFO_FILE, SMB2.FILE_STANDARD_INFORMATION, 1024, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var output = c.getInfoOutput(response);
+      expect(output.length).toEqual(24);
+      expect(output.readUInt32LE(8)).toEqual(5); // EndOfFile
+      expect(output.readUInt8(21)).toEqual(0); // Directory
+      done();
+    });
+  });
+
+  it('testQueryFileInfoOverflow', function (done) {
+    // variable length information is truncated
+    queryInfo(SMB2.INFO_FILE, SMB2.FILE_ALL_INFORMATION, 40, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_BUFFER_OVERFLOW);
+      expect(c.getInfoOutput(response).length).toEqual(40);
+      done();
+    });
+  });
+
+  it('testQueryFileInfoLengthMismatch', function (done) {
+    // fixed length information is not truncated
+    queryInfo(SMB2.INFO_FILE, SMB2.FILE_STANDARD_INFORMATION, 8, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INFO_LENGTH_MISMATCH);
+      done();
+    });
+  });
+
+  it('testQueryFileInfoInvalidInfoClass', function (done) {
+    queryInfo(SMB2.INFO_FILE, 0x7f, 1024, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_INFO_CLASS);
+      done();
+    });
+  });
+
+  it('testQueryFileSystemInfo', function (done) {
+    queryInfo(SMB2.INFO_FILESYSTEM, SMB.FILE_FS_SIZE_INFORMATION - SMB.INFO_PASSTHROUGH, 1024, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.getInfoOutput(response).length).toEqual(24);
+      done();
+    });
+  });
+
+  it('testQuerySecurityInfo', function (done) {
+    var body = c.queryInfoBody(fileId, SMB2.INFO_SECURITY, 0, 1024, SMB2.OWNER_SECURITY_INFORMATION | SMB2.DACL_SECURITY_INFORMATION);
+    c.request('query_info', body, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var sd = c.getInfoOutput(response);
+      expect(sd.readUInt8(0)).toEqual(1); // Revision
+      expect(sd.readUInt32LE(4)).not.toEqual(0); // OffsetOwner
+      expect(sd.readUInt32LE(16)).not.toEqual(0); // OffsetDacl
+      done();
+    });
+  });
+
+  it('testQuerySecurityInfoBufferTooSmall', function (done) {
+    var body = c.queryInfoBody(fileId, SMB2.INFO_SECURITY, 0, 8, SMB2.OWNER_SECURITY_INFORMATION);
+    c.request('query_info', body, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_BUFFER_TOO_SMALL);
+      // the error data reports the required size
+      expect(response.body.readUInt32LE(4)).toEqual(4); // ByteCount
+      expect(response.body.readUInt32LE(8)).toBeGreaterThan(8);
+      done();
+    });
+  });
+
+  it('testQueryQuotaInfo', function (done) {
+    queryInfo(SMB2.INFO_QUOTA, 0, 1024, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_NOT_SUPPORTED);
+      done();
+    });
+  });
+
+  it('testQueryInvalidInfoType', function (done) {
+    queryInfo(0x7f, SMB2.FILE_STANDARD_INFORMATION, 1024, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      done();
+    });
+  });
+
+  it('testQueryInfoClosedFile', function (done) {
+    c.request('close', c.closeBody(fileId), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      queryInfo(SMB2.INFO_FILE, SMB2.FILE_STANDARD_INFORMATION, 1024, function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+        done();
+      });
+    });
+  });
+
+  it('testQueryInfoBadTree', function (done) {
+    var msg = c.createMsg('query_info', c.queryInfoBody(fileId, SMB2.INFO_FILE, SMB2.FILE_STANDARD_INFORMATION, 1024), { treeId: 4711 });
+    c.handle([ msg ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      done();
+    });
+  });
+
+  it('testQueryInfoBadSession', function (done) {
+    var msg = c.createMsg('query_info', c.queryInfoBody(fileId, SMB2.INFO_FILE, SMB2.FILE_STANDARD_INFORMATION, 1024), { sessionId: 4711 });
+    c.handle([ msg ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 READ', function () {
+  var c, fileId;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.writeFileSync(Path.join(c.root, 'test.txt'), 'hello');
+    fs.mkdirSync(Path.join(c.root, 'dir'));
+    c.connect(function () {
+      c.open('test.txt', common.FILE_OPEN, 0, function (result) {
+        fileId = result;
+        done();
+      });
+    });
+  });
+
+  it('testRead', function (done) {
+    c.request('read', c.readBody(fileId, 0, 100), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.getReadData(response).toString()).toEqual('hello');
+      done();
+    });
+  });
+
+  it('testReadRange', function (done) {
+    c.request('read', c.readBody(fileId, 1, 3), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.getReadData(response).toString()).toEqual('ell');
+      done();
+    });
+  });
+
+  it('testReadEndOfFile', function (done) {
+    c.request('read', c.readBody(fileId, 5, 10), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_END_OF_FILE);
+      done();
+    });
+  });
+
+  it('testReadMinimumCount', function (done) {
+    c.request('read', c.readBody(fileId, 3, 10, 3), function (response) {
+      // only 2 bytes are available
+      expect(response.header.status).toEqual(ntstatus.STATUS_END_OF_FILE);
+      done();
+    });
+  });
+
+  it('testReadTooLarge', function (done) {
+    c.request('read', c.readBody(fileId, 0, SMB2.MAX_READ_SIZE + 1), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      done();
+    });
+  });
+
+  it('testReadDirectory', function (done) {
+    c.open('dir', common.FILE_OPEN, common.FILE_DIRECTORY_FILE, function (dirId) {
+      c.request('read', c.readBody(dirId, 0, 100), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+        done();
+      });
+    });
+  });
+
+  it('testReadClosedFile', function (done) {
+    c.request('close', c.closeBody(fileId), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      c.request('read', c.readBody(fileId, 0, 100), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+        done();
+      });
+    });
+  });
+
+  it('testReadBadTree', function (done) {
+    c.handle([ c.createMsg('read', c.readBody(fileId, 0, 100), { treeId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      done();
+    });
+  });
+
+  it('testReadBadSession', function (done) {
+    c.handle([ c.createMsg('read', c.readBody(fileId, 0, 100), { sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      done();
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var SMB2Common = require('../smb2-common');
+var ntlmssp = require('../../../../lib/ntlmssp');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+
+describe('SMB2 SESSION_SETUP and LOGOFF', function () {
+  var c;
+
+  beforeEach(function () {
+    c = new SMB2Common();
+  });
+
+  it('testSessionSetup', function (done) {
+    c.handle([ c.createMsg('session_setup', c.sessionSetupBody(c.negotiateToken())) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_MORE_PROCESSING_REQUIRED);
+      // the session id is reserved by the first round trip
+      var sessionId = responses[0].header.sessionId.toNumber();
+      expect(sessionId).not.toEqual(0);
+      var offset = responses[0].body.readUInt16LE(4) - SMB2.HEADER_LENGTH;
+      var challengeMsg = responses[0].body.slice(offset, offset + responses[0].body.readUInt16LE(6));
+      expect(ntlmssp.parseMessageType(challengeMsg)).toEqual(ntlmssp.NTLMSSP_CHALLENGE_MESSAGE);
+
+      var msg = c.createMsg('session_setup', c.sessionSetupBody(c.authenticateToken('user')), { sessionId: sessionId });
+      c.handle([ msg ], function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(responses[0].header.sessionId.toNumber()).toEqual(sessionId);
+        expect(responses[0].body.readUInt16LE(2)).toEqual(0); // SessionFlags
+        var session = c.connection.getSession(sessionId);
+        expect(session).toBeTruthy();
+        expect(session.accountName).toEqual('user');
+        expect(session.signingKey).toBeTruthy();
+        expect(c.server.getSession(sessionId)).toBe(session);
+        expect(c.connection.pendingLogins[sessionId]).toBeUndefined();
+        done();
+      });
+    });
+  });
+
+  it('testSessionSetupLogonFailure', function (done) {
+    c.sessionSetup('unknown', 0, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_LOGON_FAILURE);
+      var sessionId = response.header.sessionId.toNumber();
+      expect(c.connection.getSession(sessionId)).toBeNull();
+      expect(c.connection.pendingLogins[sessionId]).toBeUndefined();
+      expect(Object.keys(c.server.logins).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testSessionSetupLMKeySigningRequired', function (done) {
+    c.server.config.signingRequired = true;
+    c.handle([ c.createMsg('session_setup', c.sessionSetupBody(c.negotiateToken())) ], function (responses) {
+      var sessionId = responses[0].header.sessionId.toNumber();
+      // the LM based key exchange key of NTLMv1 can't be derived: no signing key
+      var token = c.authenticateToken('user', ntlmssp.NTLMSSP_NEGOTIATE_LM_KEY);
+      c.handle([ c.createMsg('session_setup', c.sessionSetupBody(token), { sessionId: sessionId }) ], function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+        expect(c.connection.getSession(sessionId)).toBeNull();
+        done();
+      });
+    });
+  });
+
+  it('testSessionSetupInvalidToken', function (done) {
+    // NTLMSSP_AUTHENTICATE message instead of NTLMSSP_NEGOTIATE message
+    c.request('session_setup', c.sessionSetupBody(c.authenticateToken('user')), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_LOGON_FAILURE);
+      expect(Object.keys(c.connection.pendingLogins).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testSessionSetupUnsupportedMechanism', function (done) {
+    c.request('session_setup', c.sessionSetupBody(new Buffer('6006060414000000', 'hex')), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_NOT_SUPPORTED);
+      done();
+    });
+  });
+
+  it('testSessionSetupBinding', function (done) {
+    c.request('session_setup', c.sessionSetupBody(c.negotiateToken(), SMB2.SESSION_FLAG_BINDING), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_REQUEST_NOT_ACCEPTED);
+      expect(Object.keys(c.connection.pendingLogins).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testSessionSetupUnknownSession', function (done) {
+    c.handle([ c.createMsg('session_setup', c.sessionSetupBody(c.negotiateToken()), { sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      expect(Object.keys(c.connection.pendingLogins).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testReauthenticate', function (done) {
+    c.login(function (sessionId) {
+      var session = c.connection.getSession(sessionId);
+      var signingKey = session.signingKey;
+      c.server.connectTree(session, 'TEST', null, function (err, tree) {
+        expect(err).toBeFalsy();
+        c.sessionSetup('other', sessionId, function (response) {
+          expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+          expect(response.header.sessionId.toNumber()).toEqual(sessionId);
+          // the session has been re-authenticated in place
+          expect(c.connection.getSession(sessionId)).toBe(session);
+          expect(c.server.getSession(sessionId)).toBe(session);
+          expect(session.accountName).toEqual('other');
+          expect(session.spiSession).toBe(c.spiSessions[1]);
+          expect(c.spiSessions[0].loggedOff).toBeTruthy();
+          expect(c.spiSessions[1].loggedOff).toBeFalsy();
+          // keys and tree connects remain
+          expect(session.signingKey).toEqual(signingKey);
+          expect(c.server.getTree(tree.tid)).toBe(tree);
+          expect(tree.smbSession).toBe(session);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testReauthenticateLoggedOffSession', function (done) {
+    c.login(function (sessionId) {
+      c.request('session_setup', c.sessionSetupBody(c.negotiateToken()), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_MORE_PROCESSING_REQUIRED);
+        c.request('logoff', c.logoffBody(), function (response) {
+          expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+          c.request('session_setup', c.sessionSetupBody(c.authenticateToken('other')), function (response) {
+            expect(response.header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+            expect(c.server.getSession(sessionId)).toBeUndefined();
+            expect(c.spiSessions.length).toEqual(1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('testLogoff', function (done) {
+    c.login(function (sessionId) {
+      c.request('logoff', c.logoffBody(), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(c.spiSessions[0].loggedOff).toBeTruthy();
+        expect(c.connection.getSession(sessionId)).toBeNull();
+        expect(c.server.getSession(sessionId)).toBeUndefined();
+        // the session is gone
+        c.request('logoff', c.logoffBody(), function (response) {
+          expect(response.header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testLogoffUnknownSession', function (done) {
+    c.login(function () {
+      c.handle([ c.createMsg('logoff', c.logoffBody(), { sessionId: 4711 }) ], function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+        expect(c.spiSessions[0].loggedOff).toBeFalsy();
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+var put = require('put');
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 SET_INFO', function () {
+  var c, fileId;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.writeFileSync(Path.join(c.root, 'test.txt'), 'hello');
+    fs.writeFileSync(Path.join(c.root, 'other.txt'), 'other');
+    c.connect(function () {
+      c.open('test.txt', common.FILE_OPEN, 0, function (result) {
+        fileId = result;
+        done();
+      });
+    });
+  });
+
+  function setFileInfo(fileInfoClass, buf, cb) {
+    c.request('set_info', c.setInfoBody(fileId, SMB2.INFO_FILE, fileInfoClass, buf), cb);
+  }
+
+  function renameInfo(targetName, replaceIfExists) {
+    var name = new Buffer(targetName, 'utf16le');
+    return put()
+      .word8(replaceIfExists ? 1 : 0) // ReplaceIfExists
+      .pad(7) // Reserved
+      .pad(8) // RootDirectory
+      .word32le(name.length) // FileNameLength
+      .put(name) // FileName
+      .buffer();
+  }
+
+  function close(cb) {
+    c.request('close', c.closeBody(fileId), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      cb();
+    });
+  }
+
+  it('testSetEndOfFile', function (done) {
+    setFileInfo(SMB2.FILE_END_OF_FILE_INFORMATION, put().word64le(2).buffer(), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      close(function () {
+        expect(fs.readFileSync(Path.join(c.root, 'test.txt')).toString()).toEqual('he');
+        done();
+      });
+    });
+  });
+
+  it('testSetDisposition', function (done) {
+    setFileInfo(SMB2.FILE_DISPOSITION_INFORMATION, new Buffer([ 1 ]), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      // the file is deleted when it's closed
+      expect(fs.existsSync(Path.join(c.root, 'test.txt'))).toBeTruthy();
+      close(function () {
+        expect(fs.existsSync(Path.join(c.root, 'test.txt'))).toBeFalsy();
+        done();
+      });
+    });
+  });
+
+  it('testSetRename', function (done) {
+    setFileInfo(SMB2.FILE_RENAME_INFORMATION, renameInfo('renamed.txt'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(fs.existsSync(Path.join(c.root, 'test.txt'))).toBeFalsy();
+      expect(fs.readFileSync(Path.join(c.root, 'renamed.txt')).toString()).toEqual('hello');
+      done();
+    });
+  });
+
+  it('testSetRenameCollision', function (done) {
+    setFileInfo(SMB2.FILE_RENAME_INFORMATION, renameInfo('other.txt'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_OBJECT_NAME_COLLISION);
+      expect(fs.readFileSync(Path.join(c.root, 'test.txt')).toString()).toEqual('hello');
+      expect(fs.readFileSync(Path.join(c.root, 'other.txt')).toString()).toEqual('other');
+      done();
+    });
+  });
+
+  it('testSetRenameInvalidLength', function (done) {
+    setFileInfo(SMB2.FILE_RENAME_INFORMATION, renameInfo('renamed.txt').slice(0, 24), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INFO_LENGTH_MISMATCH);
+      expect(fs.existsSync(Path.join(c.root, 'test.txt'))).toBeTruthy();
+      done();
+    });
+  });
+
+  it('testSetInvalidInfoClass', function (done) {
+    setFileInfo(0x7f, new Buffer(8).fill(0), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_INFO_CLASS);
+      done();
+    });
+  });
+
+  it('testSetInvalidBufferOffset', function (done) {
+    var body = c.setInfoBody(fileId, SMB2.INFO_FILE, SMB2.FILE_END_OF_FILE_INFORMATION, put().word64le(2).buffer());
+    body.writeUInt32LE(100, 4); // BufferLength
+    c.request('set_info', body, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      done();
+    });
+  });
+
+  it('testSetSecurityInfo', function (done) {
+    // security descriptors are accepted but not persisted
+    c.request('set_info', c.setInfoBody(fileId, SMB2.INFO_SECURITY, 0, new Buffer(20).fill(0)), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      done();
+    });
+  });
+
+  it('testSetFileSystemInfo', function (done) {
+    c.request('set_info', c.setInfoBody(fileId, SMB2.INFO_FILESYSTEM, 0, new Buffer(8).fill(0)), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_NOT_SUPPORTED);
+      done();
+    });
+  });
+
+  it('testSetInfoClosedFile', function (done) {
+    close(function () {
+      setFileInfo(SMB2.FILE_END_OF_FILE_INFORMATION, put().word64le(2).buffer(), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+        expect(fs.readFileSync(Path.join(c.root, 'test.txt')).toString()).toEqual('hello');
+        done();
+      });
+    });
+  });
+
+  it('testSetInfoBadTree', function (done) {
+    var body = c.setInfoBody(fileId, SMB2.INFO_FILE, SMB2.FILE_END_OF_FILE_INFORMATION, put().word64le(2).buffer());
+    c.handle([ c.createMsg('set_info', body, { treeId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      done();
+    });
+  });
+
+  it('testSetInfoBadSession', function (done) {
+    var body = c.setInfoBody(fileId, SMB2.INFO_FILE, SMB2.FILE_END_OF_FILE_INFORMATION, put().word64le(2).buffer());
+    c.handle([ c.createMsg('set_info', body, { sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      done();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+
+describe('SMB2 TREE_CONNECT and TREE_DISCONNECT', function () {
+  var c;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    c.login(function () {
+      done();
+    });
+  });
+
+  it('testTreeConnect', function (done) {
+    c.request('tree_connect', c.treeConnectBody('test'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.body.readUInt8(2)).toEqual(SMB2.SHARE_TYPE_DISK); // ShareType
+      var tree = c.server.getTree(response.header.treeId);
+      expect(tree).toBeTruthy();
+      expect(tree.getShare().getName()).toEqual('TEST');
+      expect(tree.smbSession).toBe(c.connection.getSession(c.sessionId));
+      done();
+    });
+  });
+
+  it('testTreeConnectCaseInsensitive', function (done) {
+    c.request('tree_connect', c.treeConnectBody('TeSt'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(c.server.getTree(response.header.treeId).getShare().getName()).toEqual('TEST');
+      done();
+    });
+  });
+
+  it('testTreeConnectIPC', function (done) {
+    c.request('tree_connect', c.treeConnectBody('IPC$'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.body.readUInt8(2)).toEqual(SMB2.SHARE_TYPE_PIPE); // ShareType
+      done();
+    });
+  });
+
+  it('testTreeConnectUnknownShare', function (done) {
+    c.request('tree_connect', c.treeConnectBody('unknown'), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_BAD_NETWORK_NAME);
+      expect(Object.keys(c.server.trees).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testTreeConnectBadSession', function (done) {
+    c.handle([ c.createMsg('tree_connect', c.treeConnectBody('test'), { sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      expect(Object.keys(c.server.trees).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testTreeDisconnect', function (done) {
+    c.request('tree_connect', c.treeConnectBody('test'), function (response) {
+      c.treeId = response.header.treeId;
+      c.request('tree_disconnect', c.treeDisconnectBody(), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(c.server.getTree(c.treeId)).toBeUndefined();
+        // the tree is gone
+        c.request('tree_disconnect', c.treeDisconnectBody(), function (response) {
+          expect(response.header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testTreeDisconnectBadTree', function (done) {
+    c.handle([ c.createMsg('tree_disconnect', c.treeDisconnectBody(), { treeId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      done();
+    });
+  });
+
+  it('testTreeDisconnectBadSession', function (done) {
+    c.request('tree_connect', c.treeConnectBody('test'), function (response) {
+      c.treeId = response.header.treeId;
+      c.handle([ c.createMsg('tree_disconnect', c.treeDisconnectBody(), { sessionId: 4711 }) ], function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+        expect(c.server.getTree(c.treeId)).toBeTruthy();
+        done();
+      });
+    });
+  });
+
+  it('testTreeDisconnectOtherSession', function (done) {
+    c.request('tree_connect', c.treeConnectBody('test'), function (response) {
+      c.treeId = response.header.treeId;
+      c.sessionSetup('other', 0, function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        // the tree has been connected by the first session
+        var msg = c.createMsg('tree_disconnect', c.treeDisconnectBody(), { sessionId: response.header.sessionId.toNumber() });
+        c.handle([ msg ], function (responses) {
+          expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+          expect(c.server.getTree(c.treeId)).toBeTruthy();
+          done();
+        });
+      });
+    });
+  });
+
+  it('testLogoffDisconnectsTrees', function (done) {
+    c.request('tree_connect', c.treeConnectBody('test'), function (response) {
+      c.treeId = response.header.treeId;
+      c.request('logoff', c.logoffBody(), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(c.server.getTree(c.treeId)).toBeUndefined();
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var Path = require('path');
+
+var SMB2Common = require('../smb2-common');
+var SMB2 = require('../../../../lib/smb2/constants');
+var ntstatus = require('../../../../lib/ntstatus');
+var common = require('../../../../lib/common');
+
+describe('SMB2 WRITE', function () {
+  var c, fileId;
+
+  beforeEach(function (done) {
+    c = new SMB2Common();
+    fs.writeFileSync(Path.join(c.root, 'test.txt'), 'hello');
+    fs.mkdirSync(Path.join(c.root, 'dir'));
+    c.connect(function () {
+      c.open('test.txt', common.FILE_OPEN, 0, function (result) {
+        fileId = result;
+        done();
+      });
+    });
+  });
+
+  function getContent() {
+    return fs.readFileSync(Path.join(c.root, 'test.txt')).toString();
+  }
+
+  it('testWrite', function (done) {
+    c.request('write', c.writeBody(fileId, 5, new Buffer(' world')), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(response.body.readUInt32LE(4)).toEqual(6); // Count
+      c.request('close', c.closeBody(fileId), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(getContent()).toEqual('hello world');
+        done();
+      });
+    });
+  });
+
+  it('testWriteRead', function (done) {
+    c.request('write', c.writeBody(fileId, 1, new Buffer('ipp')), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      c.request('read', c.readBody(fileId, 0, 100), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(c.getReadData(response).toString()).toEqual('hippo');
+        done();
+      });
+    });
+  });
+
+  it('testWriteInvalidDataOffset', function (done) {
+    // the data must not overlap the fixed part of the request
+    c.request('write', c.writeBody(fileId, 0, new Buffer('data'), SMB2.HEADER_LENGTH + 40), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      expect(getContent()).toEqual('hello');
+      done();
+    });
+  });
+
+  it('testWriteBeyondMessage', function (done) {
+    var body = c.writeBody(fileId, 0, new Buffer('data'));
+    body.writeUInt32LE(100, 4); // Length
+    c.request('write', body, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      expect(getContent()).toEqual('hello');
+      done();
+    });
+  });
+
+  it('testWriteDirectory', function (done) {
+    c.open('dir', common.FILE_OPEN, common.FILE_DIRECTORY_FILE, function (dirId) {
+      c.request('write', c.writeBody(dirId, 0, new Buffer('data')), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_INVALID_DEVICE_REQUEST);
+        done();
+      });
+    });
+  });
+
+  it('testWriteClosedFile', function (done) {
+    c.request('close', c.closeBody(fileId), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      c.request('write', c.writeBody(fileId, 0, new Buffer('data')), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+        expect(getContent()).toEqual('hello');
+        done();
+      });
+    });
+  });
+
+  it('testWriteBadTree', function (done) {
+    c.handle([ c.createMsg('write', c.writeBody(fileId, 0, new Buffer('data')), { treeId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      expect(getContent()).toEqual('hello');
+      done();
+    });
+  });
+
+  it('testWriteBadSession', function (done) {
+    c.handle([ c.createMsg('write', c.writeBody(fileId, 0, new Buffer('data')), { sessionId: 4711 }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      expect(getContent()).toEqual('hello');
+      done();
+    });
+  });
+});
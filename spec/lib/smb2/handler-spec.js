@@ -0,0 +1,1106 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var async = require('async');
+var _ = require('lodash');
+var Long = require('long');
+var put = require('put');
+
+var TestShare = require('../backends/test/share');
+var SMBShare = require('../../../lib/smbshare');
+var handler = require('../../../lib/smb2/handler');
+var SequenceWindow = require('../../../lib/smb2/sequencewindow');
+var LockManager = require('../../../lib/lockmanager');
+var OplockManager = require('../../../lib/oplockmanager');
+var ShareModeManager = require('../../../lib/sharemodemanager');
+var SMBServer = require('../../../lib/smbserver');
+var SMBTree = require('../../../lib/smbtree');
+var signing = require('../../../lib/smb2/signing');
+var transform = require('../../../lib/smb2/transform');
+var message = require('../../../lib/smb2/message');
+var createContexts = require('../../../lib/smb2/createcontexts');
+var SMB2 = require('../../../lib/smb2/constants');
+var ntstatus = require('../../../lib/ntstatus');
+var SMBError = require('../../../lib/smberror');
+var common = require('../../../lib/common');
+
+describe('SMB2 handler', function () {
+  var server, connection, session, tree, sent, destroyed, nextMessageId;
+
+  var SESSION_ID = 1;
+  var UNSPECIFIED_FILE_ID = new Buffer('ffffffffffffffffffffffffffffffff', 'hex');
+
+  function createMsg(command, body, related, treeId) {
+    return {
+      protocolId: SMB2.PROTOCOL_ID,
+      header: {
+        commandId: parseInt(SMB2.STRING_TO_COMMAND[command]),
+        status: 0,
+        creditCharge: 0,
+        creditReqRes: 1,
+        flags: { relatedOp: !!related, priorityMask: 0 },
+        nextCommand: 0,
+        messageId: Long.fromNumber(nextMessageId++, true),
+        treeId: treeId === undefined ? tree.tid : treeId,
+        sessionId: Long.fromNumber(SESSION_ID, true),
+        signature: new Buffer(16).fill(0)
+      },
+      body: body
+    };
+  }
+
+  function compound(msgs) {
+    var out = put();
+    msgs.forEach(function (msg, i) {
+      var buf = message.encode(msg);
+      if (i < msgs.length - 1) {
+        var pad = (8 - (buf.length % 8)) % 8;
+        buf.writeUInt32LE(buf.length + pad, 20); // NextCommand
+        out.put(buf).pad(pad);
+      } else {
+        out.put(buf);
+      }
+    });
+    return out.buffer();
+  }
+
+  function decodeResponses(buf) {
+    var result = [];
+    var msg;
+    do {
+      msg = message.decode(buf);
+      result.push(msg);
+      buf = buf.slice(msg.header.nextCommand);
+    } while (msg.header.nextCommand);
+    return result;
+  }
+
+  function createBody(name, createDisposition, leaseKey, leaseState, otherContexts) {
+    var nameBytes = new Buffer(name, 'utf16le');
+    var contextList = otherContexts || [];
+    if (leaseKey) {
+      contextList = [ {
+        name: SMB2.CREATE_REQUEST_LEASE,
+        data: put().put(leaseKey).word32le(leaseState).word32le(0).pad(8).buffer()
+      } ].concat(contextList);
+    }
+    var contexts = createContexts.serialize(contextList);
+    var pad = (8 - (nameBytes.length % 8)) % 8;
+    return put()
+      .word16le(57) // StructureSize
+      .word8(0) // SecurityFlags
+      .word8(leaseKey ? SMB2.OPLOCK_LEVEL_LEASE : 0) // RequestedOplockLevel
+      .word32le(2) // ImpersonationLevel
+      .pad(8) // SmbCreateFlags
+      .pad(8) // Reserved
+      .word32le(0x0012019f) // DesiredAccess
+      .word32le(0) // FileAttributes
+      .word32le(7) // ShareAccess
+      .word32le(createDisposition) // CreateDisposition
+      .word32le(0) // CreateOptions
+      .word16le(SMB2.HEADER_LENGTH + 56) // NameOffset
+      .word16le(nameBytes.length) // NameLength
+      .word32le(contexts.length ? SMB2.HEADER_LENGTH + 56 + nameBytes.length + pad : 0) // CreateContextsOffset
+      .word32le(contexts.length) // CreateContextsLength
+      .put(nameBytes)
+      .pad(contexts.length ? pad : 0)
+      .put(contexts)
+      .buffer();
+  }
+
+  function readBody(fileId, length) {
+    return put()
+      .word16le(49) // StructureSize
+      .word8(0) // Padding
+      .word8(0) // Flags
+      .word32le(length) // Length
+      .word64le(0) // Offset
+      .put(fileId) // FileId
+      .word32le(0) // MinimumCount
+      .word32le(0) // Channel
+      .word32le(0) // RemainingBytes
+      .word16le(0) // ReadChannelInfoOffset
+      .word16le(0) // ReadChannelInfoLength
+      .word8(0) // Buffer
+      .buffer();
+  }
+
+  function closeBody(fileId) {
+    return put()
+      .word16le(24) // StructureSize
+      .word16le(0) // Flags
+      .word32le(0) // Reserved
+      .put(fileId) // FileId
+      .buffer();
+  }
+
+  function setInfoBody(fileId, fileInfoClass, buf) {
+    return put()
+      .word16le(33) // StructureSize
+      .word8(SMB2.INFO_FILE) // InfoType
+      .word8(fileInfoClass) // FileInfoClass
+      .word32le(buf.length) // BufferLength
+      .word16le(SMB2.HEADER_LENGTH + 32) // BufferOffset
+      .word16le(0) // Reserved
+      .word32le(0) // AdditionalInformation
+      .put(fileId) // FileId
+      .put(buf)
+      .buffer();
+  }
+
+  function leaseBreakAckBody(leaseKey, leaseState) {
+    return put()
+      .word16le(36) // StructureSize
+      .word16le(0) // Reserved
+      .word32le(0) // Flags
+      .put(leaseKey) // LeaseKey
+      .word32le(leaseState) // LeaseState
+      .pad(8) // LeaseDuration
+      .buffer();
+  }
+
+  // returns the create contexts of a CREATE response
+  function getResponseContexts(msg) {
+    var off = msg.body.readUInt32LE(80) - SMB2.HEADER_LENGTH;
+    return createContexts.parse(msg.body.slice(off, off + msg.body.readUInt32LE(84)));
+  }
+
+  // returns the lease state granted by a CREATE response
+  function getLeaseState(msg) {
+    expect(msg.body.readUInt8(2)).toEqual(SMB2.OPLOCK_LEVEL_LEASE);
+    var contexts = getResponseContexts(msg);
+    expect(contexts[0].name).toEqual(SMB2.CREATE_REQUEST_LEASE);
+    return contexts[0].data.readUInt32LE(16);
+  }
+
+  // decodes a lease break notification
+  function decodeLeaseBreak(buf) {
+    var msg = message.decode(buf);
+    expect(msg.header.commandId).toEqual(parseInt(SMB2.STRING_TO_COMMAND['oplock_break']));
+    expect(msg.header.messageId.toString(16)).toEqual('ffffffffffffffff');
+    return {
+      ackRequired: !!(msg.body.readUInt32LE(4) & SMB2.NOTIFY_BREAK_LEASE_FLAG_ACK_REQUIRED),
+      leaseKey: msg.body.slice(8, 24).toString('hex'),
+      state: msg.body.readUInt32LE(24),
+      newState: msg.body.readUInt32LE(28)
+    };
+  }
+
+  function lockBody(fileId, offset, length, flags) {
+    return put()
+      .word16le(48) // StructureSize
+      .word16le(1) // LockCount
+      .word32le(0) // LockSequence
+      .put(fileId) // FileId
+      .word64le(offset) // Offset
+      .word64le(length) // Length
+      .word32le(flags) // Flags
+      .word32le(0) // Reserved
+      .buffer();
+  }
+
+  function ioctlBody(ctlCode, fileId, input, maxOutputResponse) {
+    return put()
+      .word16le(57) // StructureSize
+      .word16le(0) // Reserved
+      .word32le(ctlCode) // CtlCode
+      .put(fileId) // FileId
+      .word32le(SMB2.HEADER_LENGTH + 56) // InputOffset
+      .word32le(input.length) // InputCount
+      .word32le(0) // MaxInputResponse
+      .word32le(0) // OutputOffset
+      .word32le(0) // OutputCount
+      .word32le(maxOutputResponse) // MaxOutputResponse
+      .word32le(SMB2.IOCTL_IS_FSCTL) // Flags
+      .word32le(0) // Reserved2
+      .put(input)
+      .buffer();
+  }
+
+  // returns the output of an IOCTL response
+  function getIoctlOutput(msg) {
+    var off = msg.body.readUInt32LE(32) - SMB2.HEADER_LENGTH;
+    return msg.body.slice(off, off + msg.body.readUInt32LE(36));
+  }
+
+  function copyChunkInput(resumeKey, chunks) {
+    var out = put()
+      .put(resumeKey) // SourceKey
+      .word32le(chunks.length) // ChunkCount
+      .word32le(0); // Reserved
+    chunks.forEach(function (chunk) {
+      out.word64le(chunk[0]) // SourceOffset
+        .word64le(chunk[1]) // TargetOffset
+        .word32le(chunk[2]) // Length
+        .word32le(0); // Reserved
+    });
+    return out.buffer();
+  }
+
+  function changeNotifyBody(fileId, completionFilter, outputBufferLength) {
+    return put()
+      .word16le(32) // StructureSize
+      .word16le(0) // Flags
+      .word32le(outputBufferLength) // OutputBufferLength
+      .put(fileId) // FileId
+      .word32le(completionFilter) // CompletionFilter
+      .word32le(0) // Reserved
+      .buffer();
+  }
+
+  // returns the FILE_NOTIFY_INFORMATION entries of a CHANGE_NOTIFY response
+  function getNotifyEntries(msg) {
+    var off = msg.body.readUInt16LE(2) - SMB2.HEADER_LENGTH;
+    var buf = msg.body.slice(off, off + msg.body.readUInt32LE(4));
+    var result = [];
+    var nextEntryOffset;
+    do {
+      nextEntryOffset = buf.readUInt32LE(0);
+      result.push([ buf.readUInt32LE(4), buf.slice(12, 12 + buf.readUInt32LE(8)).toString('utf16le') ]);
+      buf = buf.slice(nextEntryOffset);
+    } while (nextEntryOffset);
+    return result;
+  }
+
+  // creates and opens a directory
+  function openDirectory(path, cb) {
+    tree.spiTree.addDirectory(path, false, function (err) {
+      expect(err).toBeFalsy();
+      handle(compound([ createMsg('create', createBody(path.substr(1), common.FILE_OPEN)) ]), function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        cb(responses[0].body.slice(64, 80));
+      });
+    });
+  }
+
+  // sends a CHANGE_NOTIFY request and waits for the final response
+  function changeNotify(fileId, completionFilter, outputBufferLength, onPending, cb) {
+    sent = [];
+    connection.sendRawMessage = function (buf, done) {
+      sent.push(buf);
+      done();
+      if (sent.length === 2) {
+        cb(message.decode(sent[1]));
+      }
+    };
+    handler.handleRequest(compound([ createMsg('change_notify', changeNotifyBody(fileId, completionFilter, outputBufferLength)) ]), connection, server, function (err) {
+      expect(err).toBeFalsy();
+      expect(message.decode(sent[0]).header.status).toEqual(ntstatus.STATUS_PENDING);
+      onPending();
+    });
+  }
+
+  // signs every message of a compound
+  function sign(buf, dialect, key) {
+    var off = 0;
+    var nextCommand;
+    do {
+      nextCommand = buf.readUInt32LE(off + 20);
+      signing.sign(dialect, key, buf.slice(off, nextCommand ? off + nextCommand : buf.length));
+      off += nextCommand;
+    } while (nextCommand);
+    return buf;
+  }
+
+  function handle(buf, cb) {
+    handler.handleRequest(buf, connection, server, function (err) {
+      expect(err).toBeFalsy();
+      expect(sent.length).toEqual(1);
+      cb(decodeResponses(sent[0]));
+    });
+  }
+
+  beforeEach(function (done) {
+    sent = [];
+    destroyed = false;
+    nextMessageId = 0;
+    session = { uid: SESSION_ID };
+    server = new EventEmitter();
+    server.trees = {};
+    server.getSession = function (uid) {
+      return uid === SESSION_ID ? session : null;
+    };
+    server.getTree = function (tid) {
+      return server.trees[tid];
+    };
+    server.lockManager = new LockManager();
+    server.getLockManager = function () {
+      return server.lockManager;
+    };
+    server.oplockManager = new OplockManager();
+    server.getOplockManager = function () {
+      return server.oplockManager;
+    };
+    server.shareModeManager = new ShareModeManager();
+    server.getShareModeManager = function () {
+      return server.shareModeManager;
+    };
+    connection = {
+      pendingLogins: {},
+      sessions: {},
+      getSession: function (uid) {
+        return connection.sessions[uid] || null;
+      },
+      asyncRequests: {},
+      nextAsyncId: 1,
+      supportsMultiCredit: false,
+      sequenceWindow: new SequenceWindow(),
+      socket: {
+        destroy: function () {
+          destroyed = true;
+        }
+      },
+      sendRawMessage: function (buf, cb) {
+        sent.push(buf);
+        cb();
+      }
+    };
+    connection.sessions[SESSION_ID] = session;
+    // MessageIds 0 - 15
+    connection.sequenceWindow.grant(15);
+    var share = new SMBShare(server, new TestShare('test', {}));
+    share.connect(session, null, function (err, smbTree) {
+      expect(err).toBeFalsy();
+      tree = smbTree;
+      server.trees[tree.tid] = tree;
+      tree.spiTree.addFile('/test.txt', false, [ 0x68, 0x65, 0x6c, 0x6c, 0x6f ], function (err) {
+        expect(err).toBeFalsy();
+        done();
+      });
+    });
+  });
+
+  it('testRelatedCreateReadClose', function (done) {
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true, 0xffffffff),
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID), true, 0xffffffff)
+    ]), function (responses) {
+      expect(responses.length).toEqual(3);
+      responses.forEach(function (msg) {
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(msg.header.flags.reply).toBeTruthy();
+        // related responses inherit the ids of the previous operation
+        expect(msg.header.treeId).toEqual(tree.tid);
+        expect(msg.header.sessionId.toNumber()).toEqual(SESSION_ID);
+      });
+      expect(responses[1].header.flags.relatedOp).toBeTruthy();
+      var dataOffset = responses[1].body.readUInt8(2) - SMB2.HEADER_LENGTH;
+      var dataLength = responses[1].body.readUInt32LE(4);
+      expect(responses[1].body.slice(dataOffset, dataOffset + dataLength).toString()).toEqual('hello');
+      // the file has been closed by the related close
+      expect(Object.keys(tree.files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testResponsesAligned', function (done) {
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('read', readBody(UNSPECIFIED_FILE_ID, 3), true),
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID), true)
+    ]), function () {
+      var buf = sent[0];
+      var off = 0;
+      var count = 0;
+      for (;;) {
+        count++;
+        var nextCommand = buf.readUInt32LE(off + 20);
+        if (!nextCommand) {
+          break;
+        }
+        expect(nextCommand % 8).toEqual(0);
+        off += nextCommand;
+        expect(off).toBeLessThan(buf.length);
+      }
+      expect(count).toEqual(3);
+      // the last response is not padded
+      expect(buf.length - off).toEqual(SMB2.HEADER_LENGTH + 60);
+      done();
+    });
+  });
+
+  it('testRelatedErrorCascade', function (done) {
+    handle(compound([
+      createMsg('create', createBody('missing.txt', common.FILE_OPEN)),
+      createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true),
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID), true)
+    ]), function (responses) {
+      expect(responses.length).toEqual(3);
+      var status = responses[0].header.status;
+      expect(status).not.toEqual(ntstatus.STATUS_SUCCESS);
+      expect(responses[1].header.status).toEqual(status);
+      expect(responses[2].header.status).toEqual(status);
+      done();
+    });
+  });
+
+  it('testUnrelatedCompound', function (done) {
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID))
+    ]), function (responses) {
+      expect(responses.length).toEqual(2);
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      // unrelated operations don't inherit the FileId
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+      expect(Object.keys(tree.files).length).toEqual(1);
+      done();
+    });
+  });
+
+  it('testFirstOperationRelated', function (done) {
+    handle(compound([
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID), true)
+    ]), function (responses) {
+      expect(responses.length).toEqual(1);
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      done();
+    });
+  });
+
+  it('testInvalidCommand', function (done) {
+    var msg = createMsg('close', closeBody(UNSPECIFIED_FILE_ID));
+    msg.header.commandId = 0x00ff;
+    handle(compound([
+      msg,
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID))
+    ]), function (responses) {
+      expect(responses.length).toEqual(2);
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+      done();
+    });
+  });
+
+  it('testSessionOfOtherConnection', function (done) {
+    // the session is known to the server but has been established on another connection
+    delete connection.sessions[SESSION_ID];
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN))
+    ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_USER_SESSION_DELETED);
+      expect(Object.keys(tree.files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testTreeOfOtherSession', function (done) {
+    // the tree has been connected by another session
+    tree.smbSession = { uid: SESSION_ID + 1 };
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN))
+    ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_NETWORK_NAME_DELETED);
+      expect(Object.keys(tree.files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testCreditsGranted', function (done) {
+    var msg = createMsg('close', closeBody(UNSPECIFIED_FILE_ID));
+    msg.header.creditReqRes = 8;
+    handle(compound([ msg ]), function (responses) {
+      expect(responses[0].header.creditReqRes).toEqual(8);
+      // MessageId 0 has been consumed, MessageIds 1 - 23 are available
+      expect(connection.sequenceWindow.size).toEqual(23);
+      done();
+    });
+  });
+
+  it('testCreditsLimited', function (done) {
+    var msg = createMsg('close', closeBody(UNSPECIFIED_FILE_ID));
+    msg.header.creditReqRes = 1000;
+    handle(compound([ msg ]), function (responses) {
+      expect(responses[0].header.creditReqRes).toEqual(SMB2.MAX_CREDITS - 15);
+      expect(connection.sequenceWindow.size).toEqual(SMB2.MAX_CREDITS);
+      done();
+    });
+  });
+
+  it('testMessageIdOutOfWindow', function (done) {
+    nextMessageId = 16;
+    handler.handleRequest(compound([
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID))
+    ]), connection, server, function (err) {
+      expect(err).toBeTruthy();
+      expect(destroyed).toBeTruthy();
+      expect(sent.length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testMessageIdReused', function (done) {
+    var buf = compound([ createMsg('close', closeBody(UNSPECIFIED_FILE_ID)) ]);
+    handle(buf, function () {
+      handler.handleRequest(buf, connection, server, function (err) {
+        expect(err).toBeTruthy();
+        expect(destroyed).toBeTruthy();
+        done();
+      });
+    });
+  });
+
+  it('testCreditCharge', function (done) {
+    connection.supportsMultiCredit = true;
+    var read = createMsg('read', readBody(UNSPECIFIED_FILE_ID, 0x20000), true);
+    read.header.creditCharge = 1;
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      read
+    ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      // a 128k read needs to be charged with 2 credits
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+      sent = [];
+      read = createMsg('read', readBody(UNSPECIFIED_FILE_ID, 0x20000), true);
+      read.header.creditCharge = 2;
+      nextMessageId++;
+      handle(compound([
+        createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+        read
+      ]), function (responses) {
+        expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        done();
+      });
+    });
+  });
+
+  it('testSignedRequest', function (done) {
+    var key = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+    connection.dialect = SMB2.SMB_3_0_0;
+    session.signingKey = key;
+    handle(sign(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true),
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID), true)
+    ]), SMB2.SMB_3_0_0, key), function (responses) {
+      expect(responses.length).toEqual(3);
+      responses.forEach(function (msg) {
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(msg.header.flags.signed).toBeTruthy();
+      });
+      // every response of the compound is signed individually
+      var buf = sent[0];
+      var off = 0;
+      responses.forEach(function (msg) {
+        var end = msg.header.nextCommand ? off + msg.header.nextCommand : buf.length;
+        expect(signing.verify(SMB2.SMB_3_0_0, key, buf.slice(off, end))).toBeTruthy();
+        off = end;
+      });
+      done();
+    });
+  });
+
+  it('testInvalidSignature', function (done) {
+    var key = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+    connection.dialect = SMB2.SMB_2_1_0;
+    session.signingKey = key;
+    var buf = sign(compound([ createMsg('close', closeBody(UNSPECIFIED_FILE_ID)) ]), SMB2.SMB_2_1_0, key);
+    buf[buf.length - 1] ^= 0xff;
+    handle(buf, function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+      expect(responses[0].header.flags.signed).toBeFalsy();
+      done();
+    });
+  });
+
+  it('testSigningRequired', function (done) {
+    connection.dialect = SMB2.SMB_2_1_0;
+    session.signingKey = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+    session.signingRequired = true;
+    handle(compound([ createMsg('close', closeBody(UNSPECIFIED_FILE_ID)) ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+      done();
+    });
+  });
+
+  it('testUnsignedRequest', function (done) {
+    connection.dialect = SMB2.SMB_2_1_0;
+    session.signingKey = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+    handle(compound([ createMsg('close', closeBody(UNSPECIFIED_FILE_ID)) ]), function (responses) {
+      // signing is optional: the request is processed and the response isn't signed
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_FILE_CLOSED);
+      expect(responses[0].header.flags.signed).toBeFalsy();
+      done();
+    });
+  });
+
+  function setupEncryption() {
+    connection.dialect = SMB2.SMB_3_1_1;
+    connection.cipherId = SMB2.AES_128_GCM;
+    session.signingKey = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+    session.signingRequired = true;
+    session.encryptionKey = new Buffer('101112131415161718191a1b1c1d1e1f', 'hex');
+    session.decryptionKey = new Buffer('202122232425262728292a2b2c2d2e2f', 'hex');
+  }
+
+  it('testEncryptedRequest', function (done) {
+    setupEncryption();
+    var req = transform.encrypt(SMB2.AES_128_GCM, session.decryptionKey, Long.fromNumber(SESSION_ID, true), compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('close', closeBody(UNSPECIFIED_FILE_ID), true)
+    ]));
+    handler.handleEncryptedRequest(req, connection, server, function (err) {
+      expect(err).toBeFalsy();
+      expect(sent.length).toEqual(1);
+      expect(sent[0].slice(0, 4).toString('hex')).toEqual(SMB2.TRANSFORM_PROTOCOL_ID.toString('hex'));
+      var responses = decodeResponses(transform.decrypt(SMB2.AES_128_GCM, session.encryptionKey, sent[0]));
+      expect(responses.length).toEqual(2);
+      responses.forEach(function (msg) {
+        // encrypted requests don't need to be signed, encrypted responses aren't signed
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(msg.header.flags.signed).toBeFalsy();
+      });
+      done();
+    });
+  });
+
+  it('testDecryptionFailure', function (done) {
+    setupEncryption();
+    var req = transform.encrypt(SMB2.AES_128_GCM, session.encryptionKey, Long.fromNumber(SESSION_ID, true),
+      compound([ createMsg('close', closeBody(UNSPECIFIED_FILE_ID)) ]));
+    handler.handleEncryptedRequest(req, connection, server, function (err) {
+      expect(err).toBeTruthy();
+      expect(destroyed).toBeTruthy();
+      expect(sent.length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testUnencryptedRequestOnEncryptedShare', function (done) {
+    setupEncryption();
+    session.signingRequired = false;
+    tree.getShare().spiShare.config.encryptData = true;
+    handle(compound([ createMsg('create', createBody('test.txt', common.FILE_OPEN)) ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+      expect(Object.keys(tree.files).length).toEqual(0);
+      done();
+    });
+  });
+
+  it('testLock', function (done) {
+    // the holder of an exclusive lock may read the locked range
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('lock', lockBody(UNSPECIFIED_FILE_ID, 0, 5, SMB2.LOCKFLAG_EXCLUSIVE_LOCK | SMB2.LOCKFLAG_FAIL_IMMEDIATELY), true),
+      createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true)
+    ]), function (responses) {
+      responses.forEach(function (msg) {
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      });
+      expect(responses[1].body.slice(0, 4).toString('hex')).toEqual('04000000');
+      sent = [];
+      // other opens may neither lock nor read the range
+      handle(compound([
+        createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+        createMsg('lock', lockBody(UNSPECIFIED_FILE_ID, 4, 1, SMB2.LOCKFLAG_SHARED_LOCK | SMB2.LOCKFLAG_FAIL_IMMEDIATELY), true)
+      ]), function (responses) {
+        expect(responses[1].header.status).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+        sent = [];
+        handle(compound([
+          createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+          createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true)
+        ]), function (responses) {
+          expect(responses[1].header.status).toEqual(ntstatus.STATUS_FILE_LOCK_CONFLICT);
+          done();
+        });
+      });
+    });
+  });
+
+  it('testSetInfoShortBuffer', function (done) {
+    handle(compound([ createMsg('create', createBody('test.txt', common.FILE_OPEN)) ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var fileId = responses[0].body.slice(64, 80);
+      sent = [];
+      handle(compound([
+        createMsg('set_info', setInfoBody(fileId, 20, new Buffer([ 0x01, 0x00, 0x00, 0x00 ]))), // FileEndOfFileInformation
+        createMsg('set_info', setInfoBody(fileId, 13, new Buffer(0))), // FileDispositionInformation
+        createMsg('set_info', setInfoBody(fileId, 10, new Buffer(8).fill(0))) // FileRenameInformation
+      ]), function (responses) {
+        responses.forEach(function (msg) {
+          expect(msg.header.status).toEqual(ntstatus.STATUS_INFO_LENGTH_MISMATCH);
+        });
+        done();
+      });
+    });
+  });
+
+  it('testLease', function (done) {
+    var KEY1 = new Buffer('01010101010101010101010101010101', 'hex');
+    var KEY2 = new Buffer('02020202020202020202020202020202', 'hex');
+    var RH = common.LEASE_READ_CACHING | common.LEASE_HANDLE_CACHING;
+    var RWH = RH | common.LEASE_WRITE_CACHING;
+    connection.dialect = SMB2.SMB_2_1_0;
+    connection.clientGuid = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+
+    handle(compound([ createMsg('create', createBody('test.txt', common.FILE_OPEN, KEY1, RWH)) ]), function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(getLeaseState(responses[0])).toEqual(RWH);
+      sent = [];
+      var acknowledged = false;
+      connection.sendRawMessage = function (buf, cb) {
+        sent.push(buf);
+        cb();
+        if (!acknowledged) {
+          acknowledged = true;
+          // the second open waits for the acknowledgement of the break
+          expect(decodeLeaseBreak(sent[0])).toEqual({ ackRequired: true, leaseKey: KEY1.toString('hex'), state: RWH, newState: RH });
+          handler.handleRequest(compound([ createMsg('oplock_break', leaseBreakAckBody(KEY1, RH)) ]), connection, server, function (err) {
+            expect(err).toBeFalsy();
+          });
+        }
+      };
+      // an open with another lease key breaks the write caching of the first lease
+      handler.handleRequest(compound([ createMsg('create', createBody('test.txt', common.FILE_OPEN, KEY2, RWH)) ]), connection, server, function (err) {
+        expect(err).toBeFalsy();
+        expect(sent.length).toEqual(3);
+        var responses = decodeResponses(sent[1]);
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(responses[0].body.slice(8, 24).toString('hex')).toEqual(KEY1.toString('hex'));
+        responses = decodeResponses(sent[2]);
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(getLeaseState(responses[0])).toEqual(RH);
+        sent = [];
+        // a change pushed from the backend breaks all leases
+        tree.notifyChangeListeners(common.FILE_ACTION_MODIFIED, '/');
+        expect(sent.map(decodeLeaseBreak)).toEqual([
+          { ackRequired: true, leaseKey: KEY1.toString('hex'), state: RH, newState: common.LEASE_NONE },
+          { ackRequired: true, leaseKey: KEY2.toString('hex'), state: RH, newState: common.LEASE_NONE }
+        ]);
+        Object.keys(tree.files).forEach(function (fid) {
+          tree.files[fid].releaseOplock();
+        });
+        done();
+      });
+    });
+  });
+
+  it('testDurableHandle', function (done) {
+    var KEY = new Buffer('01010101010101010101010101010101', 'hex');
+    var RH = common.LEASE_READ_CACHING | common.LEASE_HANDLE_CACHING;
+    var DURABLE_REQUEST = { name: SMB2.CREATE_DURABLE_HANDLE_REQUEST, data: new Buffer(16).fill(0) };
+    connection.dialect = SMB2.SMB_2_1_0;
+    connection.clientGuid = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+    session.accountName = 'test';
+    tree.smbSession = session;
+    server.config = {};
+    server.durableOpens = {};
+    [ 'preserveDurableOpens', 'getDurableOpen', 'reclaimDurableOpen', 'closeDurableOpen' ].forEach(function (name) {
+      server[name] = SMBServer.prototype[name];
+    });
+
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN, KEY, RH, [ DURABLE_REQUEST ])),
+      createMsg('lock', lockBody(UNSPECIFIED_FILE_ID, 0, 5, SMB2.LOCKFLAG_EXCLUSIVE_LOCK | SMB2.LOCKFLAG_FAIL_IMMEDIATELY), true)
+    ]), function (responses) {
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      expect(getResponseContexts(responses[0]).map(function (context) {
+        return context.name;
+      })).toEqual([ SMB2.CREATE_REQUEST_LEASE, SMB2.CREATE_DURABLE_HANDLE_REQUEST ]);
+      var fileId = responses[0].body.slice(64, 80);
+      var lockKey = tree.getFileByFileId(fileId).getLockKey();
+
+      // the connection is lost: the open and its lock survive the session
+      server.preserveDurableOpens(session);
+      tree.disconnect();
+      expect(Object.keys(tree.files).length).toEqual(0);
+      expect(server.lockManager.lock(lockKey, 'other', 0, 5, false)).toEqual(ntstatus.STATUS_LOCK_NOT_GRANTED);
+
+      // the client establishes a new tree connection to the same share
+      var newTree = new SMBTree(server, tree.getShare(), tree.spiTree, session);
+      server.trees[newTree.tid] = newTree;
+      var reconnect = { name: SMB2.CREATE_DURABLE_HANDLE_RECONNECT, data: fileId };
+      sent = [];
+      handle(compound([
+        createMsg('create', createBody('test.txt', common.FILE_OPEN, KEY, RH, [ reconnect ]), false, newTree.tid),
+        createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true, newTree.tid)
+      ]), function (responses) {
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        // the client reclaimed the open with its FileId, lease and lock
+        expect(responses[0].body.readUInt32LE(4)).toEqual(common.FILE_OPENED);
+        expect(responses[0].body.slice(64, 80).toString('hex')).toEqual(fileId.toString('hex'));
+        expect(getLeaseState(responses[0])).toEqual(RH);
+        expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(newTree.getFileByFileId(fileId).getTree()).toBe(newTree);
+        expect(server.durableOpens).toEqual({});
+        sent = [];
+        // the open can only be reclaimed once
+        handle(compound([
+          createMsg('create', createBody('test.txt', common.FILE_OPEN, KEY, RH, [ reconnect ]), false, newTree.tid)
+        ]), function (responses) {
+          expect(responses[0].header.status).toEqual(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND);
+          newTree.closeFileByFileId(fileId, function (err) {
+            expect(err).toBeFalsy();
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('testDurableHandleTimeout', function (done) {
+    var KEY = new Buffer('01010101010101010101010101010101', 'hex');
+    var RH = common.LEASE_READ_CACHING | common.LEASE_HANDLE_CACHING;
+    connection.dialect = SMB2.SMB_2_1_0;
+    session.accountName = 'test';
+    tree.smbSession = session;
+    server.config = { durableHandleTimeout: 10 };
+    server.durableOpens = {};
+    [ 'preserveDurableOpens', 'closeDurableOpen' ].forEach(function (name) {
+      server[name] = SMBServer.prototype[name];
+    });
+
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN, KEY, RH, [ { name: SMB2.CREATE_DURABLE_HANDLE_REQUEST, data: new Buffer(16).fill(0) } ])),
+      createMsg('lock', lockBody(UNSPECIFIED_FILE_ID, 0, 5, SMB2.LOCKFLAG_EXCLUSIVE_LOCK | SMB2.LOCKFLAG_FAIL_IMMEDIATELY), true)
+    ]), function (responses) {
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      server.preserveDurableOpens(session);
+      tree.disconnect();
+      expect(Object.keys(server.durableOpens).length).toEqual(1);
+      setTimeout(function () {
+        // the open has been closed, releasing its lock
+        expect(server.durableOpens).toEqual({});
+        expect(server.lockManager.lock('test:/test.txt', 'other', 0, 5, false)).toEqual(ntstatus.STATUS_SUCCESS);
+        done();
+      }, 50);
+    });
+  });
+
+  it('testCopyChunk', function (done) {
+    server.getFileByResumeKey = SMBServer.prototype.getFileByResumeKey;
+    var RESUME_KEY = SMB2.STRING_TO_FSCTL['fsctl_srv_request_resume_key'];
+    var COPYCHUNK = SMB2.STRING_TO_FSCTL['fsctl_srv_copychunk'];
+
+    handle(compound([
+      createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+      createMsg('ioctl', ioctlBody(RESUME_KEY, UNSPECIFIED_FILE_ID, new Buffer(0), 32), true)
+    ]), function (responses) {
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      var resumeKey = getIoctlOutput(responses[1]).slice(0, 24);
+      sent = [];
+      // whole-file copy to a new file
+      handle(compound([
+        createMsg('create', createBody('copy.txt', common.FILE_CREATE)),
+        createMsg('ioctl', ioctlBody(COPYCHUNK, UNSPECIFIED_FILE_ID, copyChunkInput(resumeKey, [ [ 0, 0, 5 ] ]), 12), true),
+        createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true)
+      ]), function (responses) {
+        expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        var output = getIoctlOutput(responses[1]);
+        expect(output.readUInt32LE(0)).toEqual(1); // ChunksWritten
+        expect(output.readUInt32LE(8)).toEqual(5); // TotalBytesWritten
+        expect(responses[2].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        var dataOffset = responses[2].body.readUInt8(2) - SMB2.HEADER_LENGTH;
+        expect(responses[2].body.slice(dataOffset, dataOffset + 5).toString()).toEqual('hello');
+        sent = [];
+        // partial copy
+        handle(compound([
+          createMsg('create', createBody('part.txt', common.FILE_CREATE)),
+          createMsg('ioctl', ioctlBody(COPYCHUNK, UNSPECIFIED_FILE_ID, copyChunkInput(resumeKey, [ [ 1, 0, 3 ] ]), 12), true),
+          createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true)
+        ]), function (responses) {
+          expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+          expect(getIoctlOutput(responses[1]).readUInt32LE(8)).toEqual(3);
+          var dataOffset = responses[2].body.readUInt8(2) - SMB2.HEADER_LENGTH;
+          expect(responses[2].body.slice(dataOffset, dataOffset + responses[2].body.readUInt32LE(4)).toString()).toEqual('ell');
+          sent = [];
+          // whole-file copy to a file whose end of file has already been set to the source size
+          var eof = new Buffer(8);
+          eof.fill(0);
+          eof.writeUInt32LE(5, 0);
+          handle(compound([
+            createMsg('create', createBody('sized.txt', common.FILE_CREATE)),
+            createMsg('set_info', setInfoBody(UNSPECIFIED_FILE_ID, 20, eof), true),
+            createMsg('ioctl', ioctlBody(COPYCHUNK, UNSPECIFIED_FILE_ID, copyChunkInput(resumeKey, [ [ 0, 0, 5 ] ]), 12), true),
+            createMsg('read', readBody(UNSPECIFIED_FILE_ID, 5), true)
+          ]), function (responses) {
+            expect(responses[1].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+            expect(responses[2].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+            expect(getIoctlOutput(responses[2]).readUInt32LE(8)).toEqual(5);
+            var dataOffset = responses[3].body.readUInt8(2) - SMB2.HEADER_LENGTH;
+            expect(responses[3].body.slice(dataOffset, dataOffset + 5).toString()).toEqual('hello');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('testCopyChunkRenameFailure', function (done) {
+    server.getFileByResumeKey = SMBServer.prototype.getFileByResumeKey;
+    var RESUME_KEY = SMB2.STRING_TO_FSCTL['fsctl_srv_request_resume_key'];
+    var COPYCHUNK = SMB2.STRING_TO_FSCTL['fsctl_srv_copychunk'];
+    var rename = tree.spiTree.rename;
+    tree.spiTree.rename = function (oldName, newName, cb) {
+      if (oldName.indexOf('.~copy') !== -1) {
+        cb(new SMBError(ntstatus.STATUS_ACCESS_DENIED));
+        return;
+      }
+      rename.apply(this, arguments);
+    };
+
+    tree.spiTree.addFile('/other.txt', false, [ 0x6f, 0x74, 0x68, 0x65, 0x72 ], function (err) {
+      expect(err).toBeFalsy();
+      handle(compound([
+        createMsg('create', createBody('test.txt', common.FILE_OPEN)),
+        createMsg('ioctl', ioctlBody(RESUME_KEY, UNSPECIFIED_FILE_ID, new Buffer(0), 32), true)
+      ]), function (responses) {
+        var resumeKey = getIoctlOutput(responses[1]).slice(0, 24);
+        sent = [];
+        handle(compound([
+          createMsg('create', createBody('other.txt', common.FILE_OPEN)),
+          createMsg('ioctl', ioctlBody(COPYCHUNK, UNSPECIFIED_FILE_ID, copyChunkInput(resumeKey, [ [ 0, 0, 5 ] ]), 12), true)
+        ]), function (responses) {
+          expect(responses[1].header.status).toEqual(ntstatus.STATUS_ACCESS_DENIED);
+          var fileId = responses[0].body.slice(64, 80);
+          sent = [];
+          // the target file is left untouched
+          handle(compound([
+            createMsg('read', readBody(fileId, 5))
+          ]), function (responses) {
+            expect(responses[0].header.status).toEqual(ntstatus.STATUS_SUCCESS);
+            var dataOffset = responses[0].body.readUInt8(2) - SMB2.HEADER_LENGTH;
+            expect(responses[0].body.slice(dataOffset, dataOffset + 5).toString()).toEqual('other');
+            tree.spiTree.list('/*', function (err, files) {
+              expect(err).toBeFalsy();
+              expect(_.map(files, function (file) { return file.getName(); }).sort()).toEqual([ 'other.txt', 'test.txt' ]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('testCopyChunkInvalid', function (done) {
+    server.getFileByResumeKey = SMBServer.prototype.getFileByResumeKey;
+    var COPYCHUNK = SMB2.STRING_TO_FSCTL['fsctl_srv_copychunk'];
+    var chunks = [];
+    for (var i = 0; i <= common.COPYCHUNK_MAX_CHUNK_COUNT; i++) {
+      chunks.push([ 0, 0, 1 ]);
+    }
+
+    handle(compound([
+      createMsg('create', createBody('copy.txt', common.FILE_CREATE)),
+      createMsg('ioctl', ioctlBody(COPYCHUNK, UNSPECIFIED_FILE_ID, copyChunkInput(new Buffer(24).fill(0), [ [ 0, 0, 5 ] ]), 12), true)
+    ]), function (responses) {
+      // unknown resume key
+      expect(responses[1].header.status).toEqual(ntstatus.STATUS_OBJECT_NAME_NOT_FOUND);
+      var fileId = responses[0].body.slice(64, 80);
+      sent = [];
+      handle(compound([
+        createMsg('ioctl', ioctlBody(COPYCHUNK, fileId, copyChunkInput(new Buffer(24).fill(0), chunks), 12))
+      ]), function (responses) {
+        // too many chunks: the server returns its limits
+        expect(responses[0].header.status).toEqual(ntstatus.STATUS_INVALID_PARAMETER);
+        var output = getIoctlOutput(responses[0]);
+        expect(output.readUInt32LE(0)).toEqual(common.COPYCHUNK_MAX_CHUNK_COUNT);
+        expect(output.readUInt32LE(4)).toEqual(common.COPYCHUNK_MAX_CHUNK_SIZE);
+        expect(output.readUInt32LE(8)).toEqual(common.COPYCHUNK_MAX_TOTAL_SIZE);
+        done();
+      });
+    });
+  });
+
+  it('testChangeNotify', function (done) {
+    var NAME = common.FILE_NOTIFY_CHANGE_FILE_NAME;
+    // dummy refresh notifications are disabled by default
+    expect(tree.getShare().getRefreshInterval()).toEqual(0);
+
+    openDirectory('/dir', function (fileId) {
+      // a change is reported to the pending request
+      changeNotify(fileId, NAME, 1024, function () {
+        tree.createFile('/dir/new.txt', function (err) {
+          expect(err).toBeFalsy();
+        });
+      }, function (msg) {
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(getNotifyEntries(msg)).toEqual([ [ common.FILE_ACTION_ADDED, 'new.txt' ] ]);
+        // changes occurring while no request is pending are buffered; changes not matching the filter are ignored
+        async.series([
+          function (callback) {
+            tree.createDirectory('/dir/sub', callback);
+          },
+          function (callback) {
+            tree.rename('/dir/new.txt', '/dir/renamed.txt', callback);
+          },
+          function (callback) {
+            tree.createFile('/other.txt', callback);
+          },
+          function (callback) {
+            tree.delete('/dir/renamed.txt', callback);
+          }
+        ], function (err) {
+          expect(err).toBeFalsy();
+          changeNotify(fileId, NAME, 1024, _.noop, function (msg) {
+            expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+            expect(getNotifyEntries(msg)).toEqual([
+              [ common.FILE_ACTION_RENAMED_OLD_NAME, 'new.txt' ],
+              [ common.FILE_ACTION_RENAMED_NEW_NAME, 'renamed.txt' ],
+              [ common.FILE_ACTION_REMOVED, 'renamed.txt' ]
+            ]);
+            // too many changes: the client has to enumerate the directory
+            for (var i = 0; i < 300; i++) {
+              tree.notifyChangeListeners(common.FILE_ACTION_ADDED, '/dir/file' + i);
+            }
+            changeNotify(fileId, NAME, 1024, _.noop, function (msg) {
+              expect(msg.header.status).toEqual(ntstatus.STATUS_NOTIFY_ENUM_DIR);
+              // the changes don't fit into the output buffer
+              changeNotify(fileId, NAME, 8, function () {
+                tree.notifyChangeListeners(common.FILE_ACTION_ADDED, '/dir/file');
+              }, function (msg) {
+                expect(msg.header.status).toEqual(ntstatus.STATUS_NOTIFY_ENUM_DIR);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('testChangeNotifyRefresh', function (done) {
+    // opt-in
+    tree.getShare().spiShare.config.refreshInterval = 10;
+
+    openDirectory('/dir', function (fileId) {
+      // nothing changed within the refresh interval: the client is told to refresh the directory
+      changeNotify(fileId, common.FILE_NOTIFY_CHANGE_FILE_NAME, 1024, _.noop, function (msg) {
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(getNotifyEntries(msg)).toEqual([ [ common.FILE_ACTION_MODIFIED, '' ] ]);
+        done();
+      });
+    });
+  });
+
+  it('testChangeNotifyBackendChange', function (done) {
+    var events = [];
+    server.on('fileCreated', function (shareName, name) {
+      events.push([ shareName, name ]);
+    });
+
+    openDirectory('/dir', function (fileId) {
+      // changes made in the backend are reported to the clients and emitted as server events
+      changeNotify(fileId, common.FILE_NOTIFY_CHANGE_FILE_NAME, 1024, function () {
+        tree.getShare().spiShare.emit('change', common.FILE_ACTION_ADDED, '/dir/external.txt', null, false);
+      }, function (msg) {
+        expect(msg.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        expect(getNotifyEntries(msg)).toEqual([ [ common.FILE_ACTION_ADDED, 'external.txt' ] ]);
+        expect(events).toEqual([ [ 'test', '/dir/external.txt' ] ]);
+        done();
+      });
+    });
+  });
+});
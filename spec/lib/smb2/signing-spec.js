@@ -0,0 +1,148 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var crypto = require('crypto');
+
+var signing = require('../../../lib/smb2/signing');
+var SMB2 = require('../../../lib/smb2/constants');
+var ntlm = require('../../../lib/ntlm');
+var ntlmssp = require('../../../lib/ntlmssp');
+
+describe('SMB2 signing', function () {
+
+  function hex(str) {
+    return new Buffer(str.replace(/ /g, ''), 'hex');
+  }
+
+  function createMsg() {
+    var buf = new Buffer(SMB2.HEADER_LENGTH + 24).fill(0);
+    SMB2.PROTOCOL_ID.copy(buf);
+    buf.writeUInt16LE(SMB2.HEADER_LENGTH, 4); // StructureSize
+    buf.writeUInt16LE(0x0006, 12); // Command (CLOSE)
+    buf.writeUInt32LE(7, 24); // MessageId
+    buf.writeUInt32LE(1, 40); // SessionId
+    buf.writeUInt16LE(24, SMB2.HEADER_LENGTH); // StructureSize
+    return buf;
+  }
+
+  it('testAesCmac', function () {
+    // RFC 4493, 4. Test Vectors
+    var key = hex('2b7e1516 28aed2a6 abf71588 09cf4f3c');
+    var data = hex('6bc1bee2 2e409f96 e93d7e11 7393172a ae2d8a57 1e03ac9c 9eb76fac 45af8e51' +
+      '30c81c46 a35ce411 e5fbc119 1a0a52ef f69f2445 df4f9b17 ad2b417b e66c3710');
+    expect(signing.aesCmac(key, data.slice(0, 0)).toString('hex')).toEqual('bb1d6929e95937287fa37d129b756746');
+    expect(signing.aesCmac(key, data.slice(0, 16)).toString('hex')).toEqual('070a16b46b4d4144f79bdd9dd04a287c');
+    expect(signing.aesCmac(key, data.slice(0, 40)).toString('hex')).toEqual('dfa66747de9ae63030ca32611497c827');
+    expect(signing.aesCmac(key, data).toString('hex')).toEqual('51f0bebf7e3b9d92fc49741779363cfe');
+  });
+
+  it('testNTLMv2SessionKey', function () {
+    // MS-NLMP 4.2.4 NTLMv2 Authentication
+    var responseKeyNT = hex('0c868a403bfd7a93a3001ef22ef02e3f');
+    var ntProofStr = hex('68cd0ab851e51c96aabc927bebef6a1c');
+    var sessionBaseKey = ntlm.ntlm2.calculateSessionBaseKey(responseKeyNT, ntProofStr);
+    expect(sessionBaseKey.toString('hex')).toEqual('8de40ccadbc14a82f15cb0ad0de95ca3');
+
+    // key exchange: the random session key is encrypted with the key exchange key (= session base key)
+    var encryptedRandomSessionKey = hex('c5dad2544fc9799094ce1ce90bc9d03e');
+    expect(ntlmssp.calculateExportedSessionKey(ntlmssp.NTLMSSP_NEGOTIATE_KEY_EXCH, sessionBaseKey, encryptedRandomSessionKey).toString('hex'))
+      .toEqual('55555555555555555555555555555555');
+    // no key exchange
+    expect(ntlmssp.calculateExportedSessionKey(0, sessionBaseKey, encryptedRandomSessionKey).toString('hex')).toEqual(sessionBaseKey.toString('hex'));
+  });
+
+  it('testNTLMv1KeyExchangeKey', function () {
+    // MS-NLMP 4.2.2 and 4.2.3 NTLMv1 Authentication
+    var sessionBaseKey = hex('d87262b0cde4b1cb7499becccdf10784');
+    var challenge = hex('0123456789abcdef');
+    var lmResponse = hex('aaaaaaaaaaaaaaaa 00000000000000000000000000000000');
+    var ntResponse = hex('7537f803ae367128ca458204bde7caf81e97ed2683267232');
+    expect(ntlmssp.calculateKeyExchangeKey(0, sessionBaseKey, challenge, lmResponse, ntResponse).toString('hex'))
+      .toEqual(sessionBaseKey.toString('hex'));
+    // extended session security: derived from the server and client challenges
+    expect(ntlmssp.calculateKeyExchangeKey(ntlmssp.NTLMSSP_NEGOTIATE_EXTENDED_SESSIONSECURITY, sessionBaseKey, challenge, lmResponse, ntResponse).toString('hex'))
+      .toEqual('eb93429a8bd952f8b89c55b87f475edc');
+    // LM based key exchange keys are not supported
+    expect(ntlmssp.calculateKeyExchangeKey(ntlmssp.NTLMSSP_NEGOTIATE_LM_KEY, sessionBaseKey, challenge, lmResponse, ntResponse)).toBeNull();
+    expect(ntlmssp.calculateKeyExchangeKey(ntlmssp.NTLMSSP_REQUEST_NON_NT_SESSION_KEY, sessionBaseKey, challenge, lmResponse, ntResponse)).toBeNull();
+  });
+
+  it('testDeriveKey', function () {
+    // MS Open Specifications blog, "SMB 2 and SMB 3 security in Windows 10: the anatomy of signing
+    // and cryptographic keys", SMB 3.0 example
+    var sessionKey = hex('7CD451825D0450D235424E44BA6E78CC');
+    var signingKey = '0b7e9c5cac36c0f6ea9ab275298cedce';
+    expect(signing.deriveKey(sessionKey, new Buffer('SMB2AESCMAC\0'), new Buffer('SmbSign\0')).toString('hex')).toEqual(signingKey);
+    expect(signing.createSigningKey(SMB2.SMB_3_0_0, sessionKey).toString('hex')).toEqual(signingKey);
+    expect(signing.createSigningKey(SMB2.SMB_3_0_2, sessionKey).toString('hex')).toEqual(signingKey);
+
+    // MS Open Specifications blog, "Encryption in SMB 3.0: A protocol perspective"
+    sessionKey = hex('B4546771B515F766A86735532DD6C4F0');
+    expect(signing.deriveKey(sessionKey, new Buffer('SMB2AESCCM\0'), new Buffer('ServerIn \0')).toString('hex')).toEqual('261b72350558f2e9dcf613070383edbf');
+    expect(signing.deriveKey(sessionKey, new Buffer('SMB2AESCCM\0'), new Buffer('ServerOut\0')).toString('hex')).toEqual('8fe2b57ec34d2db5b1a9727f526bbdb5');
+  });
+
+  it('testSigningKey', function () {
+    var sessionKey = hex('000102030405060708090a0b0c0d0e0f');
+    // SMB 2.x: the session key is used as is
+    expect(signing.createSigningKey(SMB2.SMB_2_1_0, sessionKey).toString('hex')).toEqual(sessionKey.toString('hex'));
+    // SMB 3.1.1: the key derivation context is the preauth integrity hash of the session
+    var hash = crypto.randomBytes(64);
+    var expected = signing.deriveKey(sessionKey, new Buffer('SMBSigningKey\0'), hash);
+    expect(signing.createSigningKey(SMB2.SMB_3_1_1, sessionKey, hash).toString('hex')).toEqual(expected.toString('hex'));
+    // short session keys are zero-padded
+    expect(signing.createSigningKey(SMB2.SMB_2_1_0, sessionKey.slice(0, 8)).toString('hex')).toEqual('00010203040506070000000000000000');
+  });
+
+  it('testSignHmacSha256', function () {
+    var key = hex('000102030405060708090a0b0c0d0e0f');
+    var msg = createMsg();
+    signing.sign(SMB2.SMB_2_1_0, key, msg);
+    expect(msg.readUInt32LE(16) & SMB2.FLAGS_SIGNED).toEqual(SMB2.FLAGS_SIGNED);
+    // the first 16 bytes of the HMAC-SHA256 of the message, including the SMB2_FLAGS_SIGNED flag
+    expect(msg.slice(48, 64).toString('hex')).toEqual('ddba82b7b8fee44e45e3d715620ce43f');
+    expect(signing.verify(SMB2.SMB_2_1_0, key, msg)).toBeTruthy();
+  });
+
+  it('testSignAesCmac', function () {
+    // signing key of the SMB 3.0 example (see testDeriveKey)
+    var key = signing.createSigningKey(SMB2.SMB_3_0_0, hex('7CD451825D0450D235424E44BA6E78CC'));
+    var msg = createMsg();
+    signing.sign(SMB2.SMB_3_0_0, key, msg);
+    expect(msg.readUInt32LE(16) & SMB2.FLAGS_SIGNED).toEqual(SMB2.FLAGS_SIGNED);
+    // the AES-CMAC of the message, including the SMB2_FLAGS_SIGNED flag
+    expect(msg.slice(48, 64).toString('hex')).toEqual('b003501dc674d06d46b4a53c9475c55e');
+    expect(signing.verify(SMB2.SMB_3_0_0, key, msg)).toBeTruthy();
+    // HMAC-SHA256 signature doesn't verify with SMB 3.x
+    expect(signing.verify(SMB2.SMB_2_1_0, key, msg)).toBeFalsy();
+  });
+
+  it('testVerifyTampered', function () {
+    var key = hex('000102030405060708090a0b0c0d0e0f');
+    var msg = createMsg();
+    signing.sign(SMB2.SMB_3_0_2, key, msg);
+    var sig = new Buffer(16);
+    msg.copy(sig, 0, 48, 64);
+    msg[SMB2.HEADER_LENGTH + 8] ^= 0x01;
+    expect(signing.verify(SMB2.SMB_3_0_2, key, msg)).toBeFalsy();
+    // verification doesn't modify the message
+    expect(msg.slice(48, 64).toString('hex')).toEqual(sig.toString('hex'));
+  });
+
+  it('testClear', function () {
+    var key = hex('000102030405060708090a0b0c0d0e0f');
+    var msg = createMsg();
+    signing.sign(SMB2.SMB_2_1_0, key, msg);
+    signing.clear(msg);
+    expect(msg.toString('hex')).toEqual(createMsg().toString('hex'));
+  });
+});
@@ -0,0 +1,566 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var Long = require('long');
+var put = require('put');
+var tmp = require('temp').track();
+
+var SMBServer = require('../../../lib/smbserver');
+var SMBConnection = require('../../../lib/smbconnection');
+var handler = require('../../../lib/smb2/handler');
+var message = require('../../../lib/smb2/message');
+var ntlmssp = require('../../../lib/ntlmssp');
+var SMB2 = require('../../../lib/smb2/constants');
+var ntstatus = require('../../../lib/ntstatus');
+
+/**
+ * Drives the SMB2 command handlers of a server with an fs share named 'test' through a single client
+ * connection, i.e. requests are processed by <code>handler.handleRequest</code> the same way they would
+ * be if they had been received on the wire.
+ */
+function SMB2Common() {
+  var self = this;
+
+  // root directory of the 'test' share
+  self.root = tmp.mkdirSync('smb2');
+  // accounts accepted by the authenticator
+  self.accounts = [ 'user', 'other' ];
+  // sessions handed out by the authenticator
+  self.spiSessions = [];
+
+  var authenticator = {
+    authenticate: function (challenge, lmResponse, ntResponse, domain, accountName, cb) {
+      if (self.accounts.indexOf(accountName) === -1) {
+        cb('unknown account: ' + accountName);
+        return;
+      }
+      var spiSession = {
+        accountName: accountName,
+        loggedOff: false,
+        logoff: function () {
+          spiSession.loggedOff = true;
+        }
+      };
+      self.spiSessions.push(spiSession);
+      cb(null, spiSession, new Buffer(16).fill(self.spiSessions.length));
+    }
+  };
+
+  self.server = new SMBServer({ shares: { test: { backend: 'fs', path: self.root } } }, authenticator);
+
+  self.socket = new EventEmitter();
+  self.socket.destroyed = false;
+  self.socket.destroy = function () {
+    self.socket.destroyed = true;
+  };
+  self.connection = new SMBConnection(self.socket, self.server);
+  self.connection.dialect = SMB2.SMB_2_1_0;
+  // MessageIds 0 - 15; every response grants a further credit
+  self.connection.sequenceWindow.grant(15);
+
+  // responses sent by the server
+  self.sent = [];
+  // callbacks receiving the final responses of async requests (key: AsyncId)
+  self.asyncCallbacks = {};
+  self.connection.sendRawMessage = function (buf, cb) {
+    var msg = message.decode(buf);
+    var onFinal = msg.header.flags.async && self.asyncCallbacks[msg.header.asyncId.toNumber()];
+    if (onFinal && msg.header.status !== ntstatus.STATUS_PENDING) {
+      // out-of-band final response of an async request
+      delete self.asyncCallbacks[msg.header.asyncId.toNumber()];
+      cb();
+      onFinal(msg);
+      return;
+    }
+    self.sent.push(buf);
+    cb();
+  };
+
+  self.nextMessageId = 0;
+  // ids used by default by createMsg
+  self.sessionId = 0;
+  self.treeId = 0;
+
+  /**
+   * Creates a request.
+   *
+   * @param {String} command
+   * @param {Buffer} body
+   * @param {Object} [opts] optional header values
+   * @param {Number} [opts.sessionId] SessionId (default: <code>self.sessionId</code>)
+   * @param {Number} [opts.treeId] TreeId (default: <code>self.treeId</code>)
+   * @param {Boolean} [opts.related] related operation
+   * @param {Number} [opts.messageId] MessageId (default: the next MessageId)
+   * @param {Number} [opts.asyncId] AsyncId of an async request (e.g. to be cancelled)
+   * @return {Object} request message
+   */
+  self.createMsg = function (command, body, opts) {
+    opts = opts || {};
+    return {
+      protocolId: SMB2.PROTOCOL_ID,
+      header: {
+        commandId: parseInt(SMB2.STRING_TO_COMMAND[command]),
+        status: 0,
+        creditCharge: 1,
+        creditReqRes: 1,
+        flags: { relatedOp: !!opts.related, async: !!opts.asyncId, priorityMask: 0 },
+        nextCommand: 0,
+        messageId: Long.fromNumber(opts.messageId === undefined ? self.nextMessageId++ : opts.messageId, true),
+        asyncId: opts.asyncId ? Long.fromNumber(opts.asyncId, true) : null,
+        treeId: opts.treeId === undefined ? self.treeId : opts.treeId,
+        sessionId: Long.fromNumber(opts.sessionId === undefined ? self.sessionId : opts.sessionId, true),
+        signature: new Buffer(16).fill(0)
+      },
+      body: body
+    };
+  };
+
+  /**
+   * Encodes requests as a compound request.
+   *
+   * @param {Object[]} msgs
+   * @return {Buffer}
+   */
+  self.compound = function (msgs) {
+    var out = put();
+    msgs.forEach(function (msg, i) {
+      var buf = message.encode(msg);
+      if (i < msgs.length - 1) {
+        var pad = (8 - (buf.length % 8)) % 8;
+        buf.writeUInt32LE(buf.length + pad, 20); // NextCommand
+        out.put(buf).pad(pad);
+      } else {
+        out.put(buf);
+      }
+    });
+    return out.buffer();
+  };
+
+  /**
+   * Decodes a (compound) response.
+   *
+   * @param {Buffer} buf
+   * @return {Object[]} response messages
+   */
+  self.decodeResponses = function (buf) {
+    var result = [];
+    var msg;
+    do {
+      msg = message.decode(buf);
+      result.push(msg);
+      buf = buf.slice(msg.header.nextCommand);
+    } while (msg.header.nextCommand);
+    return result;
+  };
+
+  /**
+   * Processes requests (sent as a compound request if more than one) and returns their responses.
+   *
+   * @param {Object[]} msgs
+   * @param {Function} cb
+   * @param {Object[]} cb.responses
+   */
+  self.handle = function (msgs, cb) {
+    self.sent = [];
+    handler.handleRequest(self.compound(msgs), self.connection, self.server, function (err) {
+      expect(err).toBeFalsy();
+      expect(self.sent.length).toEqual(1);
+      cb(self.decodeResponses(self.sent[0]));
+    });
+  };
+
+  /**
+   * Processes an async request, i.e. a request answered by an interim STATUS_PENDING response
+   * followed by an out-of-band final response.
+   *
+   * @param {Object[]} msgs request (or compound request)
+   * @param {Function} onInterim called with the responses sent immediately
+   * @param {Function} onFinal called with the final response of the async request
+   */
+  self.handleAsync = function (msgs, onInterim, onFinal) {
+    self.handle(msgs, function (responses) {
+      var interim = responses[responses.length - 1];
+      expect(interim.header.status).toEqual(ntstatus.STATUS_PENDING);
+      expect(interim.header.flags.async).toBeTruthy();
+      self.asyncCallbacks[interim.header.asyncId.toNumber()] = onFinal;
+      onInterim(responses);
+    });
+  };
+
+  /**
+   * Processes a CANCEL request. The server doesn't respond to CANCEL requests.
+   *
+   * @param {Object} msg CANCEL request
+   * @param {Function} cb
+   */
+  self.cancel = function (msg, cb) {
+    self.sent = [];
+    handler.handleRequest(self.compound([ msg ]), self.connection, self.server, function (err) {
+      expect(err).toBeFalsy();
+      expect(self.sent.length).toEqual(0);
+      cb();
+    });
+  };
+
+  /**
+   * Processes a single request using the current SessionId and TreeId.
+   *
+   * @param {String} command
+   * @param {Buffer} body
+   * @param {Function} cb
+   * @param {Object} cb.response
+   */
+  self.request = function (command, body, cb) {
+    self.handle([ self.createMsg(command, body) ], function (responses) {
+      cb(responses[0]);
+    });
+  };
+
+  /**
+   * Creates a minimal NTLMSSP_NEGOTIATE message.
+   *
+   * @return {Buffer}
+   */
+  self.negotiateToken = function () {
+    return put()
+      .put(ntlmssp.NTLMSSP_SIGNATURE) // Signature
+      .word32le(ntlmssp.NTLMSSP_NEGOTIATE_MESSAGE) // MessageType
+      .word32le(ntlmssp.NTLMSSP_NEGOTIATE_UNICODE | ntlmssp.NTLMSSP_NEGOTIATE_NTLM) // NegotiateFlags
+      .buffer();
+  };
+
+  /**
+   * Creates an NTLMSSP_AUTHENTICATE message. The responses are not verified by the authenticator.
+   *
+   * @param {String} accountName
+   * @param {Number} [flags] additional NegotiateFlags
+   * @return {Buffer}
+   */
+  self.authenticateToken = function (accountName, flags) {
+    var lmResponse = new Buffer(24).fill(0);
+    var ntResponse = new Buffer(24).fill(0x11);
+    var domain = new Buffer('DOMAIN', 'utf16le');
+    var user = new Buffer(accountName, 'utf16le');
+    var workstation = new Buffer('CLIENT', 'utf16le');
+    var off = ntlmssp.NTLMSSP_AUTHENTICATE_MIN_MSG_LENGTH;
+    var out = put()
+      .put(ntlmssp.NTLMSSP_SIGNATURE) // Signature
+      .word32le(ntlmssp.NTLMSSP_AUTHENTICATE_MESSAGE); // MessageType
+    [ lmResponse, ntResponse, domain, user, workstation, new Buffer(0) ].forEach(function (field) {
+      out.word16le(field.length) // Len
+        .word16le(field.length) // MaxLen
+        .word32le(off); // BufferOffset
+      off += field.length;
+    });
+    return out.word32le(ntlmssp.NTLMSSP_NEGOTIATE_UNICODE | ntlmssp.NTLMSSP_NEGOTIATE_NTLM | (flags || 0)) // NegotiateFlags
+      .pad(8) // Version
+      .pad(16) // MIC
+      .put(lmResponse)
+      .put(ntResponse)
+      .put(domain)
+      .put(user)
+      .put(workstation)
+      .buffer();
+  };
+
+  self.sessionSetupBody = function (token, flags) {
+    return put()
+      .word16le(25) // StructureSize
+      .word8(flags || 0) // Flags
+      .word8(SMB2.NEGOTIATE_SIGNING_ENABLED) // SecurityMode
+      .word32le(0) // Capabilities
+      .word32le(0) // Channel
+      .word16le(SMB2.HEADER_LENGTH + 24) // SecurityBufferOffset
+      .word16le(token.length) // SecurityBufferLength
+      .pad(8) // PreviousSessionId
+      .put(token)
+      .buffer();
+  };
+
+  self.logoffBody = function () {
+    return put()
+      .word16le(4) // StructureSize
+      .word16le(0) // Reserved
+      .buffer();
+  };
+
+  /**
+   * Authenticates an account in two SESSION_SETUP round trips.
+   *
+   * @param {String} accountName
+   * @param {Number} sessionId 0 to establish a new session, the SessionId of the session to be re-authenticated otherwise
+   * @param {Function} cb
+   * @param {Object} cb.response the final SESSION_SETUP response
+   */
+  self.sessionSetup = function (accountName, sessionId, cb) {
+    self.handle([ self.createMsg('session_setup', self.sessionSetupBody(self.negotiateToken()), { sessionId: sessionId }) ], function (responses) {
+      expect(responses[0].header.status).toEqual(ntstatus.STATUS_MORE_PROCESSING_REQUIRED);
+      var msg = self.createMsg('session_setup', self.sessionSetupBody(self.authenticateToken(accountName)), { sessionId: responses[0].header.sessionId.toNumber() });
+      self.handle([ msg ], function (responses) {
+        cb(responses[0]);
+      });
+    });
+  };
+
+  /**
+   * Establishes a new session for the account 'user' and uses it for subsequent requests.
+   *
+   * @param {Function} cb
+   * @param {Number} cb.sessionId
+   */
+  self.login = function (cb) {
+    self.sessionSetup('user', 0, function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      self.sessionId = response.header.sessionId.toNumber();
+      cb(self.sessionId);
+    });
+  };
+
+  self.treeConnectBody = function (shareName) {
+    var path = new Buffer('\\\\localhost\\' + shareName, 'utf16le');
+    return put()
+      .word16le(9) // StructureSize
+      .word16le(0) // Reserved
+      .word16le(SMB2.HEADER_LENGTH + 8) // PathOffset
+      .word16le(path.length) // PathLength
+      .put(path)
+      .buffer();
+  };
+
+  self.treeDisconnectBody = function () {
+    return put()
+      .word16le(4) // StructureSize
+      .word16le(0) // Reserved
+      .buffer();
+  };
+
+  /**
+   * Establishes a new session and connects it to the 'test' share. Both are used for subsequent requests.
+   *
+   * @param {Function} cb
+   * @param {Number} cb.treeId
+   */
+  self.connect = function (cb) {
+    self.login(function () {
+      self.request('tree_connect', self.treeConnectBody('test'), function (response) {
+        expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+        self.treeId = response.header.treeId;
+        cb(self.treeId);
+      });
+    });
+  };
+
+  self.createBody = function (name, createDisposition, createOptions) {
+    var nameBytes = new Buffer(name, 'utf16le');
+    return put()
+      .word16le(57) // StructureSize
+      .word8(0) // SecurityFlags
+      .word8(0) // RequestedOplockLevel
+      .word32le(2) // ImpersonationLevel
+      .pad(8) // SmbCreateFlags
+      .pad(8) // Reserved
+      .word32le(0x0012019f) // DesiredAccess
+      .word32le(0) // FileAttributes
+      .word32le(7) // ShareAccess
+      .word32le(createDisposition) // CreateDisposition
+      .word32le(createOptions || 0) // CreateOptions
+      .word16le(SMB2.HEADER_LENGTH + 56) // NameOffset
+      .word16le(nameBytes.length) // NameLength
+      .word32le(0) // CreateContextsOffset
+      .word32le(0) // CreateContextsLength
+      .put(nameBytes)
+      .buffer();
+  };
+
+  self.closeBody = function (fileId, flags) {
+    return put()
+      .word16le(24) // StructureSize
+      .word16le(flags || 0) // Flags
+      .word32le(0) // Reserved
+      .put(fileId) // FileId
+      .buffer();
+  };
+
+  self.readBody = function (fileId, offset, length, minimumCount) {
+    return put()
+      .word16le(49) // StructureSize
+      .word8(0) // Padding
+      .word8(0) // Flags
+      .word32le(length) // Length
+      .word64le(offset) // Offset
+      .put(fileId) // FileId
+      .word32le(minimumCount || 0) // MinimumCount
+      .word32le(0) // Channel
+      .word32le(0) // RemainingBytes
+      .word16le(0) // ReadChannelInfoOffset
+      .word16le(0) // ReadChannelInfoLength
+      .word8(0) // Buffer
+      .buffer();
+  };
+
+  /**
+   * Returns the data of a READ response.
+   *
+   * @param {Object} response
+   * @return {Buffer}
+   */
+  self.getReadData = function (response) {
+    var off = response.body.readUInt8(2) - SMB2.HEADER_LENGTH;
+    return response.body.slice(off, off + response.body.readUInt32LE(4));
+  };
+
+  self.writeBody = function (fileId, offset, data, dataOffset) {
+    return put()
+      .word16le(49) // StructureSize
+      .word16le(dataOffset === undefined ? SMB2.HEADER_LENGTH + 48 : dataOffset) // DataOffset
+      .word32le(data.length) // Length
+      .word64le(offset) // Offset
+      .put(fileId) // FileId
+      .word32le(0) // Channel
+      .word32le(0) // RemainingBytes
+      .word16le(0) // WriteChannelInfoOffset
+      .word16le(0) // WriteChannelInfoLength
+      .word32le(0) // Flags
+      .put(data)
+      .buffer();
+  };
+
+  self.queryDirectoryBody = function (fileId, fileInformationClass, flags, pattern, outputBufferLength) {
+    var patternBytes = new Buffer(pattern, 'utf16le');
+    return put()
+      .word16le(33) // StructureSize
+      .word8(fileInformationClass) // FileInformationClass
+      .word8(flags) // Flags
+      .word32le(0) // FileIndex
+      .put(fileId) // FileId
+      .word16le(SMB2.HEADER_LENGTH + 32) // FileNameOffset
+      .word16le(patternBytes.length) // FileNameLength
+      .word32le(outputBufferLength || 65536) // OutputBufferLength
+      .put(patternBytes)
+      .buffer();
+  };
+
+  /**
+   * Returns the names of the FILE_NAMES_INFORMATION entries of a QUERY_DIRECTORY response.
+   *
+   * @param {Object} response
+   * @return {String[]}
+   */
+  self.getDirectoryNames = function (response) {
+    var off = response.body.readUInt16LE(2) - SMB2.HEADER_LENGTH;
+    var buf = response.body.slice(off, off + response.body.readUInt32LE(4));
+    var result = [];
+    var nextEntryOffset;
+    do {
+      nextEntryOffset = buf.readUInt32LE(0);
+      result.push(buf.slice(12, 12 + buf.readUInt32LE(8)).toString('utf16le'));
+      buf = buf.slice(nextEntryOffset);
+    } while (nextEntryOffset);
+    return result;
+  };
+
+  self.queryInfoBody = function (fileId, infoType, fileInfoClass, outputBufferLength, additionalInformation) {
+    return put()
+      .word16le(41) // StructureSize
+      .word8(infoType) // InfoType
+      .word8(fileInfoClass) // FileInfoClass
+      .word32le(outputBufferLength) // OutputBufferLength
+      .word16le(0) // InputBufferOffset
+      .word16le(0) // Reserved
+      .word32le(0) // InputBufferLength
+      .word32le(additionalInformation || 0) // AdditionalInformation
+      .word32le(0) // Flags
+      .put(fileId) // FileId
+      .buffer();
+  };
+
+  /**
+   * Returns the output of a QUERY_INFO response.
+   *
+   * @param {Object} response
+   * @return {Buffer}
+   */
+  self.getInfoOutput = function (response) {
+    var off = response.body.readUInt16LE(2) - SMB2.HEADER_LENGTH;
+    return response.body.slice(off, off + response.body.readUInt32LE(4));
+  };
+
+  self.setInfoBody = function (fileId, infoType, fileInfoClass, buf) {
+    return put()
+      .word16le(33) // StructureSize
+      .word8(infoType) // InfoType
+      .word8(fileInfoClass) // FileInfoClass
+      .word32le(buf.length) // BufferLength
+      .word16le(SMB2.HEADER_LENGTH + 32) // BufferOffset
+      .word16le(0) // Reserved
+      .word32le(0) // AdditionalInformation
+      .put(fileId) // FileId
+      .put(buf)
+      .buffer();
+  };
+
+  self.changeNotifyBody = function (fileId, flags, completionFilter, outputBufferLength) {
+    return put()
+      .word16le(32) // StructureSize
+      .word16le(flags) // Flags
+      .word32le(outputBufferLength || 1024) // OutputBufferLength
+      .put(fileId) // FileId
+      .word32le(completionFilter) // CompletionFilter
+      .word32le(0) // Reserved
+      .buffer();
+  };
+
+  self.cancelBody = function () {
+    return put()
+      .word16le(4) // StructureSize
+      .word16le(0) // Reserved
+      .buffer();
+  };
+
+  /**
+   * Returns the [ action, name ] pairs of the FILE_NOTIFY_INFORMATION entries of a CHANGE_NOTIFY response.
+   *
+   * @param {Object} response
+   * @return {Array[]}
+   */
+  self.getNotifyEntries = function (response) {
+    var off = response.body.readUInt16LE(2) - SMB2.HEADER_LENGTH;
+    var buf = response.body.slice(off, off + response.body.readUInt32LE(4));
+    var result = [];
+    var nextEntryOffset;
+    do {
+      nextEntryOffset = buf.readUInt32LE(0);
+      result.push([ buf.readUInt32LE(4), buf.slice(12, 12 + buf.readUInt32LE(8)).toString('utf16le') ]);
+      buf = buf.slice(nextEntryOffset);
+    } while (nextEntryOffset);
+    return result;
+  };
+
+  /**
+   * Opens a file or directory of the 'test' share.
+   *
+   * @param {String} name
+   * @param {Number} createDisposition
+   * @param {Number} createOptions
+   * @param {Function} cb
+   * @param {Buffer} cb.fileId
+   */
+  self.open = function (name, createDisposition, createOptions, cb) {
+    self.request('create', self.createBody(name, createDisposition, createOptions), function (response) {
+      expect(response.header.status).toEqual(ntstatus.STATUS_SUCCESS);
+      cb(response.body.slice(64, 80));
+    });
+  };
+}
+
+module.exports = SMB2Common;
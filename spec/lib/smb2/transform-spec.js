@@ -0,0 +1,76 @@
+/*
+ *  Copyright 2016 Adobe Systems Incorporated. All rights reserved.
+ *  This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License. You may obtain a copy
+ *  of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software distributed under
+ *  the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ *  OF ANY KIND, either express or implied. See the License for the specific language
+ *  governing permissions and limitations under the License.
+ */
+
+var crypto = require('crypto');
+var Long = require('long');
+
+var transform = require('../../../lib/smb2/transform');
+var signing = require('../../../lib/smb2/signing');
+var SMB2 = require('../../../lib/smb2/constants');
+
+describe('SMB2 transform', function () {
+
+  var KEY = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+  var SESSION_ID = Long.fromBits(0x00000041, 0x00001000, true);
+
+  function createMsg() {
+    var buf = crypto.randomBytes(SMB2.HEADER_LENGTH + 24);
+    SMB2.PROTOCOL_ID.copy(buf);
+    return buf;
+  }
+
+  function testRoundTrip(cipherId) {
+    var msg = createMsg();
+    var buf = transform.encrypt(cipherId, KEY, SESSION_ID, msg);
+    expect(buf.length).toEqual(SMB2.TRANSFORM_HEADER_LENGTH + msg.length);
+    var hdr = transform.decodeHeader(buf);
+    expect(hdr.originalMessageSize).toEqual(msg.length);
+    expect(hdr.flags).toEqual(SMB2.TRANSFORM_FLAG_ENCRYPTED);
+    expect(hdr.sessionId.toString()).toEqual(SESSION_ID.toString());
+    expect(buf.slice(SMB2.TRANSFORM_HEADER_LENGTH).toString('hex')).not.toEqual(msg.toString('hex'));
+    expect(transform.decrypt(cipherId, KEY, buf).toString('hex')).toEqual(msg.toString('hex'));
+  }
+
+  it('testRoundTripGcm', function () {
+    testRoundTrip(SMB2.AES_128_GCM);
+  });
+
+  it('testRoundTripCcm', function () {
+    testRoundTrip(SMB2.AES_128_CCM);
+  });
+
+  it('testTampered', function () {
+    var buf = transform.encrypt(SMB2.AES_128_CCM, KEY, SESSION_ID, createMsg());
+    // the SessionId is authenticated
+    buf[44] ^= 0x01;
+    expect(transform.decrypt(SMB2.AES_128_CCM, KEY, buf)).toBeNull();
+    buf[44] ^= 0x01;
+    // so is the payload
+    buf[buf.length - 1] ^= 0x01;
+    expect(transform.decrypt(SMB2.AES_128_CCM, KEY, buf)).toBeNull();
+    // wrong cipher
+    buf[buf.length - 1] ^= 0x01;
+    expect(transform.decrypt(SMB2.AES_128_GCM, KEY, buf)).toBeNull();
+    expect(transform.decrypt(SMB2.AES_128_CCM, KEY, buf)).not.toBeNull();
+  });
+
+  it('testEncryptionKeys', function () {
+    var keys = transform.createEncryptionKeys(SMB2.SMB_3_0_0, KEY);
+    expect(keys.encryptionKey.toString('hex')).toEqual(signing.deriveKey(KEY, new Buffer('SMB2AESCCM\0'), new Buffer('ServerOut\0')).toString('hex'));
+    expect(keys.decryptionKey.toString('hex')).toEqual(signing.deriveKey(KEY, new Buffer('SMB2AESCCM\0'), new Buffer('ServerIn \0')).toString('hex'));
+    // SMB 3.1.1: the key derivation context is the preauth integrity hash of the session
+    var hash = crypto.randomBytes(64);
+    keys = transform.createEncryptionKeys(SMB2.SMB_3_1_1, KEY, hash);
+    expect(keys.encryptionKey.toString('hex')).toEqual(signing.deriveKey(KEY, new Buffer('SMBS2CCipherKey\0'), hash).toString('hex'));
+    expect(keys.decryptionKey.toString('hex')).toEqual(signing.deriveKey(KEY, new Buffer('SMBC2SCipherKey\0'), hash).toString('hex'));
+  });
+});